@@ -0,0 +1,286 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IVotes} from "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import {IRig} from "./interfaces/IRig.sol";
+
+/**
+ * @title CharityGovernor
+ * @notice Lets DOUGH holders propose and vote on adding, suspending or removing charities.
+ * @dev Must hold CURATOR_ROLE on the Rig to execute. Voting power is read from Unit checkpoints
+ *      at the proposal's snapshot block, so DOUGH claimed or bought after a proposal is created
+ *      cannot swing it. All timing is in blocks, matching the Unit's block-number clock.
+ *
+ *      Lifecycle:
+ *      - Pending until the snapshot block (`votingDelay` blocks after proposing)
+ *      - Active for `votingPeriod` blocks after the snapshot
+ *      - Succeeded if for + against votes reach quorum and for > against, otherwise Defeated
+ *      - Anyone can execute a succeeded proposal once; additions follow the Rig's admin delay
+ */
+contract CharityGovernor {
+    /*----------  CONSTANTS  --------------------------------------------*/
+
+    uint256 public constant DIVISOR = 10_000;
+
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    address public immutable unit; // DOUGH token providing vote checkpoints
+    address public immutable rig; // Rig whose charity registry is governed
+    uint256 public immutable votingDelay; // blocks from proposal to snapshot
+    uint256 public immutable votingPeriod; // blocks voting stays open after the snapshot
+    uint256 public immutable quorumBps; // share of DOUGH supply at the snapshot that must vote
+    uint256 public immutable proposalThreshold; // DOUGH votes needed to propose
+
+    /*----------  TYPES  ------------------------------------------------*/
+
+    enum ProposalAction {
+        AddCharity,
+        SuspendCharity,
+        RemoveCharity
+    }
+
+    enum ProposalState {
+        Pending,
+        Active,
+        Defeated,
+        Succeeded,
+        Executed,
+        Canceled
+    }
+
+    struct Proposal {
+        ProposalAction action;
+        address charity; // charity the action applies to
+        address proposer;
+        uint256 snapshot; // block whose vote checkpoints count
+        uint256 deadline; // last block of voting
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 changeId; // Rig admin change queued by an addition, if `queued`
+        bool queued;
+        bool executed;
+        bool canceled;
+    }
+
+    /*----------  STATE  ------------------------------------------------*/
+
+    /// @notice Proposal by id
+    mapping(uint256 => Proposal) public proposals;
+
+    /// @notice Whether an account has voted on a proposal
+    mapping(uint256 => mapping(address => bool)) public proposal_Account_HasVoted;
+
+    uint256 public proposalCount;
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error CharityGovernor__InvalidAddress();
+    error CharityGovernor__InvalidParameters();
+    error CharityGovernor__BelowThreshold();
+    error CharityGovernor__InvalidProposal();
+    error CharityGovernor__NotActive();
+    error CharityGovernor__AlreadyVoted();
+    error CharityGovernor__NoVotes();
+    error CharityGovernor__NotSucceeded();
+    error CharityGovernor__NotPending();
+    error CharityGovernor__NotProposer();
+    error CharityGovernor__NotQueued();
+
+    /*----------  EVENTS  -----------------------------------------------*/
+
+    event CharityGovernor__ProposalCreated(
+        uint256 indexed proposalId,
+        address indexed proposer,
+        ProposalAction action,
+        address indexed charity,
+        uint256 snapshot,
+        uint256 deadline
+    );
+    event CharityGovernor__VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight);
+    event CharityGovernor__ProposalExecuted(uint256 indexed proposalId);
+    event CharityGovernor__ProposalCanceled(uint256 indexed proposalId);
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new CharityGovernor.
+     * @param _unit DOUGH token address (must implement IVotes)
+     * @param _rig Rig contract address
+     * @param _votingDelay Blocks from proposal to snapshot
+     * @param _votingPeriod Blocks voting stays open after the snapshot
+     * @param _quorumBps Share of DOUGH supply at the snapshot that must vote, in bps
+     * @param _proposalThreshold DOUGH votes needed to propose
+     */
+    constructor(
+        address _unit,
+        address _rig,
+        uint256 _votingDelay,
+        uint256 _votingPeriod,
+        uint256 _quorumBps,
+        uint256 _proposalThreshold
+    ) {
+        if (_unit == address(0)) revert CharityGovernor__InvalidAddress();
+        if (_rig == address(0)) revert CharityGovernor__InvalidAddress();
+        if (_votingPeriod == 0) revert CharityGovernor__InvalidParameters();
+        if (_quorumBps == 0 || _quorumBps > DIVISOR) revert CharityGovernor__InvalidParameters();
+
+        unit = _unit;
+        rig = _rig;
+        votingDelay = _votingDelay;
+        votingPeriod = _votingPeriod;
+        quorumBps = _quorumBps;
+        proposalThreshold = _proposalThreshold;
+    }
+
+    /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Propose a charity registry action.
+     * @dev The proposer needs `proposalThreshold` votes as of the previous block.
+     * @param action Action to take on the Rig
+     * @param charity Charity the action applies to
+     * @return proposalId Id of the new proposal
+     */
+    function propose(ProposalAction action, address charity) external returns (uint256 proposalId) {
+        if (charity == address(0)) revert CharityGovernor__InvalidAddress();
+        if (IVotes(unit).getPastVotes(msg.sender, block.number - 1) < proposalThreshold) {
+            revert CharityGovernor__BelowThreshold();
+        }
+
+        uint256 snapshot = block.number + votingDelay;
+        uint256 deadline = snapshot + votingPeriod;
+
+        proposalId = proposalCount++;
+        Proposal storage proposal = proposals[proposalId];
+        proposal.action = action;
+        proposal.charity = charity;
+        proposal.proposer = msg.sender;
+        proposal.snapshot = snapshot;
+        proposal.deadline = deadline;
+
+        emit CharityGovernor__ProposalCreated(proposalId, msg.sender, action, charity, snapshot, deadline);
+    }
+
+    /**
+     * @notice Vote on an active proposal with the caller's votes at its snapshot.
+     * @param proposalId Proposal to vote on
+     * @param support True to vote for, false to vote against
+     * @return weight Votes counted
+     */
+    function castVote(uint256 proposalId, bool support) external returns (uint256 weight) {
+        if (state(proposalId) != ProposalState.Active) revert CharityGovernor__NotActive();
+        if (proposal_Account_HasVoted[proposalId][msg.sender]) revert CharityGovernor__AlreadyVoted();
+
+        Proposal storage proposal = proposals[proposalId];
+        weight = IVotes(unit).getPastVotes(msg.sender, proposal.snapshot);
+        if (weight == 0) revert CharityGovernor__NoVotes();
+
+        proposal_Account_HasVoted[proposalId][msg.sender] = true;
+        if (support) {
+            proposal.forVotes += weight;
+        } else {
+            proposal.againstVotes += weight;
+        }
+
+        emit CharityGovernor__VoteCast(proposalId, msg.sender, support, weight);
+    }
+
+    /**
+     * @notice Execute a succeeded proposal against the Rig.
+     * @dev Callable by anyone. With a Rig admin delay set, an addition is only queued here;
+     *      finish it with executeQueuedAddition once the delay has passed.
+     * @param proposalId Proposal to execute
+     */
+    function execute(uint256 proposalId) external {
+        if (state(proposalId) != ProposalState.Succeeded) revert CharityGovernor__NotSucceeded();
+
+        Proposal storage proposal = proposals[proposalId];
+        proposal.executed = true;
+
+        if (proposal.action == ProposalAction.AddCharity) {
+            // Record the id of the change this call queues, if the Rig delays additions
+            uint256 changeId = IRig(rig).getAdminChangeCount();
+            IRig(rig).addCharity(proposal.charity);
+            if (IRig(rig).getAdminChangeCount() > changeId) {
+                proposal.changeId = changeId;
+                proposal.queued = true;
+            }
+        } else if (proposal.action == ProposalAction.SuspendCharity) {
+            IRig(rig).suspendCharity(proposal.charity);
+        } else {
+            IRig(rig).removeCharity(proposal.charity);
+        }
+
+        emit CharityGovernor__ProposalExecuted(proposalId);
+    }
+
+    /**
+     * @notice Execute the Rig admin change queued by an executed addition proposal.
+     * @dev Callable by anyone. Only the change queued by the proposal's own execution is accepted,
+     *      so the governor's curator role is never used for a change a curator queued.
+     * @param proposalId Executed AddCharity proposal
+     */
+    function executeQueuedAddition(uint256 proposalId) external {
+        if (state(proposalId) != ProposalState.Executed) revert CharityGovernor__NotSucceeded();
+        Proposal memory proposal = proposals[proposalId];
+        if (!proposal.queued) revert CharityGovernor__NotQueued();
+
+        IRig(rig).executeAdminChange(proposal.changeId);
+    }
+
+    /**
+     * @notice Cancel a proposal before voting starts.
+     * @param proposalId Proposal to cancel
+     */
+    function cancel(uint256 proposalId) external {
+        if (state(proposalId) != ProposalState.Pending) revert CharityGovernor__NotPending();
+        Proposal storage proposal = proposals[proposalId];
+        if (msg.sender != proposal.proposer) revert CharityGovernor__NotProposer();
+
+        proposal.canceled = true;
+        emit CharityGovernor__ProposalCanceled(proposalId);
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get the current state of a proposal.
+     * @param proposalId Proposal to query
+     * @return Proposal state
+     */
+    function state(uint256 proposalId) public view returns (ProposalState) {
+        if (proposalId >= proposalCount) revert CharityGovernor__InvalidProposal();
+        Proposal memory proposal = proposals[proposalId];
+
+        if (proposal.canceled) return ProposalState.Canceled;
+        if (proposal.executed) return ProposalState.Executed;
+        // Checkpoints at the snapshot are only final once the snapshot block has passed
+        if (block.number <= proposal.snapshot) return ProposalState.Pending;
+        if (block.number <= proposal.deadline) return ProposalState.Active;
+
+        bool quorumReached = proposal.forVotes + proposal.againstVotes >= quorum(proposalId);
+        if (quorumReached && proposal.forVotes > proposal.againstVotes) return ProposalState.Succeeded;
+        return ProposalState.Defeated;
+    }
+
+    /**
+     * @notice Get the votes a proposal needs (for + against) to be valid.
+     * @dev Only final once the proposal's snapshot block has passed.
+     * @param proposalId Proposal to query
+     * @return Quorum in DOUGH votes
+     */
+    function quorum(uint256 proposalId) public view returns (uint256) {
+        uint256 snapshot = proposals[proposalId].snapshot;
+        if (snapshot >= block.number) return 0;
+        return IVotes(unit).getPastTotalSupply(snapshot) * quorumBps / DIVISOR;
+    }
+
+    /**
+     * @notice Get a proposal.
+     * @param proposalId Proposal to query
+     * @return Proposal data
+     */
+    function getProposal(uint256 proposalId) external view returns (Proposal memory) {
+        return proposals[proposalId];
+    }
+}
@@ -0,0 +1,476 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Base64} from "@openzeppelin/contracts/utils/Base64.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+import {IRig} from "./interfaces/IRig.sol";
+
+/**
+ * @title DonationReceipts
+ * @notice Soulbound ERC-721 receipts proving a donation, with metadata generated on-chain.
+ * @dev Donors opt in per donation by donating through this contract instead of the Rig; donations
+ *      made directly on the Rig cost no extra gas and get no receipt. Each donate variant forwards
+ *      to the Rig and mints the receipt to the credited account, recording charity, token, amount,
+ *      credited value, day and the charity/treasury/team split exactly as the Rig paid it.
+ *
+ *      - PerDonation mints a new receipt for every donation
+ *      - PerDay folds an account's donations to the same charity in the same token on the same day
+ *        into one receipt, minted at the first of them
+ *      - Receipts cannot be transferred unless the owner enables transfers; account_ReceiptIds
+ *        always lists receipts by the account they were minted to
+ *      - Anyone can donate for any account, so holders can burn receipts they did not want
+ *      - The charity's registered name is copied at mint, so a receipt keeps showing the name the
+ *        donor gave to even if the charity's metadata changes later
+ */
+contract DonationReceipts is ERC721, Ownable {
+    using SafeERC20 for IERC20;
+    using Strings for uint256;
+    using Strings for address;
+
+    /*----------  CONSTANTS  --------------------------------------------*/
+
+    uint256 public constant DIVISOR = 10_000;
+
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    address public immutable rig;
+    address public immutable paymentToken; // accounting unit of receipt values
+    address public immutable weth; // token recorded for ETH donations
+
+    /*----------  TYPES  ------------------------------------------------*/
+
+    enum ReceiptMode {
+        PerDonation,
+        PerDay
+    }
+
+    struct Receipt {
+        address account; // donor credited on the Rig
+        address charity;
+        address token; // token donated (WETH for ETH donations)
+        uint256 amount; // amount of `token` donated
+        uint256 value; // credited value in payment token units
+        uint256 day; // Rig day of the donation
+        uint256 charityAmount; // part of `amount` paid to the charity
+        uint256 treasuryAmount; // part of `amount` paid to the treasury
+        uint256 teamAmount; // part of `amount` paid to the team
+        uint256 donationCount; // donations folded into the receipt
+        string charityName; // charity's registered name at mint
+    }
+
+    /*----------  STATE  ------------------------------------------------*/
+
+    /// @notice Receipt by token id (ids start at 1)
+    mapping(uint256 => Receipt) public receipts;
+
+    /// @notice Receipt ids minted to an account, in mint order; burned receipts are removed
+    mapping(address => uint256[]) public account_ReceiptIds;
+
+    /// @dev PerDay receipt for keccak256(account, day, charity, token), 0 if none
+    mapping(bytes32 => uint256) internal dayKey_ReceiptId;
+
+    uint256 public receiptCount;
+
+    /// @notice Whether holders can transfer receipts (false keeps them soulbound)
+    bool public transferable;
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error DonationReceipts__InvalidAddress();
+    error DonationReceipts__InsufficientValue();
+    error DonationReceipts__RefundFailed();
+    error DonationReceipts__NonTransferable();
+    error DonationReceipts__NotOwner();
+
+    /*----------  EVENTS  -----------------------------------------------*/
+
+    event DonationReceipts__ReceiptMinted(
+        uint256 indexed receiptId,
+        address indexed account,
+        address indexed charity,
+        address token,
+        uint256 amount,
+        uint256 day,
+        ReceiptMode mode
+    );
+    event DonationReceipts__ReceiptUpdated(uint256 indexed receiptId, uint256 amount, uint256 donationCount);
+    event DonationReceipts__ReceiptBurned(uint256 indexed receiptId, address indexed account);
+    event DonationReceipts__TransferableSet(bool transferable);
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new DonationReceipts.
+     * @param _rig Rig contract address
+     */
+    constructor(address _rig) ERC721("DoughNation Donation Receipt", "DOUGHR") {
+        if (_rig == address(0)) revert DonationReceipts__InvalidAddress();
+        rig = _rig;
+        paymentToken = address(IRig(_rig).paymentToken());
+        weth = IRig(_rig).weth();
+    }
+
+    /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Donate payment tokens on behalf of an account and mint it a receipt.
+     * @dev Requires msg.sender to have approved this contract for `amount`.
+     * @param account The account to credit for this donation and receive the receipt
+     * @param charity The whitelisted charity address
+     * @param amount The amount of payment tokens to donate
+     * @param mode PerDonation for a new receipt, PerDay to fold into the day's receipt
+     * @return receiptId Receipt minted or updated
+     */
+    function donate(address account, address charity, uint256 amount, ReceiptMode mode)
+        external
+        returns (uint256 receiptId)
+    {
+        IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), amount);
+        return _donate(account, charity, paymentToken, amount, mode, false);
+    }
+
+    /**
+     * @notice Donate any whitelisted payment token on behalf of an account and mint it a receipt.
+     * @dev Requires msg.sender to have approved this contract for `amount` of `token`.
+     * @param account The account to credit for this donation and receive the receipt
+     * @param charity The whitelisted charity address
+     * @param token The whitelisted payment token to donate
+     * @param amount The amount of `token` to donate
+     * @param mode PerDonation for a new receipt, PerDay to fold into the day's receipt
+     * @return receiptId Receipt minted or updated
+     */
+    function donateToken(address account, address charity, address token, uint256 amount, ReceiptMode mode)
+        external
+        returns (uint256 receiptId)
+    {
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        return _donate(account, charity, token, amount, mode, false);
+    }
+
+    /**
+     * @notice Donate native ETH on behalf of an account and mint it a receipt.
+     * @dev Forwards `amount` to the Rig and refunds any excess ETH to the caller. The receipt
+     *      records the donation as WETH, the token the Rig splits it in.
+     * @param account The account to credit for this donation and receive the receipt
+     * @param charity The whitelisted charity address
+     * @param amount The amount of ETH to donate
+     * @param mode PerDonation for a new receipt, PerDay to fold into the day's receipt
+     * @return receiptId Receipt minted or updated
+     */
+    function donateETH(address account, address charity, uint256 amount, ReceiptMode mode)
+        external
+        payable
+        returns (uint256 receiptId)
+    {
+        if (msg.value < amount) revert DonationReceipts__InsufficientValue();
+        receiptId = _donate(account, charity, weth, amount, mode, true);
+
+        uint256 refund = msg.value - amount;
+        if (refund > 0) {
+            (bool success,) = msg.sender.call{value: refund}("");
+            if (!success) revert DonationReceipts__RefundFailed();
+        }
+    }
+
+    /**
+     * @notice Burn a receipt held by msg.sender.
+     * @dev Drops the receipt from its minted-to account's list and clears its data. A burned PerDay
+     *      receipt is not updated again; a later donation that day mints a new one.
+     * @param receiptId Receipt to burn
+     */
+    function burn(uint256 receiptId) external {
+        if (ownerOf(receiptId) != msg.sender) revert DonationReceipts__NotOwner();
+        Receipt storage receipt = receipts[receiptId];
+
+        bytes32 dayKey = _dayKey(receipt.account, receipt.day, receipt.charity, receipt.token);
+        if (dayKey_ReceiptId[dayKey] == receiptId) delete dayKey_ReceiptId[dayKey];
+
+        // Search from the newest receipt, where unwanted ones usually are, keeping mint order
+        uint256[] storage ids = account_ReceiptIds[receipt.account];
+        uint256 index = ids.length - 1;
+        while (ids[index] != receiptId) index--;
+        for (; index < ids.length - 1; index++) {
+            ids[index] = ids[index + 1];
+        }
+        ids.pop();
+
+        delete receipts[receiptId];
+        _burn(receiptId);
+
+        emit DonationReceipts__ReceiptBurned(receiptId, msg.sender);
+    }
+
+    /*----------  RESTRICTED FUNCTIONS  ---------------------------------*/
+
+    /**
+     * @notice Allow or block receipt transfers.
+     * @param _transferable True to let holders transfer receipts
+     */
+    function setTransferable(bool _transferable) external onlyOwner {
+        transferable = _transferable;
+        emit DonationReceipts__TransferableSet(_transferable);
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get a receipt.
+     * @param receiptId Receipt to query
+     * @return Receipt data
+     */
+    function getReceipt(uint256 receiptId) external view returns (Receipt memory) {
+        return receipts[receiptId];
+    }
+
+    /**
+     * @notice Get all receipt ids minted to an account.
+     * @param account Account to query
+     * @return Receipt ids in mint order
+     */
+    function getReceiptIds(address account) external view returns (uint256[] memory) {
+        return account_ReceiptIds[account];
+    }
+
+    /**
+     * @notice Get the PerDay receipt of an account for a charity, token and day.
+     * @param account Donor account
+     * @param day Rig day
+     * @param charity Charity donated to
+     * @param token Token donated
+     * @return Receipt id, 0 if none was minted
+     */
+    function getDailyReceiptId(address account, uint256 day, address charity, address token)
+        external
+        view
+        returns (uint256)
+    {
+        return dayKey_ReceiptId[_dayKey(account, day, charity, token)];
+    }
+
+    /**
+     * @notice Get a receipt's metadata as a base64 JSON data URI with an embedded SVG image.
+     * @param receiptId Receipt to query
+     * @return Data URI
+     */
+    function tokenURI(uint256 receiptId) public view override returns (string memory) {
+        _requireMinted(receiptId);
+        Receipt memory receipt = receipts[receiptId];
+
+        uint8 tokenDecimals = IERC20Metadata(receipt.token).decimals();
+        string memory charityName = _sanitize(receipt.charityName);
+        string memory symbol = _sanitize(IERC20Metadata(receipt.token).symbol());
+        string memory amount = _formatAmount(receipt.amount, tokenDecimals);
+
+        string memory attributes = string.concat(
+            '[{"trait_type":"Charity","value":"',
+            charityName,
+            '"},{"trait_type":"Charity Address","value":"',
+            receipt.charity.toHexString(),
+            '"},{"trait_type":"Token","value":"',
+            receipt.token.toHexString(),
+            '"},{"trait_type":"Amount","value":"',
+            amount,
+            '"},{"trait_type":"Value","value":"',
+            _formatAmount(receipt.value, IERC20Metadata(paymentToken).decimals()),
+            '"},{"trait_type":"Day","display_type":"number","value":',
+            receipt.day.toString(),
+            _splitAttributes(receipt, tokenDecimals),
+            '},{"trait_type":"Donations","display_type":"number","value":',
+            receipt.donationCount.toString(),
+            "}]"
+        );
+
+        string memory json = string.concat(
+            '{"name":"DoughNation Receipt #',
+            receiptId.toString(),
+            '","description":"Proof of a donation to ',
+            bytes(charityName).length > 0 ? charityName : receipt.charity.toHexString(),
+            ' through DoughNation.","image":"data:image/svg+xml;base64,',
+            Base64.encode(bytes(_svg(receiptId, receipt, charityName, amount, symbol, tokenDecimals))),
+            '","attributes":',
+            attributes,
+            "}"
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @dev Forward a donation held by this contract to the Rig, then mint or update the receipt.
+     *      The split is computed the way the Rig computes it, from its split before the donation,
+     *      and the value is read back from the account's credited total for the day.
+     */
+    function _donate(
+        address account,
+        address charity,
+        address token,
+        uint256 amount,
+        ReceiptMode mode,
+        bool native
+    ) internal returns (uint256 receiptId) {
+        uint256 day = IRig(rig).currentDay();
+        uint256 valueBefore = IRig(rig).day_Account_Donation(day, account);
+        (uint256 charityBps,, uint256 teamBps) = IRig(rig).getCharitySplit(charity);
+
+        if (native) {
+            IRig(rig).donateETH{value: amount}(account, charity, amount);
+        } else {
+            IERC20(token).safeApprove(rig, 0);
+            IERC20(token).safeApprove(rig, amount);
+            IRig(rig).donateToken(account, charity, token, amount);
+        }
+
+        uint256 value = IRig(rig).day_Account_Donation(day, account) - valueBefore;
+        uint256 charityAmount = amount * charityBps / DIVISOR;
+        uint256 teamAmount = amount * teamBps / DIVISOR;
+        uint256 treasuryAmount = amount - charityAmount - teamAmount;
+
+        bytes32 dayKey = _dayKey(account, day, charity, token);
+        if (mode == ReceiptMode.PerDay) {
+            receiptId = dayKey_ReceiptId[dayKey];
+            if (receiptId != 0) {
+                Receipt storage receipt = receipts[receiptId];
+                receipt.amount += amount;
+                receipt.value += value;
+                receipt.charityAmount += charityAmount;
+                receipt.treasuryAmount += treasuryAmount;
+                receipt.teamAmount += teamAmount;
+                receipt.donationCount++;
+                emit DonationReceipts__ReceiptUpdated(receiptId, receipt.amount, receipt.donationCount);
+                return receiptId;
+            }
+        }
+
+        receiptId = ++receiptCount;
+        receipts[receiptId] = Receipt({
+            account: account,
+            charity: charity,
+            token: token,
+            amount: amount,
+            value: value,
+            day: day,
+            charityAmount: charityAmount,
+            treasuryAmount: treasuryAmount,
+            teamAmount: teamAmount,
+            donationCount: 1,
+            charityName: IRig(rig).getCharity(charity).name
+        });
+        if (mode == ReceiptMode.PerDay) dayKey_ReceiptId[dayKey] = receiptId;
+        account_ReceiptIds[account].push(receiptId);
+        _mint(account, receiptId);
+
+        emit DonationReceipts__ReceiptMinted(receiptId, account, charity, token, amount, day, mode);
+    }
+
+    /**
+     * @dev Block transfers between holders while receipts are soulbound; mints and burns always pass.
+     */
+    function _beforeTokenTransfer(address from, address to, uint256 firstTokenId, uint256 batchSize)
+        internal
+        override
+    {
+        if (from != address(0) && to != address(0) && !transferable) revert DonationReceipts__NonTransferable();
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+    }
+
+    function _dayKey(address account, uint256 day, address charity, address token) internal pure returns (bytes32) {
+        return keccak256(abi.encode(account, day, charity, token));
+    }
+
+    /**
+     * @dev Split breakdown attributes, continuing the attribute list after the Day value.
+     */
+    function _splitAttributes(Receipt memory receipt, uint8 decimals) internal pure returns (string memory) {
+        return string.concat(
+            '},{"trait_type":"Charity Share","value":"',
+            _formatAmount(receipt.charityAmount, decimals),
+            '"},{"trait_type":"Treasury Share","value":"',
+            _formatAmount(receipt.treasuryAmount, decimals),
+            '"},{"trait_type":"Team Share","value":"',
+            _formatAmount(receipt.teamAmount, decimals),
+            '"'
+        );
+    }
+
+    /**
+     * @dev Receipt card: charity, amount, day and split, one line each.
+     */
+    function _svg(
+        uint256 receiptId,
+        Receipt memory receipt,
+        string memory charityName,
+        string memory amount,
+        string memory symbol,
+        uint8 decimals
+    ) internal pure returns (string memory) {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">',
+            '<rect width="400" height="400" fill="#fff8ee"/>',
+            '<g font-family="monospace" font-size="16" fill="#3b2a1a">',
+            '<text x="24" y="48" font-size="22">DoughNation Receipt #',
+            receiptId.toString(),
+            '</text><text x="24" y="100">',
+            bytes(charityName).length > 0 ? charityName : receipt.charity.toHexString(),
+            '</text><text x="24" y="140">',
+            string.concat(amount, " ", symbol),
+            '</text><text x="24" y="180">Day ',
+            receipt.day.toString(),
+            '</text><text x="24" y="240">Charity  ',
+            _formatAmount(receipt.charityAmount, decimals),
+            '</text><text x="24" y="270">Treasury ',
+            _formatAmount(receipt.treasuryAmount, decimals),
+            '</text><text x="24" y="300">Team     ',
+            _formatAmount(receipt.teamAmount, decimals),
+            "</text></g></svg>"
+        );
+    }
+
+    /**
+     * @dev Decimal string of a token amount with trailing fractional zeros dropped.
+     */
+    function _formatAmount(uint256 amount, uint8 decimals) internal pure returns (string memory) {
+        uint256 unit = 10 ** decimals;
+        uint256 fraction = amount % unit;
+        if (fraction == 0) return (amount / unit).toString();
+
+        uint256 digits = decimals;
+        while (fraction % 10 == 0) {
+            fraction /= 10;
+            digits--;
+        }
+        bytes memory padded = bytes(fraction.toString());
+        while (padded.length < digits) {
+            padded = bytes.concat("0", padded);
+        }
+        return string.concat((amount / unit).toString(), ".", string(padded));
+    }
+
+    /**
+     * @dev Drop characters that would break out of a JSON string or SVG text node.
+     */
+    function _sanitize(string memory input) internal pure returns (string memory) {
+        bytes memory raw = bytes(input);
+        bytes memory clean = new bytes(raw.length);
+        uint256 length = 0;
+        for (uint256 i = 0; i < raw.length; i++) {
+            bytes1 char = raw[i];
+            if (char < 0x20 || char == '"' || char == "\\" || char == "<" || char == ">" || char == "&") continue;
+            clean[length] = char;
+            length++;
+        }
+
+        // Copy out the kept characters
+        bytes memory result = new bytes(length);
+        for (uint256 i = 0; i < length; i++) {
+            result[i] = clean[i];
+        }
+        return string(result);
+    }
+}
@@ -0,0 +1,364 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IRig} from "./interfaces/IRig.sol";
+
+/**
+ * @title DonationSubscriptions
+ * @notice Recurring donations that anyone can execute on the donor's behalf for a small tip.
+ * @dev A donor schedules a fixed payment token amount to a charity every `interval` seconds and
+ *      approves this contract for the payments plus tips. Once a payment is due, any keeper can
+ *      execute it: the amount is donated through Rig.donate crediting the donor, and the keeper
+ *      receives the donor's tip of at most MAX_TIP_BPS of the amount.
+ *
+ *      - A subscription ends at `endTime` (0 for none) or once `maxTotal` has been donated (0 for no cap)
+ *      - Payments missed while paused or unexecuted are skipped, never caught up in a burst;
+ *        the schedule stays aligned to the original start
+ *      - Donors can pause, resume, modify and cancel at any time; cancelling is final
+ */
+contract DonationSubscriptions {
+    using SafeERC20 for IERC20;
+
+    /*----------  CONSTANTS  --------------------------------------------*/
+
+    uint256 public constant DIVISOR = 10_000;
+    uint256 public constant MAX_TIP_BPS = 100; // 1% of each payment
+    uint256 public constant MIN_INTERVAL = 1 days; // bounds how often keepers can execute, and be tipped for, a subscription
+
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    address public immutable rig;
+    address public immutable paymentToken; // token donated and tipped
+
+    /*----------  STATE  ------------------------------------------------*/
+
+    struct Subscription {
+        address donor; // pays, and is credited on the Rig
+        address charity;
+        uint256 amount; // payment token donated per payment
+        uint256 tipBps; // keeper tip in bps of `amount`, paid on top by the donor
+        uint256 interval; // seconds between payments
+        uint256 nextDue; // timestamp the next payment becomes executable
+        uint256 endTime; // no payments after this timestamp (0 for none)
+        uint256 maxTotal; // most that can ever be donated (0 for no cap)
+        uint256 totalDonated; // donated so far, tips excluded
+        uint256 payments; // payments executed so far
+        bool paused;
+        bool cancelled;
+    }
+
+    /// @notice Subscription by id
+    mapping(uint256 => Subscription) public subscriptions;
+
+    /// @notice Subscription ids created by a donor, in creation order
+    mapping(address => uint256[]) public donor_SubscriptionIds;
+
+    uint256 public subscriptionCount;
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error DonationSubscriptions__InvalidAddress();
+    error DonationSubscriptions__NotCharity();
+    error DonationSubscriptions__ZeroAmount();
+    error DonationSubscriptions__InvalidTip();
+    error DonationSubscriptions__InvalidInterval();
+    error DonationSubscriptions__InvalidSchedule();
+    error DonationSubscriptions__InvalidSubscription();
+    error DonationSubscriptions__NotDonor();
+    error DonationSubscriptions__Cancelled();
+    error DonationSubscriptions__NotDue();
+
+    /*----------  EVENTS  -----------------------------------------------*/
+
+    event DonationSubscriptions__Created(
+        uint256 indexed subscriptionId,
+        address indexed donor,
+        address indexed charity,
+        uint256 amount,
+        uint256 tipBps,
+        uint256 interval,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 maxTotal
+    );
+    event DonationSubscriptions__Modified(
+        uint256 indexed subscriptionId,
+        address indexed charity,
+        uint256 amount,
+        uint256 tipBps,
+        uint256 interval,
+        uint256 endTime,
+        uint256 maxTotal
+    );
+    event DonationSubscriptions__Executed(
+        uint256 indexed subscriptionId, address indexed keeper, uint256 amount, uint256 tip, uint256 nextDue
+    );
+    event DonationSubscriptions__PausedSet(uint256 indexed subscriptionId, bool paused);
+    event DonationSubscriptions__SubscriptionCancelled(uint256 indexed subscriptionId);
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new DonationSubscriptions.
+     * @param _rig Rig contract address
+     */
+    constructor(address _rig) {
+        if (_rig == address(0)) revert DonationSubscriptions__InvalidAddress();
+        rig = _rig;
+        paymentToken = address(IRig(_rig).paymentToken());
+    }
+
+    /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Schedule a recurring donation from msg.sender.
+     * @dev msg.sender must keep this contract approved for each payment plus its tip.
+     * @param charity Active Rig charity to donate to
+     * @param amount Payment token donated per payment
+     * @param tipBps Keeper tip in bps of `amount`, at most MAX_TIP_BPS
+     * @param interval Seconds between payments, at least MIN_INTERVAL
+     * @param startTime Timestamp of the first payment (0 for now)
+     * @param endTime No payments after this timestamp (0 for none)
+     * @param maxTotal Most that can ever be donated (0 for no cap)
+     * @return subscriptionId Id of the new subscription
+     */
+    function createSubscription(
+        address charity,
+        uint256 amount,
+        uint256 tipBps,
+        uint256 interval,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 maxTotal
+    ) external returns (uint256 subscriptionId) {
+        if (startTime < block.timestamp) startTime = block.timestamp;
+        _validate(charity, amount, tipBps, interval, endTime, maxTotal);
+        if (endTime != 0 && endTime < startTime) revert DonationSubscriptions__InvalidSchedule();
+
+        subscriptionId = subscriptionCount++;
+        Subscription storage subscription = subscriptions[subscriptionId];
+        subscription.donor = msg.sender;
+        subscription.charity = charity;
+        subscription.amount = amount;
+        subscription.tipBps = tipBps;
+        subscription.interval = interval;
+        subscription.nextDue = startTime;
+        subscription.endTime = endTime;
+        subscription.maxTotal = maxTotal;
+        donor_SubscriptionIds[msg.sender].push(subscriptionId);
+
+        emit DonationSubscriptions__Created(
+            subscriptionId, msg.sender, charity, amount, tipBps, interval, startTime, endTime, maxTotal
+        );
+    }
+
+    /**
+     * @notice Execute a due payment and collect its tip.
+     * @param subscriptionId Subscription to execute
+     * @return tip Payment token paid to msg.sender
+     */
+    function execute(uint256 subscriptionId) public returns (uint256 tip) {
+        if (!isDue(subscriptionId)) revert DonationSubscriptions__NotDue();
+        Subscription storage subscription = subscriptions[subscriptionId];
+        address donor = subscription.donor;
+        uint256 amount = subscription.amount;
+        tip = amount * subscription.tipBps / DIVISOR;
+
+        // Skip any payments missed since nextDue, keeping the schedule aligned
+        uint256 late = block.timestamp - subscription.nextDue;
+        uint256 nextDue = block.timestamp - late % subscription.interval + subscription.interval;
+        subscription.nextDue = nextDue;
+        subscription.totalDonated += amount;
+        subscription.payments++;
+
+        IERC20(paymentToken).safeTransferFrom(donor, address(this), amount);
+        IERC20(paymentToken).safeApprove(rig, 0);
+        IERC20(paymentToken).safeApprove(rig, amount);
+        IRig(rig).donate(donor, subscription.charity, amount);
+        if (tip > 0) {
+            IERC20(paymentToken).safeTransferFrom(donor, msg.sender, tip);
+        }
+
+        emit DonationSubscriptions__Executed(subscriptionId, msg.sender, amount, tip, nextDue);
+    }
+
+    /**
+     * @notice Execute every payment among `subscriptionIds` that can run, skipping the rest.
+     * @dev Skips payments that are not due, whose donor lacks the balance or allowance, or whose
+     *      charity is no longer active, so one of them cannot revert the whole batch. Does nothing
+     *      while Rig donations are paused.
+     * @param subscriptionIds Subscriptions to execute, e.g. from getDueSubscriptions
+     * @return tips Total payment token paid to msg.sender
+     */
+    function executeMultiple(uint256[] calldata subscriptionIds) external returns (uint256 tips) {
+        if (IRig(rig).donationsPaused()) return 0;
+        for (uint256 i = 0; i < subscriptionIds.length; i++) {
+            if (_isExecutable(subscriptionIds[i])) {
+                tips += execute(subscriptionIds[i]);
+            }
+        }
+    }
+
+    /**
+     * @notice Change a subscription's terms. Applies from its next payment.
+     * @dev Payments already made count towards the new `maxTotal`.
+     * @param subscriptionId Subscription to modify
+     * @param charity Active Rig charity to donate to
+     * @param amount Payment token donated per payment
+     * @param tipBps Keeper tip in bps of `amount`
+     * @param interval Seconds between payments; the next payment stays where it was
+     * @param endTime No payments after this timestamp (0 for none)
+     * @param maxTotal Most that can ever be donated (0 for no cap)
+     */
+    function modifySubscription(
+        uint256 subscriptionId,
+        address charity,
+        uint256 amount,
+        uint256 tipBps,
+        uint256 interval,
+        uint256 endTime,
+        uint256 maxTotal
+    ) external {
+        Subscription storage subscription = _getDonorSubscription(subscriptionId);
+        _validate(charity, amount, tipBps, interval, endTime, maxTotal);
+
+        subscription.charity = charity;
+        subscription.amount = amount;
+        subscription.tipBps = tipBps;
+        subscription.interval = interval;
+        subscription.endTime = endTime;
+        subscription.maxTotal = maxTotal;
+
+        emit DonationSubscriptions__Modified(subscriptionId, charity, amount, tipBps, interval, endTime, maxTotal);
+    }
+
+    /**
+     * @notice Pause or resume a subscription. Payments falling due while paused are skipped.
+     * @param subscriptionId Subscription to update
+     * @param paused True to pause, false to resume
+     */
+    function setPaused(uint256 subscriptionId, bool paused) external {
+        Subscription storage subscription = _getDonorSubscription(subscriptionId);
+        subscription.paused = paused;
+        emit DonationSubscriptions__PausedSet(subscriptionId, paused);
+    }
+
+    /**
+     * @notice Cancel a subscription for good.
+     * @param subscriptionId Subscription to cancel
+     */
+    function cancel(uint256 subscriptionId) external {
+        Subscription storage subscription = _getDonorSubscription(subscriptionId);
+        subscription.cancelled = true;
+        emit DonationSubscriptions__SubscriptionCancelled(subscriptionId);
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Whether a subscription's next payment can be executed now.
+     * @dev Does not check the donor's balance or allowance; getDueSubscriptions does.
+     * @param subscriptionId Subscription to query
+     * @return True if active, past its due time, before its end and within its cap
+     */
+    function isDue(uint256 subscriptionId) public view returns (bool) {
+        if (subscriptionId >= subscriptionCount) revert DonationSubscriptions__InvalidSubscription();
+        Subscription storage subscription = subscriptions[subscriptionId];
+        if (subscription.cancelled || subscription.paused) return false;
+        if (block.timestamp < subscription.nextDue) return false;
+        if (subscription.endTime != 0 && block.timestamp > subscription.endTime) return false;
+        if (subscription.maxTotal != 0 && subscription.totalDonated + subscription.amount > subscription.maxTotal) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * @notice Get the subscriptions a keeper can execute right now, within a page of ids.
+     * @dev Filters out subscriptions whose donor lacks the balance or allowance for the payment
+     *      plus tip, or whose charity is no longer active. Empty while Rig donations are paused.
+     * @param offset First subscription id to check
+     * @param limit Number of subscription ids to check
+     * @return ids Executable subscription ids
+     */
+    function getDueSubscriptions(uint256 offset, uint256 limit) external view returns (uint256[] memory ids) {
+        uint256 end = offset + limit;
+        if (end > subscriptionCount) end = subscriptionCount;
+        if (offset >= end || IRig(rig).donationsPaused()) return new uint256[](0);
+
+        uint256[] memory candidates = new uint256[](end - offset);
+        uint256 count = 0;
+        for (uint256 i = offset; i < end; i++) {
+            if (_isExecutable(i)) {
+                candidates[count] = i;
+                count++;
+            }
+        }
+
+        // Copy out the executable subscriptions
+        ids = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ids[i] = candidates[i];
+        }
+    }
+
+    /**
+     * @notice Get a subscription.
+     * @param subscriptionId Subscription to query
+     * @return Subscription data
+     */
+    function getSubscription(uint256 subscriptionId) external view returns (Subscription memory) {
+        return subscriptions[subscriptionId];
+    }
+
+    /**
+     * @notice Get all subscription ids created by a donor.
+     * @param donor Donor to query
+     * @return Subscription ids in creation order
+     */
+    function getDonorSubscriptionIds(address donor) external view returns (uint256[] memory) {
+        return donor_SubscriptionIds[donor];
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    function _validate(
+        address charity,
+        uint256 amount,
+        uint256 tipBps,
+        uint256 interval,
+        uint256 endTime,
+        uint256 maxTotal
+    ) internal view {
+        if (!IRig(rig).account_IsCharity(charity)) revert DonationSubscriptions__NotCharity();
+        if (amount == 0) revert DonationSubscriptions__ZeroAmount();
+        if (tipBps > MAX_TIP_BPS) revert DonationSubscriptions__InvalidTip();
+        if (interval < MIN_INTERVAL) revert DonationSubscriptions__InvalidInterval();
+        if (endTime != 0 && endTime <= block.timestamp) revert DonationSubscriptions__InvalidSchedule();
+        if (maxTotal != 0 && maxTotal < amount) revert DonationSubscriptions__InvalidSchedule();
+    }
+
+    /**
+     * @dev A live subscription owned by msg.sender.
+     */
+    function _getDonorSubscription(uint256 subscriptionId) internal view returns (Subscription storage subscription) {
+        if (subscriptionId >= subscriptionCount) revert DonationSubscriptions__InvalidSubscription();
+        subscription = subscriptions[subscriptionId];
+        if (msg.sender != subscription.donor) revert DonationSubscriptions__NotDonor();
+        if (subscription.cancelled) revert DonationSubscriptions__Cancelled();
+    }
+
+    /**
+     * @dev Due, and the donor and charity are in a state where execution will succeed.
+     */
+    function _isExecutable(uint256 subscriptionId) internal view returns (bool) {
+        if (!isDue(subscriptionId)) return false;
+        Subscription storage subscription = subscriptions[subscriptionId];
+        uint256 total = subscription.amount + subscription.amount * subscription.tipBps / DIVISOR;
+        if (IERC20(paymentToken).balanceOf(subscription.donor) < total) return false;
+        if (IERC20(paymentToken).allowance(subscription.donor, address(this)) < total) return false;
+        return IRig(rig).account_IsCharity(subscription.charity);
+    }
+}
@@ -0,0 +1,292 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IDonationHook} from "./interfaces/IDonationHook.sol";
+import {IRig} from "./interfaces/IRig.sol";
+
+/**
+ * @title MatchingPledges
+ * @notice Lets sponsors escrow funds that match donations to a specific charity as they happen.
+ * @dev Registered as a Rig donation hook. A pledge names a charity, a token, a match ratio, a cap
+ *      (the escrowed amount) and an expiry. Every Rig donation to the charity in the pledge's token
+ *      releases amount * ratioBps / DIVISOR of the escrow straight to the charity, until the cap is
+ *      used up or the pledge expires. Donations in other tokens are not matched.
+ *
+ *      - Anyone can pledge; each charity holds at most MAX_PLEDGES_PER_CHARITY live pledges,
+ *        bounding the work added to every donation
+ *      - A pledge must escrow at least minPledgeValue (in Rig accounting units), match at least
+ *        MIN_RATIO_BPS and expire within MAX_PLEDGE_DURATION, so holding every slot of a charity
+ *        with dust pledges costs real escrow and only lasts a bounded time
+ *      - Expired and exhausted pledges are pruned from a charity's list as donations and new
+ *        pledges come in
+ *      - After expiry the sponsor withdraws whatever was not matched
+ */
+contract MatchingPledges is IDonationHook {
+    using SafeERC20 for IERC20;
+
+    /*----------  CONSTANTS  --------------------------------------------*/
+
+    uint256 public constant DIVISOR = 10_000;
+    uint256 public constant MIN_RATIO_BPS = 1_000; // at least 10 cents per donated token
+    uint256 public constant MAX_RATIO_BPS = 100_000; // up to 10x the donation
+    uint256 public constant MAX_PLEDGE_DURATION = 90 days;
+    uint256 public constant MAX_PLEDGES_PER_CHARITY = 10;
+
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    address public immutable rig; // only address allowed to report donations
+    uint256 public immutable minPledgeValue; // smallest cap accepted, in Rig accounting units
+
+    /*----------  STATE  ------------------------------------------------*/
+
+    struct Pledge {
+        address sponsor; // funds the pledge and receives the unmatched remainder
+        address charity; // charity whose donations are matched
+        address token; // token escrowed and matched, must be a Rig payment token
+        uint256 ratioBps; // match per donated token in bps (10_000 = 1:1)
+        uint256 cap; // escrowed amount, the most that can be matched
+        uint256 matched; // amount released to the charity so far
+        uint256 expiry; // timestamp after which no more donations are matched
+        bool withdrawn; // unmatched remainder returned to the sponsor
+    }
+
+    /// @notice Pledge by id
+    mapping(uint256 => Pledge) public pledges;
+
+    /// @dev Pledges that may still match donations to a charity; pruned lazily
+    mapping(address => uint256[]) internal charity_LivePledgeIds;
+
+    /// @notice Pledge ids created by a sponsor, in creation order
+    mapping(address => uint256[]) public sponsor_PledgeIds;
+
+    uint256 public pledgeCount;
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error MatchingPledges__NotRig();
+    error MatchingPledges__InvalidAddress();
+    error MatchingPledges__NotCharity();
+    error MatchingPledges__NotPaymentToken();
+    error MatchingPledges__InvalidRatio();
+    error MatchingPledges__ZeroAmount();
+    error MatchingPledges__PledgeTooSmall();
+    error MatchingPledges__InvalidExpiry();
+    error MatchingPledges__TooManyPledges();
+    error MatchingPledges__InvalidPledge();
+    error MatchingPledges__NotSponsor();
+    error MatchingPledges__NotExpired();
+    error MatchingPledges__AlreadyWithdrawn();
+
+    /*----------  EVENTS  -----------------------------------------------*/
+
+    event MatchingPledges__PledgeCreated(
+        uint256 indexed pledgeId,
+        address indexed sponsor,
+        address indexed charity,
+        address token,
+        uint256 ratioBps,
+        uint256 cap,
+        uint256 expiry
+    );
+    event MatchingPledges__Matched(
+        uint256 indexed pledgeId, address indexed charity, address indexed account, uint256 amount
+    );
+    event MatchingPledges__Withdrawn(uint256 indexed pledgeId, address indexed sponsor, uint256 amount);
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new MatchingPledges.
+     * @param _rig Rig contract address
+     * @param _minPledgeValue Smallest cap accepted, valued in Rig accounting units
+     */
+    constructor(address _rig, uint256 _minPledgeValue) {
+        if (_rig == address(0)) revert MatchingPledges__InvalidAddress();
+        if (_minPledgeValue == 0) revert MatchingPledges__ZeroAmount();
+        rig = _rig;
+        minPledgeValue = _minPledgeValue;
+    }
+
+    /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Escrow `cap` of `token` to match donations to `charity` until `expiry`.
+     * @dev Requires msg.sender to have approved this contract for `cap` of `token`.
+     * @param charity Active Rig charity whose donations are matched
+     * @param token Rig payment token to escrow and match
+     * @param ratioBps Match per donated token in bps (10_000 = 1:1, 5_000 = 50 cents per token)
+     * @param cap Amount to escrow, the most that can be matched; worth at least minPledgeValue
+     * @param expiry Timestamp after which donations are no longer matched, within MAX_PLEDGE_DURATION
+     * @return pledgeId Id of the new pledge
+     */
+    function createPledge(address charity, address token, uint256 ratioBps, uint256 cap, uint256 expiry)
+        external
+        returns (uint256 pledgeId)
+    {
+        if (!IRig(rig).account_IsCharity(charity)) revert MatchingPledges__NotCharity();
+        if (!IRig(rig).token_IsPaymentToken(token)) revert MatchingPledges__NotPaymentToken();
+        if (ratioBps < MIN_RATIO_BPS || ratioBps > MAX_RATIO_BPS) revert MatchingPledges__InvalidRatio();
+        if (cap == 0) revert MatchingPledges__ZeroAmount();
+        if (IRig(rig).getDonationValue(token, cap) < minPledgeValue) revert MatchingPledges__PledgeTooSmall();
+        if (expiry <= block.timestamp || expiry > block.timestamp + MAX_PLEDGE_DURATION) {
+            revert MatchingPledges__InvalidExpiry();
+        }
+
+        uint256[] storage ids = charity_LivePledgeIds[charity];
+        for (uint256 i = 0; i < ids.length;) {
+            if (_isLive(pledges[ids[i]])) {
+                i++;
+            } else {
+                _removeAt(ids, i);
+            }
+        }
+        if (ids.length >= MAX_PLEDGES_PER_CHARITY) revert MatchingPledges__TooManyPledges();
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), cap);
+
+        pledgeId = pledgeCount++;
+        pledges[pledgeId] = Pledge({
+            sponsor: msg.sender,
+            charity: charity,
+            token: token,
+            ratioBps: ratioBps,
+            cap: cap,
+            matched: 0,
+            expiry: expiry,
+            withdrawn: false
+        });
+        ids.push(pledgeId);
+        sponsor_PledgeIds[msg.sender].push(pledgeId);
+
+        emit MatchingPledges__PledgeCreated(pledgeId, msg.sender, charity, token, ratioBps, cap, expiry);
+    }
+
+    /**
+     * @notice Match a Rig donation from every live pledge for its charity and token.
+     * @dev Only callable by the Rig. Pledges that expired or ran out are pruned on the way.
+     * @param account Account credited with the donation
+     * @param charity Charity the donation went to
+     * @param token Token donated
+     * @param amount Amount of `token` donated
+     */
+    function onDonation(address account, address charity, address token, uint256 amount, uint256, uint256)
+        external
+    {
+        if (msg.sender != rig) revert MatchingPledges__NotRig();
+
+        uint256[] storage ids = charity_LivePledgeIds[charity];
+        for (uint256 i = 0; i < ids.length;) {
+            uint256 pledgeId = ids[i];
+            Pledge storage pledge = pledges[pledgeId];
+            if (!_isLive(pledge)) {
+                _removeAt(ids, i);
+                continue;
+            }
+            i++;
+            if (pledge.token != token) continue;
+
+            uint256 matchAmount = amount * pledge.ratioBps / DIVISOR;
+            uint256 remaining = pledge.cap - pledge.matched;
+            if (matchAmount > remaining) matchAmount = remaining;
+            if (matchAmount == 0) continue;
+
+            pledge.matched += matchAmount;
+            IERC20(token).safeTransfer(charity, matchAmount);
+            emit MatchingPledges__Matched(pledgeId, charity, account, matchAmount);
+        }
+    }
+
+    /**
+     * @notice Return the unmatched remainder of an expired pledge to its sponsor.
+     * @param pledgeId Pledge to withdraw from
+     * @return amount Amount returned
+     */
+    function withdraw(uint256 pledgeId) external returns (uint256 amount) {
+        if (pledgeId >= pledgeCount) revert MatchingPledges__InvalidPledge();
+        Pledge storage pledge = pledges[pledgeId];
+        if (msg.sender != pledge.sponsor) revert MatchingPledges__NotSponsor();
+        if (block.timestamp <= pledge.expiry) revert MatchingPledges__NotExpired();
+        if (pledge.withdrawn) revert MatchingPledges__AlreadyWithdrawn();
+
+        pledge.withdrawn = true;
+        amount = pledge.cap - pledge.matched;
+        if (amount > 0) {
+            IERC20(pledge.token).safeTransfer(msg.sender, amount);
+        }
+
+        emit MatchingPledges__Withdrawn(pledgeId, msg.sender, amount);
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get a pledge.
+     * @param pledgeId Pledge to query
+     * @return Pledge data
+     */
+    function getPledge(uint256 pledgeId) external view returns (Pledge memory) {
+        return pledges[pledgeId];
+    }
+
+    /**
+     * @notice Get the ids of a charity's pledges that are still matching donations.
+     * @param charity Charity to query
+     * @return ids Active pledge ids
+     */
+    function getActivePledgeIds(address charity) external view returns (uint256[] memory ids) {
+        uint256[] storage live = charity_LivePledgeIds[charity];
+        uint256[] memory candidates = new uint256[](live.length);
+        uint256 index = 0;
+        for (uint256 i = 0; i < live.length; i++) {
+            if (_isLive(pledges[live[i]])) {
+                candidates[index] = live[i];
+                index++;
+            }
+        }
+
+        // Copy out the live pledges, skipping stale ones not pruned yet
+        ids = new uint256[](index);
+        for (uint256 i = 0; i < index; i++) {
+            ids[i] = candidates[i];
+        }
+    }
+
+    /**
+     * @notice Get all pledge ids created by a sponsor.
+     * @param sponsor Sponsor to query
+     * @return Pledge ids in creation order
+     */
+    function getSponsorPledgeIds(address sponsor) external view returns (uint256[] memory) {
+        return sponsor_PledgeIds[sponsor];
+    }
+
+    /**
+     * @notice Get the amount a pledge can still match.
+     * @param pledgeId Pledge to query
+     * @return Escrow not yet matched, 0 once expired
+     */
+    function getRemaining(uint256 pledgeId) external view returns (uint256) {
+        Pledge memory pledge = pledges[pledgeId];
+        if (block.timestamp > pledge.expiry) return 0;
+        return pledge.cap - pledge.matched;
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @dev A pledge is live until it expires or its cap is fully matched.
+     */
+    function _isLive(Pledge storage pledge) internal view returns (bool) {
+        return block.timestamp <= pledge.expiry && pledge.matched < pledge.cap;
+    }
+
+    /**
+     * @dev Swap-and-pop removal; order of live pledges is not preserved.
+     */
+    function _removeAt(uint256[] storage ids, uint256 index) internal {
+        ids[index] = ids[ids.length - 1];
+        ids.pop();
+    }
+}
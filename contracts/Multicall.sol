@@ -2,9 +2,15 @@
 pragma solidity 0.8.19;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {IRig} from "./interfaces/IRig.sol";
+import {IUnit} from "./interfaces/IUnit.sol";
 import {IAuction} from "./interfaces/IAuction.sol";
+import {IVester} from "./interfaces/IVester.sol";
+import {IMatchingPledges} from "./interfaces/IMatchingPledges.sol";
+import {IReferrals} from "./interfaces/IReferrals.sol";
 
 /**
  * @title Multicall
@@ -22,6 +28,11 @@ contract Multicall {
     address public immutable unit;
     address public immutable donut;
 
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error Multicall__InsufficientValue();
+    error Multicall__RefundFailed();
+
     /*----------  STRUCTS  ----------------------------------------------*/
 
     /**
@@ -30,17 +41,32 @@ contract Multicall {
     struct RigState {
         // Protocol state
         uint256 currentDay;
-        uint256 todayEmission;
+        uint256 todayEmission; // effective: scheduled plus recycled
         uint256 todayTotalDonated;
         uint256 startTime;
         address treasuryAddress;
         address teamAddress;
         uint256 unitPrice; // DOUGH price in DONUT (from LP reserves)
+        bool donationsPaused; // donate flows revert while set
+        bool claimsPaused; // claim and claimMultiple revert while set
+        uint256 adminDelay; // delay before queued treasury/team/charity changes apply
+        uint256 pendingAdminChanges; // number of queued admin changes (see Rig.getPendingAdminChanges)
+        uint256 recycleReserve; // emission waiting to be dripped into future days
         // User state
         uint256 userTodayDonation;
         uint256 paymentTokenBalance;
         uint256 unitBalance;
         uint256 paymentTokenAllowance;
+        uint256 paymentTokenNonce; // EIP-2612 nonce (0 if the token has no permit)
+        uint256 userTotalDonated; // lifetime donation value
+        uint256 userDaysDonated;
+        uint256 userFirstDay;
+        uint256 userLastDay;
+        uint256 userCurrentStreak; // 0 if the streak is broken
+        uint256 userLongestStreak;
+        uint256 unitVotes; // current DOUGH voting power
+        address unitDelegate; // address the user's DOUGH votes are delegated to
+        uint256 unitNonce; // DOUGH EIP-2612 nonce
     }
 
     /**
@@ -53,6 +79,116 @@ contract Multicall {
         bool hasClaimed;
     }
 
+    /**
+     * @notice Registry entry and current split for a charity.
+     */
+    struct CharityInfo {
+        address charity;
+        string name;
+        string metadataURI;
+        bytes32 category;
+        IRig.CharityStatus status;
+        bool verified;
+        uint256 charityBps;
+        uint256 treasuryBps;
+        uint256 teamBps;
+    }
+
+    /**
+     * @notice Charity leaderboard entry for a day range.
+     */
+    struct CharityRanking {
+        address charity;
+        string name;
+        uint256 donated; // donation value within the day range
+        uint256 totalDonated; // all-time donation value
+    }
+
+    /**
+     * @notice Current donation split for a charity.
+     */
+    struct CharitySplit {
+        address charity;
+        bool isCharity;
+        uint256 charityBps;
+        uint256 treasuryBps;
+        uint256 teamBps;
+    }
+
+    /**
+     * @notice Payment token info for a user.
+     */
+    struct PaymentTokenState {
+        address token;
+        bool isPaymentToken;
+        address priceSource;
+        uint8 decimals;
+        uint256 unitValue; // value of one whole token in accounting units
+        uint256 balance;
+        uint256 allowance;
+    }
+
+    /**
+     * @notice A user's vesting position in the Rig's Vester.
+     */
+    struct VestingPosition {
+        uint256 positionId;
+        uint256 amount; // total DOUGH, bonus included
+        uint256 released;
+        uint256 vested;
+        uint256 releasable;
+        uint256 start;
+        uint256 duration;
+    }
+
+    /**
+     * @notice DOUGH supply totals.
+     */
+    struct SupplyState {
+        uint256 maxSupply; // Unit hard cap
+        uint256 totalSupply; // current supply, after burns
+        uint256 totalMinted; // minted by the Rig, before burns, referral rewards included
+        uint256 recycleReserve; // unclaimed emission waiting to be dripped into future days
+        uint256 currentDay;
+    }
+
+    /**
+     * @notice Emission accounting for a single day.
+     */
+    struct DaySupply {
+        uint256 day;
+        uint256 emission; // effective: getDayEmission(day) plus recycled
+        uint256 recycled; // recycled emission added to the day's pool
+        uint256 minted; // DOUGH minted to the day's donors so far
+        uint256 unclaimed; // emission not minted to donors yet (referral slice included)
+    }
+
+    /**
+     * @notice Referral state for an account, as referrer and as referee.
+     */
+    struct ReferralState {
+        address referrals; // Referrals contract (address(0) if referrals are not set up)
+        uint256 referralBps; // slice of each day's emission set aside for referrers
+        address referrer; // who referred the account
+        address[] referees; // accounts the account referred
+        uint256 pendingRewards; // referral DOUGH accrued and not minted yet
+        uint256 totalRewards; // referral DOUGH ever accrued
+    }
+
+    /**
+     * @notice A sponsor pledge still matching donations to a charity.
+     */
+    struct CharityPledge {
+        uint256 pledgeId;
+        address sponsor;
+        address token; // donations in this token are matched
+        uint256 ratioBps; // match per donated token (10_000 = 1:1)
+        uint256 cap;
+        uint256 matched;
+        uint256 remaining; // escrow still available to match
+        uint256 expiry;
+    }
+
     /**
      * @notice Aggregated state for the Auction contract.
      */
@@ -98,6 +234,69 @@ contract Multicall {
         IRig(rig).donate(account, charity, amount);
     }
 
+    /**
+     * @notice Donate using any whitelisted payment token.
+     * @dev Transfers tokens from caller, approves Rig, and donates on behalf of account.
+     * @param account The account to credit for this donation
+     * @param charity The whitelisted charity address
+     * @param token The whitelisted payment token to donate
+     * @param amount The amount of `token` to donate
+     */
+    function donateToken(address account, address charity, address token, uint256 amount) external {
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(token).safeApprove(rig, 0);
+        IERC20(token).safeApprove(rig, amount);
+        IRig(rig).donateToken(account, charity, token, amount);
+    }
+
+    /**
+     * @notice Donate any whitelisted payment token using an EIP-2612 permit instead of an approval.
+     * @dev The permit must authorize this contract (not the Rig) to spend `amount`.
+     *      A failed permit is ignored so a front-run permit cannot block the donation.
+     * @param account The account to credit for this donation
+     * @param charity The whitelisted charity address
+     * @param token The whitelisted payment token to donate (must support EIP-2612)
+     * @param amount The amount of `token` to donate
+     * @param deadline Permit deadline timestamp
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function donateWithPermit(
+        address account,
+        address charity,
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        try IERC20Permit(token).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(token).safeApprove(rig, 0);
+        IERC20(token).safeApprove(rig, amount);
+        IRig(rig).donateToken(account, charity, token, amount);
+    }
+
+    /**
+     * @notice Donate native ETH, wrapped into WETH by the Rig.
+     * @dev Forwards `amount` to the Rig and refunds any excess ETH to the caller.
+     * @param account The account to credit for this donation
+     * @param charity The whitelisted charity address
+     * @param amount The amount of ETH to donate
+     */
+    function donateETH(address account, address charity, uint256 amount) external payable {
+        if (msg.value < amount) revert Multicall__InsufficientValue();
+        IRig(rig).donateETH{value: amount}(account, charity, amount);
+
+        uint256 refund = msg.value - amount;
+        if (refund > 0) {
+            (bool success,) = msg.sender.call{value: refund}("");
+            if (!success) revert Multicall__RefundFailed();
+        }
+    }
+
     /**
      * @notice Claim DOUGH for a single day.
      * @param account The account to claim for
@@ -159,11 +358,16 @@ contract Multicall {
 
         // Protocol state
         state.currentDay = day;
-        state.todayEmission = IRig(rig).getDayEmission(day);
+        state.todayEmission = IRig(rig).getEffectiveEmission(day);
+        state.recycleReserve = IRig(rig).recycleReserve();
         state.todayTotalDonated = IRig(rig).getDayTotal(day);
         state.startTime = IRig(rig).START_TIME();
         state.treasuryAddress = IRig(rig).treasuryAddress();
         state.teamAddress = IRig(rig).teamAddress();
+        state.donationsPaused = IRig(rig).donationsPaused();
+        state.claimsPaused = IRig(rig).claimsPaused();
+        state.adminDelay = IRig(rig).adminDelay();
+        state.pendingAdminChanges = IRig(rig).pendingAdminChangeCount();
 
         // Calculate DOUGH price in DONUT from LP reserves
         // LP token is DOUGH-DONUT, price = donutInLP / doughInLP
@@ -178,6 +382,21 @@ contract Multicall {
             state.paymentTokenBalance = IERC20(paymentToken).balanceOf(account);
             state.unitBalance = IERC20(unit).balanceOf(account);
             state.paymentTokenAllowance = IERC20(paymentToken).allowance(account, rig);
+            try IERC20Permit(paymentToken).nonces(account) returns (uint256 nonce) {
+                state.paymentTokenNonce = nonce;
+            } catch {}
+
+            IRig.AccountStats memory stats = IRig(rig).getAccountStats(account);
+            state.userTotalDonated = stats.totalDonated;
+            state.userDaysDonated = stats.daysDonated;
+            state.userFirstDay = stats.firstDay;
+            state.userLastDay = stats.lastDay;
+            state.userCurrentStreak = IRig(rig).getCurrentStreak(account);
+            state.userLongestStreak = stats.longestStreak;
+
+            state.unitVotes = IUnit(unit).getVotes(account);
+            state.unitDelegate = IUnit(unit).delegates(account);
+            state.unitNonce = IUnit(unit).nonces(account);
         }
 
         return state;
@@ -256,8 +475,47 @@ contract Multicall {
         return (totalPending, unclaimedDays);
     }
 
+    /**
+     * @notice Get pending rewards for the days Rig.claimAllPaginated would process next.
+     * @dev Walks the account's donation days from its claim cursor, so no day range is needed.
+     * @param account User address
+     * @param maxDays Maximum number of donation days to inspect
+     * @return totalPending Total unclaimed DOUGH across the inspected days
+     * @return unclaimedDays Array of day numbers that have unclaimed rewards
+     */
+    function getUnclaimedRewards(address account, uint256 maxDays)
+        external
+        view
+        returns (uint256 totalPending, uint256[] memory unclaimedDays)
+    {
+        uint256 cursor = IRig(rig).account_ClaimCursor(account);
+        uint256 count = IRig(rig).getUnclaimedDayCount(account);
+        if (count > maxDays) count = maxDays;
+
+        uint256[] memory candidates = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 day = IRig(rig).account_DonationDays(account, cursor + i);
+            uint256 pending = IRig(rig).getPendingReward(day, account);
+            if (pending > 0) {
+                totalPending += pending;
+                candidates[index] = day;
+                index++;
+            }
+        }
+
+        // Copy out the days that actually have rewards
+        unclaimedDays = new uint256[](index);
+        for (uint256 i = 0; i < index; i++) {
+            unclaimedDays[i] = candidates[i];
+        }
+
+        return (totalPending, unclaimedDays);
+    }
+
     /**
      * @notice Get emission schedule for upcoming days.
+     * @dev Scheduled emission only; recycled emission is added at each day's first donation.
      * @param numDays Number of days to project
      * @return emissions Array of daily emissions starting from current day
      */
@@ -276,6 +534,65 @@ contract Multicall {
         return emissions;
     }
 
+    /**
+     * @notice Get supply totals.
+     * @dev Use getEmitted for the emission of finished days and getDaySupply for single days.
+     * @return state Supply state
+     */
+    function getSupplyState() external view returns (SupplyState memory state) {
+        state.maxSupply = IUnit(unit).maxSupply();
+        state.totalSupply = IERC20(unit).totalSupply();
+        state.totalMinted = IRig(rig).totalMinted();
+        state.recycleReserve = IRig(rig).recycleReserve();
+        state.currentDay = IRig(rig).currentDay();
+
+        return state;
+    }
+
+    /**
+     * @notice Sum the scheduled emission of the finished days in a range.
+     * @dev Page from day 0 to the current day and subtract totalMinted for the cumulative
+     *      unclaimed emission. Days from the current day on are not counted.
+     * @param startDay First day to sum
+     * @param numDays Number of days to sum
+     * @return emitted Scheduled emission of the range's finished days
+     */
+    function getEmitted(uint256 startDay, uint256 numDays) external view returns (uint256 emitted) {
+        uint256 currentDay = IRig(rig).currentDay();
+        uint256 end = startDay + numDays < currentDay ? startDay + numDays : currentDay;
+
+        for (uint256 day = startDay; day < end; day++) {
+            emitted += IRig(rig).getDayEmission(day);
+        }
+
+        return emitted;
+    }
+
+    /**
+     * @notice Get emission, minted and unclaimed DOUGH for a range of days.
+     * @param startDay First day to query
+     * @param numDays Number of days to return
+     * @return supply Per-day supply accounting
+     */
+    function getDaySupply(uint256 startDay, uint256 numDays) external view returns (DaySupply[] memory supply) {
+        supply = new DaySupply[](numDays);
+
+        for (uint256 i = 0; i < numDays; i++) {
+            uint256 day = startDay + i;
+            uint256 emission = IRig(rig).getEffectiveEmission(day);
+            uint256 minted = IRig(rig).day_Minted(day);
+            supply[i] = DaySupply({
+                day: day,
+                emission: emission,
+                recycled: IRig(rig).day_Recycled(day),
+                minted: minted,
+                unclaimed: emission - minted
+            });
+        }
+
+        return supply;
+    }
+
     /**
      * @notice Check if a charity is whitelisted.
      * @param charity Address to check
@@ -285,6 +602,225 @@ contract Multicall {
         return IRig(rig).account_IsCharity(charity);
     }
 
+    /**
+     * @notice Get a page of the charity registry.
+     * @dev Returns charities in registration order, including pending and retired ones.
+     * @param offset Index of the first charity to return
+     * @param limit Maximum number of charities to return
+     * @return total Total number of registered charities
+     * @return infos Registry entry and split for each charity in the page
+     */
+    function getCharities(uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256 total, CharityInfo[] memory infos)
+    {
+        total = IRig(rig).getCharityCount();
+        if (offset >= total) {
+            return (total, new CharityInfo[](0));
+        }
+
+        uint256 count = total - offset < limit ? total - offset : limit;
+        infos = new CharityInfo[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            address charity = IRig(rig).charities(offset + i);
+            IRig.Charity memory entry = IRig(rig).getCharity(charity);
+            (uint256 charityBps, uint256 treasuryBps, uint256 teamBps) = IRig(rig).getCharitySplit(charity);
+            infos[i] = CharityInfo({
+                charity: charity,
+                name: entry.name,
+                metadataURI: entry.metadataURI,
+                category: entry.category,
+                status: entry.status,
+                verified: entry.verified,
+                charityBps: charityBps,
+                treasuryBps: treasuryBps,
+                teamBps: teamBps
+            });
+        }
+
+        return (total, infos);
+    }
+
+    /**
+     * @notice Get charities ranked by donation value received within a day range.
+     * @dev Scans every registered charity; charities with no donations in the range are omitted.
+     * @param startDay First day to include (inclusive)
+     * @param endDay Last day to include (exclusive)
+     * @param limit Maximum number of entries to return
+     * @return rankings Charities sorted by donation value, highest first
+     */
+    function getCharityLeaderboard(uint256 startDay, uint256 endDay, uint256 limit)
+        external
+        view
+        returns (CharityRanking[] memory rankings)
+    {
+        uint256 total = IRig(rig).getCharityCount();
+        CharityRanking[] memory ranked = new CharityRanking[](total);
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < total; i++) {
+            address charity = IRig(rig).charities(i);
+            uint256 donated = 0;
+            for (uint256 day = startDay; day < endDay; day++) {
+                donated += IRig(rig).day_Charity_TotalDonated(day, charity);
+            }
+            if (donated == 0) continue;
+
+            // Insertion sort, highest donation first
+            uint256 j = count;
+            while (j > 0 && ranked[j - 1].donated < donated) {
+                ranked[j] = ranked[j - 1];
+                j--;
+            }
+            ranked[j] = CharityRanking({
+                charity: charity,
+                name: IRig(rig).getCharity(charity).name,
+                donated: donated,
+                totalDonated: IRig(rig).charity_TotalDonated(charity)
+            });
+            count++;
+        }
+
+        uint256 size = count < limit ? count : limit;
+        rankings = new CharityRanking[](size);
+        for (uint256 i = 0; i < size; i++) {
+            rankings[i] = ranked[i];
+        }
+
+        return rankings;
+    }
+
+    /**
+     * @notice Get the current donation split for a list of charities.
+     * @param charities Charity addresses to query
+     * @return splits Split info for each charity (in the same order)
+     */
+    function getCharitySplits(address[] calldata charities) external view returns (CharitySplit[] memory splits) {
+        splits = new CharitySplit[](charities.length);
+
+        for (uint256 i = 0; i < charities.length; i++) {
+            (uint256 charityBps, uint256 treasuryBps, uint256 teamBps) = IRig(rig).getCharitySplit(charities[i]);
+            splits[i] = CharitySplit({
+                charity: charities[i],
+                isCharity: IRig(rig).account_IsCharity(charities[i]),
+                charityBps: charityBps,
+                treasuryBps: treasuryBps,
+                teamBps: teamBps
+            });
+        }
+
+        return splits;
+    }
+
+    /**
+     * @notice Get payment token info and valuation for a user.
+     * @param token Payment token address
+     * @param account User address (or address(0) to skip user-specific queries)
+     * @return state Payment token state
+     */
+    function getPaymentTokenState(address token, address account)
+        external
+        view
+        returns (PaymentTokenState memory state)
+    {
+        state.token = token;
+        state.isPaymentToken = IRig(rig).token_IsPaymentToken(token);
+        state.priceSource = IRig(rig).token_PriceSource(token);
+        state.decimals = IERC20Metadata(token).decimals();
+        if (state.isPaymentToken) {
+            state.unitValue = IRig(rig).getDonationValue(token, 10 ** state.decimals);
+        }
+
+        // User state
+        if (account != address(0)) {
+            state.balance = IERC20(token).balanceOf(account);
+            state.allowance = IERC20(token).allowance(account, rig);
+        }
+
+        return state;
+    }
+
+    /**
+     * @notice Get all of a user's vesting positions in the Rig's current Vester.
+     * @param account User address
+     * @return positions Vesting positions in creation order (empty if vesting is not set up)
+     */
+    function getVestingPositions(address account) external view returns (VestingPosition[] memory positions) {
+        address vester = IRig(rig).vester();
+        if (vester == address(0)) {
+            return new VestingPosition[](0);
+        }
+
+        uint256[] memory ids = IVester(vester).getPositionIds(account);
+        positions = new VestingPosition[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            (, uint256 amount, uint256 released, uint256 start, uint256 duration) = IVester(vester).positions(ids[i]);
+            positions[i] = VestingPosition({
+                positionId: ids[i],
+                amount: amount,
+                released: released,
+                vested: IVester(vester).getVested(ids[i]),
+                releasable: IVester(vester).getReleasable(ids[i]),
+                start: start,
+                duration: duration
+            });
+        }
+
+        return positions;
+    }
+
+    /**
+     * @notice Get an account's referrer, referees and referral rewards.
+     * @param account User address
+     * @return state Referral state (only the Rig fields are set if referrals are not set up)
+     */
+    function getReferralState(address account) external view returns (ReferralState memory state) {
+        state.referrals = IRig(rig).referrals();
+        state.referralBps = IRig(rig).referralBps();
+        state.pendingRewards = IRig(rig).referrer_PendingRewards(account);
+        state.totalRewards = IRig(rig).referrer_TotalRewards(account);
+        if (state.referrals == address(0)) {
+            return state;
+        }
+
+        state.referrer = IReferrals(state.referrals).account_Referrer(account);
+        state.referees = IReferrals(state.referrals).getReferees(account);
+        return state;
+    }
+
+    /**
+     * @notice Get the pledges currently matching donations to a charity.
+     * @param matchingPledges MatchingPledges contract registered as a Rig donation hook
+     * @param charity Charity address
+     * @return pledges Active pledges, in no particular order
+     */
+    function getCharityPledges(address matchingPledges, address charity)
+        external
+        view
+        returns (CharityPledge[] memory pledges)
+    {
+        uint256[] memory ids = IMatchingPledges(matchingPledges).getActivePledgeIds(charity);
+        pledges = new CharityPledge[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            (address sponsor,, address token, uint256 ratioBps, uint256 cap, uint256 matched, uint256 expiry,) =
+                IMatchingPledges(matchingPledges).pledges(ids[i]);
+            pledges[i] = CharityPledge({
+                pledgeId: ids[i],
+                sponsor: sponsor,
+                token: token,
+                ratioBps: ratioBps,
+                cap: cap,
+                matched: matched,
+                remaining: cap - matched,
+                expiry: expiry
+            });
+        }
+
+        return pledges;
+    }
+
     /**
      * @notice Get donation history for a user within a range.
      * @param account User address
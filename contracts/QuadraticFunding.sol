@@ -0,0 +1,348 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {IDonationHook} from "./interfaces/IDonationHook.sol";
+import {IRig} from "./interfaces/IRig.sol";
+
+/**
+ * @title QuadraticFunding
+ * @notice Matching rounds that split a sponsor-funded pool across charities by quadratic funding
+ *         over the donations made through the Rig during the round.
+ * @dev Registered as a Rig donation hook. Each donation made between a round's start and end day
+ *      (inclusive) adds to the donor's per-charity sum for that round. A charity's match weight is
+ *      (sum of sqrt(donor sums))^2 - (sum of donor sums), kept up to date on every donation, so many
+ *      small donors outweigh one large donor giving the same total.
+ *
+ *      Rounds:
+ *      - The owner opens rounds one at a time; a new round can only be created after the last ended
+ *      - Anyone can add to a round's matching pool until it is finalized
+ *      - Once the end day is over, anyone can finalize; each charity still active on the Rig is
+ *        paid pool * weight / total weight, and the last one paid also receives the rounding dust
+ *      - If no active charity has any weight, sponsors can take their funds back
+ *
+ *      Sybil resistance: anyone can donate for any account, so splitting a donation over many
+ *      addresses is cheap. Each round sets a minimum contribution: a donor's sum for a charity only
+ *      counts once it reaches the minimum, so every extra address costs at least that much. With a
+ *      round's allowlist enabled, only donations from accounts the owner marked eligible are counted,
+ *      and the minimum may be 0. Other donations still go through the Rig, they just earn no match.
+ */
+contract QuadraticFunding is IDonationHook, Ownable {
+    using SafeERC20 for IERC20;
+
+    /*----------  CONSTANTS  --------------------------------------------*/
+
+    uint256 public constant PRECISION = 1e18; // donor sums are scaled up before sqrt
+
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    address public immutable rig; // only address allowed to report donations
+    address public immutable token; // matching pool token, the Rig's accounting unit
+
+    /*----------  TYPES  ------------------------------------------------*/
+
+    struct Round {
+        uint256 startDay; // first Rig day counted
+        uint256 endDay; // last Rig day counted
+        uint256 pool; // matching funds deposited by sponsors
+        uint256 totalWeight; // sum of every charity's match weight
+        uint256 matched; // pool paid out at finalization
+        uint256 minContribution; // donor sum per charity, in accounting units, before it counts
+        bool useAllowlist; // only count donations from eligible accounts
+        bool finalized;
+    }
+
+    struct CharityTally {
+        uint256 sumSqrt; // sum over donors of sqrt(donor sum * PRECISION)
+        uint256 donated; // sum over donors of donor sums, in accounting units
+    }
+
+    /*----------  STATE  ------------------------------------------------*/
+
+    /// @notice Round by id
+    mapping(uint256 => Round) public rounds;
+
+    /// @notice Quadratic funding tally for a charity in a round
+    mapping(uint256 => mapping(address => CharityTally)) public round_Charity_Tally;
+
+    /// @notice Donation value (in accounting units) from a donor to a charity in a round; it counts
+    ///         towards matching once it reaches the round's minContribution
+    mapping(uint256 => mapping(address => mapping(address => uint256))) public round_Charity_Account_Donation;
+
+    /// @notice Charities that received counted donations in a round, in first-donation order
+    mapping(uint256 => address[]) public round_Charities;
+
+    /// @notice Matching funds paid to a charity when its round was finalized
+    mapping(uint256 => mapping(address => uint256)) public round_Charity_Match;
+
+    /// @notice Matching funds deposited by a sponsor into a round
+    mapping(uint256 => mapping(address => uint256)) public round_Sponsor_Funded;
+
+    /// @notice Whether an account's donations count in rounds using the allowlist
+    mapping(address => bool) public account_IsEligible;
+
+    uint256 public roundCount;
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error QuadraticFunding__NotRig();
+    error QuadraticFunding__InvalidAddress();
+    error QuadraticFunding__InvalidRound();
+    error QuadraticFunding__RoundInProgress();
+    error QuadraticFunding__ZeroAmount();
+    error QuadraticFunding__RoundNotEnded();
+    error QuadraticFunding__AlreadyFinalized();
+    error QuadraticFunding__NothingToRefund();
+
+    /*----------  EVENTS  -----------------------------------------------*/
+
+    event QuadraticFunding__RoundCreated(
+        uint256 indexed roundId, uint256 startDay, uint256 endDay, bool useAllowlist, uint256 minContribution
+    );
+    event QuadraticFunding__Funded(uint256 indexed roundId, address indexed sponsor, uint256 amount);
+    event QuadraticFunding__DonationCounted(
+        uint256 indexed roundId, address indexed account, address indexed charity, uint256 value
+    );
+    event QuadraticFunding__MatchPaid(uint256 indexed roundId, address indexed charity, uint256 amount);
+    event QuadraticFunding__Finalized(uint256 indexed roundId, uint256 matched);
+    event QuadraticFunding__Refunded(uint256 indexed roundId, address indexed sponsor, uint256 amount);
+    event QuadraticFunding__EligibilitySet(address indexed account, bool eligible);
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new QuadraticFunding.
+     * @param _rig Rig contract address; the matching token is its payment token
+     */
+    constructor(address _rig) {
+        if (_rig == address(0)) revert QuadraticFunding__InvalidAddress();
+        rig = _rig;
+        token = address(IRig(_rig).paymentToken());
+    }
+
+    /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Record a Rig donation against the current round.
+     * @dev Only callable by the Rig. Never reverts for donations outside a round or from
+     *      ineligible accounts, so the hook cannot block donating. Nothing is added to the
+     *      charity's tally until the donor's sum reaches the round's minimum.
+     * @param account Account credited with the donation
+     * @param charity Charity the donation went to
+     * @param value Donation value in accounting units
+     * @param day Rig day of the donation
+     */
+    function onDonation(address account, address charity, address, uint256, uint256 value, uint256 day)
+        external
+    {
+        if (msg.sender != rig) revert QuadraticFunding__NotRig();
+        if (roundCount == 0) return;
+
+        uint256 roundId = roundCount - 1;
+        Round storage round = rounds[roundId];
+        if (day < round.startDay || day > round.endDay) return;
+        if (round.useAllowlist && !account_IsEligible[account]) return;
+
+        uint256 oldSum = round_Charity_Account_Donation[roundId][charity][account];
+        uint256 newSum = oldSum + value;
+        round_Charity_Account_Donation[roundId][charity][account] = newSum;
+        if (newSum < round.minContribution) return;
+        // The donor's earlier donations join the tally when their sum first reaches the minimum
+        uint256 counted = oldSum < round.minContribution ? 0 : oldSum;
+
+        CharityTally storage tally = round_Charity_Tally[roundId][charity];
+        if (tally.donated == 0) round_Charities[roundId].push(charity);
+        uint256 oldWeight = _getWeight(tally);
+
+        tally.sumSqrt = tally.sumSqrt + Math.sqrt(newSum * PRECISION) - Math.sqrt(counted * PRECISION);
+        tally.donated += newSum - counted;
+
+        round.totalWeight = round.totalWeight + _getWeight(tally) - oldWeight;
+
+        emit QuadraticFunding__DonationCounted(roundId, account, charity, newSum - counted);
+    }
+
+    /**
+     * @notice Add matching funds to a round.
+     * @dev Requires msg.sender to have approved this contract for `amount` of the matching token.
+     * @param roundId Round to fund
+     * @param amount Amount of the matching token to deposit
+     */
+    function fund(uint256 roundId, uint256 amount) external {
+        if (roundId >= roundCount) revert QuadraticFunding__InvalidRound();
+        if (amount == 0) revert QuadraticFunding__ZeroAmount();
+        Round storage round = rounds[roundId];
+        if (round.finalized) revert QuadraticFunding__AlreadyFinalized();
+
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        round.pool += amount;
+        round_Sponsor_Funded[roundId][msg.sender] += amount;
+
+        emit QuadraticFunding__Funded(roundId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Pay every charity its matched share of an ended round's pool.
+     * @dev Callable by anyone once the round's end day is over. Charities that are no longer
+     *      active on the Rig are skipped and their weight is left out of the split.
+     * @param roundId Round to finalize
+     */
+    function finalize(uint256 roundId) external {
+        if (roundId >= roundCount) revert QuadraticFunding__InvalidRound();
+        Round storage round = rounds[roundId];
+        if (round.finalized) revert QuadraticFunding__AlreadyFinalized();
+        if (IRig(rig).currentDay() <= round.endDay) revert QuadraticFunding__RoundNotEnded();
+        round.finalized = true;
+
+        address[] storage charities = round_Charities[roundId];
+        uint256 length = charities.length;
+        uint256[] memory weights = new uint256[](length);
+        uint256 totalWeight;
+        uint256 last;
+        for (uint256 i = 0; i < length; i++) {
+            if (!IRig(rig).account_IsCharity(charities[i])) continue;
+            weights[i] = _getWeight(round_Charity_Tally[roundId][charities[i]]);
+            totalWeight += weights[i];
+            if (weights[i] > 0) last = i;
+        }
+
+        uint256 pool = round.pool;
+        if (totalWeight > 0 && pool > 0) {
+            uint256 paid;
+            for (uint256 i = 0; i < length; i++) {
+                if (weights[i] == 0) continue;
+                // The last charity paid absorbs the rounding dust
+                uint256 amount = i == last ? pool - paid : pool * weights[i] / totalWeight;
+                paid += amount;
+                round_Charity_Match[roundId][charities[i]] = amount;
+                IERC20(token).safeTransfer(charities[i], amount);
+                emit QuadraticFunding__MatchPaid(roundId, charities[i], amount);
+            }
+            round.matched = pool;
+        }
+
+        emit QuadraticFunding__Finalized(roundId, round.matched);
+    }
+
+    /**
+     * @notice Take back a sponsor's funds from a finalized round that matched nothing.
+     * @param roundId Finalized round with no matched funds
+     * @return amount Funds returned to msg.sender
+     */
+    function refund(uint256 roundId) external returns (uint256 amount) {
+        Round storage round = rounds[roundId];
+        if (!round.finalized || round.matched > 0) revert QuadraticFunding__NothingToRefund();
+        amount = round_Sponsor_Funded[roundId][msg.sender];
+        if (amount == 0) revert QuadraticFunding__NothingToRefund();
+
+        round_Sponsor_Funded[roundId][msg.sender] = 0;
+        round.pool -= amount;
+        IERC20(token).safeTransfer(msg.sender, amount);
+
+        emit QuadraticFunding__Refunded(roundId, msg.sender, amount);
+    }
+
+    /*----------  RESTRICTED FUNCTIONS  ---------------------------------*/
+
+    /**
+     * @notice Open a new round.
+     * @dev The previous round must have ended, so donations only ever count towards the latest round.
+     *      Rounds open to every account need a minimum contribution.
+     * @param startDay First Rig day counted, today or later
+     * @param endDay Last Rig day counted
+     * @param useAllowlist Only count donations from eligible accounts
+     * @param minContribution Donor sum per charity, in accounting units, before it counts
+     * @return roundId Id of the new round
+     */
+    function createRound(uint256 startDay, uint256 endDay, bool useAllowlist, uint256 minContribution)
+        external
+        onlyOwner
+        returns (uint256 roundId)
+    {
+        uint256 today = IRig(rig).currentDay();
+        if (startDay < today || endDay < startDay) revert QuadraticFunding__InvalidRound();
+        if (!useAllowlist && minContribution == 0) revert QuadraticFunding__InvalidRound();
+        if (roundCount > 0 && rounds[roundCount - 1].endDay >= today) revert QuadraticFunding__RoundInProgress();
+
+        roundId = roundCount++;
+        Round storage round = rounds[roundId];
+        round.startDay = startDay;
+        round.endDay = endDay;
+        round.useAllowlist = useAllowlist;
+        round.minContribution = minContribution;
+
+        emit QuadraticFunding__RoundCreated(roundId, startDay, endDay, useAllowlist, minContribution);
+    }
+
+    /**
+     * @notice Mark accounts as eligible or not for rounds using the allowlist.
+     * @dev Only affects donations made afterwards.
+     * @param accounts Accounts to update
+     * @param eligible Whether their donations count
+     */
+    function setEligible(address[] calldata accounts, bool eligible) external onlyOwner {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            account_IsEligible[accounts[i]] = eligible;
+            emit QuadraticFunding__EligibilitySet(accounts[i], eligible);
+        }
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get a round.
+     * @param roundId Round to query
+     * @return Round data
+     */
+    function getRound(uint256 roundId) external view returns (Round memory) {
+        return rounds[roundId];
+    }
+
+    /**
+     * @notice Get the charities with counted donations in a round.
+     * @param roundId Round to query
+     * @return Charity addresses in first-donation order
+     */
+    function getRoundCharities(uint256 roundId) external view returns (address[] memory) {
+        return round_Charities[roundId];
+    }
+
+    /**
+     * @notice Get a charity's quadratic funding weight in a round.
+     * @param roundId Round to query
+     * @param charity Charity to query
+     * @return (sum of sqrt contributions)^2 - sum of contributions, scaled by PRECISION
+     */
+    function getMatchWeight(uint256 roundId, address charity) external view returns (uint256) {
+        return _getWeight(round_Charity_Tally[roundId][charity]);
+    }
+
+    /**
+     * @notice Estimate a charity's match if its round were finalized with the current tallies.
+     * @dev Ignores charity status changes and rounding dust, which finalize accounts for.
+     * @param roundId Round to query
+     * @param charity Charity to query
+     * @return Estimated matching funds
+     */
+    function getEstimatedMatch(uint256 roundId, address charity) external view returns (uint256) {
+        Round memory round = rounds[roundId];
+        if (round.finalized) return round_Charity_Match[roundId][charity];
+        if (round.totalWeight == 0) return 0;
+        return round.pool * _getWeight(round_Charity_Tally[roundId][charity]) / round.totalWeight;
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @dev Quadratic funding weight of a tally. sqrt rounds down, so a single donor's
+     *      sumSqrt^2 can fall just short of their scaled sum; clamp that to 0.
+     */
+    function _getWeight(CharityTally storage tally) internal view returns (uint256) {
+        uint256 squared = tally.sumSqrt * tally.sumSqrt;
+        uint256 donated = tally.donated * PRECISION;
+        return squared > donated ? squared - donated : 0;
+    }
+}
@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IRig} from "./interfaces/IRig.sol";
+
+/**
+ * @title Referrals
+ * @notice Records who referred each new donor and donates to the Rig on their behalf.
+ * @dev Each donate variant mirrors the Rig's and takes an extra `referrer`. The referrer is recorded
+ *      only on an account's first donation and never changes afterwards. The Rig reads
+ *      account_Referrer when the referred account claims, and pays the referrer from its
+ *      referral slice of that day's emission.
+ *
+ *      Only the account itself can name its referrer, so nobody can claim the referral slice of
+ *      addresses they donate for. The referrer must already have donated through the Rig and
+ *      cannot be the account itself.
+ *      Since the account must be new while the referrer is not, no chain of referrals can loop
+ *      back on itself.
+ */
+contract Referrals {
+    using SafeERC20 for IERC20;
+
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    address public immutable rig;
+    address public immutable paymentToken;
+
+    /*----------  STATE  ------------------------------------------------*/
+
+    /// @notice Account that referred an account, set at its first donation
+    mapping(address => address) public account_Referrer;
+
+    /// @notice Accounts referred by a referrer, in referral order
+    mapping(address => address[]) public referrer_Referees;
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error Referrals__InvalidAddress();
+    error Referrals__NotAccount();
+    error Referrals__InvalidReferrer();
+    error Referrals__InsufficientValue();
+    error Referrals__RefundFailed();
+
+    /*----------  EVENTS  -----------------------------------------------*/
+
+    event Referrals__ReferrerSet(address indexed account, address indexed referrer);
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new Referrals.
+     * @param _rig Rig contract address
+     */
+    constructor(address _rig) {
+        if (_rig == address(0)) revert Referrals__InvalidAddress();
+        rig = _rig;
+        paymentToken = address(IRig(_rig).paymentToken());
+    }
+
+    /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Donate payment tokens and record the donor's referrer.
+     * @dev Requires msg.sender to be `account` and to have approved this contract for `amount`.
+     * @param account The account to credit for this donation (msg.sender)
+     * @param charity The whitelisted charity address
+     * @param amount The amount of payment tokens to donate
+     * @param referrer Existing donor who referred `account`
+     */
+    function donate(address account, address charity, uint256 amount, address referrer) external {
+        _setReferrer(account, referrer);
+        IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(paymentToken).safeApprove(rig, 0);
+        IERC20(paymentToken).safeApprove(rig, amount);
+        IRig(rig).donate(account, charity, amount);
+    }
+
+    /**
+     * @notice Donate any whitelisted payment token and record the donor's referrer.
+     * @dev Requires msg.sender to be `account` and to have approved this contract for `amount` of `token`.
+     * @param account The account to credit for this donation (msg.sender)
+     * @param charity The whitelisted charity address
+     * @param token The whitelisted payment token to donate
+     * @param amount The amount of `token` to donate
+     * @param referrer Existing donor who referred `account`
+     */
+    function donateToken(address account, address charity, address token, uint256 amount, address referrer)
+        external
+    {
+        _setReferrer(account, referrer);
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        IERC20(token).safeApprove(rig, 0);
+        IERC20(token).safeApprove(rig, amount);
+        IRig(rig).donateToken(account, charity, token, amount);
+    }
+
+    /**
+     * @notice Donate native ETH and record the donor's referrer.
+     * @dev Requires msg.sender to be `account`. Forwards `amount` to the Rig and refunds any excess ETH.
+     * @param account The account to credit for this donation (msg.sender)
+     * @param charity The whitelisted charity address
+     * @param amount The amount of ETH to donate
+     * @param referrer Existing donor who referred `account`
+     */
+    function donateETH(address account, address charity, uint256 amount, address referrer) external payable {
+        if (msg.value < amount) revert Referrals__InsufficientValue();
+        _setReferrer(account, referrer);
+        IRig(rig).donateETH{value: amount}(account, charity, amount);
+
+        uint256 refund = msg.value - amount;
+        if (refund > 0) {
+            (bool success,) = msg.sender.call{value: refund}("");
+            if (!success) revert Referrals__RefundFailed();
+        }
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get every account a referrer has referred.
+     * @param referrer The referrer to query
+     * @return Referred accounts in referral order
+     */
+    function getReferees(address referrer) external view returns (address[] memory) {
+        return referrer_Referees[referrer];
+    }
+
+    /**
+     * @notice Get the number of accounts a referrer has referred.
+     * @param referrer The referrer to query
+     * @return Number of referees
+     */
+    function getRefereeCount(address referrer) external view returns (uint256) {
+        return referrer_Referees[referrer].length;
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @dev Validate the caller and referrer, and record the referrer if `account` has never donated.
+     *      An account that already donated keeps its referrer (or lack of one) unchanged.
+     */
+    function _setReferrer(address account, address referrer) internal {
+        if (msg.sender != account) revert Referrals__NotAccount();
+        if (referrer == account) revert Referrals__InvalidReferrer();
+        if (IRig(rig).getAccountStats(referrer).daysDonated == 0) revert Referrals__InvalidReferrer();
+        if (IRig(rig).getAccountStats(account).daysDonated > 0) return;
+
+        account_Referrer[account] = referrer;
+        referrer_Referees[referrer].push(account);
+        emit Referrals__ReferrerSet(account, referrer);
+    }
+}
@@ -2,10 +2,18 @@
 pragma solidity 0.8.19;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import {ReentrancyGuard} from "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {AccessControlEnumerable} from "@openzeppelin/contracts/access/AccessControlEnumerable.sol";
 import {IUnit} from "./interfaces/IUnit.sol";
+import {IPriceSource} from "./interfaces/IPriceSource.sol";
+import {IWETH} from "./interfaces/IWETH.sol";
+import {IPermit2} from "./interfaces/IPermit2.sol";
+import {IVester} from "./interfaces/IVester.sol";
+import {IEmissionSchedule} from "./interfaces/IEmissionSchedule.sol";
+import {IDonationHook} from "./interfaces/IDonationHook.sol";
+import {IReferrals} from "./interfaces/IReferrals.sol";
 
 /**
  * @title Rig
@@ -14,53 +22,274 @@ import {IUnit} from "./interfaces/IUnit.sol";
  * @dev Users donate Payment Tokens to a daily pool. After the day ends, users can claim
  *      their proportional share of that day's DOUGH emission based on their contribution.
  *
+ *      Charity Registry:
+ *      - Charities carry a name, metadata URI, category and verification flag
+ *      - Lifecycle: Pending (registered) -> Active <-> Suspended -> Retired
+ *      - Only Active charities can receive donations; curators can reinstate any charity
+ *
+ *      Payment Tokens:
+ *      - The deployment payment token is the accounting unit and is credited 1:1
+ *      - Other whitelisted tokens are valued in accounting units by their price source
+ *      - Splits are always paid out in the token that was donated
+ *      - Native ETH is wrapped into WETH and donated as WETH
+ *      - EIP-2612 permits and Permit2 signature transfers replace the approve step
+ *
  *      Emission Schedule:
- *      - Initial: 345,600 DOUGH/day
- *      - Halving: Every 30 days
- *      - Floor: 864 DOUGH/day
+ *      - Daily emission is read from an IEmissionSchedule chosen at deployment and immutable after
+ *      - Step halvings, exponential decay, linear decay and piecewise tables are available
+ *      - Default: 345,600 DOUGH/day halving every 30 days to an 864 DOUGH/day floor
+ *      - Unit caps total supply; day_Minted records what each day's donors were minted and
+ *        totalMinted everything the Rig has minted, referral rewards included
+ *      - Optional recycling: emission from days nobody donated on, plus claim rounding dust,
+ *        goes into a reserve; each day's first donation drips `recycleBps` of it into that
+ *        day's pool, so the effective emission is getDayEmission(day) + day_Recycled(day)
+ *
+ *      Vesting:
+ *      - Donors can claim their own rewards into a linear Vester position instead of liquid DOUGH
+ *      - Each vesting duration earns a bonus on top of the base reward
+ *      - Bonuses are paid from a reserve of up to 20% of each day's emission, capped at the
+ *        donor's pro-rata share of that day's reserve; unused reserve is never minted
+ *
+ *      Referrals:
+ *      - A Referrals contract records who referred each new donor (see Referrals)
+ *      - Up to MAX_REFERRAL_BPS of each day's emission is set aside as a referral slice, taken out
+ *        of every donor's reward so being referred costs a donor nothing
+ *      - When a referred account claims a day, its referrer accrues the account's pro-rata share
+ *        of that day's slice, minted via claimReferralRewards
+ *      - Shares of the slice for accounts without a referrer are never minted
+ *
+ *      Donation Hooks:
+ *      - The admin can register up to MAX_DONATION_HOOKS IDonationHook contracts (e.g. matching rounds)
+ *      - Every donation calls each hook after it is credited, with the donor, charity, token,
+ *        amount, value and day; a reverting hook reverts the donation
+ *
+ *      Roles:
+ *      - CURATOR_ROLE: charity registry, lifecycle and per-charity splits
+ *      - TREASURY_MANAGER_ROLE: treasury and team destinations
+ *      - PAUSER_ROLE: emergency pause
+ *      - DEFAULT_ADMIN_ROLE: role management, payment tokens, split bounds, vesting,
+ *        referrals, donation hooks, admin delay and unpausing
+ *      The deployer starts with every role.
+ *
+ *      Timelocked Admin Changes:
+ *      - Treasury/team address changes, charity additions and the delay itself are queued
+ *        for `adminDelay` seconds, then executed (or cancelled) by the role that queued them
+ *      - With no delay set, these changes apply immediately
+ *      - pendingAdminChangeCount tracks how many are queued; getPendingAdminChanges lists them
+ *      - Suspending and removing charities always take effect instantly
  *
- *      Fund Split:
+ *      Emergency Pause:
+ *      - Pausers can pause donations, claims, or both
+ *      - Only the admin can unpause
+ *
+ *      Fund Split (default profile):
  *      - 50% to Charity (user-selected from whitelist)
  *      - 45% to Treasury
- *      - 5% to Team (receives remaining balance to handle dust)
+ *      - 5% to Team
+ *      Each charity can carry its own charity share, bounded by admin-set limits. The
+ *      remainder is split between treasury and team in the default 45:5 ratio, and the
+ *      treasury receives the remaining balance to handle dust.
  */
-contract Rig is ReentrancyGuard, Ownable {
+contract Rig is ReentrancyGuard, AccessControlEnumerable {
     using SafeERC20 for IERC20;
 
     /*----------  CONSTANTS  --------------------------------------------*/
 
-    uint256 public constant INITIAL_EMISSION = 345_600 * 1e18; // 345,600 DOUGH per day
-    uint256 public constant MIN_EMISSION = 864 * 1e18; // 864 DOUGH per day (floor)
-    uint256 public constant HALVING_PERIOD = 30 days;
+    bytes32 public constant CURATOR_ROLE = keccak256("CURATOR_ROLE");
+    bytes32 public constant TREASURY_MANAGER_ROLE = keccak256("TREASURY_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
     uint256 public constant DAY_DURATION = 1 days;
 
-    uint256 public constant CHARITY_BPS = 5_000; // 50%
-    uint256 public constant TREASURY_BPS = 4_500; // 45%
-    uint256 public constant TEAM_BPS = 500; // 5%
+    uint256 public constant CHARITY_BPS = 5_000; // 50% (default charity share)
+    uint256 public constant TREASURY_BPS = 4_500; // 45% (treasury weight of the remainder)
+    uint256 public constant TEAM_BPS = 500; // 5% (team weight of the remainder)
     uint256 public constant DIVISOR = 10_000;
 
+    uint256 public constant MAX_ADMIN_DELAY = 30 days;
+
+    uint256 public constant MAX_BONUS_RESERVE_BPS = 2_000; // 20% of daily emission
+    uint256 public constant MAX_VESTING_BONUS_BPS = 10_000; // up to 2x the base reward
+
+    uint256 public constant MAX_RECYCLE_DAYS = 365; // empty days swept per first donation
+    uint256 public constant DUST_PRECISION = 1e18; // recycleDust is kept in 1e18ths of a wei
+
+    uint256 public constant MAX_REFERRAL_BPS = 1_000; // 10% of daily emission
+
+    uint256 public constant MAX_DONATION_HOOKS = 4; // bounds the extra calls on every donation
+
+    address public constant PERMIT2 = 0x000000000022D473030F116dDEE9F6B43aC78BA3; // canonical Permit2
+
     /*----------  IMMUTABLES  -------------------------------------------*/
 
-    IERC20 public immutable paymentToken;
+    IERC20 public immutable paymentToken; // accounting unit for donation credit
     address public immutable unit;
+    address public immutable weth;
+    address public immutable emissionSchedule; // daily DOUGH emission source
     uint256 public immutable START_TIME;
 
+    /*----------  TYPES  ------------------------------------------------*/
+
+    enum CharityStatus {
+        None,
+        Pending,
+        Active,
+        Suspended,
+        Retired
+    }
+
+    struct Charity {
+        string name;
+        string metadataURI;
+        bytes32 category;
+        CharityStatus status;
+        bool verified;
+    }
+
+    enum AdminChangeType {
+        TreasuryAddress,
+        TeamAddress,
+        AddCharity,
+        AdminDelay
+    }
+
+    enum AdminChangeStatus {
+        None,
+        Queued,
+        Executed,
+        Cancelled
+    }
+
+    struct AdminChange {
+        AdminChangeType changeType;
+        AdminChangeStatus status;
+        address target; // new address or charity (unused for AdminDelay)
+        uint256 value; // new delay (AdminDelay only)
+        uint256 eta; // earliest execution timestamp
+    }
+
+    struct AccountStats {
+        uint256 totalDonated; // lifetime donation value in accounting units
+        uint32 daysDonated; // number of distinct days with a donation
+        uint32 firstDay; // first day with a donation
+        uint32 lastDay; // most recent day with a donation
+        uint32 currentStreak; // consecutive donation days ending on lastDay
+        uint32 longestStreak; // longest run of consecutive donation days
+    }
+
+    struct DayPool {
+        uint16 bonusReserveBps; // bonus reserve share snapshotted at the day's first donation
+        uint16 referralBps; // referral slice snapshotted at the day's first donation
+        uint224 recycled; // recycled emission added to the day's pool at its first donation
+    }
+
     /*----------  STATE  ------------------------------------------------*/
 
-    /// @notice Mapping of whitelisted charity addresses
-    mapping(address => bool) public account_IsCharity;
+    /// @notice Registry entry for each charity address
+    mapping(address => Charity) public account_Charity;
+
+    /// @notice Every charity ever registered, in registration order
+    address[] public charities;
+
+    /// @notice Mapping of tokens accepted for donations
+    mapping(address => bool) public token_IsPaymentToken;
+
+    /// @notice Price source used to value a token in accounting units
+    mapping(address => address) public token_PriceSource;
+
+    /// @notice Charity share (in bps) configured for a charity, 0 means CHARITY_BPS
+    mapping(address => uint256) public account_CharityBps;
+
+    uint256 public minCharityBps = CHARITY_BPS;
+    uint256 public maxCharityBps = DIVISOR;
 
     address public treasuryAddress;
     address public teamAddress;
 
-    /// @notice Total payment tokens donated on a given day
+    /// @notice Delay applied to queued admin changes, 0 applies them immediately
+    uint256 public adminDelay;
+
+    /// @notice Every queued admin change, by change id
+    AdminChange[] public adminChanges;
+
+    /// @notice Number of admin changes queued and not yet executed or cancelled
+    uint256 public pendingAdminChangeCount;
+
+    bool public donationsPaused;
+    bool public claimsPaused;
+
+    /// @notice Contract holding vesting positions (address(0) disables vesting)
+    address public vester;
+
+    /// @notice Share of each day's emission set aside for vesting bonuses
+    uint256 public bonusReserveBps;
+
+    /// @notice Bonus (in bps of the base reward) for each allowed vesting duration, 0 if not offered
+    mapping(uint256 => uint256) public duration_VestingBonusBps;
+
+    /// @dev Per-day snapshots taken at the first donation, one slot per day so a claim reads
+    ///      all with a single cold load; see day_BonusReserveBps, day_ReferralBps and day_Recycled
+    mapping(uint256 => DayPool) internal day_Pool;
+
+    /// @notice Share of the recycle reserve dripped into each day's pool (0 disables recycling)
+    uint256 public recycleBps;
+
+    /// @notice Emission from empty days and recovered dust waiting to be dripped into later days
+    uint256 public recycleReserve;
+
+    /// @notice Claim rounding dust not yet moved into the reserve, in 1e18ths of a wei
+    uint256 public recycleDust;
+
+    /// @notice First day not yet checked for emptiness
+    uint256 public recycleCursor;
+
+    /// @notice Contract recording referrers (address(0) disables referral rewards)
+    address public referrals;
+
+    /// @notice Share of each day's emission set aside for referrers
+    uint256 public referralBps;
+
+    /// @notice Referral DOUGH accrued by a referrer and not minted yet
+    mapping(address => uint256) public referrer_PendingRewards;
+
+    /// @notice Referral DOUGH ever accrued by a referrer
+    mapping(address => uint256) public referrer_TotalRewards;
+
+    /// @notice Contracts notified after every donation, in call order
+    address[] public donationHooks;
+
+    /// @notice Total donation value (in accounting units) on a given day
     mapping(uint256 => uint256) public day_TotalDonated;
 
-    /// @notice Payment tokens donated by a specific user on a given day
+    /// @notice Donation value (in accounting units) credited to a specific user on a given day
     mapping(uint256 => mapping(address => uint256)) public day_Account_Donation;
 
-    /// @notice Whether a user has claimed their DOUGH for a given day
-    mapping(uint256 => mapping(address => bool)) public day_Account_HasClaimed;
+    /// @notice Total donation value (in accounting units) directed to a charity
+    mapping(address => uint256) public charity_TotalDonated;
+
+    /// @notice Donation value (in accounting units) directed to a charity on a given day
+    mapping(uint256 => mapping(address => uint256)) public day_Charity_TotalDonated;
+
+    /// @notice Donation value (in accounting units) credited to an account for a given charity
+    mapping(address => mapping(address => uint256)) public account_Charity_Donation;
+
+    /// @notice Lifetime donation statistics and streaks for an account
+    mapping(address => AccountStats) public account_Stats;
+
+    /// @notice Packed claim status per account: bit (day % 256) of word (day / 256) is set once claimed
+    mapping(address => mapping(uint256 => uint256)) public account_ClaimedBitmap;
+
+    /// @notice Days on which an account was credited a donation, in ascending order
+    mapping(address => uint256[]) public account_DonationDays;
+
+    /// @notice Index into account_DonationDays before which every day has been claimed
+    mapping(address => uint256) public account_ClaimCursor;
+
+    /// @notice DOUGH minted to donors against each day's emission, vesting bonuses included
+    mapping(uint256 => uint256) public day_Minted;
+
+    /// @notice DOUGH minted by the Rig, donor claims and referral rewards included
+    uint256 public totalMinted;
 
     /*----------  ERRORS  -----------------------------------------------*/
 
@@ -70,41 +299,121 @@ contract Rig is ReentrancyGuard, Ownable {
     error Rig__NoDonation();
     error Rig__InvalidAddress();
     error Rig__NotCharity();
+    error Rig__NotPaymentToken();
+    error Rig__InsufficientValue();
+    error Rig__RefundFailed();
+    error Rig__InvalidSplit();
+    error Rig__CharityExists();
+    error Rig__InvalidVestingOption();
+    error Rig__VesterNotSet();
+    error Rig__InvalidBonus();
+    error Rig__InvalidRecycleBps();
+    error Rig__NoReferralRewards();
+    error Rig__EmissionExceeded();
+    error Rig__TooManyHooks();
+    error Rig__DonationsPaused();
+    error Rig__ClaimsPaused();
+    error Rig__MissingRole(bytes32 role, address account);
+    error Rig__InvalidDelay();
+    error Rig__ChangeNotQueued();
+    error Rig__ChangeNotReady();
 
     /*----------  EVENTS  -----------------------------------------------*/
 
     event Donation(address indexed user, address indexed charity, uint256 amount, uint256 day);
+    event DonationSplit(
+        address indexed charity,
+        address indexed token,
+        uint256 charityAmount,
+        uint256 treasuryAmount,
+        uint256 teamAmount
+    );
+    event TokenDonation(
+        address indexed user,
+        address indexed charity,
+        address indexed token,
+        uint256 amount,
+        uint256 value,
+        uint256 day
+    );
     event Claim(address indexed user, uint256 amount, uint256 day);
+    event VestedClaim(address indexed user, uint256 indexed positionId, uint256 amount, uint256 duration);
+    event CharityRegistered(address indexed charity, string name, string metadataURI, bytes32 category);
     event CharityAdded(address indexed charity);
+    event CharitySuspended(address indexed charity);
     event CharityRemoved(address indexed charity);
+    event CharityVerifiedSet(address indexed charity, bool verified);
+    event CharitySplitSet(address indexed charity, uint256 charityBps);
+    event CharityBpsBoundsSet(uint256 minCharityBps, uint256 maxCharityBps);
     event TreasuryAddressSet(address indexed treasuryAddress);
     event TeamAddressSet(address indexed teamAddress);
+    event PaymentTokenAdded(address indexed token, address indexed priceSource);
+    event PaymentTokenRemoved(address indexed token);
+    event VesterSet(address indexed vester);
+    event VestingOptionSet(uint256 duration, uint256 bonusBps);
+    event BonusReserveBpsSet(uint256 bonusReserveBps);
+    event RecycleBpsSet(uint256 recycleBps);
+    event EmissionRecycled(uint256 indexed day, uint256 amount, uint256 reserveLeft);
+    event ReferralsSet(address indexed referrals, uint256 referralBps);
+    event ReferralAccrued(address indexed referrer, address indexed account, uint256 amount, uint256 day);
+    event ReferralRewardsClaimed(address indexed referrer, uint256 amount);
+    event DonationHooksSet(address[] hooks);
+    event AdminDelaySet(uint256 adminDelay);
+    event AdminChangeQueued(
+        uint256 indexed changeId,
+        AdminChangeType changeType,
+        address target,
+        uint256 value,
+        uint256 eta
+    );
+    event AdminChangeExecuted(uint256 indexed changeId);
+    event AdminChangeCancelled(uint256 indexed changeId);
+    event DonationsPaused(address indexed account);
+    event DonationsUnpaused(address indexed account);
+    event ClaimsPaused(address indexed account);
+    event ClaimsUnpaused(address indexed account);
 
     /*----------  CONSTRUCTOR  ------------------------------------------*/
 
     /**
      * @notice Deploy a new Rig contract.
-     * @param _paymentToken The ERC-20 token accepted for donations (e.g., USDC, WETH)
+     * @param _paymentToken The ERC-20 token accepted for donations and used as the accounting unit
      * @param _unit The Unit token that will be minted to donors
      * @param _treasury Address to receive 45% of donations
      * @param _team Address to receive 5% of donations (remaining balance)
+     * @param _weth Wrapped native token used for ETH donations
+     * @param _emissionSchedule IEmissionSchedule that sets each day's DOUGH emission
      */
     constructor(
         address _paymentToken,
         address _unit,
         address _treasury,
-        address _team
+        address _team,
+        address _weth,
+        address _emissionSchedule
     ) {
         if (_paymentToken == address(0)) revert Rig__InvalidAddress();
         if (_unit == address(0)) revert Rig__InvalidAddress();
         if (_treasury == address(0)) revert Rig__InvalidAddress();
         if (_team == address(0)) revert Rig__InvalidAddress();
+        if (_weth == address(0)) revert Rig__InvalidAddress();
+        if (_emissionSchedule == address(0)) revert Rig__InvalidAddress();
 
         paymentToken = IERC20(_paymentToken);
         unit = _unit;
+        weth = _weth;
+        emissionSchedule = _emissionSchedule;
         treasuryAddress = _treasury;
         teamAddress = _team;
         START_TIME = block.timestamp;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(CURATOR_ROLE, msg.sender);
+        _grantRole(TREASURY_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+
+        token_IsPaymentToken[_paymentToken] = true;
+        emit PaymentTokenAdded(_paymentToken, address(0));
     }
 
     /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
@@ -119,32 +428,95 @@ contract Rig is ReentrancyGuard, Ownable {
      * @param amount The amount of payment tokens to donate
      */
     function donate(address account, address charity, uint256 amount) external nonReentrant {
-        if (account == address(0)) revert Rig__InvalidAddress();
-        if (amount == 0) revert Rig__ZeroAmount();
-        if (!account_IsCharity[charity]) revert Rig__NotCharity();
+        _donate(msg.sender, account, charity, address(paymentToken), amount);
+    }
 
-        uint256 day = currentDay();
+    /**
+     * @notice Donate any whitelisted payment token to the daily pool on behalf of an account.
+     * @dev Requires msg.sender to have approved this contract for `amount` of `token`.
+     *      The split is paid out in `token`; `account` is credited with the donation's
+     *      value in accounting units as reported by the token's price source.
+     * @param account The account to credit for this donation (receives DOUGH on claim)
+     * @param charity The whitelisted charity address to receive 50% of donation
+     * @param token The whitelisted payment token to donate
+     * @param amount The amount of `token` to donate
+     */
+    function donateToken(address account, address charity, address token, uint256 amount) external nonReentrant {
+        _donate(msg.sender, account, charity, token, amount);
+    }
 
-        // Transfer tokens from msg.sender (payer)
-        paymentToken.safeTransferFrom(msg.sender, address(this), amount);
+    /**
+     * @notice Donate native ETH to the daily pool on behalf of an account.
+     * @dev Wraps `amount` of msg.value into WETH and donates it as WETH, which must be a
+     *      whitelisted payment token. Any ETH sent above `amount` is refunded to msg.sender.
+     * @param account The account to credit for this donation (receives DOUGH on claim)
+     * @param charity The whitelisted charity address to receive 50% of donation
+     * @param amount The amount of ETH to donate
+     */
+    function donateETH(address account, address charity, uint256 amount) external payable nonReentrant {
+        if (msg.value < amount) revert Rig__InsufficientValue();
 
-        // Calculate splits
-        uint256 charityAmount = amount * CHARITY_BPS / DIVISOR;
-        uint256 teamAmount = teamAddress != address(0) ? amount * TEAM_BPS / DIVISOR : 0;
-        uint256 treasuryAmount = amount - charityAmount - teamAmount;
+        IWETH(weth).deposit{value: amount}();
+        _donate(address(this), account, charity, weth, amount);
 
-        // Distribute funds
-        paymentToken.safeTransfer(charity, charityAmount);
-        paymentToken.safeTransfer(treasuryAddress, treasuryAmount);
-        if (teamAmount > 0) {
-            paymentToken.safeTransfer(teamAddress, teamAmount);
+        // Refund any excess ETH
+        uint256 refund = msg.value - amount;
+        if (refund > 0) {
+            (bool success,) = msg.sender.call{value: refund}("");
+            if (!success) revert Rig__RefundFailed();
         }
+    }
 
-        // Update state - credit the account, not msg.sender
-        day_TotalDonated[day] += amount;
-        day_Account_Donation[day][account] += amount;
+    /**
+     * @notice Donate a whitelisted payment token using an EIP-2612 permit instead of an approval.
+     * @dev The permit must authorize this contract to spend `amount` of msg.sender's tokens.
+     *      A failed permit is ignored so a front-run permit cannot block the donation; the
+     *      transfer still requires a sufficient allowance.
+     * @param account The account to credit for this donation (receives DOUGH on claim)
+     * @param charity The whitelisted charity address to receive 50% of donation
+     * @param token The whitelisted payment token to donate (must support EIP-2612)
+     * @param amount The amount of `token` to donate
+     * @param deadline Permit deadline timestamp
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function donateWithPermit(
+        address account,
+        address charity,
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        try IERC20Permit(token).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {}
+        _donate(msg.sender, account, charity, token, amount);
+    }
 
-        emit Donation(account, charity, amount, day);
+    /**
+     * @notice Donate a whitelisted payment token using a Permit2 signature transfer.
+     * @dev msg.sender must have approved Permit2 for the token and signed `permit` with this
+     *      contract as spender. The full permitted amount is donated.
+     * @param account The account to credit for this donation (receives DOUGH on claim)
+     * @param charity The whitelisted charity address to receive 50% of donation
+     * @param permit The signed Permit2 transfer (token, amount, nonce, deadline)
+     * @param signature The owner's signature over `permit`
+     */
+    function donateWithPermit2(
+        address account,
+        address charity,
+        IPermit2.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) external nonReentrant {
+        IPermit2(PERMIT2).permitTransferFrom(
+            permit,
+            IPermit2.SignatureTransferDetails({to: address(this), requestedAmount: permit.permitted.amount}),
+            msg.sender,
+            signature
+        );
+        _donate(address(this), account, charity, permit.permitted.token, permit.permitted.amount);
     }
 
     /**
@@ -156,67 +528,401 @@ contract Rig is ReentrancyGuard, Ownable {
      * @param day The day number to claim for
      */
     function claim(address account, uint256 day) external nonReentrant {
+        if (claimsPaused) revert Rig__ClaimsPaused();
         if (account == address(0)) revert Rig__InvalidAddress();
-        if (day >= currentDay()) revert Rig__DayNotEnded();
-        if (day_Account_HasClaimed[day][account]) revert Rig__AlreadyClaimed();
+        _checkClaimable(account, day);
 
-        uint256 userDonation = day_Account_Donation[day][account];
-        if (userDonation == 0) revert Rig__NoDonation();
+        uint256 userReward = _claimDay(account, day, 0);
 
-        uint256 dayTotal = day_TotalDonated[day];
-        uint256 dayEmission = getDayEmission(day);
+        // Mint DOUGH to the account
+        IUnit(unit).mint(account, userReward);
+    }
 
-        // Calculate user's share: (userDonation / dayTotal) * dayEmission
-        uint256 userReward = (userDonation * dayEmission) / dayTotal;
+    /**
+     * @notice Claim DOUGH for every completed day an account has not yet claimed.
+     * @dev Walks the account's donation days from its claim cursor, so gas grows with the
+     *      number of unclaimed days only. Use claimAllPaginated for very long histories.
+     * @param account The account to claim for (receives DOUGH)
+     * @return reward Total DOUGH minted
+     */
+    function claimAll(address account) external nonReentrant returns (uint256 reward) {
+        reward = _claimAll(account, type(uint256).max, 0);
+        if (reward > 0) {
+            IUnit(unit).mint(account, reward);
+        }
+    }
 
-        // Mark as claimed before minting (CEI pattern)
-        day_Account_HasClaimed[day][account] = true;
+    /**
+     * @notice Claim DOUGH for up to `maxDays` of an account's unclaimed donation days.
+     * @dev Call repeatedly until getUnclaimedDayCount returns 0 to claim a long history.
+     * @param account The account to claim for (receives DOUGH)
+     * @param maxDays Maximum number of donation days to process
+     * @return reward Total DOUGH minted
+     */
+    function claimAllPaginated(address account, uint256 maxDays) external nonReentrant returns (uint256 reward) {
+        if (maxDays == 0) revert Rig__ZeroAmount();
+        reward = _claimAll(account, maxDays, 0);
+        if (reward > 0) {
+            IUnit(unit).mint(account, reward);
+        }
+    }
 
-        // Mint DOUGH to the account
-        IUnit(unit).mint(account, userReward);
+    /**
+     * @notice Claim the caller's DOUGH for a completed day into a vesting position.
+     * @dev Only the credited account can choose to vest. The position receives the base reward
+     *      plus the duration's bonus, capped at the caller's share of the day's bonus reserve.
+     * @param day The day number to claim for
+     * @param duration Vesting duration in seconds; must be an offered vesting option
+     * @return positionId Id of the new Vester position
+     */
+    function claimVested(uint256 day, uint256 duration) external nonReentrant returns (uint256 positionId) {
+        if (claimsPaused) revert Rig__ClaimsPaused();
+        uint256 bonusBps = _getVestingBonusBps(duration);
+        _checkClaimable(msg.sender, day);
 
-        emit Claim(account, userReward, day);
+        uint256 userReward = _claimDay(msg.sender, day, bonusBps);
+        return _vest(msg.sender, userReward, duration);
+    }
+
+    /**
+     * @notice Claim up to `maxDays` of the caller's unclaimed days into one vesting position.
+     * @dev Same walk as claimAllPaginated, with each day's bonus applied as in claimVested.
+     * @param maxDays Maximum number of donation days to process
+     * @param duration Vesting duration in seconds; must be an offered vesting option
+     * @return positionId Id of the new Vester position
+     */
+    function claimAllVested(uint256 maxDays, uint256 duration) external nonReentrant returns (uint256 positionId) {
+        if (claimsPaused) revert Rig__ClaimsPaused();
+        uint256 bonusBps = _getVestingBonusBps(duration);
+        if (maxDays == 0) revert Rig__ZeroAmount();
+
+        uint256 reward = _claimAll(msg.sender, maxDays, bonusBps);
+        if (reward == 0) revert Rig__NoDonation();
+        return _vest(msg.sender, reward, duration);
+    }
+
+    /**
+     * @notice Mint a referrer's accrued referral DOUGH to them.
+     * @dev Callable by anyone; rewards accrue as referred accounts claim their days.
+     * @param referrer The referrer to mint for
+     * @return amount DOUGH minted
+     */
+    function claimReferralRewards(address referrer) external nonReentrant returns (uint256 amount) {
+        if (claimsPaused) revert Rig__ClaimsPaused();
+        amount = referrer_PendingRewards[referrer];
+        if (amount == 0) revert Rig__NoReferralRewards();
+
+        referrer_PendingRewards[referrer] = 0;
+        totalMinted += amount;
+        IUnit(unit).mint(referrer, amount);
+        emit ReferralRewardsClaimed(referrer, amount);
     }
 
     /*----------  RESTRICTED FUNCTIONS  ---------------------------------*/
 
     /**
-     * @notice Add an address to the charity whitelist.
+     * @notice Register a new charity as Pending, with its metadata.
+     * @dev Pending charities are listed but cannot receive donations until added.
+     * @param _charity Charity address
+     * @param _name Display name
+     * @param _metadataURI URI with extended metadata (description, website, proof of status)
+     * @param _category Category identifier (e.g. "health", "education")
+     */
+    function registerCharity(
+        address _charity,
+        string calldata _name,
+        string calldata _metadataURI,
+        bytes32 _category
+    ) external onlyRole(CURATOR_ROLE) {
+        if (_charity == address(0)) revert Rig__InvalidAddress();
+        if (account_Charity[_charity].status != CharityStatus.None) revert Rig__CharityExists();
+        charities.push(_charity);
+        account_Charity[_charity].status = CharityStatus.Pending;
+        _setCharityMetadata(_charity, _name, _metadataURI, _category);
+    }
+
+    /**
+     * @notice Update the metadata of a registered charity.
+     * @param _charity Charity address
+     * @param _name Display name
+     * @param _metadataURI URI with extended metadata
+     * @param _category Category identifier
+     */
+    function setCharityMetadata(
+        address _charity,
+        string calldata _name,
+        string calldata _metadataURI,
+        bytes32 _category
+    ) external onlyRole(CURATOR_ROLE) {
+        if (account_Charity[_charity].status == CharityStatus.None) revert Rig__NotCharity();
+        _setCharityMetadata(_charity, _name, _metadataURI, _category);
+    }
+
+    /**
+     * @notice Add an address to the charity whitelist (set it Active).
+     * @dev Registers the charity without metadata if it is not yet in the registry.
+     *      Also reinstates suspended or retired charities. Queued if an admin delay is set.
      * @param _charity Address to whitelist
      */
-    function addCharity(address _charity) external onlyOwner {
+    function addCharity(address _charity) external onlyRole(CURATOR_ROLE) {
         if (_charity == address(0)) revert Rig__InvalidAddress();
-        account_IsCharity[_charity] = true;
-        emit CharityAdded(_charity);
+        _queueOrApply(AdminChangeType.AddCharity, _charity, 0);
+    }
+
+    /**
+     * @notice Temporarily suspend a charity from receiving donations.
+     * @param _charity Charity address
+     */
+    function suspendCharity(address _charity) external onlyRole(CURATOR_ROLE) {
+        if (account_Charity[_charity].status == CharityStatus.None) revert Rig__NotCharity();
+        account_Charity[_charity].status = CharityStatus.Suspended;
+        emit CharitySuspended(_charity);
     }
 
     /**
-     * @notice Remove an address from the charity whitelist.
+     * @notice Remove an address from the charity whitelist (set it Retired).
      * @param _charity Address to remove from whitelist
      */
-    function removeCharity(address _charity) external onlyOwner {
-        account_IsCharity[_charity] = false;
+    function removeCharity(address _charity) external onlyRole(CURATOR_ROLE) {
+        if (account_Charity[_charity].status == CharityStatus.None) revert Rig__NotCharity();
+        account_Charity[_charity].status = CharityStatus.Retired;
         emit CharityRemoved(_charity);
     }
 
+    /**
+     * @notice Mark a registered charity as verified or unverified.
+     * @param _charity Charity address
+     * @param _verified Verification status
+     */
+    function setCharityVerified(address _charity, bool _verified) external onlyRole(CURATOR_ROLE) {
+        if (account_Charity[_charity].status == CharityStatus.None) revert Rig__NotCharity();
+        account_Charity[_charity].verified = _verified;
+        emit CharityVerifiedSet(_charity, _verified);
+    }
+
+    /**
+     * @notice Set the charity share for a charity's split profile.
+     * @dev The treasury/team remainder is derived from the default 45:5 ratio.
+     * @param _charity Charity address
+     * @param _charityBps Charity share in bps, within [minCharityBps, maxCharityBps]
+     */
+    function setCharitySplit(address _charity, uint256 _charityBps) external onlyRole(CURATOR_ROLE) {
+        if (_charity == address(0)) revert Rig__InvalidAddress();
+        if (_charityBps < minCharityBps || _charityBps > maxCharityBps) revert Rig__InvalidSplit();
+        account_CharityBps[_charity] = _charityBps;
+        emit CharitySplitSet(_charity, _charityBps);
+    }
+
+    /**
+     * @notice Set the bounds that every charity's share is clamped to.
+     * @param _minCharityBps Minimum charity share in bps (non-zero)
+     * @param _maxCharityBps Maximum charity share in bps (at most DIVISOR)
+     */
+    function setCharityBpsBounds(uint256 _minCharityBps, uint256 _maxCharityBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_minCharityBps == 0 || _minCharityBps > _maxCharityBps || _maxCharityBps > DIVISOR) {
+            revert Rig__InvalidSplit();
+        }
+        minCharityBps = _minCharityBps;
+        maxCharityBps = _maxCharityBps;
+        emit CharityBpsBoundsSet(_minCharityBps, _maxCharityBps);
+    }
+
+    /**
+     * @notice Add a token to the payment token whitelist, or update its price source.
+     * @dev The accounting token is always valued 1:1 and does not need a price source.
+     * @param _token Token to accept for donations
+     * @param _priceSource Price source that values `_token` in accounting units
+     */
+    function addPaymentToken(address _token, address _priceSource) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_token == address(0)) revert Rig__InvalidAddress();
+        if (_priceSource == address(0) && _token != address(paymentToken)) revert Rig__InvalidAddress();
+        token_IsPaymentToken[_token] = true;
+        token_PriceSource[_token] = _priceSource;
+        emit PaymentTokenAdded(_token, _priceSource);
+    }
+
+    /**
+     * @notice Remove a token from the payment token whitelist.
+     * @param _token Token to stop accepting
+     */
+    function removePaymentToken(address _token) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        token_IsPaymentToken[_token] = false;
+        token_PriceSource[_token] = address(0);
+        emit PaymentTokenRemoved(_token);
+    }
+
     /**
      * @notice Update the treasury address.
+     * @dev Queued if an admin delay is set.
      * @param _treasury New treasury address
      */
-    function setTreasuryAddress(address _treasury) external onlyOwner {
+    function setTreasuryAddress(address _treasury) external onlyRole(TREASURY_MANAGER_ROLE) {
         if (_treasury == address(0)) revert Rig__InvalidAddress();
-        treasuryAddress = _treasury;
-        emit TreasuryAddressSet(_treasury);
+        _queueOrApply(AdminChangeType.TreasuryAddress, _treasury, 0);
     }
 
     /**
      * @notice Update the team address.
-     * @dev Can be set to address(0) to redirect team fees to treasury.
+     * @dev Can be set to address(0) to redirect team fees to treasury. Queued if an admin delay is set.
      * @param _team New team address (or address(0) to disable)
      */
-    function setTeamAddress(address _team) external onlyOwner {
-        teamAddress = _team;
-        emit TeamAddressSet(_team);
+    function setTeamAddress(address _team) external onlyRole(TREASURY_MANAGER_ROLE) {
+        _queueOrApply(AdminChangeType.TeamAddress, _team, 0);
+    }
+
+    /**
+     * @notice Update the delay applied to admin changes.
+     * @dev Queued under the current delay, so the delay can never be shortened instantly.
+     * @param _adminDelay New delay in seconds (0 to apply admin changes immediately)
+     */
+    function setAdminDelay(uint256 _adminDelay) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_adminDelay > MAX_ADMIN_DELAY) revert Rig__InvalidDelay();
+        _queueOrApply(AdminChangeType.AdminDelay, address(0), _adminDelay);
+    }
+
+    /**
+     * @notice Apply a queued admin change once its delay has passed.
+     * @dev Requires the role that can queue this type of change.
+     * @param _changeId Id of the queued change
+     */
+    function executeAdminChange(uint256 _changeId) external {
+        AdminChange storage change = _getQueuedChange(_changeId);
+        _checkRole(_getChangeRole(change.changeType));
+        if (block.timestamp < change.eta) revert Rig__ChangeNotReady();
+        change.status = AdminChangeStatus.Executed;
+        pendingAdminChangeCount--;
+        _applyChange(change.changeType, change.target, change.value);
+        emit AdminChangeExecuted(_changeId);
+    }
+
+    /**
+     * @notice Cancel a queued admin change.
+     * @dev Requires the role that can queue this type of change.
+     * @param _changeId Id of the queued change
+     */
+    function cancelAdminChange(uint256 _changeId) external {
+        AdminChange storage change = _getQueuedChange(_changeId);
+        _checkRole(_getChangeRole(change.changeType));
+        change.status = AdminChangeStatus.Cancelled;
+        pendingAdminChangeCount--;
+        emit AdminChangeCancelled(_changeId);
+    }
+
+    /**
+     * @notice Set the contract that holds vesting positions.
+     * @dev The Vester must be bound to this Rig. Existing positions stay in the previous Vester.
+     * @param _vester New Vester address
+     */
+    function setVester(address _vester) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_vester == address(0) || IVester(_vester).rig() != address(this)) revert Rig__InvalidAddress();
+        vester = _vester;
+        emit VesterSet(_vester);
+    }
+
+    /**
+     * @notice Offer, change or withdraw a vesting duration and its bonus.
+     * @param _duration Vesting duration in seconds
+     * @param _bonusBps Bonus in bps of the base reward, 0 to withdraw the option
+     */
+    function setVestingOption(uint256 _duration, uint256 _bonusBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_duration == 0) revert Rig__InvalidVestingOption();
+        if (_bonusBps > MAX_VESTING_BONUS_BPS) revert Rig__InvalidBonus();
+        duration_VestingBonusBps[_duration] = _bonusBps;
+        emit VestingOptionSet(_duration, _bonusBps);
+    }
+
+    /**
+     * @notice Set the share of each day's emission reserved for vesting bonuses.
+     * @dev Applies from the next day that receives its first donation; the reserve is
+     *      taken out of the liquid rewards for that day.
+     * @param _bonusReserveBps Reserve in bps of daily emission
+     */
+    function setBonusReserveBps(uint256 _bonusReserveBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_bonusReserveBps > MAX_BONUS_RESERVE_BPS) revert Rig__InvalidBonus();
+        bonusReserveBps = _bonusReserveBps;
+        emit BonusReserveBpsSet(_bonusReserveBps);
+    }
+
+    /**
+     * @notice Set the Referrals contract and the share of each day's emission set aside for referrers.
+     * @dev The slice applies from the next day that receives its first donation and is taken out
+     *      of every donor's liquid rewards for that day. Days already snapshotted keep their slice.
+     * @param _referrals Referrals contract bound to this Rig, or address(0) to stop accruing
+     * @param _referralBps Slice in bps of daily emission
+     */
+    function setReferrals(address _referrals, uint256 _referralBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_referralBps > MAX_REFERRAL_BPS) revert Rig__InvalidBonus();
+        if (_referrals == address(0) ? _referralBps > 0 : IReferrals(_referrals).rig() != address(this)) {
+            revert Rig__InvalidAddress();
+        }
+        referrals = _referrals;
+        referralBps = _referralBps;
+        emit ReferralsSet(_referrals, _referralBps);
+    }
+
+    /**
+     * @notice Set the share of the recycle reserve dripped into each day that receives donations.
+     * @dev Enabling starts counting empty days from now; earlier empty days are not recycled.
+     *      Setting 0 stops recycling and dust recovery but keeps the reserve for later.
+     * @param _recycleBps Drip in bps of the reserve
+     */
+    function setRecycleBps(uint256 _recycleBps) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_recycleBps > DIVISOR) revert Rig__InvalidRecycleBps();
+        if (recycleBps == 0) {
+            uint256 day = currentDay();
+            recycleCursor = day_TotalDonated[day] == 0 ? day : day + 1;
+        }
+        recycleBps = _recycleBps;
+        emit RecycleBpsSet(_recycleBps);
+    }
+
+    /**
+     * @notice Replace the contracts notified after every donation.
+     * @dev Hooks run inside the donation, so a reverting or gas-hungry hook affects every donor.
+     * @param _hooks New hook list, at most MAX_DONATION_HOOKS (empty to remove all)
+     */
+    function setDonationHooks(address[] calldata _hooks) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_hooks.length > MAX_DONATION_HOOKS) revert Rig__TooManyHooks();
+        for (uint256 i = 0; i < _hooks.length; i++) {
+            if (_hooks[i] == address(0)) revert Rig__InvalidAddress();
+        }
+        donationHooks = _hooks;
+        emit DonationHooksSet(_hooks);
+    }
+
+    /**
+     * @notice Pause donations, claims, or both.
+     * @dev Flags that are false are left unchanged, so pausing one function never
+     *      unpauses the other.
+     * @param _donations Whether to pause all donation entry points
+     * @param _claims Whether to pause all claim entry points
+     */
+    function pause(bool _donations, bool _claims) external onlyRole(PAUSER_ROLE) {
+        if (_donations && !donationsPaused) {
+            donationsPaused = true;
+            emit DonationsPaused(msg.sender);
+        }
+        if (_claims && !claimsPaused) {
+            claimsPaused = true;
+            emit ClaimsPaused(msg.sender);
+        }
+    }
+
+    /**
+     * @notice Unpause donations, claims, or both.
+     * @dev Admin only, so a compromised pauser can halt but never resume the protocol.
+     * @param _donations Whether to unpause all donation entry points
+     * @param _claims Whether to unpause all claim entry points
+     */
+    function unpause(bool _donations, bool _claims) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (_donations && donationsPaused) {
+            donationsPaused = false;
+            emit DonationsUnpaused(msg.sender);
+        }
+        if (_claims && claimsPaused) {
+            claimsPaused = false;
+            emit ClaimsUnpaused(msg.sender);
+        }
     }
 
     /*----------  VIEW FUNCTIONS  ---------------------------------------*/
@@ -231,18 +937,184 @@ contract Rig is ReentrancyGuard, Ownable {
 
     /**
      * @notice Get the DOUGH emission for a specific day.
-     * @dev Emission halves every 30 days with a floor of MIN_EMISSION.
+     * @dev Delegates to the emission schedule fixed at deployment.
      * @param day The day number to query
      * @return The DOUGH emission for that day
      */
-    function getDayEmission(uint256 day) public pure returns (uint256) {
-        uint256 halvings = day / 30; // Number of 30-day periods
-        uint256 emission = INITIAL_EMISSION >> halvings; // Right shift = divide by 2^halvings
+    function getDayEmission(uint256 day) public view returns (uint256) {
+        return IEmissionSchedule(emissionSchedule).getDayEmission(day);
+    }
+
+    /**
+     * @notice Bonus reserve share snapshotted at a day's first donation.
+     * @param day The day number to query
+     * @return Reserve in bps of the day's effective emission
+     */
+    function day_BonusReserveBps(uint256 day) external view returns (uint256) {
+        return day_Pool[day].bonusReserveBps;
+    }
+
+    /**
+     * @notice Referral slice snapshotted at a day's first donation.
+     * @param day The day number to query
+     * @return Slice in bps of the day's effective emission
+     */
+    function day_ReferralBps(uint256 day) external view returns (uint256) {
+        return day_Pool[day].referralBps;
+    }
+
+    /**
+     * @notice Recycled emission added to a day's pool at its first donation.
+     * @param day The day number to query
+     * @return Recycled DOUGH
+     */
+    function day_Recycled(uint256 day) external view returns (uint256) {
+        return day_Pool[day].recycled;
+    }
+
+    /**
+     * @notice Get the DOUGH pool for a day: its scheduled emission plus recycled emission.
+     * @dev The recycled part is fixed at the day's first donation, so it is 0 before then.
+     * @param day The day number to query
+     * @return The DOUGH shared between the day's donors
+     */
+    function getEffectiveEmission(uint256 day) public view returns (uint256) {
+        return getDayEmission(day) + day_Pool[day].recycled;
+    }
+
+    /**
+     * @notice Check whether a charity is whitelisted (Active) and can receive donations.
+     * @param charity The address to query
+     * @return True if the charity is Active
+     */
+    function account_IsCharity(address charity) public view returns (bool) {
+        return account_Charity[charity].status == CharityStatus.Active;
+    }
+
+    /**
+     * @notice Get the registry entry for a charity.
+     * @param charity The charity address to query
+     * @return The charity's metadata and lifecycle status
+     */
+    function getCharity(address charity) external view returns (Charity memory) {
+        return account_Charity[charity];
+    }
+
+    /**
+     * @notice Get the contracts notified after every donation.
+     * @return Hook addresses in call order
+     */
+    function getDonationHooks() external view returns (address[] memory) {
+        return donationHooks;
+    }
+
+    /**
+     * @notice Get the number of registered charities.
+     * @return The length of the charities list
+     */
+    function getCharityCount() external view returns (uint256) {
+        return charities.length;
+    }
+
+    /**
+     * @notice Get the current split applied to donations for a charity.
+     * @dev The configured share is clamped to the current bounds. The team share is 0
+     *      when the team address is disabled, in which case the treasury receives it.
+     * @param charity The charity address to query
+     * @return charityBps Share sent to the charity
+     * @return treasuryBps Share sent to the treasury
+     * @return teamBps Share sent to the team
+     */
+    function getCharitySplit(address charity)
+        public
+        view
+        returns (uint256 charityBps, uint256 treasuryBps, uint256 teamBps)
+    {
+        charityBps = account_CharityBps[charity];
+        if (charityBps == 0) charityBps = CHARITY_BPS;
+        if (charityBps < minCharityBps) charityBps = minCharityBps;
+        if (charityBps > maxCharityBps) charityBps = maxCharityBps;
+
+        uint256 remainderBps = DIVISOR - charityBps;
+        teamBps = teamAddress != address(0) ? remainderBps * TEAM_BPS / (TREASURY_BPS + TEAM_BPS) : 0;
+        treasuryBps = remainderBps - teamBps;
+    }
+
+    /**
+     * @notice Get an admin change by id.
+     * @param changeId The change id to query
+     * @return The queued, executed or cancelled change
+     */
+    function getAdminChange(uint256 changeId) external view returns (AdminChange memory) {
+        return adminChanges[changeId];
+    }
+
+    /**
+     * @notice Get the number of admin changes ever queued.
+     * @dev The next queued change gets this id.
+     * @return The length of the admin change list
+     */
+    function getAdminChangeCount() external view returns (uint256) {
+        return adminChanges.length;
+    }
+
+    /**
+     * @notice Get every admin change that is queued and not yet executed or cancelled.
+     * @return changeIds Ids of the pending changes
+     * @return changes The pending changes, in the same order
+     */
+    function getPendingAdminChanges()
+        external
+        view
+        returns (uint256[] memory changeIds, AdminChange[] memory changes)
+    {
+        uint256 count = 0;
+        for (uint256 i = 0; i < adminChanges.length; i++) {
+            if (adminChanges[i].status == AdminChangeStatus.Queued) count++;
+        }
 
-        if (emission < MIN_EMISSION) {
-            return MIN_EMISSION;
+        changeIds = new uint256[](count);
+        changes = new AdminChange[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < adminChanges.length; i++) {
+            if (adminChanges[i].status == AdminChangeStatus.Queued) {
+                changeIds[index] = i;
+                changes[index] = adminChanges[i];
+                index++;
+            }
         }
-        return emission;
+    }
+
+    /**
+     * @notice Get lifetime donation statistics for an account.
+     * @param account The account to query
+     * @return The account's lifetime aggregates and streak counters
+     */
+    function getAccountStats(address account) external view returns (AccountStats memory) {
+        return account_Stats[account];
+    }
+
+    /**
+     * @notice Get an account's live donation streak.
+     * @dev The stored streak only counts while the account donated today or yesterday.
+     * @param account The account to query
+     * @return The number of consecutive days donated, or 0 if the streak is broken
+     */
+    function getCurrentStreak(address account) external view returns (uint256) {
+        AccountStats memory stats = account_Stats[account];
+        if (stats.daysDonated == 0 || stats.lastDay + 1 < currentDay()) return 0;
+        return stats.currentStreak;
+    }
+
+    /**
+     * @notice Get the value of a payment token amount in accounting units.
+     * @param token The payment token to value
+     * @param amount The amount of `token`
+     * @return The value credited for donating `amount` of `token`
+     */
+    function getDonationValue(address token, uint256 amount) public view returns (uint256) {
+        if (token == address(paymentToken)) return amount;
+        return IPriceSource(token_PriceSource[token]).getValue(token, amount);
     }
 
     /**
@@ -253,16 +1125,56 @@ contract Rig is ReentrancyGuard, Ownable {
      * @return The pending DOUGH reward
      */
     function getPendingReward(uint256 day, address user) external view returns (uint256) {
-        if (day >= currentDay()) return 0;
-        if (day_Account_HasClaimed[day][user]) return 0;
+        if (!_isClaimable(user, day)) return 0;
 
-        uint256 userDonation = day_Account_Donation[day][user];
-        if (userDonation == 0) return 0;
+        (uint256 reward,,) = _getReward(day, user);
+        return reward;
+    }
 
-        uint256 dayTotal = day_TotalDonated[day];
-        uint256 dayEmission = getDayEmission(day);
+    /**
+     * @notice Get unclaimed DOUGH for a day if claimed into a vesting position.
+     * @param day The day number to query
+     * @param user The user address to query
+     * @param duration Vesting duration in seconds
+     * @return The base reward plus bonus, or 0 if not claimable or the option is not offered
+     */
+    function getPendingVestedReward(uint256 day, address user, uint256 duration) external view returns (uint256) {
+        uint256 bonusBps = duration_VestingBonusBps[duration];
+        if (bonusBps == 0 || !_isClaimable(user, day)) return 0;
+
+        (uint256 reward, uint256 reserve,) = _getReward(day, user);
+        return reward + _getBonus(reward, reserve, bonusBps);
+    }
+
+    /**
+     * @notice Get the number of days on which an account was credited a donation.
+     * @param account The account to query
+     * @return The length of the account's donation day list
+     */
+    function getDonationDayCount(address account) external view returns (uint256) {
+        return account_DonationDays[account].length;
+    }
 
-        return (userDonation * dayEmission) / dayTotal;
+    /**
+     * @notice Get the number of donation days past the account's claim cursor.
+     * @dev Includes the current day if the account donated today, and any later days
+     *      already claimed individually through claim.
+     * @param account The account to query
+     * @return The number of days claimAll still has to walk
+     */
+    function getUnclaimedDayCount(address account) external view returns (uint256) {
+        return account_DonationDays[account].length - account_ClaimCursor[account];
+    }
+
+    /**
+     * @notice Whether a user has claimed their DOUGH for a given day.
+     * @dev Reads the account's claim bitmap, 256 days per storage slot.
+     * @param day The day number to query
+     * @param account The account to query
+     * @return True if the day has been claimed
+     */
+    function day_Account_HasClaimed(uint256 day, address account) public view virtual returns (bool) {
+        return (account_ClaimedBitmap[account][day >> 8] >> (day & 0xff)) & 1 == 1;
     }
 
     /**
@@ -283,4 +1195,341 @@ contract Rig is ReentrancyGuard, Ownable {
     function getDayTotal(uint256 day) external view returns (uint256) {
         return day_TotalDonated[day];
     }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @dev Store charity metadata and emit CharityRegistered.
+     */
+    function _setCharityMetadata(
+        address _charity,
+        string calldata _name,
+        string calldata _metadataURI,
+        bytes32 _category
+    ) internal {
+        Charity storage info = account_Charity[_charity];
+        info.name = _name;
+        info.metadataURI = _metadataURI;
+        info.category = _category;
+        emit CharityRegistered(_charity, _name, _metadataURI, _category);
+    }
+
+    /**
+     * @dev Apply an admin change now if there is no delay, otherwise queue it.
+     */
+    function _queueOrApply(AdminChangeType changeType, address target, uint256 value) internal {
+        if (adminDelay == 0) {
+            _applyChange(changeType, target, value);
+            return;
+        }
+        uint256 changeId = adminChanges.length;
+        uint256 eta = block.timestamp + adminDelay;
+        adminChanges.push(
+            AdminChange({
+                changeType: changeType,
+                status: AdminChangeStatus.Queued,
+                target: target,
+                value: value,
+                eta: eta
+            })
+        );
+        pendingAdminChangeCount++;
+        emit AdminChangeQueued(changeId, changeType, target, value, eta);
+    }
+
+    /**
+     * @dev Apply an admin change and emit the matching setter event.
+     */
+    function _applyChange(AdminChangeType changeType, address target, uint256 value) internal {
+        if (changeType == AdminChangeType.TreasuryAddress) {
+            treasuryAddress = target;
+            emit TreasuryAddressSet(target);
+        } else if (changeType == AdminChangeType.TeamAddress) {
+            teamAddress = target;
+            emit TeamAddressSet(target);
+        } else if (changeType == AdminChangeType.AddCharity) {
+            if (account_Charity[target].status == CharityStatus.None) {
+                charities.push(target);
+            }
+            account_Charity[target].status = CharityStatus.Active;
+            emit CharityAdded(target);
+        } else {
+            adminDelay = value;
+            emit AdminDelaySet(value);
+        }
+    }
+
+    /**
+     * @dev Revert with a custom error instead of AccessControl's string message.
+     */
+    function _checkRole(bytes32 role, address account) internal view override {
+        if (!hasRole(role, account)) revert Rig__MissingRole(role, account);
+    }
+
+    /**
+     * @dev Role that queues, executes and cancels a type of admin change.
+     */
+    function _getChangeRole(AdminChangeType changeType) internal pure returns (bytes32) {
+        if (changeType == AdminChangeType.AddCharity) return CURATOR_ROLE;
+        if (changeType == AdminChangeType.AdminDelay) return DEFAULT_ADMIN_ROLE;
+        return TREASURY_MANAGER_ROLE;
+    }
+
+    /**
+     * @dev Load a change, reverting unless it is still queued.
+     */
+    function _getQueuedChange(uint256 changeId) internal view returns (AdminChange storage change) {
+        if (changeId >= adminChanges.length) revert Rig__ChangeNotQueued();
+        change = adminChanges[changeId];
+        if (change.status != AdminChangeStatus.Queued) revert Rig__ChangeNotQueued();
+    }
+
+    /**
+     * @dev Split an account's share of a day's effective emission into its base reward and its
+     *      share of the day's bonus reserve. The referral slice comes out of every donor's base
+     *      reward, referred or not. Without a reserve or slice the base reward is the full share.
+     *      `dust` is the fraction of a wei the base reward rounds away, in DUST_PRECISION units.
+     */
+    function _getReward(uint256 day, address account)
+        internal
+        view
+        returns (uint256 reward, uint256 reserve, uint256 dust)
+    {
+        uint256 userDonation = day_Account_Donation[day][account];
+        uint256 dayTotal = day_TotalDonated[day];
+        DayPool memory pool = day_Pool[day];
+        uint256 dayEmission = getDayEmission(day) + pool.recycled;
+        uint256 dayReserve = dayEmission * pool.bonusReserveBps / DIVISOR;
+        uint256 daySlice = dayEmission * pool.referralBps / DIVISOR;
+
+        // Calculate user's share: (userDonation / dayTotal) * dayEmission
+        uint256 share = userDonation * (dayEmission - dayReserve - daySlice);
+        reward = share / dayTotal;
+        reserve = (userDonation * dayReserve) / dayTotal;
+        dust = (share % dayTotal) * DUST_PRECISION / dayTotal;
+    }
+
+    /**
+     * @dev Referrer owed a share of the day's slice for the account, address(0) if none is.
+     */
+    function _getReferrer(address account, DayPool memory pool) internal view returns (address) {
+        if (pool.referralBps == 0 || referrals == address(0)) return address(0);
+        return IReferrals(referrals).account_Referrer(account);
+    }
+
+    /**
+     * @dev Credit the account's referrer, if any, with its pro-rata share of the day's referral slice.
+     */
+    function _accrueReferral(address account, uint256 day) internal {
+        DayPool memory pool = day_Pool[day];
+        address referrer = _getReferrer(account, pool);
+        if (referrer == address(0)) return;
+
+        uint256 daySlice = getEffectiveEmission(day) * pool.referralBps / DIVISOR;
+        uint256 amount = day_Account_Donation[day][account] * daySlice / day_TotalDonated[day];
+        referrer_PendingRewards[referrer] += amount;
+        referrer_TotalRewards[referrer] += amount;
+        emit ReferralAccrued(referrer, account, amount, day);
+    }
+
+    /**
+     * @dev Revert unless the account donated on `day`, the day has ended and it is unclaimed.
+     */
+    function _checkClaimable(address account, uint256 day) internal view {
+        if (day >= currentDay()) revert Rig__DayNotEnded();
+        if (day_Account_HasClaimed(day, account)) revert Rig__AlreadyClaimed();
+        if (day_Account_Donation[day][account] == 0) revert Rig__NoDonation();
+    }
+
+    /**
+     * @dev Set the account's bit for `day` in its claim bitmap.
+     */
+    function _setClaimed(address account, uint256 day) internal virtual {
+        account_ClaimedBitmap[account][day >> 8] |= 1 << (day & 0xff);
+    }
+
+    /**
+     * @dev Whether the account donated on `day`, the day has ended and it is unclaimed.
+     */
+    function _isClaimable(address account, uint256 day) internal view returns (bool) {
+        return day < currentDay() && !day_Account_HasClaimed(day, account) && day_Account_Donation[day][account] > 0;
+    }
+
+    /**
+     * @dev Vesting bonus on a base reward, capped at the account's share of the reserve.
+     */
+    function _getBonus(uint256 reward, uint256 reserve, uint256 bonusBps) internal pure returns (uint256) {
+        uint256 bonus = reward * bonusBps / DIVISOR;
+        return bonus < reserve ? bonus : reserve;
+    }
+
+    /**
+     * @dev Bonus for an offered vesting duration; reverts if vesting is unavailable.
+     */
+    function _getVestingBonusBps(uint256 duration) internal view returns (uint256 bonusBps) {
+        if (vester == address(0)) revert Rig__VesterNotSet();
+        bonusBps = duration_VestingBonusBps[duration];
+        if (bonusBps == 0) revert Rig__InvalidVestingOption();
+    }
+
+    /**
+     * @dev Mint `amount` to the Vester and open a position for the account.
+     */
+    function _vest(address account, uint256 amount, uint256 duration) internal returns (uint256 positionId) {
+        IUnit(unit).mint(vester, amount);
+        positionId = IVester(vester).createPosition(account, amount, duration);
+        emit VestedClaim(account, positionId, amount, duration);
+    }
+
+    /**
+     * @dev Mark an account's day as claimed and return its reward, including the vesting bonus
+     *      for `bonusBps` (0 for liquid claims). Minting is left to the caller. The referrer's
+     *      share of the day's slice is accrued here and counted as minted when the referrer claims it.
+     */
+    function _claimDay(address account, uint256 day, uint256 bonusBps) internal returns (uint256 userReward) {
+        (uint256 reward, uint256 reserve, uint256 dust) = _getReward(day, account);
+        userReward = bonusBps == 0 ? reward : reward + _getBonus(reward, reserve, bonusBps);
+        if (recycleBps > 0) recycleDust += dust;
+        _accrueReferral(account, day);
+
+        // Mark as claimed and record the mint before minting (CEI pattern)
+        _setClaimed(account, day);
+        uint256 minted = day_Minted[day] + userReward;
+        if (minted > getEffectiveEmission(day)) revert Rig__EmissionExceeded();
+        day_Minted[day] = minted;
+        totalMinted += userReward;
+
+        emit Claim(account, userReward, day);
+    }
+
+    /**
+     * @dev Claim up to `maxDays` donation days from the account's cursor and return the total
+     *      for the caller to mint once. Stops at the current day, which cannot be claimed yet.
+     */
+    function _claimAll(address account, uint256 maxDays, uint256 bonusBps) internal returns (uint256 reward) {
+        if (claimsPaused) revert Rig__ClaimsPaused();
+        if (account == address(0)) revert Rig__InvalidAddress();
+
+        uint256[] storage donationDays = account_DonationDays[account];
+        uint256 today = currentDay();
+        uint256 cursor = account_ClaimCursor[account];
+        uint256 end = donationDays.length - cursor > maxDays ? cursor + maxDays : donationDays.length;
+
+        for (; cursor < end; cursor++) {
+            uint256 day = donationDays[cursor];
+            if (day >= today) break;
+            if (!day_Account_HasClaimed(day, account)) {
+                reward += _claimDay(account, day, bonusBps);
+            }
+        }
+        account_ClaimCursor[account] = cursor;
+    }
+
+    /**
+     * @dev Sweep empty days since the cursor and recovered dust into the recycle reserve, then
+     *      drip `recycleBps` of it into `day`'s pool. Runs at the day's first donation. Only the
+     *      last MAX_RECYCLE_DAYS empty days are swept, bounding the loop after a long quiet spell.
+     */
+    function _recycle(uint256 day) internal {
+        uint256 reserve = recycleReserve + recycleDust / DUST_PRECISION;
+        recycleDust %= DUST_PRECISION;
+
+        uint256 cursor = recycleCursor;
+        if (day - cursor > MAX_RECYCLE_DAYS) cursor = day - MAX_RECYCLE_DAYS;
+        for (; cursor < day; cursor++) {
+            reserve += getDayEmission(cursor);
+        }
+        recycleCursor = day + 1;
+
+        uint256 amount = reserve * recycleBps / DIVISOR;
+        if (amount > type(uint224).max) revert Rig__EmissionExceeded();
+        day_Pool[day].recycled = uint224(amount);
+        recycleReserve = reserve - amount;
+        emit EmissionRecycled(day, amount, reserve - amount);
+    }
+
+    /**
+     * @dev Update lifetime aggregates and streaks. Must run before the day's donation is
+     *      credited so the account's first donation of the day can be detected.
+     */
+    function _updateStats(address account, uint256 day, uint256 value) internal {
+        AccountStats storage stats = account_Stats[account];
+        stats.totalDonated += value;
+        if (day_Account_Donation[day][account] > 0) return;
+
+        if (stats.daysDonated == 0) {
+            stats.firstDay = uint32(day);
+            stats.currentStreak = 1;
+        } else if (stats.lastDay + 1 == day) {
+            stats.currentStreak++;
+        } else {
+            stats.currentStreak = 1;
+        }
+        if (stats.currentStreak > stats.longestStreak) {
+            stats.longestStreak = stats.currentStreak;
+        }
+        stats.lastDay = uint32(day);
+        stats.daysDonated++;
+    }
+
+    /**
+     * @dev Pull `amount` of `token` from `payer`, split it by the charity's profile in that token,
+     *      and credit `account` with the donation's value for the current day.
+     *      A `payer` of this contract means the tokens are already held by the Rig.
+     */
+    function _donate(address payer, address account, address charity, address token, uint256 amount) internal {
+        if (donationsPaused) revert Rig__DonationsPaused();
+        if (account == address(0)) revert Rig__InvalidAddress();
+        if (amount == 0) revert Rig__ZeroAmount();
+        if (!account_IsCharity(charity)) revert Rig__NotCharity();
+        if (!token_IsPaymentToken[token]) revert Rig__NotPaymentToken();
+
+        uint256 day = currentDay();
+        uint256 value = getDonationValue(token, amount);
+        if (value == 0) revert Rig__ZeroAmount();
+
+        // Transfer tokens from payer
+        if (payer != address(this)) {
+            IERC20(token).safeTransferFrom(payer, address(this), amount);
+        }
+
+        // Calculate splits
+        (uint256 charityBps,, uint256 teamBps) = getCharitySplit(charity);
+        uint256 charityAmount = amount * charityBps / DIVISOR;
+        uint256 teamAmount = amount * teamBps / DIVISOR;
+        uint256 treasuryAmount = amount - charityAmount - teamAmount;
+
+        // Distribute funds
+        IERC20(token).safeTransfer(charity, charityAmount);
+        if (treasuryAmount > 0) {
+            IERC20(token).safeTransfer(treasuryAddress, treasuryAmount);
+        }
+        if (teamAmount > 0) {
+            IERC20(token).safeTransfer(teamAddress, teamAmount);
+        }
+
+        // Update state - credit the account, not msg.sender
+        if (day_TotalDonated[day] == 0) {
+            if (bonusReserveBps > 0) day_Pool[day].bonusReserveBps = uint16(bonusReserveBps);
+            if (referralBps > 0) day_Pool[day].referralBps = uint16(referralBps);
+            if (recycleBps > 0) _recycle(day);
+        }
+        if (day_Account_Donation[day][account] == 0) account_DonationDays[account].push(day);
+        _updateStats(account, day, value);
+        day_TotalDonated[day] += value;
+        day_Account_Donation[day][account] += value;
+        charity_TotalDonated[charity] += value;
+        day_Charity_TotalDonated[day][charity] += value;
+        account_Charity_Donation[account][charity] += value;
+
+        emit Donation(account, charity, value, day);
+        emit DonationSplit(charity, token, charityAmount, treasuryAmount, teamAmount);
+        if (token != address(paymentToken)) {
+            emit TokenDonation(account, charity, token, amount, value, day);
+        }
+
+        for (uint256 i = 0; i < donationHooks.length; i++) {
+            IDonationHook(donationHooks[i]).onDonation(account, charity, token, amount, value, day);
+        }
+    }
 }
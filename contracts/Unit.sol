@@ -2,17 +2,25 @@
 pragma solidity 0.8.19;
 
 import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import {ERC20Votes} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
 
 /**
  * @title Unit
  * @notice ERC20 token minted as rewards for donations to the DoughNation protocol.
  * @dev Only the Rig contract can mint new tokens. Anyone can burn their own tokens.
+ *      Total supply can never exceed the max supply fixed at deployment; burning frees room.
+ *      Holders get EIP-2612 permits and checkpointed voting power (block-number clock).
+ *      Voting power only counts once an account delegates, to itself or to someone else.
  */
-contract Unit is ERC20 {
+contract Unit is ERC20, ERC20Permit, ERC20Votes {
+    uint256 public immutable maxSupply;
     address public rig;
 
     error Unit__NotRig();
     error Unit__InvalidRig();
+    error Unit__InvalidMaxSupply();
+    error Unit__MaxSupplyExceeded();
 
     event Unit__Minted(address indexed account, uint256 amount);
     event Unit__Burned(address indexed account, uint256 amount);
@@ -22,8 +30,11 @@ contract Unit is ERC20 {
      * @notice Deploy a new Unit token.
      * @dev The deployer (msg.sender) becomes the initial rig. This should be transferred
      *      to the Rig contract after deployment.
+     * @param _supplyCap Hard cap on total supply; at most the uint224 limit of vote checkpoints
      */
-    constructor() ERC20("Dough", "DOUGH") {
+    constructor(uint256 _supplyCap) ERC20("Dough", "DOUGH") ERC20Permit("Dough") {
+        if (_supplyCap == 0 || _supplyCap > _maxSupply()) revert Unit__InvalidMaxSupply();
+        maxSupply = _supplyCap;
         rig = msg.sender;
     }
 
@@ -42,12 +53,13 @@ contract Unit is ERC20 {
 
     /**
      * @notice Mint new tokens to an account.
-     * @dev Only callable by the rig.
+     * @dev Only callable by the rig. Reverts if the mint would push total supply past maxSupply.
      * @param account Recipient address
      * @param amount Amount to mint
      */
     function mint(address account, uint256 amount) external {
         if (msg.sender != rig) revert Unit__NotRig();
+        if (totalSupply() + amount > maxSupply) revert Unit__MaxSupplyExceeded();
         _mint(account, amount);
         emit Unit__Minted(account, amount);
     }
@@ -60,4 +72,18 @@ contract Unit is ERC20 {
         _burn(msg.sender, amount);
         emit Unit__Burned(msg.sender, amount);
     }
+
+    // Overrides required by Solidity to combine ERC20 with ERC20Votes
+
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal override(ERC20, ERC20Votes) {
+        super._afterTokenTransfer(from, to, amount);
+    }
+
+    function _mint(address account, uint256 amount) internal override(ERC20, ERC20Votes) {
+        super._mint(account, amount);
+    }
+
+    function _burn(address account, uint256 amount) internal override(ERC20, ERC20Votes) {
+        super._burn(account, amount);
+    }
 }
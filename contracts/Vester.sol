@@ -0,0 +1,194 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title Vester
+ * @notice Holds DOUGH claimed into vesting positions and releases it linearly.
+ * @dev Only the Rig can open positions; it mints the position amount here first.
+ *      Anyone can trigger a release, but tokens always go to the position's account.
+ */
+contract Vester {
+    using SafeERC20 for IERC20;
+
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    address public immutable unit; // DOUGH token held in positions
+    address public immutable rig; // only address allowed to open positions
+
+    /*----------  STATE  ------------------------------------------------*/
+
+    struct Position {
+        address account; // receives released DOUGH
+        uint256 amount; // total DOUGH in the position, bonus included
+        uint256 released; // DOUGH already released
+        uint256 start; // vesting start timestamp
+        uint256 duration; // vesting length in seconds
+    }
+
+    /// @notice Vesting position by id
+    mapping(uint256 => Position) public positions;
+
+    /// @notice Position ids owned by an account, in creation order
+    mapping(address => uint256[]) public account_PositionIds;
+
+    uint256 public positionCount;
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error Vester__NotRig();
+    error Vester__InvalidAddress();
+    error Vester__ZeroAmount();
+    error Vester__InvalidPosition();
+    error Vester__NothingToRelease();
+
+    /*----------  EVENTS  -----------------------------------------------*/
+
+    event Vester__PositionCreated(
+        address indexed account, uint256 indexed positionId, uint256 amount, uint256 duration
+    );
+    event Vester__Released(address indexed account, uint256 indexed positionId, uint256 amount);
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new Vester.
+     * @param _unit DOUGH token address
+     * @param _rig Rig contract address
+     */
+    constructor(address _unit, address _rig) {
+        if (_unit == address(0)) revert Vester__InvalidAddress();
+        if (_rig == address(0)) revert Vester__InvalidAddress();
+        unit = _unit;
+        rig = _rig;
+    }
+
+    /*----------  EXTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Open a vesting position starting now.
+     * @dev Only callable by the Rig, after minting `amount` DOUGH to this contract.
+     * @param account Account that receives the DOUGH as it vests
+     * @param amount Total DOUGH in the position
+     * @param duration Vesting length in seconds
+     * @return positionId Id of the new position
+     */
+    function createPosition(address account, uint256 amount, uint256 duration)
+        external
+        returns (uint256 positionId)
+    {
+        if (msg.sender != rig) revert Vester__NotRig();
+        if (account == address(0)) revert Vester__InvalidAddress();
+        if (amount == 0) revert Vester__ZeroAmount();
+
+        positionId = positionCount++;
+        positions[positionId] = Position({
+            account: account,
+            amount: amount,
+            released: 0,
+            start: block.timestamp,
+            duration: duration
+        });
+        account_PositionIds[account].push(positionId);
+
+        emit Vester__PositionCreated(account, positionId, amount, duration);
+    }
+
+    /**
+     * @notice Release the vested, unreleased DOUGH of a position to its account.
+     * @param positionId Position to release
+     * @return amount DOUGH released
+     */
+    function release(uint256 positionId) public returns (uint256 amount) {
+        if (positionId >= positionCount) revert Vester__InvalidPosition();
+        amount = getReleasable(positionId);
+        if (amount == 0) revert Vester__NothingToRelease();
+
+        Position storage position = positions[positionId];
+        position.released += amount;
+        IERC20(unit).safeTransfer(position.account, amount);
+
+        emit Vester__Released(position.account, positionId, amount);
+    }
+
+    /**
+     * @notice Release every position of an account that has DOUGH available.
+     * @param account Account whose positions to release
+     * @return amount Total DOUGH released
+     */
+    function releaseAll(address account) external returns (uint256 amount) {
+        uint256[] storage ids = account_PositionIds[account];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (getReleasable(ids[i]) > 0) {
+                amount += release(ids[i]);
+            }
+        }
+        if (amount == 0) revert Vester__NothingToRelease();
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get the DOUGH vested so far in a position, released or not.
+     * @param positionId Position to query
+     * @return Vested amount
+     */
+    function getVested(uint256 positionId) public view returns (uint256) {
+        Position memory position = positions[positionId];
+        if (block.timestamp >= position.start + position.duration) return position.amount;
+        return position.amount * (block.timestamp - position.start) / position.duration;
+    }
+
+    /**
+     * @notice Get the DOUGH that has not vested yet in a position.
+     * @param positionId Position to query
+     * @return Unvested amount
+     */
+    function getUnvested(uint256 positionId) external view returns (uint256) {
+        return positions[positionId].amount - getVested(positionId);
+    }
+
+    /**
+     * @notice Get the DOUGH a position can release right now.
+     * @param positionId Position to query
+     * @return Vested minus already released
+     */
+    function getReleasable(uint256 positionId) public view returns (uint256) {
+        return getVested(positionId) - positions[positionId].released;
+    }
+
+    /**
+     * @notice Get all position ids owned by an account.
+     * @param account Account to query
+     * @return Position ids in creation order
+     */
+    function getPositionIds(address account) external view returns (uint256[] memory) {
+        return account_PositionIds[account];
+    }
+
+    /**
+     * @notice Get totals across all of an account's positions.
+     * @param account Account to query
+     * @return total DOUGH ever placed in positions
+     * @return vested DOUGH vested so far
+     * @return released DOUGH already released
+     * @return releasable DOUGH that can be released now
+     */
+    function getAccountTotals(address account)
+        external
+        view
+        returns (uint256 total, uint256 vested, uint256 released, uint256 releasable)
+    {
+        uint256[] storage ids = account_PositionIds[account];
+        for (uint256 i = 0; i < ids.length; i++) {
+            Position memory position = positions[ids[i]];
+            uint256 positionVested = getVested(ids[i]);
+            total += position.amount;
+            vested += positionVested;
+            released += position.released;
+            releasable += positionVested - position.released;
+        }
+    }
+}
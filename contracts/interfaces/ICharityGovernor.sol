@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title ICharityGovernor
+ * @notice Interface for the CharityGovernor contract.
+ */
+interface ICharityGovernor {
+    enum ProposalAction {
+        AddCharity,
+        SuspendCharity,
+        RemoveCharity
+    }
+
+    enum ProposalState {
+        Pending,
+        Active,
+        Defeated,
+        Succeeded,
+        Executed,
+        Canceled
+    }
+
+    struct Proposal {
+        ProposalAction action;
+        address charity;
+        address proposer;
+        uint256 snapshot;
+        uint256 deadline;
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 changeId;
+        bool queued;
+        bool executed;
+        bool canceled;
+    }
+
+    function DIVISOR() external view returns (uint256);
+    function unit() external view returns (address);
+    function rig() external view returns (address);
+    function votingDelay() external view returns (uint256);
+    function votingPeriod() external view returns (uint256);
+    function quorumBps() external view returns (uint256);
+    function proposalThreshold() external view returns (uint256);
+    function proposalCount() external view returns (uint256);
+    function proposal_Account_HasVoted(uint256 proposalId, address account) external view returns (bool);
+
+    function propose(ProposalAction action, address charity) external returns (uint256 proposalId);
+    function castVote(uint256 proposalId, bool support) external returns (uint256 weight);
+    function execute(uint256 proposalId) external;
+    function executeQueuedAddition(uint256 proposalId) external;
+    function cancel(uint256 proposalId) external;
+
+    function state(uint256 proposalId) external view returns (ProposalState);
+    function quorum(uint256 proposalId) external view returns (uint256);
+    function getProposal(uint256 proposalId) external view returns (Proposal memory);
+}
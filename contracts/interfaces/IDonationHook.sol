@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IDonationHook
+ * @notice Interface for contracts the Rig notifies after every donation.
+ */
+interface IDonationHook {
+    function onDonation(
+        address account,
+        address charity,
+        address token,
+        uint256 amount,
+        uint256 value,
+        uint256 day
+    ) external;
+}
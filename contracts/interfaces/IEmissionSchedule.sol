@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IEmissionSchedule
+ * @notice Interface for the emission schedules the Rig reads daily DOUGH emission from.
+ */
+interface IEmissionSchedule {
+    function getDayEmission(uint256 day) external view returns (uint256);
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IMatchingPledges
+ * @notice Interface for the MatchingPledges contract.
+ */
+interface IMatchingPledges {
+    function rig() external view returns (address);
+    function pledgeCount() external view returns (uint256);
+    function pledges(uint256 pledgeId)
+        external
+        view
+        returns (
+            address sponsor,
+            address charity,
+            address token,
+            uint256 ratioBps,
+            uint256 cap,
+            uint256 matched,
+            uint256 expiry,
+            bool withdrawn
+        );
+    function createPledge(address charity, address token, uint256 ratioBps, uint256 cap, uint256 expiry)
+        external
+        returns (uint256 pledgeId);
+    function withdraw(uint256 pledgeId) external returns (uint256 amount);
+    function getActivePledgeIds(address charity) external view returns (uint256[] memory ids);
+    function getSponsorPledgeIds(address sponsor) external view returns (uint256[] memory);
+    function getRemaining(uint256 pledgeId) external view returns (uint256);
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IPriceSource
+ * @notice Interface for contracts that value payment tokens in the Rig's accounting unit.
+ */
+interface IPriceSource {
+    function getValue(address token, uint256 amount) external view returns (uint256);
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IReferrals
+ * @notice Interface for the Referrals contract.
+ */
+interface IReferrals {
+    function rig() external view returns (address);
+    function account_Referrer(address account) external view returns (address);
+    function referrer_Referees(address referrer, uint256 index) external view returns (address);
+    function donate(address account, address charity, uint256 amount, address referrer) external;
+    function donateToken(address account, address charity, address token, uint256 amount, address referrer)
+        external;
+    function donateETH(address account, address charity, uint256 amount, address referrer) external payable;
+    function getReferees(address referrer) external view returns (address[] memory);
+    function getRefereeCount(address referrer) external view returns (uint256);
+}
@@ -2,55 +2,270 @@
 pragma solidity 0.8.19;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IAccessControlEnumerable} from "@openzeppelin/contracts/access/IAccessControlEnumerable.sol";
+import {IPermit2} from "./IPermit2.sol";
 
 /**
  * @title IRig
  * @notice Interface for the Rig contract.
  */
-interface IRig {
+interface IRig is IAccessControlEnumerable {
+    // Types
+    enum CharityStatus {
+        None,
+        Pending,
+        Active,
+        Suspended,
+        Retired
+    }
+
+    struct Charity {
+        string name;
+        string metadataURI;
+        bytes32 category;
+        CharityStatus status;
+        bool verified;
+    }
+
+    enum AdminChangeType {
+        TreasuryAddress,
+        TeamAddress,
+        AddCharity,
+        AdminDelay
+    }
+
+    enum AdminChangeStatus {
+        None,
+        Queued,
+        Executed,
+        Cancelled
+    }
+
+    struct AdminChange {
+        AdminChangeType changeType;
+        AdminChangeStatus status;
+        address target;
+        uint256 value;
+        uint256 eta;
+    }
+
+    struct AccountStats {
+        uint256 totalDonated;
+        uint32 daysDonated;
+        uint32 firstDay;
+        uint32 lastDay;
+        uint32 currentStreak;
+        uint32 longestStreak;
+    }
+
     // Constants
-    function INITIAL_EMISSION() external view returns (uint256);
-    function MIN_EMISSION() external view returns (uint256);
-    function HALVING_PERIOD() external view returns (uint256);
+    function CURATOR_ROLE() external view returns (bytes32);
+    function TREASURY_MANAGER_ROLE() external view returns (bytes32);
+    function PAUSER_ROLE() external view returns (bytes32);
     function DAY_DURATION() external view returns (uint256);
     function CHARITY_BPS() external view returns (uint256);
     function TREASURY_BPS() external view returns (uint256);
     function TEAM_BPS() external view returns (uint256);
     function DIVISOR() external view returns (uint256);
+    function MAX_ADMIN_DELAY() external view returns (uint256);
+    function MAX_BONUS_RESERVE_BPS() external view returns (uint256);
+    function MAX_VESTING_BONUS_BPS() external view returns (uint256);
+    function MAX_RECYCLE_DAYS() external view returns (uint256);
+    function DUST_PRECISION() external view returns (uint256);
+    function MAX_REFERRAL_BPS() external view returns (uint256);
+    function MAX_DONATION_HOOKS() external view returns (uint256);
+    function PERMIT2() external view returns (address);
 
     // Immutables
     function paymentToken() external view returns (IERC20);
     function unit() external view returns (address);
+    function weth() external view returns (address);
+    function emissionSchedule() external view returns (address);
     function START_TIME() external view returns (uint256);
 
     // State
-    function account_IsCharity(address charity) external view returns (bool);
+    function charities(uint256 index) external view returns (address);
+    function account_CharityBps(address charity) external view returns (uint256);
+    function minCharityBps() external view returns (uint256);
+    function maxCharityBps() external view returns (uint256);
+    function token_IsPaymentToken(address token) external view returns (bool);
+    function token_PriceSource(address token) external view returns (address);
     function treasuryAddress() external view returns (address);
     function teamAddress() external view returns (address);
+    function adminDelay() external view returns (uint256);
+    function adminChanges(uint256 changeId)
+        external
+        view
+        returns (AdminChangeType changeType, AdminChangeStatus status, address target, uint256 value, uint256 eta);
+    function pendingAdminChangeCount() external view returns (uint256);
+    function donationsPaused() external view returns (bool);
+    function claimsPaused() external view returns (bool);
+    function vester() external view returns (address);
+    function bonusReserveBps() external view returns (uint256);
+    function duration_VestingBonusBps(uint256 duration) external view returns (uint256);
+    function day_BonusReserveBps(uint256 day) external view returns (uint256);
+    function recycleBps() external view returns (uint256);
+    function recycleReserve() external view returns (uint256);
+    function recycleDust() external view returns (uint256);
+    function recycleCursor() external view returns (uint256);
+    function referrals() external view returns (address);
+    function referralBps() external view returns (uint256);
+    function day_ReferralBps(uint256 day) external view returns (uint256);
+    function referrer_PendingRewards(address referrer) external view returns (uint256);
+    function referrer_TotalRewards(address referrer) external view returns (uint256);
+    function donationHooks(uint256 index) external view returns (address);
+    function day_Recycled(uint256 day) external view returns (uint256);
     function day_TotalDonated(uint256 day) external view returns (uint256);
     function day_Account_Donation(uint256 day, address user) external view returns (uint256);
+    function charity_TotalDonated(address charity) external view returns (uint256);
+    function day_Charity_TotalDonated(uint256 day, address charity) external view returns (uint256);
+    function account_Charity_Donation(address account, address charity) external view returns (uint256);
     function day_Account_HasClaimed(uint256 day, address user) external view returns (bool);
+    function day_Minted(uint256 day) external view returns (uint256);
+    function account_ClaimedBitmap(address account, uint256 wordIndex) external view returns (uint256);
+    function account_DonationDays(address account, uint256 index) external view returns (uint256);
+    function account_ClaimCursor(address account) external view returns (uint256);
+    function totalMinted() external view returns (uint256);
 
     // Functions
     function donate(address account, address charity, uint256 amount) external;
+    function donateToken(address account, address charity, address token, uint256 amount) external;
+    function donateETH(address account, address charity, uint256 amount) external payable;
+    function donateWithPermit(
+        address account,
+        address charity,
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external;
+    function donateWithPermit2(
+        address account,
+        address charity,
+        IPermit2.PermitTransferFrom calldata permit,
+        bytes calldata signature
+    ) external;
     function claim(address account, uint256 day) external;
+    function claimAll(address account) external returns (uint256 reward);
+    function claimAllPaginated(address account, uint256 maxDays) external returns (uint256 reward);
+    function claimVested(uint256 day, uint256 duration) external returns (uint256 positionId);
+    function claimAllVested(uint256 maxDays, uint256 duration) external returns (uint256 positionId);
+    function claimReferralRewards(address referrer) external returns (uint256 amount);
+    function registerCharity(
+        address _charity,
+        string calldata _name,
+        string calldata _metadataURI,
+        bytes32 _category
+    ) external;
+    function setCharityMetadata(
+        address _charity,
+        string calldata _name,
+        string calldata _metadataURI,
+        bytes32 _category
+    ) external;
     function addCharity(address _charity) external;
+    function suspendCharity(address _charity) external;
     function removeCharity(address _charity) external;
+    function setCharityVerified(address _charity, bool _verified) external;
     function setTreasuryAddress(address _treasury) external;
     function setTeamAddress(address _team) external;
+    function setCharitySplit(address _charity, uint256 _charityBps) external;
+    function setCharityBpsBounds(uint256 _minCharityBps, uint256 _maxCharityBps) external;
+    function addPaymentToken(address _token, address _priceSource) external;
+    function removePaymentToken(address _token) external;
+    function setAdminDelay(uint256 _adminDelay) external;
+    function executeAdminChange(uint256 _changeId) external;
+    function cancelAdminChange(uint256 _changeId) external;
+    function pause(bool _donations, bool _claims) external;
+    function unpause(bool _donations, bool _claims) external;
+    function setVester(address _vester) external;
+    function setVestingOption(uint256 _duration, uint256 _bonusBps) external;
+    function setBonusReserveBps(uint256 _bonusReserveBps) external;
+    function setRecycleBps(uint256 _recycleBps) external;
+    function setReferrals(address _referrals, uint256 _referralBps) external;
+    function setDonationHooks(address[] calldata _hooks) external;
 
     // Views
     function currentDay() external view returns (uint256);
-    function getDayEmission(uint256 day) external pure returns (uint256);
+    function getDayEmission(uint256 day) external view returns (uint256);
+    function getEffectiveEmission(uint256 day) external view returns (uint256);
+    function account_IsCharity(address charity) external view returns (bool);
+    function getCharity(address charity) external view returns (Charity memory);
+    function getCharityCount() external view returns (uint256);
+    function getDonationHooks() external view returns (address[] memory);
+    function getCharitySplit(address charity)
+        external
+        view
+        returns (uint256 charityBps, uint256 treasuryBps, uint256 teamBps);
+    function getAdminChange(uint256 changeId) external view returns (AdminChange memory);
+    function getAdminChangeCount() external view returns (uint256);
+    function getPendingAdminChanges()
+        external
+        view
+        returns (uint256[] memory changeIds, AdminChange[] memory changes);
+    function getAccountStats(address account) external view returns (AccountStats memory);
+    function getCurrentStreak(address account) external view returns (uint256);
+    function getDonationDayCount(address account) external view returns (uint256);
+    function getUnclaimedDayCount(address account) external view returns (uint256);
+    function getDonationValue(address token, uint256 amount) external view returns (uint256);
     function getPendingReward(uint256 day, address user) external view returns (uint256);
+    function getPendingVestedReward(uint256 day, address user, uint256 duration) external view returns (uint256);
     function getUserDonation(uint256 day, address user) external view returns (uint256);
     function getDayTotal(uint256 day) external view returns (uint256);
 
     // Events
     event Donation(address indexed user, address indexed charity, uint256 amount, uint256 day);
+    event DonationSplit(
+        address indexed charity,
+        address indexed token,
+        uint256 charityAmount,
+        uint256 treasuryAmount,
+        uint256 teamAmount
+    );
+    event TokenDonation(
+        address indexed user,
+        address indexed charity,
+        address indexed token,
+        uint256 amount,
+        uint256 value,
+        uint256 day
+    );
     event Claim(address indexed user, uint256 amount, uint256 day);
+    event VestedClaim(address indexed user, uint256 indexed positionId, uint256 amount, uint256 duration);
+    event CharityRegistered(address indexed charity, string name, string metadataURI, bytes32 category);
     event CharityAdded(address indexed charity);
+    event CharitySuspended(address indexed charity);
     event CharityRemoved(address indexed charity);
+    event CharityVerifiedSet(address indexed charity, bool verified);
+    event CharitySplitSet(address indexed charity, uint256 charityBps);
+    event CharityBpsBoundsSet(uint256 minCharityBps, uint256 maxCharityBps);
     event TreasuryAddressSet(address indexed treasuryAddress);
     event TeamAddressSet(address indexed teamAddress);
+    event PaymentTokenAdded(address indexed token, address indexed priceSource);
+    event PaymentTokenRemoved(address indexed token);
+    event VesterSet(address indexed vester);
+    event VestingOptionSet(uint256 duration, uint256 bonusBps);
+    event BonusReserveBpsSet(uint256 bonusReserveBps);
+    event RecycleBpsSet(uint256 recycleBps);
+    event EmissionRecycled(uint256 indexed day, uint256 amount, uint256 reserveLeft);
+    event ReferralsSet(address indexed referrals, uint256 referralBps);
+    event ReferralAccrued(address indexed referrer, address indexed account, uint256 amount, uint256 day);
+    event ReferralRewardsClaimed(address indexed referrer, uint256 amount);
+    event DonationHooksSet(address[] hooks);
+    event AdminDelaySet(uint256 adminDelay);
+    event AdminChangeQueued(
+        uint256 indexed changeId,
+        AdminChangeType changeType,
+        address target,
+        uint256 value,
+        uint256 eta
+    );
+    event AdminChangeExecuted(uint256 indexed changeId);
+    event AdminChangeCancelled(uint256 indexed changeId);
+    event DonationsPaused(address indexed account);
+    event DonationsUnpaused(address indexed account);
+    event ClaimsPaused(address indexed account);
+    event ClaimsUnpaused(address indexed account);
 }
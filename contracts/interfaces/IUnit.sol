@@ -2,12 +2,15 @@
 pragma solidity 0.8.19;
 
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import {IVotes} from "@openzeppelin/contracts/governance/utils/IVotes.sol";
 
 /**
  * @title IUnit
  * @notice Interface for the Unit token contract.
  */
-interface IUnit is IERC20 {
+interface IUnit is IERC20, IERC20Permit, IVotes {
+    function maxSupply() external view returns (uint256);
     function rig() external view returns (address);
     function setRig(address _rig) external;
     function mint(address account, uint256 amount) external;
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+/**
+ * @title IVester
+ * @notice Interface for the Vester contract.
+ */
+interface IVester {
+    function unit() external view returns (address);
+    function rig() external view returns (address);
+    function positionCount() external view returns (uint256);
+    function positions(uint256 positionId)
+        external
+        view
+        returns (address account, uint256 amount, uint256 released, uint256 start, uint256 duration);
+    function createPosition(address account, uint256 amount, uint256 duration) external returns (uint256 positionId);
+    function release(uint256 positionId) external returns (uint256 amount);
+    function releaseAll(address account) external returns (uint256 amount);
+    function getVested(uint256 positionId) external view returns (uint256);
+    function getUnvested(uint256 positionId) external view returns (uint256);
+    function getReleasable(uint256 positionId) external view returns (uint256);
+    function getPositionIds(address account) external view returns (uint256[] memory);
+    function getAccountTotals(address account)
+        external
+        view
+        returns (uint256 total, uint256 vested, uint256 released, uint256 releasable);
+}
@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+// Both claim status layouts side by side, so tests can measure what the bitmap saves
+contract ClaimStatusHarness {
+    // Legacy layout: one bool slot per (day, account)
+    mapping(uint256 => mapping(address => bool)) public day_Account_HasClaimed;
+
+    // Rig layout: bit (day % 256) of word (day / 256) per account
+    mapping(address => mapping(uint256 => uint256)) public account_ClaimedBitmap;
+
+    function claimLegacy(address account, uint256[] calldata dayIds) external {
+        for (uint256 i = 0; i < dayIds.length; i++) {
+            require(!day_Account_HasClaimed[dayIds[i]][account], "already claimed");
+            day_Account_HasClaimed[dayIds[i]][account] = true;
+        }
+    }
+
+    function claimBitmap(address account, uint256[] calldata dayIds) external {
+        for (uint256 i = 0; i < dayIds.length; i++) {
+            uint256 day = dayIds[i];
+            require((account_ClaimedBitmap[account][day >> 8] >> (day & 0xff)) & 1 == 0, "already claimed");
+            account_ClaimedBitmap[account][day >> 8] |= 1 << (day & 0xff);
+        }
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {Rig} from "../Rig.sol";
+
+// Rig with the claim status layout it had before the bitmap, so tests can compare claim gas
+contract LegacyClaimRig is Rig {
+    // Legacy layout: one bool slot per (day, account)
+    mapping(uint256 => mapping(address => bool)) internal day_Account_Claimed;
+
+    constructor(
+        address _paymentToken,
+        address _unit,
+        address _treasury,
+        address _team,
+        address _weth,
+        address _emissionSchedule
+    ) Rig(_paymentToken, _unit, _treasury, _team, _weth, _emissionSchedule) {}
+
+    function day_Account_HasClaimed(uint256 day, address account) public view override returns (bool) {
+        return day_Account_Claimed[day][account];
+    }
+
+    function _setClaimed(address account, uint256 day) internal override {
+        day_Account_Claimed[day][account] = true;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+contract MockPriceSource {
+    // Accounting units per 1e18 token base units
+    mapping(address => uint256) public prices;
+
+    // Set the price of a token (for testing)
+    function setPrice(address token, uint256 price) external {
+        prices[token] = price;
+    }
+
+    function getValue(address token, uint256 amount) external view returns (uint256) {
+        return amount * prices[token] / 1e18;
+    }
+}
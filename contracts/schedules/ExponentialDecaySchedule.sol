@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IEmissionSchedule} from "../interfaces/IEmissionSchedule.sol";
+
+/**
+ * @title ExponentialDecaySchedule
+ * @notice Smooth emission that shrinks by a constant factor every day down to a floor.
+ * @dev emission(day) = initialEmission * decayFactor^day, with decayFactor in WAD (1e18 = no decay).
+ *      A factor of ~0.977e18 halves emission roughly every 30 days without the step.
+ */
+contract ExponentialDecaySchedule is IEmissionSchedule {
+    /*----------  CONSTANTS  --------------------------------------------*/
+
+    uint256 public constant WAD = 1e18;
+
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    uint256 public immutable initialEmission; // DOUGH per day on day 0
+    uint256 public immutable minEmission; // DOUGH per day floor
+    uint256 public immutable decayFactor; // daily multiplier in WAD
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error ExponentialDecaySchedule__InvalidEmission();
+    error ExponentialDecaySchedule__InvalidDecayFactor();
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new exponential decay schedule.
+     * @param _initialEmission DOUGH per day on day 0
+     * @param _minEmission DOUGH per day floor, at most the initial emission
+     * @param _decayFactor Daily multiplier in WAD, greater than 0 and at most 1e18
+     */
+    constructor(uint256 _initialEmission, uint256 _minEmission, uint256 _decayFactor) {
+        if (_initialEmission == 0 || _minEmission > _initialEmission) {
+            revert ExponentialDecaySchedule__InvalidEmission();
+        }
+        if (_decayFactor == 0 || _decayFactor > WAD) revert ExponentialDecaySchedule__InvalidDecayFactor();
+        initialEmission = _initialEmission;
+        minEmission = _minEmission;
+        decayFactor = _decayFactor;
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get the DOUGH emission for a specific day.
+     * @param day The day number to query
+     * @return The DOUGH emission for that day
+     */
+    function getDayEmission(uint256 day) external view returns (uint256) {
+        uint256 emission = initialEmission * _rpow(decayFactor, day) / WAD;
+
+        if (emission < minEmission) {
+            return minEmission;
+        }
+        return emission;
+    }
+
+    /*----------  INTERNAL FUNCTIONS  -----------------------------------*/
+
+    /**
+     * @notice Raise a WAD number to an integer power by repeated squaring.
+     * @dev x is at most WAD, so intermediate products never exceed 1e36.
+     */
+    function _rpow(uint256 x, uint256 n) internal pure returns (uint256 z) {
+        z = n % 2 != 0 ? x : WAD;
+        for (n /= 2; n != 0; n /= 2) {
+            x = x * x / WAD;
+            if (n % 2 != 0) {
+                z = z * x / WAD;
+            }
+        }
+    }
+}
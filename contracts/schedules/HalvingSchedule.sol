@@ -0,0 +1,56 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IEmissionSchedule} from "../interfaces/IEmissionSchedule.sol";
+
+/**
+ * @title HalvingSchedule
+ * @notice Step emission that halves every `halvingPeriod` days down to a floor.
+ * @dev Parameters are fixed at deployment. The original DoughNation schedule is
+ *      345,600 DOUGH/day halving every 30 days with an 864 DOUGH/day floor.
+ */
+contract HalvingSchedule is IEmissionSchedule {
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    uint256 public immutable initialEmission; // DOUGH per day on day 0
+    uint256 public immutable minEmission; // DOUGH per day floor
+    uint256 public immutable halvingPeriod; // days between halvings
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error HalvingSchedule__InvalidEmission();
+    error HalvingSchedule__InvalidPeriod();
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new halving schedule.
+     * @param _initialEmission DOUGH per day on day 0
+     * @param _minEmission DOUGH per day floor, at most the initial emission
+     * @param _halvingPeriod Days between halvings
+     */
+    constructor(uint256 _initialEmission, uint256 _minEmission, uint256 _halvingPeriod) {
+        if (_initialEmission == 0 || _minEmission > _initialEmission) revert HalvingSchedule__InvalidEmission();
+        if (_halvingPeriod == 0) revert HalvingSchedule__InvalidPeriod();
+        initialEmission = _initialEmission;
+        minEmission = _minEmission;
+        halvingPeriod = _halvingPeriod;
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get the DOUGH emission for a specific day.
+     * @param day The day number to query
+     * @return The DOUGH emission for that day
+     */
+    function getDayEmission(uint256 day) external view returns (uint256) {
+        uint256 halvings = day / halvingPeriod;
+        uint256 emission = initialEmission >> halvings; // Right shift = divide by 2^halvings
+
+        if (emission < minEmission) {
+            return minEmission;
+        }
+        return emission;
+    }
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IEmissionSchedule} from "../interfaces/IEmissionSchedule.sol";
+
+/**
+ * @title LinearDecaySchedule
+ * @notice Emission that drops by a fixed amount every day down to a floor.
+ * @dev emission(day) = max(initialEmission - day * decayPerDay, minEmission).
+ */
+contract LinearDecaySchedule is IEmissionSchedule {
+    /*----------  IMMUTABLES  -------------------------------------------*/
+
+    uint256 public immutable initialEmission; // DOUGH per day on day 0
+    uint256 public immutable minEmission; // DOUGH per day floor
+    uint256 public immutable decayPerDay; // DOUGH removed from the daily emission each day
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error LinearDecaySchedule__InvalidEmission();
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new linear decay schedule.
+     * @param _initialEmission DOUGH per day on day 0
+     * @param _minEmission DOUGH per day floor, at most the initial emission
+     * @param _decayPerDay DOUGH removed from the daily emission each day (0 = constant emission)
+     */
+    constructor(uint256 _initialEmission, uint256 _minEmission, uint256 _decayPerDay) {
+        if (_initialEmission == 0 || _minEmission > _initialEmission) revert LinearDecaySchedule__InvalidEmission();
+        initialEmission = _initialEmission;
+        minEmission = _minEmission;
+        decayPerDay = _decayPerDay;
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get the DOUGH emission for a specific day.
+     * @param day The day number to query
+     * @return The DOUGH emission for that day
+     */
+    function getDayEmission(uint256 day) external view returns (uint256) {
+        if (decayPerDay == 0) return initialEmission;
+
+        // Past this day the decay would cross the floor; also keeps day * decayPerDay from overflowing
+        if (day > (initialEmission - minEmission) / decayPerDay) return minEmission;
+
+        return initialEmission - day * decayPerDay;
+    }
+}
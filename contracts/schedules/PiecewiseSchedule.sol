@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.19;
+
+import {IEmissionSchedule} from "../interfaces/IEmissionSchedule.sol";
+
+/**
+ * @title PiecewiseSchedule
+ * @notice Emission read from a fixed table of (start day, daily emission) segments.
+ * @dev Segment i applies from startDays[i] until the next segment starts; the last
+ *      segment applies forever. The table is set at deployment and has no setters.
+ */
+contract PiecewiseSchedule is IEmissionSchedule {
+    /*----------  STATE  ------------------------------------------------*/
+
+    /// @notice First day of each segment, starting at 0 and strictly increasing
+    uint256[] public startDays;
+
+    /// @notice DOUGH per day for each segment
+    uint256[] public emissions;
+
+    /*----------  ERRORS  -----------------------------------------------*/
+
+    error PiecewiseSchedule__InvalidLength();
+    error PiecewiseSchedule__InvalidStartDay();
+
+    /*----------  CONSTRUCTOR  ------------------------------------------*/
+
+    /**
+     * @notice Deploy a new piecewise schedule.
+     * @param _startDays First day of each segment; must start at 0 and strictly increase
+     * @param _emissions DOUGH per day for each segment
+     */
+    constructor(uint256[] memory _startDays, uint256[] memory _emissions) {
+        if (_startDays.length == 0 || _startDays.length != _emissions.length) {
+            revert PiecewiseSchedule__InvalidLength();
+        }
+        if (_startDays[0] != 0) revert PiecewiseSchedule__InvalidStartDay();
+        for (uint256 i = 1; i < _startDays.length; i++) {
+            if (_startDays[i] <= _startDays[i - 1]) revert PiecewiseSchedule__InvalidStartDay();
+        }
+        startDays = _startDays;
+        emissions = _emissions;
+    }
+
+    /*----------  VIEW FUNCTIONS  ---------------------------------------*/
+
+    /**
+     * @notice Get the DOUGH emission for a specific day.
+     * @param day The day number to query
+     * @return The DOUGH emission for that day
+     */
+    function getDayEmission(uint256 day) external view returns (uint256) {
+        uint256 i = startDays.length - 1;
+        while (startDays[i] > day) {
+            i--;
+        }
+        return emissions[i];
+    }
+
+    /**
+     * @notice Get the number of segments in the table.
+     * @return Segment count
+     */
+    function getSegmentCount() external view returns (uint256) {
+        return startDays.length;
+    }
+}
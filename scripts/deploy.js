@@ -18,6 +18,10 @@ const WETH_ADDRESS = "0x4200000000000000000000000000000000000006"; // WETH on Ba
 // WETH on Base: 0x4200000000000000000000000000000000000006
 const PAYMENT_TOKEN_ADDRESS = ""; // TODO: Set payment token address
 
+// Additional payment tokens to whitelist, valued in PAYMENT_TOKEN_ADDRESS units by their price source
+// Example: { token: WETH_ADDRESS, priceSource: "0xPRICE_SOURCE_ADDRESS" }
+const PAYMENT_TOKENS_TO_WHITELIST = []; // TODO: Add extra payment tokens
+
 // Fund recipients
 const TREASURY_ADDRESS = ""; // TODO: Set treasury wallet address
 const TEAM_ADDRESS = ""; // TODO: Set team wallet address
@@ -25,12 +29,62 @@ const TEAM_ADDRESS = ""; // TODO: Set team wallet address
 // Charities to whitelist (add addresses after deployment)
 const CHARITIES_TO_WHITELIST = []; // TODO: Add charity addresses to whitelist
 
+// Hard cap on DOUGH total supply, fixed at deployment
+const MAX_SUPPLY = convert(100_000_000); // TODO: Confirm max supply
+
+// Emission schedule, fixed for the life of the Rig. Pick one contract and its constructor args:
+//   HalvingSchedule:          [initialEmission, minEmission, halvingPeriodDays]
+//   ExponentialDecaySchedule: [initialEmission, minEmission, dailyDecayFactorWad] (e.g. convert("0.977"))
+//   LinearDecaySchedule:      [initialEmission, minEmission, decayPerDay]
+//   PiecewiseSchedule:        [startDays, emissions] (startDays begins at 0 and strictly increases)
+const EMISSION_SCHEDULE_CONFIG = {
+  contract: "HalvingSchedule",
+  args: [convert(345600), convert(864), 30], // 345,600 DOUGH/day, halving every 30 days, 864 DOUGH/day floor
+};
+
+// Vesting options offered at claim time: duration in days and bonus in bps of the base reward
+const VESTING_OPTIONS = [
+  { days: 30, bonusBps: 1000 }, // +10%
+  { days: 90, bonusBps: 3000 }, // +30%
+  { days: 180, bonusBps: 7500 }, // +75%
+];
+const BONUS_RESERVE_BPS = 1000; // 10% of daily emission funds vesting bonuses (max 2000)
+
+// Emission recycling: share of the reserve (empty-day emission + rounding dust) dripped into each funded day
+const RECYCLE_BPS = 0; // 0 = off; e.g. 1000 drips 10% of the reserve per day
+
+// Referral rewards: share of daily emission set aside for referrers of new donors
+const REFERRAL_BPS = 300; // 3% (max 1000); taken from every donor, minted only for referred donors' shares
+
+// Matching pledges: smallest cap a sponsor can escrow, in payment token units
+const MIN_PLEDGE_VALUE = convert(100, 6); // TODO: Match PAYMENT_TOKEN_ADDRESS decimals (100 USDC)
+
+// Charity governance: DOUGH holders vote on adding, suspending and removing charities (timing in blocks)
+const GOVERNOR_CONFIG = {
+  votingDelay: 7200, // ~1 day on Base (2s blocks) before votes are snapshotted
+  votingPeriod: 151200, // ~3.5 days of voting
+  quorumBps: 400, // 4% of DOUGH supply at the snapshot must vote
+  proposalThreshold: convert(10_000), // DOUGH votes needed to propose
+};
+
+// Rig roles (the deployer starts with all of them)
+const ROLE_NAMES = ["DEFAULT_ADMIN_ROLE", "CURATOR_ROLE", "TREASURY_MANAGER_ROLE", "PAUSER_ROLE"];
+
 // Deployed Contract Addresses (paste after deployment)
 let UNIT_TOKEN = "";
+let EMISSION_SCHEDULE = "";
 let RIG = "";
+let VESTER = "";
+let GOVERNOR = "";
+let QUADRATIC_FUNDING = "";
+let MATCHING_PLEDGES = "";
+let REFERRALS = "";
+let DONATION_RECEIPTS = "";
+let DONATION_SUBSCRIPTIONS = "";
 
 // Contract Variables
-let unitToken, rig;
+let unitToken, emissionSchedule, rig, vester, governor, quadraticFunding, matchingPledges, referrals, donationReceipts;
+let donationSubscriptions;
 
 // =============================================================================
 // GET CONTRACTS
@@ -45,6 +99,14 @@ async function getContracts() {
     console.log("Unit retrieved:", unitToken.address);
   }
 
+  if (EMISSION_SCHEDULE) {
+    emissionSchedule = await ethers.getContractAt(
+      `contracts/schedules/${EMISSION_SCHEDULE_CONFIG.contract}.sol:${EMISSION_SCHEDULE_CONFIG.contract}`,
+      EMISSION_SCHEDULE
+    );
+    console.log("Emission Schedule retrieved:", emissionSchedule.address);
+  }
+
   if (RIG) {
     rig = await ethers.getContractAt(
       "contracts/Rig.sol:Rig",
@@ -52,6 +114,59 @@ async function getContracts() {
     );
     console.log("Rig retrieved:", rig.address);
   }
+
+  if (VESTER) {
+    vester = await ethers.getContractAt(
+      "contracts/Vester.sol:Vester",
+      VESTER
+    );
+    console.log("Vester retrieved:", vester.address);
+  }
+
+  if (GOVERNOR) {
+    governor = await ethers.getContractAt(
+      "contracts/CharityGovernor.sol:CharityGovernor",
+      GOVERNOR
+    );
+    console.log("Charity Governor retrieved:", governor.address);
+  }
+
+  if (QUADRATIC_FUNDING) {
+    quadraticFunding = await ethers.getContractAt(
+      "contracts/QuadraticFunding.sol:QuadraticFunding",
+      QUADRATIC_FUNDING
+    );
+    console.log("Quadratic Funding retrieved:", quadraticFunding.address);
+  }
+
+  if (MATCHING_PLEDGES) {
+    matchingPledges = await ethers.getContractAt(
+      "contracts/MatchingPledges.sol:MatchingPledges",
+      MATCHING_PLEDGES
+    );
+    console.log("Matching Pledges retrieved:", matchingPledges.address);
+  }
+
+  if (REFERRALS) {
+    referrals = await ethers.getContractAt("contracts/Referrals.sol:Referrals", REFERRALS);
+    console.log("Referrals retrieved:", referrals.address);
+  }
+
+  if (DONATION_RECEIPTS) {
+    donationReceipts = await ethers.getContractAt(
+      "contracts/DonationReceipts.sol:DonationReceipts",
+      DONATION_RECEIPTS
+    );
+    console.log("Donation Receipts retrieved:", donationReceipts.address);
+  }
+
+  if (DONATION_SUBSCRIPTIONS) {
+    donationSubscriptions = await ethers.getContractAt(
+      "contracts/DonationSubscriptions.sol:DonationSubscriptions",
+      DONATION_SUBSCRIPTIONS
+    );
+    console.log("Donation Subscriptions retrieved:", donationSubscriptions.address);
+  }
 }
 
 // =============================================================================
@@ -61,13 +176,23 @@ async function getContracts() {
 async function deployUnit() {
   console.log("Starting Unit Deployment");
   const artifact = await ethers.getContractFactory("Unit");
-  const contract = await artifact.deploy({ gasPrice: ethers.gasPrice });
+  const contract = await artifact.deploy(MAX_SUPPLY, { gasPrice: ethers.gasPrice });
   unitToken = await contract.deployed();
   await sleep(5000);
   console.log("Unit Deployed at:", unitToken.address);
   UNIT_TOKEN = unitToken.address;
 }
 
+async function deployEmissionSchedule() {
+  console.log("Starting Emission Schedule Deployment:", EMISSION_SCHEDULE_CONFIG.contract);
+  const artifact = await ethers.getContractFactory(EMISSION_SCHEDULE_CONFIG.contract);
+  const contract = await artifact.deploy(...EMISSION_SCHEDULE_CONFIG.args, { gasPrice: ethers.gasPrice });
+  emissionSchedule = await contract.deployed();
+  await sleep(5000);
+  console.log("Emission Schedule Deployed at:", emissionSchedule.address);
+  EMISSION_SCHEDULE = emissionSchedule.address;
+}
+
 async function deployRig() {
   console.log("Starting Rig Deployment");
 
@@ -83,6 +208,9 @@ async function deployRig() {
   if (!TEAM_ADDRESS) {
     throw new Error("TEAM_ADDRESS must be set before deployment");
   }
+  if (!emissionSchedule && !EMISSION_SCHEDULE) {
+    throw new Error("Emission schedule must be deployed first");
+  }
 
   const artifact = await ethers.getContractFactory("Rig");
   const contract = await artifact.deploy(
@@ -90,6 +218,8 @@ async function deployRig() {
     unitToken?.address || UNIT_TOKEN,
     TREASURY_ADDRESS,
     TEAM_ADDRESS,
+    WETH_ADDRESS,
+    emissionSchedule?.address || EMISSION_SCHEDULE,
     { gasPrice: ethers.gasPrice }
   );
   rig = await contract.deployed();
@@ -98,6 +228,148 @@ async function deployRig() {
   RIG = rig.address;
 }
 
+async function deployVester() {
+  console.log("Starting Vester Deployment");
+
+  if (!unitToken && !UNIT_TOKEN) {
+    throw new Error("Unit must be deployed first");
+  }
+  if (!rig && !RIG) {
+    throw new Error("Rig must be deployed first");
+  }
+
+  const artifact = await ethers.getContractFactory("Vester");
+  const contract = await artifact.deploy(
+    unitToken?.address || UNIT_TOKEN,
+    rig?.address || RIG,
+    { gasPrice: ethers.gasPrice }
+  );
+  vester = await contract.deployed();
+  await sleep(5000);
+  console.log("Vester Deployed at:", vester.address);
+  VESTER = vester.address;
+}
+
+async function deployCharityGovernor() {
+  console.log("Starting Charity Governor Deployment");
+
+  if (!unitToken && !UNIT_TOKEN) {
+    throw new Error("Unit must be deployed first");
+  }
+  if (!rig && !RIG) {
+    throw new Error("Rig must be deployed first");
+  }
+
+  const artifact = await ethers.getContractFactory("CharityGovernor");
+  const contract = await artifact.deploy(
+    unitToken?.address || UNIT_TOKEN,
+    rig?.address || RIG,
+    GOVERNOR_CONFIG.votingDelay,
+    GOVERNOR_CONFIG.votingPeriod,
+    GOVERNOR_CONFIG.quorumBps,
+    GOVERNOR_CONFIG.proposalThreshold,
+    { gasPrice: ethers.gasPrice }
+  );
+  governor = await contract.deployed();
+  await sleep(5000);
+  console.log("Charity Governor Deployed at:", governor.address);
+  GOVERNOR = governor.address;
+}
+
+async function deployQuadraticFunding() {
+  console.log("Starting Quadratic Funding Deployment");
+
+  if (!rig && !RIG) {
+    throw new Error("Rig must be deployed first");
+  }
+
+  const artifact = await ethers.getContractFactory("QuadraticFunding");
+  const contract = await artifact.deploy(rig?.address || RIG, { gasPrice: ethers.gasPrice });
+  quadraticFunding = await contract.deployed();
+  await sleep(5000);
+  console.log("Quadratic Funding Deployed at:", quadraticFunding.address);
+  QUADRATIC_FUNDING = quadraticFunding.address;
+}
+
+async function deployMatchingPledges() {
+  console.log("Starting Matching Pledges Deployment");
+
+  if (!rig && !RIG) {
+    throw new Error("Rig must be deployed first");
+  }
+
+  const artifact = await ethers.getContractFactory("MatchingPledges");
+  const contract = await artifact.deploy(rig?.address || RIG, MIN_PLEDGE_VALUE, { gasPrice: ethers.gasPrice });
+  matchingPledges = await contract.deployed();
+  await sleep(5000);
+  console.log("Matching Pledges Deployed at:", matchingPledges.address);
+  MATCHING_PLEDGES = matchingPledges.address;
+}
+
+async function deployReferrals() {
+  console.log("Starting Referrals Deployment");
+
+  if (!rig && !RIG) {
+    throw new Error("Rig must be deployed first");
+  }
+
+  const artifact = await ethers.getContractFactory("Referrals");
+  const contract = await artifact.deploy(rig?.address || RIG, { gasPrice: ethers.gasPrice });
+  referrals = await contract.deployed();
+  await sleep(5000);
+  console.log("Referrals Deployed at:", referrals.address);
+  REFERRALS = referrals.address;
+}
+
+async function deployDonationReceipts() {
+  console.log("Starting Donation Receipts Deployment");
+
+  if (!rig && !RIG) {
+    throw new Error("Rig must be deployed first");
+  }
+
+  const artifact = await ethers.getContractFactory("DonationReceipts");
+  const contract = await artifact.deploy(rig?.address || RIG, { gasPrice: ethers.gasPrice });
+  donationReceipts = await contract.deployed();
+  await sleep(5000);
+  console.log("Donation Receipts Deployed at:", donationReceipts.address);
+  DONATION_RECEIPTS = donationReceipts.address;
+}
+
+async function deployDonationSubscriptions() {
+  console.log("Starting Donation Subscriptions Deployment");
+
+  if (!rig && !RIG) {
+    throw new Error("Rig must be deployed first");
+  }
+
+  const artifact = await ethers.getContractFactory("DonationSubscriptions");
+  const contract = await artifact.deploy(rig?.address || RIG, { gasPrice: ethers.gasPrice });
+  donationSubscriptions = await contract.deployed();
+  await sleep(5000);
+  console.log("Donation Subscriptions Deployed at:", donationSubscriptions.address);
+  DONATION_SUBSCRIPTIONS = donationSubscriptions.address;
+}
+
+async function setupVesting() {
+  console.log("Setting up vesting...");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+
+  let tx = await rigContract.setVester(vester?.address || VESTER);
+  await tx.wait();
+  console.log("Vester set:", vester?.address || VESTER);
+
+  for (const { days, bonusBps } of VESTING_OPTIONS) {
+    tx = await rigContract.setVestingOption(days * 86400, bonusBps);
+    await tx.wait();
+    console.log("Vesting option set:", days, "days at", bonusBps, "bps bonus");
+  }
+
+  tx = await rigContract.setBonusReserveBps(BONUS_RESERVE_BPS);
+  await tx.wait();
+  console.log("Bonus reserve set to:", BONUS_RESERVE_BPS, "bps");
+}
+
 async function whitelistCharities() {
   console.log("Whitelisting charities...");
   const rigContract = rig || await ethers.getContractAt("Rig", RIG);
@@ -111,6 +383,19 @@ async function whitelistCharities() {
   console.log("All charities whitelisted");
 }
 
+async function whitelistPaymentTokens() {
+  console.log("Whitelisting payment tokens...");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+
+  for (const { token, priceSource } of PAYMENT_TOKENS_TO_WHITELIST) {
+    console.log("Adding payment token:", token, "with price source:", priceSource);
+    const tx = await rigContract.addPaymentToken(token, priceSource);
+    await tx.wait();
+    console.log("Payment token added:", token);
+  }
+  console.log("All payment tokens whitelisted");
+}
+
 async function transferMintingRights() {
   console.log("Transferring minting rights to Rig");
 
@@ -138,11 +423,22 @@ async function verifyUnit() {
   await hre.run("verify:verify", {
     address: unitToken?.address || UNIT_TOKEN,
     contract: "contracts/Unit.sol:Unit",
-    constructorArguments: [],
+    constructorArguments: [MAX_SUPPLY],
   });
   console.log("Unit Verified");
 }
 
+async function verifyEmissionSchedule() {
+  console.log("Starting Emission Schedule Verification");
+  const name = EMISSION_SCHEDULE_CONFIG.contract;
+  await hre.run("verify:verify", {
+    address: emissionSchedule?.address || EMISSION_SCHEDULE,
+    contract: `contracts/schedules/${name}.sol:${name}`,
+    constructorArguments: EMISSION_SCHEDULE_CONFIG.args,
+  });
+  console.log("Emission Schedule Verified");
+}
+
 async function verifyRig() {
   console.log("Starting Rig Verification");
   await hre.run("verify:verify", {
@@ -153,11 +449,90 @@ async function verifyRig() {
       unitToken?.address || UNIT_TOKEN,
       TREASURY_ADDRESS,
       TEAM_ADDRESS,
+      WETH_ADDRESS,
+      emissionSchedule?.address || EMISSION_SCHEDULE,
     ],
   });
   console.log("Rig Verified");
 }
 
+async function verifyVester() {
+  console.log("Starting Vester Verification");
+  await hre.run("verify:verify", {
+    address: vester?.address || VESTER,
+    contract: "contracts/Vester.sol:Vester",
+    constructorArguments: [unitToken?.address || UNIT_TOKEN, rig?.address || RIG],
+  });
+  console.log("Vester Verified");
+}
+
+async function verifyCharityGovernor() {
+  console.log("Starting Charity Governor Verification");
+  await hre.run("verify:verify", {
+    address: governor?.address || GOVERNOR,
+    contract: "contracts/CharityGovernor.sol:CharityGovernor",
+    constructorArguments: [
+      unitToken?.address || UNIT_TOKEN,
+      rig?.address || RIG,
+      GOVERNOR_CONFIG.votingDelay,
+      GOVERNOR_CONFIG.votingPeriod,
+      GOVERNOR_CONFIG.quorumBps,
+      GOVERNOR_CONFIG.proposalThreshold,
+    ],
+  });
+  console.log("Charity Governor Verified");
+}
+
+async function verifyQuadraticFunding() {
+  console.log("Starting Quadratic Funding Verification");
+  await hre.run("verify:verify", {
+    address: quadraticFunding?.address || QUADRATIC_FUNDING,
+    contract: "contracts/QuadraticFunding.sol:QuadraticFunding",
+    constructorArguments: [rig?.address || RIG],
+  });
+  console.log("Quadratic Funding Verified");
+}
+
+async function verifyMatchingPledges() {
+  console.log("Starting Matching Pledges Verification");
+  await hre.run("verify:verify", {
+    address: matchingPledges?.address || MATCHING_PLEDGES,
+    contract: "contracts/MatchingPledges.sol:MatchingPledges",
+    constructorArguments: [rig?.address || RIG, MIN_PLEDGE_VALUE],
+  });
+  console.log("Matching Pledges Verified");
+}
+
+async function verifyReferrals() {
+  console.log("Starting Referrals Verification");
+  await hre.run("verify:verify", {
+    address: referrals?.address || REFERRALS,
+    contract: "contracts/Referrals.sol:Referrals",
+    constructorArguments: [rig?.address || RIG],
+  });
+  console.log("Referrals Verified");
+}
+
+async function verifyDonationReceipts() {
+  console.log("Starting Donation Receipts Verification");
+  await hre.run("verify:verify", {
+    address: donationReceipts?.address || DONATION_RECEIPTS,
+    contract: "contracts/DonationReceipts.sol:DonationReceipts",
+    constructorArguments: [rig?.address || RIG],
+  });
+  console.log("Donation Receipts Verified");
+}
+
+async function verifyDonationSubscriptions() {
+  console.log("Starting Donation Subscriptions Verification");
+  await hre.run("verify:verify", {
+    address: donationSubscriptions?.address || DONATION_SUBSCRIPTIONS,
+    contract: "contracts/DonationSubscriptions.sol:DonationSubscriptions",
+    constructorArguments: [rig?.address || RIG],
+  });
+  console.log("Donation Subscriptions Verified");
+}
+
 // =============================================================================
 // CONFIGURATION FUNCTIONS
 // =============================================================================
@@ -170,6 +545,35 @@ async function addCharity(charityAddress) {
   console.log("Charity added to whitelist");
 }
 
+async function registerCharity(charityAddress, name, metadataURI, category) {
+  console.log("Registering charity:", charityAddress, name);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.registerCharity(
+    charityAddress,
+    name,
+    metadataURI,
+    ethers.utils.formatBytes32String(category)
+  );
+  await tx.wait();
+  console.log("Charity registered as pending");
+}
+
+async function suspendCharity(charityAddress) {
+  console.log("Suspending charity:", charityAddress);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.suspendCharity(charityAddress);
+  await tx.wait();
+  console.log("Charity suspended");
+}
+
+async function setCharityVerified(charityAddress, verified) {
+  console.log("Setting charity verified:", charityAddress, verified);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setCharityVerified(charityAddress, verified);
+  await tx.wait();
+  console.log("Charity verification updated");
+}
+
 async function removeCharity(charityAddress) {
   console.log("Removing charity from whitelist:", charityAddress);
   const rigContract = rig || await ethers.getContractAt("Rig", RIG);
@@ -178,6 +582,38 @@ async function removeCharity(charityAddress) {
   console.log("Charity removed from whitelist");
 }
 
+async function setCharitySplit(charityAddress, charityBps) {
+  console.log("Setting charity split for:", charityAddress, "to", charityBps, "bps");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setCharitySplit(charityAddress, charityBps);
+  await tx.wait();
+  console.log("Charity split updated");
+}
+
+async function setCharityBpsBounds(minCharityBps, maxCharityBps) {
+  console.log("Setting charity share bounds to:", minCharityBps, "-", maxCharityBps, "bps");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setCharityBpsBounds(minCharityBps, maxCharityBps);
+  await tx.wait();
+  console.log("Charity share bounds updated");
+}
+
+async function addPaymentToken(tokenAddress, priceSourceAddress) {
+  console.log("Adding payment token:", tokenAddress, "with price source:", priceSourceAddress);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.addPaymentToken(tokenAddress, priceSourceAddress);
+  await tx.wait();
+  console.log("Payment token added");
+}
+
+async function removePaymentToken(tokenAddress) {
+  console.log("Removing payment token:", tokenAddress);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.removePaymentToken(tokenAddress);
+  await tx.wait();
+  console.log("Payment token removed");
+}
+
 async function setTreasuryAddress(newAddress) {
   console.log("Setting Treasury Address to:", newAddress);
   const rigContract = rig || await ethers.getContractAt("Rig", RIG);
@@ -194,12 +630,147 @@ async function setTeamAddress(newAddress) {
   console.log("Team Address updated");
 }
 
-async function transferRigOwnership(newOwner) {
-  console.log("Transferring Rig ownership to:", newOwner);
+async function setVestingOption(days, bonusBps) {
+  console.log("Setting vesting option:", days, "days at", bonusBps, "bps bonus");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setVestingOption(days * 86400, bonusBps);
+  await tx.wait();
+  console.log("Vesting option updated");
+}
+
+async function setRecycleBps(recycleBps) {
+  console.log("Setting emission recycle drip to:", recycleBps, "bps");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setRecycleBps(recycleBps);
+  await tx.wait();
+  console.log("Recycle drip updated");
+}
+
+async function setBonusReserveBps(bonusReserveBps) {
+  console.log("Setting bonus reserve to:", bonusReserveBps, "bps");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setBonusReserveBps(bonusReserveBps);
+  await tx.wait();
+  console.log("Bonus reserve updated");
+}
+
+async function setReferrals(referralsAddress, referralBps) {
+  console.log("Setting referrals to:", referralsAddress, "at", referralBps, "bps");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setReferrals(referralsAddress, referralBps);
+  await tx.wait();
+  console.log("Referrals updated");
+}
+
+async function setReceiptsTransferable(transferable) {
+  console.log("Setting donation receipts transferable:", transferable);
+  const receiptsContract =
+    donationReceipts || await ethers.getContractAt("DonationReceipts", DONATION_RECEIPTS);
+  const tx = await receiptsContract.setTransferable(transferable);
+  await tx.wait();
+  console.log("Receipt transferability updated");
+}
+
+async function setDonationHooks(hooks) {
+  console.log("Setting donation hooks:", hooks);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setDonationHooks(hooks);
+  await tx.wait();
+  console.log("Donation hooks set");
+}
+
+async function createMatchingRound(startDay, endDay, useAllowlist, minContribution) {
+  console.log(
+    "Creating matching round for days", startDay, "-", endDay, "allowlist:", useAllowlist,
+    "minimum:", divDec(minContribution)
+  );
+  const qfContract = quadraticFunding || await ethers.getContractAt("QuadraticFunding", QUADRATIC_FUNDING);
+  const tx = await qfContract.createRound(startDay, endDay, useAllowlist, minContribution);
+  await tx.wait();
+  console.log("Matching round created:", (await qfContract.roundCount()).sub(1).toString());
+}
+
+async function setMatchingEligible(accounts, eligible) {
+  console.log("Setting matching eligibility to", eligible, "for:", accounts);
+  const qfContract = quadraticFunding || await ethers.getContractAt("QuadraticFunding", QUADRATIC_FUNDING);
+  const tx = await qfContract.setEligible(accounts, eligible);
+  await tx.wait();
+  console.log("Matching eligibility set");
+}
+
+async function setAdminDelay(delaySeconds) {
+  console.log("Setting admin delay to:", delaySeconds, "seconds");
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.setAdminDelay(delaySeconds);
+  await tx.wait();
+  console.log("Admin delay set (or queued if a delay is already active)");
+}
+
+async function executeAdminChange(changeId) {
+  console.log("Executing admin change:", changeId);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.executeAdminChange(changeId);
+  await tx.wait();
+  console.log("Admin change executed");
+}
+
+async function cancelAdminChange(changeId) {
+  console.log("Cancelling admin change:", changeId);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.cancelAdminChange(changeId);
+  await tx.wait();
+  console.log("Admin change cancelled");
+}
+
+async function grantRole(roleName, account) {
+  console.log("Granting", roleName, "to:", account);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const role = roleName === "DEFAULT_ADMIN_ROLE" ? ethers.constants.HashZero : await rigContract[roleName]();
+  const tx = await rigContract.grantRole(role, account);
+  await tx.wait();
+  console.log("Role granted");
+}
+
+async function revokeRole(roleName, account) {
+  console.log("Revoking", roleName, "from:", account);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const role = roleName === "DEFAULT_ADMIN_ROLE" ? ethers.constants.HashZero : await rigContract[roleName]();
+  const tx = await rigContract.revokeRole(role, account);
+  await tx.wait();
+  console.log("Role revoked");
+}
+
+async function pause(donations, claims) {
+  console.log("Pausing - donations:", donations, "claims:", claims);
   const rigContract = rig || await ethers.getContractAt("Rig", RIG);
-  const tx = await rigContract.transferOwnership(newOwner);
+  const tx = await rigContract.pause(donations, claims);
   await tx.wait();
-  console.log("Rig ownership transferred");
+  console.log("Paused");
+}
+
+async function unpause(donations, claims) {
+  console.log("Unpausing - donations:", donations, "claims:", claims);
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  const tx = await rigContract.unpause(donations, claims);
+  await tx.wait();
+  console.log("Unpaused");
+}
+
+async function transferRigRoles(newHolder) {
+  console.log("Transferring all Rig roles to:", newHolder);
+  const [wallet] = await ethers.getSigners();
+  // Grant everything first, then renounce, leaving the admin role for last
+  for (const roleName of ROLE_NAMES) {
+    await grantRole(roleName, newHolder);
+  }
+  const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  for (const roleName of [...ROLE_NAMES].reverse()) {
+    const role = roleName === "DEFAULT_ADMIN_ROLE" ? ethers.constants.HashZero : await rigContract[roleName]();
+    const tx = await rigContract.renounceRole(role, wallet.address);
+    await tx.wait();
+    console.log("Renounced", roleName);
+  }
+  console.log("Rig roles transferred");
 }
 
 // =============================================================================
@@ -211,6 +782,7 @@ async function printDeployment() {
 
   console.log("--- Configuration ---");
   console.log("Payment Token:    ", PAYMENT_TOKEN_ADDRESS || "NOT SET");
+  console.log("WETH:             ", WETH_ADDRESS);
   console.log("Treasury Address: ", TREASURY_ADDRESS || "NOT SET");
   console.log("Team Address:     ", TEAM_ADDRESS || "NOT SET");
 
@@ -223,6 +795,34 @@ async function printDeployment() {
     "Rig:              ",
     rig?.address || RIG || "NOT DEPLOYED"
   );
+  console.log(
+    "Vester:           ",
+    vester?.address || VESTER || "NOT DEPLOYED"
+  );
+  console.log(
+    "Charity Governor: ",
+    governor?.address || GOVERNOR || "NOT DEPLOYED"
+  );
+  console.log(
+    "Quadratic Funding:",
+    quadraticFunding?.address || QUADRATIC_FUNDING || "NOT DEPLOYED"
+  );
+  console.log(
+    "Matching Pledges: ",
+    matchingPledges?.address || MATCHING_PLEDGES || "NOT DEPLOYED"
+  );
+  console.log(
+    "Referrals:        ",
+    referrals?.address || REFERRALS || "NOT DEPLOYED"
+  );
+  console.log(
+    "Donation Receipts:",
+    donationReceipts?.address || DONATION_RECEIPTS || "NOT DEPLOYED"
+  );
+  console.log(
+    "Subscriptions:    ",
+    donationSubscriptions?.address || DONATION_SUBSCRIPTIONS || "NOT DEPLOYED"
+  );
 
   if (unitToken || UNIT_TOKEN) {
     const token = unitToken || await ethers.getContractAt("Unit", UNIT_TOKEN);
@@ -231,30 +831,111 @@ async function printDeployment() {
     console.log("Symbol:           ", await token.symbol());
     console.log("Rig:              ", await token.rig());
     console.log("Total Supply:     ", divDec(await token.totalSupply()));
+    console.log("Max Supply:       ", divDec(await token.maxSupply()));
   }
 
   if (rig || RIG) {
     const rigContract = rig || await ethers.getContractAt("Rig", RIG);
     console.log("\n--- Rig State ---");
-    console.log("Owner:            ", await rigContract.owner());
+    for (const roleName of ROLE_NAMES) {
+      const role = roleName === "DEFAULT_ADMIN_ROLE" ? ethers.constants.HashZero : await rigContract[roleName]();
+      const count = (await rigContract.getRoleMemberCount(role)).toNumber();
+      const members = [];
+      for (let i = 0; i < count; i++) {
+        members.push(await rigContract.getRoleMember(role, i));
+      }
+      console.log(`${roleName}:`.padEnd(18), members.join(", ") || "NONE");
+    }
     console.log("Payment Token:    ", await rigContract.paymentToken());
     console.log("Unit:             ", await rigContract.unit());
+    console.log("WETH:             ", await rigContract.weth());
     console.log("Treasury Address: ", await rigContract.treasuryAddress());
     console.log("Team Address:     ", await rigContract.teamAddress());
+    console.log("Charities:        ", (await rigContract.getCharityCount()).toString(), "registered");
+    console.log("Charity Share:    ", (await rigContract.minCharityBps()).toString(), "-", (await rigContract.maxCharityBps()).toString(), "bps");
+    console.log("Admin Delay:      ", (await rigContract.adminDelay()).toString(), "seconds");
+    const [changeIds, changes] = await rigContract.getPendingAdminChanges();
+    const changeTypes = ["TreasuryAddress", "TeamAddress", "AddCharity", "AdminDelay"];
+    console.log("Pending Changes:  ", changeIds.length);
+    for (let i = 0; i < changeIds.length; i++) {
+      const change = changes[i];
+      const detail = change.changeType === 3 ? change.value.toString() : change.target;
+      console.log(
+        `  #${changeIds[i]} ${changeTypes[change.changeType]} -> ${detail} (eta ${new Date(change.eta.toNumber() * 1000).toISOString()})`
+      );
+    }
+    console.log("Donations Paused: ", await rigContract.donationsPaused());
+    console.log("Claims Paused:    ", await rigContract.claimsPaused());
+    console.log("Vester:           ", await rigContract.vester());
+    console.log("Bonus Reserve:    ", (await rigContract.bonusReserveBps()).toString(), "bps");
+    console.log("Recycle Drip:     ", (await rigContract.recycleBps()).toString(), "bps");
+    console.log("Recycle Reserve:  ", divDec(await rigContract.recycleReserve()), "DOUGH");
+    console.log("Referrals:        ", await rigContract.referrals());
+    console.log("Referral Slice:   ", (await rigContract.referralBps()).toString(), "bps");
+    console.log("Donation Hooks:   ", (await rigContract.getDonationHooks()).join(", ") || "NONE");
     console.log("Current Day:      ", (await rigContract.currentDay()).toString());
-    console.log("Initial Emission: ", divDec(await rigContract.INITIAL_EMISSION()), "DOUGH/day");
-    console.log("Min Emission:     ", divDec(await rigContract.MIN_EMISSION()), "DOUGH/day");
+    console.log("Emission Schedule:", await rigContract.emissionSchedule());
+    const today = await rigContract.currentDay();
+    console.log("Today's Emission: ", divDec(await rigContract.getEffectiveEmission(today)), "DOUGH/day");
+    console.log("Total Minted:     ", divDec(await rigContract.totalMinted()), "DOUGH");
+  }
+
+  if (governor || GOVERNOR) {
+    const governorContract = governor || await ethers.getContractAt("CharityGovernor", GOVERNOR);
+    const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+    console.log("\n--- Charity Governor State ---");
+    console.log("Voting Delay:     ", (await governorContract.votingDelay()).toString(), "blocks");
+    console.log("Voting Period:    ", (await governorContract.votingPeriod()).toString(), "blocks");
+    console.log("Quorum:           ", (await governorContract.quorumBps()).toString(), "bps");
+    console.log("Threshold:        ", divDec(await governorContract.proposalThreshold()), "DOUGH");
+    console.log("Proposals:        ", (await governorContract.proposalCount()).toString());
+    console.log("Is Curator:       ", await rigContract.hasRole(await rigContract.CURATOR_ROLE(), governorContract.address));
+  }
+
+  if (quadraticFunding || QUADRATIC_FUNDING) {
+    const qfContract = quadraticFunding || await ethers.getContractAt("QuadraticFunding", QUADRATIC_FUNDING);
+    console.log("\n--- Quadratic Funding State ---");
+    console.log("Owner:            ", await qfContract.owner());
+    const roundCount = (await qfContract.roundCount()).toNumber();
+    console.log("Rounds:           ", roundCount);
+    if (roundCount > 0) {
+      const round = await qfContract.getRound(roundCount - 1);
+      console.log("Latest Round:     ", `#${roundCount - 1} days ${round.startDay}-${round.endDay}`);
+      console.log("Matching Pool:    ", divDec(round.pool));
+      console.log("Uses Allowlist:   ", round.useAllowlist);
+      console.log("Min Contribution: ", divDec(round.minContribution));
+      console.log("Finalized:        ", round.finalized);
+    }
+  }
+
+  if (donationReceipts || DONATION_RECEIPTS) {
+    const receiptsContract =
+      donationReceipts || await ethers.getContractAt("DonationReceipts", DONATION_RECEIPTS);
+    console.log("\n--- Donation Receipts State ---");
+    console.log("Owner:            ", await receiptsContract.owner());
+    console.log("Receipts Minted:  ", (await receiptsContract.receiptCount()).toString());
+    console.log("Transferable:     ", await receiptsContract.transferable());
+  }
+
+  if (donationSubscriptions || DONATION_SUBSCRIPTIONS) {
+    const subsContract =
+      donationSubscriptions || await ethers.getContractAt("DonationSubscriptions", DONATION_SUBSCRIPTIONS);
+    const count = (await subsContract.subscriptionCount()).toNumber();
+    console.log("\n--- Donation Subscriptions State ---");
+    console.log("Subscriptions:    ", count);
+    console.log("Due Now:          ", (await subsContract.getDueSubscriptions(0, count)).length);
   }
 
   console.log("\n================================================================\n");
 }
 
-async function printEmissionSchedule() {
+// Samples the Rig's schedule every `step` days, so it works for any schedule type
+async function printEmissionSchedule(numDays = 360, step = 30) {
   console.log("\n--- Emission Schedule ---");
   const rigContract = rig || await ethers.getContractAt("Rig", RIG);
+  console.log("Schedule:", await rigContract.emissionSchedule());
 
-  const days = [0, 29, 30, 59, 60, 89, 90, 120, 150, 180, 210, 240, 270, 300];
-  for (const day of days) {
+  for (let day = 0; day <= numDays; day += step) {
     const emission = await rigContract.getDayEmission(day);
     console.log(`Day ${day.toString().padStart(3)}: ${divDec(emission).toLocaleString()} DOUGH`);
   }
@@ -283,9 +964,25 @@ async function main() {
 
   // console.log("Starting Deployment...");
   // await deployUnit();
+  // await deployEmissionSchedule(); // Deploy EMISSION_SCHEDULE_CONFIG
   // await deployRig();
   // await transferMintingRights();
   // await whitelistCharities(); // Whitelist charities from CHARITIES_TO_WHITELIST array
+  // await whitelistPaymentTokens(); // Whitelist tokens from PAYMENT_TOKENS_TO_WHITELIST array
+  // await deployVester();
+  // await setupVesting(); // Set Vester, VESTING_OPTIONS and BONUS_RESERVE_BPS
+  // await deployCharityGovernor(); // Deploy with GOVERNOR_CONFIG
+  // await grantRole("CURATOR_ROLE", governor?.address || GOVERNOR); // let DOUGH holders curate charities
+  // await deployQuadraticFunding();
+  // await deployMatchingPledges();
+  // await setDonationHooks([
+  //   quadraticFunding?.address || QUADRATIC_FUNDING, // count donations in matching rounds
+  //   matchingPledges?.address || MATCHING_PLEDGES, // release sponsor matches on donation
+  // ]);
+  // await deployReferrals();
+  // await setReferrals(referrals?.address || REFERRALS, REFERRAL_BPS);
+  // await deployDonationReceipts();
+  // await deployDonationSubscriptions();
 
   //===================================================================
   // 2. Verify Contracts
@@ -294,29 +991,67 @@ async function main() {
   // console.log("Starting Verification...");
   // await verifyUnit();
   // await sleep(5000);
+  // await verifyEmissionSchedule();
+  // await sleep(5000);
   // await verifyRig();
+  // await sleep(5000);
+  // await verifyVester();
+  // await sleep(5000);
+  // await verifyCharityGovernor();
+  // await sleep(5000);
+  // await verifyQuadraticFunding();
+  // await sleep(5000);
+  // await verifyMatchingPledges();
+  // await sleep(5000);
+  // await verifyReferrals();
+  // await sleep(5000);
+  // await verifyDonationReceipts();
+  // await sleep(5000);
+  // await verifyDonationSubscriptions();
 
   //===================================================================
   // 3. Configuration (optional)
   //===================================================================
 
+  // await registerCharity("0xCHARITY_ADDRESS", "Charity Name", "ipfs://METADATA", "health");
+  // await setCharityVerified("0xCHARITY_ADDRESS", true);
   // await addCharity("0xCHARITY_ADDRESS");
+  // await suspendCharity("0xCHARITY_ADDRESS");
   // await removeCharity("0xCHARITY_ADDRESS");
+  // await setCharitySplit("0xCHARITY_ADDRESS", 7000); // 70% to charity
+  // await setCharityBpsBounds(5000, 10000);
+  // await addPaymentToken("0xTOKEN_ADDRESS", "0xPRICE_SOURCE_ADDRESS");
+  // await removePaymentToken("0xTOKEN_ADDRESS");
   // await setTreasuryAddress("0xNEW_TREASURY_ADDRESS");
   // await setTeamAddress("0xNEW_TEAM_ADDRESS");
+  // await setVestingOption(90, 3000); // 90 days, +30% (0 bps withdraws the option)
+  // await setBonusReserveBps(1000);
+  // await setRecycleBps(RECYCLE_BPS); // drip empty-day emission into later days
+  // await setReferrals(ethers.constants.AddressZero, 0); // stop referral rewards for days not yet started
+  // await setReceiptsTransferable(true); // receipts are soulbound until enabled
+  // await createMatchingRound(30, 36, false, convert(1)); // match donations of 1 or more made on days 30-36
+  // await setMatchingEligible(["0xDONOR_ADDRESS"], true);
+  // await setAdminDelay(2 * 86400); // treasury/team/charity additions wait 2 days
+  // await executeAdminChange(0);
+  // await cancelAdminChange(0);
+  // await grantRole("CURATOR_ROLE", "0xOPERATIONS_ADDRESS");
+  // await grantRole("PAUSER_ROLE", "0xGUARDIAN_ADDRESS");
+  // await revokeRole("PAUSER_ROLE", "0xGUARDIAN_ADDRESS");
+  // await pause(true, false); // pause donations only
+  // await unpause(true, true);
 
   //===================================================================
-  // 4. Transfer Ownership (optional)
+  // 4. Transfer Roles (optional)
   //===================================================================
 
-  // await transferRigOwnership("0xMULTISIG_ADDRESS");
+  // await transferRigRoles("0xMULTISIG_ADDRESS");
 
   //===================================================================
   // Print Deployment
   //===================================================================
 
   await printDeployment();
-  // await printEmissionSchedule();
+  // await printEmissionSchedule(360, 30); // first year, every 30 days
 }
 
 main()
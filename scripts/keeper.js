@@ -0,0 +1,284 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+
+// Claim keeper: watches Rig Donation events for opted-in donors, remembers each donor's unclaimed
+// days, and once a day has ended claims them through Multicall.claimMultiple. Rig.claim can be
+// called by anyone for any account and always mints to the account, so the keeper only pays gas.
+//
+// Usage:
+//   RIG=0x... MULTICALL=0x... ACCOUNTS=0xabc,0xdef npx hardhat run scripts/keeper.js --network base
+//   RIG=0x... MULTICALL=0x... ACCOUNTS=* DRY_RUN=true ONCE=true npx hardhat run scripts/keeper.js --network localhost
+//
+// Progress is kept in STATE_FILE, so a restarted keeper resumes from the last scanned block with
+// the days it still owes. Stop it with Ctrl+C; the state is saved before exiting. A batch that fails
+// to send or reverts stays pending and is retried on the next pass.
+//
+// The scan and claim passes are exported so tests can run them against a Hardhat network fixture.
+
+// =============================================================================
+// CONFIGURATION - UPDATE THESE OR OVERRIDE THEM WITH ENVIRONMENT VARIABLES
+// =============================================================================
+
+const RIG = process.env.RIG || ""; // TODO: Set Rig address
+const MULTICALL = process.env.MULTICALL || ""; // TODO: Set Multicall address
+
+// Donors who opted in to auto-claiming, comma separated; "*" claims for every donor
+const ACCOUNTS = (process.env.ACCOUNTS || "").split(",").filter(Boolean);
+
+const STATE_FILE = process.env.STATE_FILE || "keeper-state.json";
+
+// Block to start scanning from on the first run (the Rig's deployment block)
+const FROM_BLOCK = parseInt(process.env.FROM_BLOCK || "0");
+
+// Blocks per eth_getLogs request; lower it if the RPC rejects wide ranges
+const BLOCK_RANGE = parseInt(process.env.BLOCK_RANGE || "10000");
+
+// Blocks to wait before trusting a Donation event
+const CONFIRMATIONS = parseInt(process.env.CONFIRMATIONS || "0");
+
+// Days claimed per claimMultiple transaction
+const BATCH_SIZE = parseInt(process.env.BATCH_SIZE || "30");
+
+// Gas limit per claim transaction; batches estimated above it are split in half
+const GAS_LIMIT = parseInt(process.env.GAS_LIMIT || "3000000");
+
+// Skip claiming while the network gas price is above this (0 for no limit)
+const MAX_GAS_PRICE_GWEI = parseFloat(process.env.MAX_GAS_PRICE_GWEI || "0");
+
+// Log what would be claimed without sending transactions or writing the state file
+const DRY_RUN = process.env.DRY_RUN === "true";
+
+// Run a single scan and claim pass, then exit (for cron jobs and testing)
+const ONCE = process.env.ONCE === "true";
+
+// Most seconds between passes; the keeper also wakes when the next Rig day starts
+const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL || "60");
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+const sleep = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
+
+// { rig, lastBlock, pending: { account: [day, ...] } }
+function loadState(config) {
+  const { rig, stateFile } = config;
+  if (!fs.existsSync(stateFile)) {
+    return { rig, lastBlock: config.fromBlock - 1, pending: {} };
+  }
+  const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+  if (state.rig.toLowerCase() !== rig.toLowerCase()) {
+    throw new Error(`${stateFile} belongs to Rig ${state.rig}; use another STATE_FILE`);
+  }
+  return state;
+}
+
+function saveState(state, config) {
+  const { stateFile } = config;
+  if (config.dryRun) return;
+  // Write then rename so a crash mid-write never leaves a truncated state file
+  fs.writeFileSync(`${stateFile}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${stateFile}.tmp`, stateFile);
+}
+
+function addPending(state, account, day) {
+  const days = state.pending[account] || (state.pending[account] = []);
+  if (!days.includes(day)) days.push(day);
+}
+
+function removePending(state, account, claimed) {
+  const days = (state.pending[account] || []).filter((day) => !claimed.includes(day));
+  if (days.length > 0) {
+    state.pending[account] = days;
+  } else {
+    delete state.pending[account];
+  }
+}
+
+// =============================================================================
+// SCAN
+// =============================================================================
+
+async function scanDonations(rigContract, state, config) {
+  const { accounts, blockRange } = config;
+  const toBlock = (await ethers.provider.getBlockNumber()) - config.confirmations;
+  if (toBlock <= state.lastBlock) return;
+
+  const claimAll = accounts.includes("*");
+  const optedIn = new Set(accounts.map((account) => account.toLowerCase()));
+  const filter = rigContract.filters.Donation(claimAll ? null : accounts);
+  let found = 0;
+  for (let start = state.lastBlock + 1; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    const events = await rigContract.queryFilter(filter, start, end);
+    for (const event of events) {
+      const account = event.args.user;
+      if (!claimAll && !optedIn.has(account.toLowerCase())) continue;
+      addPending(state, account, event.args.day.toNumber());
+      found++;
+    }
+    state.lastBlock = end;
+    saveState(state, config);
+  }
+  config.log(`Scanned to block ${toBlock}: ${found} new donations`);
+}
+
+// =============================================================================
+// CLAIM
+// =============================================================================
+
+// Send one claimMultiple, splitting the batch while its estimate exceeds the gas limit
+async function claimBatch(multicallContract, account, days, config) {
+  const { gasLimit, log } = config;
+  let estimate;
+  try {
+    estimate = await multicallContract.estimateGas.claimMultiple(account, days);
+  } catch (error) {
+    log(`  ${account}: days ${days.join(", ")} failed to estimate: ${error.reason || error.message}`);
+    return [];
+  }
+
+  if (estimate.gt(gasLimit)) {
+    if (days.length === 1) {
+      log(`  ${account}: day ${days[0]} needs ${estimate} gas, above GAS_LIMIT ${gasLimit}`);
+      return [];
+    }
+    const half = Math.ceil(days.length / 2);
+    return [
+      ...(await claimBatch(multicallContract, account, days.slice(0, half), config)),
+      ...(await claimBatch(multicallContract, account, days.slice(half), config)),
+    ];
+  }
+
+  if (config.dryRun) {
+    log(`  [dry run] ${account}: would claim days ${days.join(", ")} (~${estimate} gas)`);
+    return [];
+  }
+
+  // A dropped, replaced or reverted transaction leaves the days pending for the next pass
+  try {
+    const tx = await multicallContract.claimMultiple(account, days, { gasLimit });
+    const receipt = await tx.wait();
+    log(`  ${account}: claimed days ${days.join(", ")} in ${receipt.transactionHash} (${receipt.gasUsed} gas)`);
+    return days;
+  } catch (error) {
+    log(`  ${account}: days ${days.join(", ")} failed to claim: ${error.reason || error.message}`);
+    return [];
+  }
+}
+
+async function claimEndedDays(rigContract, multicallContract, state, config) {
+  const { batchSize, log } = config;
+  if (await rigContract.claimsPaused()) {
+    log("Claims are paused; skipping");
+    return;
+  }
+  if (config.maxGasPriceGwei > 0) {
+    const gasPrice = await ethers.provider.getGasPrice();
+    if (gasPrice.gt(ethers.utils.parseUnits(config.maxGasPriceGwei.toString(), "gwei"))) {
+      log(`Gas price ${ethers.utils.formatUnits(gasPrice, "gwei")} gwei above limit; skipping`);
+      return;
+    }
+  }
+
+  const currentDay = (await rigContract.currentDay()).toNumber();
+  for (const account of Object.keys(state.pending)) {
+    const ended = state.pending[account].filter((day) => day < currentDay).sort((a, b) => a - b);
+    if (ended.length === 0) continue;
+
+    // Drop days claimed by the donor or someone else since they were recorded
+    const unclaimed = [];
+    for (const day of ended) {
+      if (!(await rigContract.day_Account_HasClaimed(day, account))) unclaimed.push(day);
+    }
+    if (!config.dryRun) {
+      removePending(state, account, ended.filter((day) => !unclaimed.includes(day)));
+    }
+
+    for (let i = 0; i < unclaimed.length; i += batchSize) {
+      const claimed = await claimBatch(multicallContract, account, unclaimed.slice(i, i + batchSize), config);
+      removePending(state, account, claimed);
+      saveState(state, config);
+    }
+  }
+  saveState(state, config);
+}
+
+// Seconds to sleep before the next pass: until the next Rig day starts, at most pollInterval
+function getSleepSeconds(now, startTime, dayDuration, pollInterval) {
+  const nextBoundary = startTime + (Math.floor((now - startTime) / dayDuration) + 1) * dayDuration;
+  return Math.max(1, Math.min(pollInterval, nextBoundary - now));
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  const config = {
+    rig: RIG,
+    accounts: ACCOUNTS,
+    stateFile: STATE_FILE,
+    fromBlock: FROM_BLOCK,
+    blockRange: BLOCK_RANGE,
+    confirmations: CONFIRMATIONS,
+    batchSize: BATCH_SIZE,
+    gasLimit: GAS_LIMIT,
+    maxGasPriceGwei: MAX_GAS_PRICE_GWEI,
+    dryRun: DRY_RUN,
+    log: console.log,
+  };
+  if (!RIG || !MULTICALL) throw new Error("Set RIG and MULTICALL");
+  if (ACCOUNTS.length === 0) throw new Error('Set ACCOUNTS to the opted-in donors, or "*" for every donor');
+
+  const [wallet] = await ethers.getSigners();
+  const rigContract = await ethers.getContractAt("Rig", RIG);
+  const multicallContract = await ethers.getContractAt("Multicall", MULTICALL, wallet);
+  if ((await multicallContract.rig()).toLowerCase() !== RIG.toLowerCase()) {
+    throw new Error(`Multicall ${MULTICALL} is not bound to Rig ${RIG}`);
+  }
+
+  const state = loadState(config);
+  const startTime = (await rigContract.START_TIME()).toNumber();
+  const dayDuration = (await rigContract.DAY_DURATION()).toNumber();
+
+  console.log("Keeper:       ", wallet.address);
+  console.log("Rig:          ", RIG);
+  console.log("Accounts:     ", ACCOUNTS.includes("*") ? "every donor" : ACCOUNTS.join(", "));
+  console.log("State File:   ", DRY_RUN ? `${STATE_FILE} (dry run, not written)` : STATE_FILE);
+  console.log("Resuming At:  ", `block ${state.lastBlock + 1}, ${Object.keys(state.pending).length} accounts pending`);
+
+  let stopping = false;
+  process.on("SIGINT", () => {
+    console.log("Stopping after this pass...");
+    stopping = true;
+  });
+
+  while (true) {
+    await scanDonations(rigContract, state, config);
+    await claimEndedDays(rigContract, multicallContract, state, config);
+    if (ONCE || stopping) break;
+
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const wait = getSleepSeconds(now, startTime, dayDuration, POLL_INTERVAL);
+    console.log(`Next pass in ${wait}s`);
+    for (let waited = 0; waited < wait && !stopping; waited++) {
+      await sleep(1000);
+    }
+    if (stopping) break;
+  }
+
+  saveState(state, config);
+  console.log("State saved:", Object.keys(state.pending).length, "accounts pending");
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { loadState, saveState, scanDonations, claimEndedDays, getSleepSeconds };
@@ -0,0 +1,431 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Donor statements: reads Donation, DonationSplit and Claim events from a Rig deployment and writes,
+// for every donor, a CSV and a print-ready HTML statement (open in a browser and "Save as PDF").
+//
+// Usage:
+//   RIG=0x... FROM=2025-01-01 TO=2025-12-31 npx hardhat run scripts/statements.js --network base
+//   RIG=0x... npx hardhat run scripts/statements.js --network localhost   # against `npx hardhat node`
+//
+// Donations are listed under the account the Rig credited, including donations paid through
+// Multicall, Referrals or DonationReceipts. Days are converted to dates from the Rig's START_TIME;
+// a Rig day runs for 24 hours from START_TIME + day * DAY_DURATION, which need not be midnight UTC.
+//
+// generateStatements is exported so tests can run it against a Hardhat network fixture.
+
+const SECONDS_PER_DAY = 86400;
+
+// =============================================================================
+// CONFIGURATION - UPDATE THESE OR OVERRIDE THEM WITH ENVIRONMENT VARIABLES
+// =============================================================================
+
+const RIG = process.env.RIG || ""; // TODO: Set Rig address
+
+// Statement period, inclusive, as UTC dates (YYYY-MM-DD). Donations are included by the date
+// their Rig day started; claims are included when they reward a day in the period.
+const FROM = process.env.FROM || `${new Date().getUTCFullYear() - 1}-01-01`;
+const TO = process.env.TO || `${new Date().getUTCFullYear() - 1}-12-31`;
+
+// Donors to produce statements for, comma separated; empty means every donor found in the period
+const DONORS = (process.env.DONORS || "").split(",").filter(Boolean);
+
+// Block to start scanning from (the Rig's deployment block saves time on public RPCs)
+const FROM_BLOCK = parseInt(process.env.FROM_BLOCK || "0");
+
+// Blocks per eth_getLogs request; lower it if the RPC rejects wide ranges
+const BLOCK_RANGE = parseInt(process.env.BLOCK_RANGE || "10000");
+
+const OUTPUT_DIR = process.env.OUTPUT_DIR || "statements";
+
+// Organisation shown in the statement header
+const ISSUER = process.env.ISSUER || "DoughNation";
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const ERC20_METADATA = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+// Format a raw token amount with its decimals, dropping a trailing ".0"
+const formatAmount = (amount, decimals) => ethers.utils.formatUnits(amount, decimals).replace(/\.0$/, "");
+
+const toDate = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+const parseDate = (date) => {
+  const timestamp = Date.parse(`${date}T00:00:00Z`);
+  if (Number.isNaN(timestamp)) throw new Error(`Invalid date: ${date} (expected YYYY-MM-DD)`);
+  return timestamp / 1000;
+};
+
+const csvCell = (value) => {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Token symbol and decimals, read once per token so 6- and 18-decimal tokens format correctly
+let tokenCache = {};
+async function getToken(address) {
+  if (!tokenCache[address]) {
+    const token = await ethers.getContractAt(ERC20_METADATA, address);
+    tokenCache[address] = { address, symbol: await token.symbol(), decimals: await token.decimals() };
+  }
+  return tokenCache[address];
+}
+
+let charityCache = {};
+async function getCharityName(rigContract, charity) {
+  if (charityCache[charity] === undefined) {
+    charityCache[charity] = (await rigContract.getCharity(charity)).name;
+  }
+  return charityCache[charity];
+}
+
+let blockCache = {};
+async function getBlockTimestamp(blockNumber) {
+  if (!blockCache[blockNumber]) {
+    blockCache[blockNumber] = (await ethers.provider.getBlock(blockNumber)).timestamp;
+  }
+  return blockCache[blockNumber];
+}
+
+// Fetch logs for a filter in blockRange chunks
+async function queryLogs(rigContract, filter, fromBlock, toBlock, blockRange) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = Math.min(start + blockRange - 1, toBlock);
+    events.push(...(await rigContract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+// =============================================================================
+// COLLECT EVENTS
+// =============================================================================
+
+async function collectStatements(rigContract, fromDay, toDay, config) {
+  const { fromBlock, blockRange } = config;
+  const latestBlock = await ethers.provider.getBlockNumber();
+  const donorFilter = config.donors.length > 0 ? config.donors : null;
+
+  config.log(`Scanning blocks ${fromBlock}-${latestBlock} for days ${fromDay}-${toDay}...`);
+  const donationFilter = rigContract.filters.Donation(donorFilter);
+  const donations = await queryLogs(rigContract, donationFilter, fromBlock, latestBlock, blockRange);
+  const splits = await queryLogs(rigContract, rigContract.filters.DonationSplit(), fromBlock, latestBlock, blockRange);
+  const claims = await queryLogs(rigContract, rigContract.filters.Claim(donorFilter), fromBlock, latestBlock, blockRange);
+
+  // The Rig emits DonationSplit right after each Donation in the same transaction
+  const splitByLog = {};
+  for (const split of splits) {
+    splitByLog[`${split.transactionHash}:${split.logIndex}`] = split;
+  }
+
+  const donors = {};
+  const getDonor = (address) => {
+    if (!donors[address]) donors[address] = { address, donations: [], claims: [] };
+    return donors[address];
+  };
+
+  for (const event of donations) {
+    const day = event.args.day.toNumber();
+    if (day < fromDay || day > toDay) continue;
+
+    const split = splitByLog[`${event.transactionHash}:${event.logIndex + 1}`];
+    if (!split) throw new Error(`No DonationSplit found for donation in ${event.transactionHash}`);
+    const token = await getToken(split.args.token);
+    const { charityAmount, treasuryAmount, teamAmount } = split.args;
+
+    getDonor(event.args.user).donations.push({
+      day,
+      timestamp: await getBlockTimestamp(event.blockNumber),
+      charity: event.args.charity,
+      charityName: await getCharityName(rigContract, event.args.charity),
+      token,
+      amount: charityAmount.add(treasuryAmount).add(teamAmount),
+      charityAmount,
+      treasuryAmount,
+      teamAmount,
+      value: event.args.amount,
+      txHash: event.transactionHash,
+    });
+  }
+
+  for (const event of claims) {
+    const day = event.args.day.toNumber();
+    if (day < fromDay || day > toDay) continue;
+
+    getDonor(event.args.user).claims.push({
+      day,
+      timestamp: await getBlockTimestamp(event.blockNumber),
+      amount: event.args.amount,
+      txHash: event.transactionHash,
+    });
+  }
+
+  return Object.values(donors);
+}
+
+// =============================================================================
+// SUMMARIES
+// =============================================================================
+
+// Totals per charity and token; amounts in different tokens are never added together
+function summarize(donor, paymentToken, unit) {
+  const byCharity = {};
+  let totalValue = ethers.constants.Zero;
+  for (const donation of donor.donations) {
+    const key = `${donation.charity}:${donation.token.address}`;
+    if (!byCharity[key]) {
+      byCharity[key] = {
+        charity: donation.charity,
+        charityName: donation.charityName,
+        token: donation.token,
+        amount: ethers.constants.Zero,
+        charityAmount: ethers.constants.Zero,
+        count: 0,
+      };
+    }
+    byCharity[key].amount = byCharity[key].amount.add(donation.amount);
+    byCharity[key].charityAmount = byCharity[key].charityAmount.add(donation.charityAmount);
+    byCharity[key].count++;
+    totalValue = totalValue.add(donation.value);
+  }
+
+  const totalClaimed = donor.claims.reduce((sum, claim) => sum.add(claim.amount), ethers.constants.Zero);
+  return {
+    charities: Object.values(byCharity),
+    totalValue: formatAmount(totalValue, paymentToken.decimals),
+    totalClaimed: formatAmount(totalClaimed, unit.decimals),
+  };
+}
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+function buildCsv(donor, dayToDate, paymentToken, unit) {
+  const header = [
+    "Type",
+    "Date",
+    "Day",
+    "Charity",
+    "Charity Name",
+    "Token",
+    "Amount",
+    "Charity Share",
+    "Treasury Share",
+    "Team Share",
+    `Value (${paymentToken.symbol})`,
+    `${unit.symbol} Claimed`,
+    "Transaction Date",
+    "Transaction",
+  ];
+  const rows = [header];
+
+  for (const d of donor.donations) {
+    const decimals = d.token.decimals;
+    rows.push([
+      "Donation",
+      dayToDate(d.day),
+      d.day,
+      d.charity,
+      d.charityName,
+      d.token.symbol,
+      formatAmount(d.amount, decimals),
+      formatAmount(d.charityAmount, decimals),
+      formatAmount(d.treasuryAmount, decimals),
+      formatAmount(d.teamAmount, decimals),
+      formatAmount(d.value, paymentToken.decimals),
+      "",
+      toDate(d.timestamp),
+      d.txHash,
+    ]);
+  }
+  for (const c of donor.claims) {
+    rows.push([
+      "Claim",
+      dayToDate(c.day),
+      c.day,
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      formatAmount(c.amount, unit.decimals),
+      toDate(c.timestamp),
+      c.txHash,
+    ]);
+  }
+
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function buildHtml(donor, dayToDate, paymentToken, unit, summary, config) {
+  const { issuer, from, to } = config;
+  const donationRows = donor.donations
+    .map((d) => {
+      const decimals = d.token.decimals;
+      return `<tr><td>${dayToDate(d.day)}</td><td>${escapeHtml(d.charityName || d.charity)}</td>` +
+        `<td class="num">${formatAmount(d.amount, decimals)} ${escapeHtml(d.token.symbol)}</td>` +
+        `<td class="num">${formatAmount(d.charityAmount, decimals)}</td>` +
+        `<td class="num">${formatAmount(d.treasuryAmount, decimals)}</td>` +
+        `<td class="num">${formatAmount(d.teamAmount, decimals)}</td>` +
+        `<td class="num">${formatAmount(d.value, paymentToken.decimals)}</td>` +
+        `<td class="tx">${d.txHash}</td></tr>`;
+    })
+    .join("\n");
+
+  const charityRows = summary.charities
+    .map(
+      (c) =>
+        `<tr><td>${escapeHtml(c.charityName || c.charity)}<br><span class="tx">${c.charity}</span></td>` +
+        `<td class="num">${c.count}</td>` +
+        `<td class="num">${formatAmount(c.amount, c.token.decimals)} ${escapeHtml(c.token.symbol)}</td>` +
+        `<td class="num">${formatAmount(c.charityAmount, c.token.decimals)} ${escapeHtml(c.token.symbol)}</td></tr>`
+    )
+    .join("\n");
+
+  const claimRows = donor.claims
+    .map(
+      (c) =>
+        `<tr><td>${dayToDate(c.day)}</td><td>${toDate(c.timestamp)}</td>` +
+        `<td class="num">${formatAmount(c.amount, unit.decimals)}</td><td class="tx">${c.txHash}</td></tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(issuer)} donation statement ${from} to ${to}</title>
+<style>
+  @page { size: A4; margin: 16mm; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 11px; color: #222; }
+  h1 { font-size: 18px; margin-bottom: 4px; }
+  h2 { font-size: 13px; margin-top: 24px; border-bottom: 1px solid #999; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }
+  tr { page-break-inside: avoid; }
+  .num { text-align: right; white-space: nowrap; }
+  .tx { font-family: monospace; font-size: 9px; word-break: break-all; color: #666; }
+  .note { color: #666; margin-top: 24px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(issuer)} donation statement</h1>
+<p>Donor: <span class="tx">${donor.address}</span><br>
+Period: ${from} to ${to}<br>
+Total donated: ${summary.totalValue} ${escapeHtml(paymentToken.symbol)} (credited value)<br>
+Total ${escapeHtml(unit.symbol)} claimed for the period: ${summary.totalClaimed}</p>
+
+<h2>Summary by charity</h2>
+<table>
+<tr><th>Charity</th><th class="num">Donations</th><th class="num">Donated</th><th class="num">Received by charity</th></tr>
+${charityRows}
+</table>
+
+<h2>Donations</h2>
+<table>
+<tr><th>Date</th><th>Charity</th><th class="num">Amount</th><th class="num">Charity</th><th class="num">Treasury</th><th class="num">Team</th><th class="num">Value (${escapeHtml(paymentToken.symbol)})</th><th>Transaction</th></tr>
+${donationRows}
+</table>
+
+<h2>${escapeHtml(unit.symbol)} claimed</h2>
+<table>
+<tr><th>For day of</th><th>Claimed on</th><th class="num">${escapeHtml(unit.symbol)}</th><th>Transaction</th></tr>
+${claimRows || '<tr><td colspan="4">None</td></tr>'}
+</table>
+
+<p class="note">Dates are the UTC date each Rig day started. Only the charity share went to the charity;
+the treasury and team shares fund the protocol. ${escapeHtml(unit.symbol)} was received in return for donating.
+Generated ${new Date().toISOString()} from on-chain events of Rig ${config.rig}.</p>
+</body>
+</html>
+`;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+// Write a CSV and HTML statement per donor; returns the donors written with their summaries
+async function generateStatements(config) {
+  const { rig, from, to, outputDir, log } = config;
+  if (!rig) throw new Error("Set RIG to the Rig address");
+  tokenCache = {};
+  charityCache = {};
+  blockCache = {};
+
+  const rigContract = await ethers.getContractAt("Rig", rig);
+  const startTime = (await rigContract.START_TIME()).toNumber();
+  const dayDuration = (await rigContract.DAY_DURATION()).toNumber();
+  const paymentToken = await getToken(await rigContract.paymentToken());
+  const unit = await getToken(await rigContract.unit());
+  const dayToDate = (day) => toDate(startTime + day * dayDuration);
+
+  // Days whose start falls within the period
+  const fromTime = parseDate(from);
+  const toTime = parseDate(to) + SECONDS_PER_DAY;
+  const fromDay = Math.max(0, Math.ceil((fromTime - startTime) / dayDuration));
+  const toDay = Math.ceil((toTime - startTime) / dayDuration) - 1;
+  if (toDay < fromDay) throw new Error(`No Rig days start between ${from} and ${to}`);
+
+  log("Rig:          ", rig);
+  log("Start Time:   ", new Date(startTime * 1000).toISOString());
+  log("Payment Token:", `${paymentToken.symbol} (${paymentToken.decimals} decimals)`);
+
+  const donors = await collectStatements(rigContract, fromDay, toDay, config);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const written = [];
+  for (const donor of donors) {
+    if (donor.donations.length === 0 && donor.claims.length === 0) continue;
+    const summary = summarize(donor, paymentToken, unit);
+    const baseName = path.join(outputDir, `statement-${donor.address}-${from}-${to}`);
+    fs.writeFileSync(`${baseName}.csv`, buildCsv(donor, dayToDate, paymentToken, unit));
+    fs.writeFileSync(`${baseName}.html`, buildHtml(donor, dayToDate, paymentToken, unit, summary, config));
+    log(
+      `${donor.address}: ${donor.donations.length} donations, ${summary.totalValue} ${paymentToken.symbol}, ` +
+        `${summary.totalClaimed} ${unit.symbol} claimed`
+    );
+    written.push({ address: donor.address, baseName, summary });
+  }
+  log(`Wrote ${written.length} statements to ${outputDir}/`);
+  return written;
+}
+
+async function main() {
+  await generateStatements({
+    rig: RIG,
+    from: FROM,
+    to: TO,
+    donors: DONORS,
+    fromBlock: FROM_BLOCK,
+    blockRange: BLOCK_RANGE,
+    outputDir: OUTPUT_DIR,
+    issuer: ISSUER,
+    log: console.log,
+  });
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { generateStatements };
@@ -5,6 +5,19 @@ const { ethers, network } = require("hardhat");
 
 const AddressZero = "0x0000000000000000000000000000000000000000";
 
+// Rig roles
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+const CURATOR_ROLE = ethers.utils.id("CURATOR_ROLE");
+const TREASURY_MANAGER_ROLE = ethers.utils.id("TREASURY_MANAGER_ROLE");
+const PAUSER_ROLE = ethers.utils.id("PAUSER_ROLE");
+const missingRole = (signer, role) => `Rig__MissingRole("${role}", "${signer.address}")`;
+
+// Default emission: 345,600 DOUGH/day halving every 30 days to an 864 DOUGH/day floor
+async function deployHalvingSchedule() {
+  const scheduleArtifact = await ethers.getContractFactory("HalvingSchedule");
+  return scheduleArtifact.deploy(INITIAL_EMISSION, MIN_EMISSION, 30);
+}
+
 let owner, charity, charity2, treasury, team, user0, user1, user2;
 let paymentToken, unitToken, rig;
 
@@ -23,6 +36,7 @@ const ONE_DAY = 86400;
 const THIRTY_DAYS = ONE_DAY * 30;
 const INITIAL_EMISSION = ethers.utils.parseUnits("345600", 18);
 const MIN_EMISSION = ethers.utils.parseUnits("864", 18);
+const MAX_SUPPLY = ethers.utils.parseUnits("1000000000", 18);
 
 describe("DoughNation Tests", function () {
   before("Initial set up", async function () {
@@ -38,7 +52,7 @@ describe("DoughNation Tests", function () {
 
     // Deploy Unit token
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
     console.log("- Unit Token Initialized");
 
     // Deploy Rig (no charity in constructor - charities are whitelisted separately)
@@ -47,7 +61,9 @@ describe("DoughNation Tests", function () {
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
     console.log("- Rig Initialized");
 
@@ -102,9 +118,10 @@ describe("DoughNation Tests", function () {
     });
 
     it("Should have correct constants", async function () {
-      expect(await rig.INITIAL_EMISSION()).to.equal(INITIAL_EMISSION);
-      expect(await rig.MIN_EMISSION()).to.equal(MIN_EMISSION);
-      expect(await rig.HALVING_PERIOD()).to.equal(THIRTY_DAYS);
+      const schedule = await ethers.getContractAt("HalvingSchedule", await rig.emissionSchedule());
+      expect(await schedule.initialEmission()).to.equal(INITIAL_EMISSION);
+      expect(await schedule.minEmission()).to.equal(MIN_EMISSION);
+      expect(await schedule.halvingPeriod()).to.equal(30);
       expect(await rig.CHARITY_BPS()).to.equal(5000);
       expect(await rig.TREASURY_BPS()).to.equal(4500);
       expect(await rig.TEAM_BPS()).to.equal(500);
@@ -151,13 +168,13 @@ describe("DoughNation Tests", function () {
     it("Should prevent non-owner from updating addresses", async function () {
       await expect(
         rig.connect(user0).setTreasuryAddress(user0.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(user0, TREASURY_MANAGER_ROLE));
     });
 
     it("Should prevent non-owner from adding charity", async function () {
       await expect(
         rig.connect(user0).addCharity(user0.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(user0, CURATOR_ROLE));
     });
 
     it("Should prevent setting zero address for treasury", async function () {
@@ -575,14 +592,16 @@ describe("Thorough Edge Case Tests", function () {
     paymentToken = await mockWethArtifact.deploy();
 
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
 
     const rigArtifact = await ethers.getContractFactory("Rig");
     rig = await rigArtifact.deploy(
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -851,14 +870,16 @@ describe("Stress & Security Tests", function () {
     paymentToken = await mockWethArtifact.deploy();
 
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
 
     const rigArtifact = await ethers.getContractFactory("Rig");
     rig = await rigArtifact.deploy(
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -872,48 +893,54 @@ describe("Stress & Security Tests", function () {
   });
 
   describe("Ownership Tests", function () {
-    it("Should transfer ownership correctly", async function () {
-      expect(await rig.owner()).to.equal(owner.address);
+    it("Should transfer a role correctly", async function () {
+      expect(await rig.hasRole(CURATOR_ROLE, owner.address)).to.equal(true);
 
-      await rig.connect(owner).transferOwnership(users[0].address);
-      expect(await rig.owner()).to.equal(users[0].address);
+      await rig.connect(owner).grantRole(CURATOR_ROLE, users[0].address);
+      await rig.connect(owner).renounceRole(CURATOR_ROLE, owner.address);
+      expect(await rig.hasRole(CURATOR_ROLE, users[0].address)).to.equal(true);
 
-      // Old owner can't call admin functions
+      // Old curator can't call curator functions
       await expect(
         rig.connect(owner).addCharity(users[1].address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(owner, CURATOR_ROLE));
 
-      // New owner can
+      // New curator can
       await rig.connect(users[0]).addCharity(users[1].address);
       expect(await rig.account_IsCharity(users[1].address)).to.equal(true);
 
       // Transfer back
-      await rig.connect(users[0]).transferOwnership(owner.address);
+      await rig.connect(owner).grantRole(CURATOR_ROLE, owner.address);
+      await rig.connect(owner).revokeRole(CURATOR_ROLE, users[0].address);
     });
 
-    it("Should allow owner to renounce ownership", async function () {
+    it("Should allow admin to renounce every role", async function () {
       // Deploy fresh rig for this test
       const rigArtifact = await ethers.getContractFactory("Rig");
       const tempRig = await rigArtifact.deploy(
         paymentToken.address,
         unitToken.address,
         treasury.address,
-        team.address
+        team.address,
+        paymentToken.address,
+        (await deployHalvingSchedule()).address
       );
 
-      await tempRig.connect(owner).renounceOwnership();
-      expect(await tempRig.owner()).to.equal(AddressZero);
+      for (const role of [CURATOR_ROLE, TREASURY_MANAGER_ROLE, PAUSER_ROLE, DEFAULT_ADMIN_ROLE]) {
+        await tempRig.connect(owner).renounceRole(role, owner.address);
+        expect(await tempRig.getRoleMemberCount(role)).to.equal(0);
+      }
 
       // No one can call admin functions now
       await expect(
         tempRig.connect(owner).addCharity(users[1].address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(owner, CURATOR_ROLE));
     });
   });
 
   describe("Halving Boundary Tests", function () {
     it("Should have exact emission at halving boundaries", async function () {
-      const initial = await rig.INITIAL_EMISSION();
+      const initial = INITIAL_EMISSION;
 
       // Day 29 (last day of period 1)
       expect(await rig.getDayEmission(29)).to.equal(initial);
@@ -933,8 +960,8 @@ describe("Stress & Security Tests", function () {
     });
 
     it("Should reach minimum emission floor correctly", async function () {
-      const initial = await rig.INITIAL_EMISSION();
-      const min = await rig.MIN_EMISSION();
+      const initial = INITIAL_EMISSION;
+      const min = MIN_EMISSION;
 
       // Calculate when we hit the floor
       // 345600 >> 9 = 675, which is below 864
@@ -976,7 +1003,9 @@ describe("Stress & Security Tests", function () {
         paymentToken.address,
         unitToken.address,
         treasury.address,
-        team.address
+        team.address,
+        paymentToken.address,
+        (await deployHalvingSchedule()).address
       );
       await freshRig.addCharity(charity.address);
 
@@ -1223,14 +1252,16 @@ describe("Business Logic Verification", function () {
     paymentToken = await mockWethArtifact.deploy();
 
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
 
     const rigArtifact = await ethers.getContractFactory("Rig");
     rig = await rigArtifact.deploy(
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -1411,7 +1442,7 @@ describe("Business Logic Verification", function () {
 
   describe("Halving Schedule Verification", function () {
     it("Should follow exact halving schedule", async function () {
-      const initial = await rig.INITIAL_EMISSION();
+      const initial = INITIAL_EMISSION;
 
       // Period 1: Days 0-29
       for (let d = 0; d < 30; d++) {
@@ -1435,7 +1466,7 @@ describe("Business Logic Verification", function () {
     });
 
     it("Should never go below MIN_EMISSION", async function () {
-      const min = await rig.MIN_EMISSION();
+      const min = MIN_EMISSION;
 
       // Test very far in the future
       const farFutureDays = [300, 500, 1000, 5000, 10000, 100000];
@@ -1445,7 +1476,7 @@ describe("Business Logic Verification", function () {
     });
 
     it("Should correctly transition at halving boundary with actual time", async function () {
-      const initial = await rig.INITIAL_EMISSION();
+      const initial = INITIAL_EMISSION;
 
       // Get current day's emission
       let day = await rig.currentDay();
@@ -1866,14 +1897,16 @@ describe("Multicall-Friendly Operations", function () {
     paymentToken = await mockWethArtifact.deploy();
 
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
 
     const rigArtifact = await ethers.getContractFactory("Rig");
     rig = await rigArtifact.deploy(
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -2102,14 +2135,44 @@ describe("Constructor Validation Tests", function () {
         AddressZero,
         (await ethers.getSigners())[0].address,
         (await ethers.getSigners())[1].address,
-        (await ethers.getSigners())[2].address
+        (await ethers.getSigners())[2].address,
+        (await ethers.getSigners())[3].address,
+        (await ethers.getSigners())[4].address
       )
     ).to.be.reverted;
   });
 
+  it("Should revert Rig with zero WETH", async function () {
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    await expect(
+      rigArtifact.deploy(
+        (await ethers.getSigners())[0].address,
+        (await ethers.getSigners())[1].address,
+        (await ethers.getSigners())[2].address,
+        (await ethers.getSigners())[3].address,
+        AddressZero,
+        (await ethers.getSigners())[4].address
+      )
+    ).to.be.revertedWith("Rig__InvalidAddress");
+  });
+
+  it("Should revert Rig with zero emission schedule", async function () {
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    await expect(
+      rigArtifact.deploy(
+        (await ethers.getSigners())[0].address,
+        (await ethers.getSigners())[1].address,
+        (await ethers.getSigners())[2].address,
+        (await ethers.getSigners())[3].address,
+        (await ethers.getSigners())[4].address,
+        AddressZero
+      )
+    ).to.be.revertedWith("Rig__InvalidAddress");
+  });
+
   it("Should revert Unit with zero rig", async function () {
     const unitArtifact = await ethers.getContractFactory("Unit");
-    const unitToken = await unitArtifact.deploy();
+    const unitToken = await unitArtifact.deploy(MAX_SUPPLY);
     await expect(
       unitToken.setRig(AddressZero)
     ).to.be.reverted;
@@ -2137,14 +2200,16 @@ describe("DOUGH Exploit Attempts", function () {
     paymentToken = await mockWethArtifact.deploy();
 
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
 
     const rigArtifact = await ethers.getContractFactory("Rig");
     rig = await rigArtifact.deploy(
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -2477,7 +2542,7 @@ describe("DOUGH Exploit Attempts", function () {
       // Attacker tries to whitelist themselves
       await expect(
         rig.connect(attacker).addCharity(attacker.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(attacker, CURATOR_ROLE));
 
       console.log("✓ Non-owner cannot add charity");
     });
@@ -2485,7 +2550,7 @@ describe("DOUGH Exploit Attempts", function () {
     it("EXPLOIT: Try to set treasury to self and steal fees", async function () {
       await expect(
         rig.connect(attacker).setTreasuryAddress(attacker.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(attacker, TREASURY_MANAGER_ROLE));
 
       console.log("✓ Non-owner cannot change treasury");
     });
@@ -2493,17 +2558,17 @@ describe("DOUGH Exploit Attempts", function () {
     it("EXPLOIT: Try to set team address to self", async function () {
       await expect(
         rig.connect(attacker).setTeamAddress(attacker.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+      ).to.be.revertedWith(missingRole(attacker, TREASURY_MANAGER_ROLE));
 
       console.log("✓ Non-owner cannot change team address");
     });
 
-    it("EXPLOIT: Try to transfer ownership", async function () {
+    it("EXPLOIT: Try to grant self the admin role", async function () {
       await expect(
-        rig.connect(attacker).transferOwnership(attacker.address)
-      ).to.be.revertedWith("Ownable: caller is not the owner");
+        rig.connect(attacker).grantRole(DEFAULT_ADMIN_ROLE, attacker.address)
+      ).to.be.revertedWith(missingRole(attacker, DEFAULT_ADMIN_ROLE));
 
-      console.log("✓ Non-owner cannot transfer ownership");
+      console.log("✓ Non-admin cannot grant roles");
     });
   });
 
@@ -2701,7 +2766,7 @@ describe("DOUGH Exploit Attempts", function () {
 });
 
 describe("USDC (6 Decimal Token) Tests", function () {
-  let usdc, unitToken, rig;
+  let usdc, weth, unitToken, rig;
   let owner, charity, charity2, treasury, team;
   let users = [];
 
@@ -2719,7 +2784,11 @@ describe("USDC (6 Decimal Token) Tests", function () {
 
     // Deploy Unit token (18 decimals - DOUGH)
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    // Deploy MockWETH for native ETH donations
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await mockWethArtifact.deploy();
 
     // Deploy Rig with USDC as payment token
     const rigArtifact = await ethers.getContractFactory("Rig");
@@ -2727,7 +2796,9 @@ describe("USDC (6 Decimal Token) Tests", function () {
       usdc.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -3120,7 +3191,7 @@ describe("Multicall Contract Tests", function () {
 
     // Deploy Unit token (DOUGH)
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
 
     // Deploy mock DONUT token
     donutToken = await mockWethArtifact.deploy();
@@ -3135,7 +3206,9 @@ describe("Multicall Contract Tests", function () {
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -3316,6 +3389,15 @@ describe("Multicall Contract Tests", function () {
       console.log("  Unit price:", divDec(state.unitPrice), "DONUT per DOUGH");
     });
 
+    it("getRigState should return the user's DOUGH votes, delegate and permit nonce", async function () {
+      await unitToken.connect(user1).delegate(user1.address);
+      const state = await multicall.getRigState(user1.address);
+
+      expect(state.unitDelegate).to.equal(user1.address);
+      expect(state.unitVotes).to.equal(await unitToken.balanceOf(user1.address));
+      expect(state.unitNonce).to.equal(await unitToken.nonces(user1.address));
+    });
+
     it("getClaimableDays should return pending claims", async function () {
       // Donate on current day
       const day = await rig.currentDay();
@@ -3820,14 +3902,16 @@ describe("Multicall View Function Edge Cases", function () {
     donutToken = await mockWethArtifact.deploy();
 
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
 
     const rigArtifact = await ethers.getContractFactory("Rig");
     rig = await rigArtifact.deploy(
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -4088,14 +4172,16 @@ describe("Multicall Integration Tests", function () {
     donutToken = await mockWethArtifact.deploy();
 
     const unitArtifact = await ethers.getContractFactory("Unit");
-    unitToken = await unitArtifact.deploy();
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
 
     const rigArtifact = await ethers.getContractFactory("Rig");
     rig = await rigArtifact.deploy(
       paymentToken.address,
       unitToken.address,
       treasury.address,
-      team.address
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
     );
 
     await rig.addCharity(charity.address);
@@ -4249,3 +4335,4965 @@ describe("Multicall Integration Tests", function () {
     });
   });
 });
+
+describe("Multi-Token Donation Tests", function () {
+  let usdc, weth, dai, unitToken, rig, priceSource, multicall;
+  let owner, charity, treasury, team, user1, user2;
+
+  const toUSDC = (amount) => ethers.utils.parseUnits(amount.toString(), 6);
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2] = await ethers.getSigners();
+
+    // USDC is the accounting token, WETH and DAI are valued through the price source
+    const mockUsdcArtifact = await ethers.getContractFactory("MockUSDC");
+    usdc = await mockUsdcArtifact.deploy();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await mockWethArtifact.deploy();
+    dai = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    // 1 WETH = 2,000 USDC, 1 DAI = 1 USDC (prices in USDC base units per 1e18)
+    const priceSourceArtifact = await ethers.getContractFactory("MockPriceSource");
+    priceSource = await priceSourceArtifact.deploy();
+    await priceSource.setPrice(weth.address, toUSDC("2000"));
+    await priceSource.setPrice(dai.address, toUSDC("1"));
+
+    await rig.addPaymentToken(weth.address, priceSource.address);
+    await rig.addPaymentToken(dai.address, priceSource.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    for (const user of [user1, user2]) {
+      await usdc.mint(user.address, toUSDC("10000"));
+      await weth.connect(user).deposit({ value: convert("10") });
+      await dai.connect(user).deposit({ value: convert("1000") });
+      for (const token of [usdc, weth, dai]) {
+        await token.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+        await token.connect(user).approve(multicall.address, ethers.constants.MaxUint256);
+      }
+    }
+  });
+
+  describe("Payment Token Whitelist", function () {
+    it("Should accept the accounting token by default", async function () {
+      expect(await rig.token_IsPaymentToken(usdc.address)).to.equal(true);
+      expect(await rig.token_PriceSource(usdc.address)).to.equal(AddressZero);
+      expect(await rig.getDonationValue(usdc.address, toUSDC("5"))).to.equal(toUSDC("5"));
+    });
+
+    it("Should store price sources for added tokens", async function () {
+      expect(await rig.token_IsPaymentToken(weth.address)).to.equal(true);
+      expect(await rig.token_PriceSource(weth.address)).to.equal(priceSource.address);
+      expect(await rig.getDonationValue(weth.address, convert("1"))).to.equal(toUSDC("2000"));
+    });
+
+    it("Should emit events when adding and removing tokens", async function () {
+      const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+      const other = await mockWethArtifact.deploy();
+
+      await expect(rig.addPaymentToken(other.address, priceSource.address))
+        .to.emit(rig, "PaymentTokenAdded")
+        .withArgs(other.address, priceSource.address);
+      await expect(rig.removePaymentToken(other.address))
+        .to.emit(rig, "PaymentTokenRemoved")
+        .withArgs(other.address);
+
+      expect(await rig.token_IsPaymentToken(other.address)).to.equal(false);
+      expect(await rig.token_PriceSource(other.address)).to.equal(AddressZero);
+    });
+
+    it("Should require a price source for non-accounting tokens", async function () {
+      await expect(
+        rig.addPaymentToken(dai.address, AddressZero)
+      ).to.be.revertedWith("Rig__InvalidAddress");
+      await expect(
+        rig.addPaymentToken(AddressZero, priceSource.address)
+      ).to.be.revertedWith("Rig__InvalidAddress");
+    });
+
+    it("Should prevent non-owner from managing payment tokens", async function () {
+      await expect(
+        rig.connect(user1).addPaymentToken(user1.address, priceSource.address)
+      ).to.be.revertedWith(missingRole(user1, DEFAULT_ADMIN_ROLE));
+      await expect(
+        rig.connect(user1).removePaymentToken(weth.address)
+      ).to.be.revertedWith(missingRole(user1, DEFAULT_ADMIN_ROLE));
+    });
+  });
+
+  describe("Donating Whitelisted Tokens", function () {
+    it("Should split WETH donations in WETH and credit USDC value", async function () {
+      const day = await rig.currentDay();
+      const charityBefore = await weth.balanceOf(charity.address);
+      const treasuryBefore = await weth.balanceOf(treasury.address);
+      const teamBefore = await weth.balanceOf(team.address);
+
+      await expect(rig.connect(user1).donateToken(user1.address, charity.address, weth.address, convert("1")))
+        .to.emit(rig, "TokenDonation")
+        .withArgs(user1.address, charity.address, weth.address, convert("1"), toUSDC("2000"), day);
+
+      expect((await weth.balanceOf(charity.address)).sub(charityBefore)).to.equal(convert("0.5"));
+      expect((await weth.balanceOf(treasury.address)).sub(treasuryBefore)).to.equal(convert("0.45"));
+      expect((await weth.balanceOf(team.address)).sub(teamBefore)).to.equal(convert("0.05"));
+      expect(await weth.balanceOf(rig.address)).to.equal(0);
+
+      expect(await rig.getUserDonation(day, user1.address)).to.equal(toUSDC("2000"));
+      expect(await rig.getDayTotal(day)).to.equal(toUSDC("2000"));
+    });
+
+    it("Should emit Donation with the credited value", async function () {
+      const day = await rig.currentDay();
+      await expect(rig.connect(user2).donateToken(user2.address, charity.address, dai.address, convert("500")))
+        .to.emit(rig, "Donation")
+        .withArgs(user2.address, charity.address, toUSDC("500"), day);
+    });
+
+    it("Should keep accounting token donations 1:1 without TokenDonation", async function () {
+      const day = await rig.currentDay();
+      const before = await rig.getUserDonation(day, user2.address);
+
+      await expect(rig.connect(user2).donate(user2.address, charity.address, toUSDC("1500")))
+        .to.not.emit(rig, "TokenDonation");
+
+      expect((await rig.getUserDonation(day, user2.address)).sub(before)).to.equal(toUSDC("1500"));
+    });
+
+    it("Should share DOUGH by value across tokens", async function () {
+      const day = await rig.currentDay();
+      await increaseTime(ONE_DAY + 1);
+
+      // user1: 1 WETH = 2,000 USDC, user2: 500 DAI + 1,500 USDC = 2,000 USDC
+      const pending1 = await rig.getPendingReward(day, user1.address);
+      const pending2 = await rig.getPendingReward(day, user2.address);
+      expect(pending1).to.equal(pending2);
+      expect(pending1).to.equal((await rig.getDayEmission(day)).div(2));
+    });
+
+    it("Should revert for tokens that are not whitelisted", async function () {
+      const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+      const other = await mockWethArtifact.deploy();
+      await other.connect(user1).deposit({ value: convert("1") });
+      await other.connect(user1).approve(rig.address, convert("1"));
+
+      await expect(
+        rig.connect(user1).donateToken(user1.address, charity.address, other.address, convert("1"))
+      ).to.be.revertedWith("Rig__NotPaymentToken");
+    });
+
+    it("Should revert when the donation is worth nothing", async function () {
+      // 1 wei of DAI is worth less than one USDC base unit
+      await expect(
+        rig.connect(user1).donateToken(user1.address, charity.address, dai.address, 1)
+      ).to.be.revertedWith("Rig__ZeroAmount");
+    });
+
+    it("Should revert after a token is removed", async function () {
+      await rig.removePaymentToken(dai.address);
+      await expect(
+        rig.connect(user1).donateToken(user1.address, charity.address, dai.address, convert("1"))
+      ).to.be.revertedWith("Rig__NotPaymentToken");
+      await rig.addPaymentToken(dai.address, priceSource.address);
+    });
+  });
+
+  describe("Multi-Token via Multicall", function () {
+    it("Should donate whitelisted tokens through Multicall", async function () {
+      const day = await rig.currentDay();
+      const before = await rig.getUserDonation(day, user1.address);
+
+      await multicall.connect(user1).donateToken(user1.address, charity.address, weth.address, convert("0.5"));
+
+      expect((await rig.getUserDonation(day, user1.address)).sub(before)).to.equal(toUSDC("1000"));
+      expect(await weth.balanceOf(multicall.address)).to.equal(0);
+    });
+
+    it("Should report payment token state", async function () {
+      const state = await multicall.getPaymentTokenState(weth.address, user1.address);
+      expect(state.token).to.equal(weth.address);
+      expect(state.isPaymentToken).to.equal(true);
+      expect(state.priceSource).to.equal(priceSource.address);
+      expect(state.decimals).to.equal(18);
+      expect(state.unitValue).to.equal(toUSDC("2000"));
+      expect(state.balance).to.equal(await weth.balanceOf(user1.address));
+      expect(state.allowance).to.equal(ethers.constants.MaxUint256);
+
+      const usdcState = await multicall.getPaymentTokenState(usdc.address, AddressZero);
+      expect(usdcState.decimals).to.equal(6);
+      expect(usdcState.unitValue).to.equal(toUSDC("1"));
+      expect(usdcState.balance).to.equal(0);
+    });
+  });
+});
+
+describe("Native ETH Donation Tests", function () {
+  let weth, usdc, unitToken, rig, usdcRig, multicall;
+  let owner, charity, treasury, team, user1, user2;
+
+  // Returns the ETH spent on gas by a transaction
+  async function gasCost(tx) {
+    const receipt = await tx.wait();
+    return receipt.gasUsed.mul(receipt.effectiveGasPrice);
+  }
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await mockWethArtifact.deploy();
+
+    const mockUsdcArtifact = await ethers.getContractFactory("MockUSDC");
+    usdc = await mockUsdcArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    // WETH is the accounting token
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      weth.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    // USDC is the accounting token and WETH is not whitelisted
+    usdcRig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    await usdcRig.addCharity(charity.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+  });
+
+  describe("Rig donateETH", function () {
+    it("Should store the WETH address", async function () {
+      expect(await rig.weth()).to.equal(weth.address);
+    });
+
+    it("Should wrap ETH and split it as WETH", async function () {
+      const day = await rig.currentDay();
+      const charityBefore = await weth.balanceOf(charity.address);
+      const treasuryBefore = await weth.balanceOf(treasury.address);
+      const teamBefore = await weth.balanceOf(team.address);
+
+      await expect(
+        rig.connect(user1).donateETH(user1.address, charity.address, convert("1"), { value: convert("1") })
+      )
+        .to.emit(rig, "Donation")
+        .withArgs(user1.address, charity.address, convert("1"), day);
+
+      expect((await weth.balanceOf(charity.address)).sub(charityBefore)).to.equal(convert("0.5"));
+      expect((await weth.balanceOf(treasury.address)).sub(treasuryBefore)).to.equal(convert("0.45"));
+      expect((await weth.balanceOf(team.address)).sub(teamBefore)).to.equal(convert("0.05"));
+      expect(await weth.balanceOf(rig.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(rig.address)).to.equal(0);
+      expect(await rig.getUserDonation(day, user1.address)).to.equal(convert("1"));
+    });
+
+    it("Should credit another account", async function () {
+      const day = await rig.currentDay();
+      await rig.connect(user1).donateETH(user2.address, charity.address, convert("2"), { value: convert("2") });
+      expect(await rig.getUserDonation(day, user2.address)).to.equal(convert("2"));
+    });
+
+    it("Should refund excess ETH", async function () {
+      const balanceBefore = await ethers.provider.getBalance(user1.address);
+
+      const tx = await rig.connect(user1).donateETH(user1.address, charity.address, convert("1"), {
+        value: convert("3"),
+      });
+      const cost = await gasCost(tx);
+
+      const balanceAfter = await ethers.provider.getBalance(user1.address);
+      expect(balanceBefore.sub(balanceAfter).sub(cost)).to.equal(convert("1"));
+      expect(await ethers.provider.getBalance(rig.address)).to.equal(0);
+    });
+
+    it("Should revert when msg.value is below amount", async function () {
+      await expect(
+        rig.connect(user1).donateETH(user1.address, charity.address, convert("2"), { value: convert("1") })
+      ).to.be.revertedWith("Rig__InsufficientValue");
+    });
+
+    it("Should revert zero amount and invalid charity", async function () {
+      await expect(
+        rig.connect(user1).donateETH(user1.address, charity.address, 0)
+      ).to.be.revertedWith("Rig__ZeroAmount");
+      await expect(
+        rig.connect(user1).donateETH(user1.address, user2.address, convert("1"), { value: convert("1") })
+      ).to.be.revertedWith("Rig__NotCharity");
+    });
+
+    it("Should revert when WETH is not a payment token", async function () {
+      await expect(
+        usdcRig.connect(user1).donateETH(user1.address, charity.address, convert("1"), { value: convert("1") })
+      ).to.be.revertedWith("Rig__NotPaymentToken");
+    });
+  });
+
+  describe("Multicall donateETH", function () {
+    it("Should donate ETH through Multicall and refund excess", async function () {
+      const day = await rig.currentDay();
+      const donationBefore = await rig.getUserDonation(day, user2.address);
+      const balanceBefore = await ethers.provider.getBalance(user2.address);
+
+      const tx = await multicall.connect(user2).donateETH(user2.address, charity.address, convert("1"), {
+        value: convert("1.5"),
+      });
+      const cost = await gasCost(tx);
+
+      const balanceAfter = await ethers.provider.getBalance(user2.address);
+      expect(balanceBefore.sub(balanceAfter).sub(cost)).to.equal(convert("1"));
+      expect((await rig.getUserDonation(day, user2.address)).sub(donationBefore)).to.equal(convert("1"));
+      expect(await ethers.provider.getBalance(multicall.address)).to.equal(0);
+    });
+
+    it("Should revert when msg.value is below amount", async function () {
+      await expect(
+        multicall.connect(user2).donateETH(user2.address, charity.address, convert("1"), { value: convert("0.5") })
+      ).to.be.revertedWith("Multicall__InsufficientValue");
+    });
+
+    it("Should make ETH donations claimable", async function () {
+      const day = await rig.currentDay();
+      await increaseTime(ONE_DAY + 1);
+
+      const pending = await rig.getPendingReward(day, user1.address);
+      expect(pending).to.be.gt(0);
+
+      await multicall.claim(user1.address, day);
+      expect(await unitToken.balanceOf(user1.address)).to.equal(pending);
+    });
+  });
+});
+
+describe("Permit Donation Tests", function () {
+  let usdc, weth, unitToken, rig, multicall;
+  let owner, charity, treasury, team, user1, user2;
+  let chainId;
+
+  const PERMIT2 = "0x000000000022D473030F116dDEE9F6B43aC78BA3";
+  const toUSDC = (amount) => ethers.utils.parseUnits(amount.toString(), 6);
+
+  // Sign an EIP-2612 permit for `spender`
+  async function signPermit(signer, spender, value, deadline) {
+    const nonce = await usdc.nonces(signer.address);
+    const signature = await signer._signTypedData(
+      { name: await usdc.name(), version: "1", chainId, verifyingContract: usdc.address },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      },
+      { owner: signer.address, spender, value, nonce, deadline }
+    );
+    return ethers.utils.splitSignature(signature);
+  }
+
+  // Sign a Permit2 signature transfer for `spender`
+  async function signPermit2(signer, spender, permit) {
+    return signer._signTypedData(
+      { name: "Permit2", chainId, verifyingContract: PERMIT2 },
+      {
+        PermitTransferFrom: [
+          { name: "permitted", type: "TokenPermissions" },
+          { name: "spender", type: "address" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+        TokenPermissions: [
+          { name: "token", type: "address" },
+          { name: "amount", type: "uint256" },
+        ],
+      },
+      { ...permit, spender }
+    );
+  }
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2] = await ethers.getSigners();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    const mockUsdcPermitArtifact = await ethers.getContractFactory("MockUSDCPermit");
+    usdc = await mockUsdcPermitArtifact.deploy();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    // Deploy Auction with a mock LP token so getRigState can price DOUGH
+    const lpToken = await mockWethArtifact.deploy();
+    const auctionArtifact = await ethers.getContractFactory("Auction");
+    const auction = await auctionArtifact.deploy(
+      convert("100"),
+      lpToken.address,
+      "0x000000000000000000000000000000000000dEaD",
+      86400,
+      ethers.utils.parseUnits("1.5", 18),
+      convert("10")
+    );
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, auction.address, lpToken.address);
+
+    // Place the mock Permit2 at the canonical address
+    const mockPermit2Artifact = await ethers.getContractFactory("MockPermit2");
+    const mockPermit2 = await mockPermit2Artifact.deploy();
+    await network.provider.send("hardhat_setCode", [PERMIT2, await ethers.provider.getCode(mockPermit2.address)]);
+
+    await usdc.mint(user1.address, toUSDC("10000"));
+    await usdc.mint(user2.address, toUSDC("10000"));
+  });
+
+  describe("EIP-2612 Permit", function () {
+    it("Should donate without a prior approval", async function () {
+      const day = await rig.currentDay();
+      const amount = toUSDC("100");
+      const deadline = (await getBlockTimestamp()) + 3600;
+      const { v, r, s } = await signPermit(user1, rig.address, amount, deadline);
+
+      expect(await usdc.allowance(user1.address, rig.address)).to.equal(0);
+      const charityBefore = await usdc.balanceOf(charity.address);
+
+      await rig.connect(user1).donateWithPermit(user1.address, charity.address, usdc.address, amount, deadline, v, r, s);
+
+      expect((await usdc.balanceOf(charity.address)).sub(charityBefore)).to.equal(toUSDC("50"));
+      expect(await rig.getUserDonation(day, user1.address)).to.equal(amount);
+      expect(await usdc.allowance(user1.address, rig.address)).to.equal(0);
+      expect(await usdc.nonces(user1.address)).to.equal(1);
+    });
+
+    it("Should still donate when the permit was front-run", async function () {
+      const day = await rig.currentDay();
+      const before = await rig.getUserDonation(day, user1.address);
+      const amount = toUSDC("10");
+      const deadline = (await getBlockTimestamp()) + 3600;
+      const { v, r, s } = await signPermit(user1, rig.address, amount, deadline);
+
+      // Someone else submits the permit first
+      await usdc.connect(user2).permit(user1.address, rig.address, amount, deadline, v, r, s);
+
+      await rig.connect(user1).donateWithPermit(user1.address, charity.address, usdc.address, amount, deadline, v, r, s);
+      expect((await rig.getUserDonation(day, user1.address)).sub(before)).to.equal(amount);
+    });
+
+    it("Should revert with an invalid permit and no allowance", async function () {
+      const amount = toUSDC("10");
+      const deadline = (await getBlockTimestamp()) + 3600;
+      // Signed by user2 but submitted for user1
+      const { v, r, s } = await signPermit(user2, rig.address, amount, deadline);
+
+      await expect(
+        rig.connect(user1).donateWithPermit(user1.address, charity.address, usdc.address, amount, deadline, v, r, s)
+      ).to.be.reverted;
+    });
+
+    it("Should revert with an expired permit and no allowance", async function () {
+      const amount = toUSDC("10");
+      const deadline = (await getBlockTimestamp()) - 1;
+      const { v, r, s } = await signPermit(user1, rig.address, amount, deadline);
+
+      await expect(
+        rig.connect(user1).donateWithPermit(user1.address, charity.address, usdc.address, amount, deadline, v, r, s)
+      ).to.be.reverted;
+    });
+
+    it("Should donate with a permit through Multicall", async function () {
+      const day = await rig.currentDay();
+      const before = await rig.getUserDonation(day, user2.address);
+      const amount = toUSDC("40");
+      const deadline = (await getBlockTimestamp()) + 3600;
+      const { v, r, s } = await signPermit(user2, multicall.address, amount, deadline);
+
+      await multicall
+        .connect(user2)
+        .donateWithPermit(user2.address, charity.address, usdc.address, amount, deadline, v, r, s);
+
+      expect((await rig.getUserDonation(day, user2.address)).sub(before)).to.equal(amount);
+      expect(await usdc.balanceOf(multicall.address)).to.equal(0);
+    });
+
+    it("Should expose the permit nonce in getRigState", async function () {
+      const state = await multicall.getRigState(user2.address);
+      expect(state.paymentTokenNonce).to.equal(await usdc.nonces(user2.address));
+      expect(state.paymentTokenNonce).to.equal(1);
+    });
+  });
+
+  describe("Permit2 Signature Transfer", function () {
+    before(async function () {
+      // One-time approval of Permit2
+      await usdc.connect(user1).approve(PERMIT2, ethers.constants.MaxUint256);
+    });
+
+    it("Should donate with a Permit2 signature", async function () {
+      const day = await rig.currentDay();
+      const before = await rig.getUserDonation(day, user1.address);
+      const permit = {
+        permitted: { token: usdc.address, amount: toUSDC("200") },
+        nonce: 0,
+        deadline: (await getBlockTimestamp()) + 3600,
+      };
+      const signature = await signPermit2(user1, rig.address, permit);
+      const treasuryBefore = await usdc.balanceOf(treasury.address);
+
+      await rig.connect(user1).donateWithPermit2(user1.address, charity.address, permit, signature);
+
+      expect((await rig.getUserDonation(day, user1.address)).sub(before)).to.equal(toUSDC("200"));
+      expect((await usdc.balanceOf(treasury.address)).sub(treasuryBefore)).to.equal(toUSDC("90"));
+      expect(await usdc.balanceOf(rig.address)).to.equal(0);
+    });
+
+    it("Should reject a replayed Permit2 nonce", async function () {
+      const permit = {
+        permitted: { token: usdc.address, amount: toUSDC("1") },
+        nonce: 0,
+        deadline: (await getBlockTimestamp()) + 3600,
+      };
+      const signature = await signPermit2(user1, rig.address, permit);
+
+      await expect(
+        rig.connect(user1).donateWithPermit2(user1.address, charity.address, permit, signature)
+      ).to.be.reverted;
+    });
+
+    it("Should reject a Permit2 signature from another signer", async function () {
+      const permit = {
+        permitted: { token: usdc.address, amount: toUSDC("1") },
+        nonce: 1,
+        deadline: (await getBlockTimestamp()) + 3600,
+      };
+      const signature = await signPermit2(user2, rig.address, permit);
+
+      await expect(
+        rig.connect(user1).donateWithPermit2(user1.address, charity.address, permit, signature)
+      ).to.be.reverted;
+    });
+
+    it("Should reject non-whitelisted tokens signed through Permit2", async function () {
+      await weth.connect(user1).deposit({ value: convert("1") });
+      await weth.connect(user1).approve(PERMIT2, ethers.constants.MaxUint256);
+      const permit = {
+        permitted: { token: weth.address, amount: convert("1") },
+        nonce: 2,
+        deadline: (await getBlockTimestamp()) + 3600,
+      };
+      const signature = await signPermit2(user1, rig.address, permit);
+
+      await expect(
+        rig.connect(user1).donateWithPermit2(user1.address, charity.address, permit, signature)
+      ).to.be.revertedWith("Rig__NotPaymentToken");
+    });
+  });
+});
+
+describe("Per-Charity Split Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charity, charity2, charity3, treasury, team, user1;
+
+  before(async function () {
+    [owner, charity, charity2, charity3, treasury, team, user1] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await rig.addCharity(charity2.address);
+    await rig.addCharity(charity3.address);
+    await unitToken.setRig(rig.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    await paymentToken.connect(user1).deposit({ value: convert("1000") });
+    await paymentToken.connect(user1).approve(rig.address, ethers.constants.MaxUint256);
+  });
+
+  // Donate `amount` to `target` and return what each party received
+  async function donateAndMeasure(target, amount) {
+    const before = await Promise.all([target, treasury.address, team.address].map((a) => paymentToken.balanceOf(a)));
+    await rig.connect(user1).donate(user1.address, target, amount);
+    const after = await Promise.all([target, treasury.address, team.address].map((a) => paymentToken.balanceOf(a)));
+    return after.map((balance, i) => balance.sub(before[i]));
+  }
+
+  describe("Default Profile", function () {
+    it("Should start with default bounds", async function () {
+      expect(await rig.minCharityBps()).to.equal(5000);
+      expect(await rig.maxCharityBps()).to.equal(10000);
+    });
+
+    it("Should use the 50/45/5 split for charities without a profile", async function () {
+      const split = await rig.getCharitySplit(charity.address);
+      expect(split.charityBps).to.equal(5000);
+      expect(split.treasuryBps).to.equal(4500);
+      expect(split.teamBps).to.equal(500);
+    });
+
+    it("Should emit DonationSplit with the amounts paid", async function () {
+      await expect(rig.connect(user1).donate(user1.address, charity.address, convert("100")))
+        .to.emit(rig, "DonationSplit")
+        .withArgs(charity.address, paymentToken.address, convert("50"), convert("45"), convert("5"));
+    });
+  });
+
+  describe("Custom Profiles", function () {
+    it("Should split 70% to a charity with a 70% profile", async function () {
+      await expect(rig.setCharitySplit(charity2.address, 7000))
+        .to.emit(rig, "CharitySplitSet")
+        .withArgs(charity2.address, 7000);
+
+      const split = await rig.getCharitySplit(charity2.address);
+      expect(split.charityBps).to.equal(7000);
+      expect(split.treasuryBps).to.equal(2700);
+      expect(split.teamBps).to.equal(300);
+
+      const [charityReceived, treasuryReceived, teamReceived] = await donateAndMeasure(charity2.address, convert("100"));
+      expect(charityReceived).to.equal(convert("70"));
+      expect(treasuryReceived).to.equal(convert("27"));
+      expect(teamReceived).to.equal(convert("3"));
+    });
+
+    it("Should pass 100% through to a charity with a full profile", async function () {
+      await rig.setCharitySplit(charity3.address, 10000);
+
+      const [charityReceived, treasuryReceived, teamReceived] = await donateAndMeasure(charity3.address, convert("100"));
+      expect(charityReceived).to.equal(convert("100"));
+      expect(treasuryReceived).to.equal(0);
+      expect(teamReceived).to.equal(0);
+    });
+
+    it("Should still credit the full donation regardless of profile", async function () {
+      const day = await rig.currentDay();
+      expect(await rig.getUserDonation(day, user1.address)).to.equal(convert("300"));
+    });
+
+    it("Should give the team share to treasury when team is disabled", async function () {
+      await rig.setTeamAddress(AddressZero);
+
+      const split = await rig.getCharitySplit(charity2.address);
+      expect(split.treasuryBps).to.equal(3000);
+      expect(split.teamBps).to.equal(0);
+
+      const [charityReceived, treasuryReceived] = await donateAndMeasure(charity2.address, convert("100"));
+      expect(charityReceived).to.equal(convert("70"));
+      expect(treasuryReceived).to.equal(convert("30"));
+
+      await rig.setTeamAddress(team.address);
+    });
+
+    it("Should send dust to the treasury", async function () {
+      // 7 wei at 70%: charity 4, team 0 (0.21), treasury 3
+      const [charityReceived, treasuryReceived, teamReceived] = await donateAndMeasure(charity2.address, 7);
+      expect(charityReceived).to.equal(4);
+      expect(teamReceived).to.equal(0);
+      expect(treasuryReceived).to.equal(3);
+    });
+  });
+
+  describe("Bounds", function () {
+    it("Should reject profiles outside the bounds", async function () {
+      await expect(rig.setCharitySplit(charity.address, 4999)).to.be.revertedWith("Rig__InvalidSplit");
+      await expect(rig.setCharitySplit(charity.address, 10001)).to.be.revertedWith("Rig__InvalidSplit");
+      await expect(rig.setCharitySplit(AddressZero, 6000)).to.be.revertedWith("Rig__InvalidAddress");
+    });
+
+    it("Should reject invalid bounds", async function () {
+      await expect(rig.setCharityBpsBounds(0, 10000)).to.be.revertedWith("Rig__InvalidSplit");
+      await expect(rig.setCharityBpsBounds(8000, 7000)).to.be.revertedWith("Rig__InvalidSplit");
+      await expect(rig.setCharityBpsBounds(5000, 10001)).to.be.revertedWith("Rig__InvalidSplit");
+    });
+
+    it("Should clamp existing profiles when bounds change", async function () {
+      await expect(rig.setCharityBpsBounds(6000, 9000))
+        .to.emit(rig, "CharityBpsBoundsSet")
+        .withArgs(6000, 9000);
+
+      // Default 50% is raised to the minimum, 100% is lowered to the maximum
+      expect((await rig.getCharitySplit(charity.address)).charityBps).to.equal(6000);
+      expect((await rig.getCharitySplit(charity2.address)).charityBps).to.equal(7000);
+      expect((await rig.getCharitySplit(charity3.address)).charityBps).to.equal(9000);
+
+      const [charityReceived, treasuryReceived, teamReceived] = await donateAndMeasure(charity3.address, convert("100"));
+      expect(charityReceived).to.equal(convert("90"));
+      expect(treasuryReceived).to.equal(convert("9"));
+      expect(teamReceived).to.equal(convert("1"));
+
+      await rig.setCharityBpsBounds(5000, 10000);
+    });
+
+    it("Should prevent non-owner from configuring splits", async function () {
+      await expect(
+        rig.connect(user1).setCharitySplit(charity.address, 6000)
+      ).to.be.revertedWith(missingRole(user1, CURATOR_ROLE));
+      await expect(
+        rig.connect(user1).setCharityBpsBounds(5000, 10000)
+      ).to.be.revertedWith(missingRole(user1, DEFAULT_ADMIN_ROLE));
+    });
+  });
+
+  describe("Multicall Split Views", function () {
+    it("Should return each charity's current split", async function () {
+      const splits = await multicall.getCharitySplits([charity.address, charity2.address, user1.address]);
+
+      expect(splits.length).to.equal(3);
+      expect(splits[0].charity).to.equal(charity.address);
+      expect(splits[0].isCharity).to.equal(true);
+      expect(splits[0].charityBps).to.equal(5000);
+      expect(splits[1].charityBps).to.equal(7000);
+      expect(splits[1].treasuryBps).to.equal(2700);
+      expect(splits[1].teamBps).to.equal(300);
+      expect(splits[2].isCharity).to.equal(false);
+    });
+  });
+});
+
+describe("Charity Registry Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charityA, charityB, charityC, treasury, team, user1;
+
+  const HEALTH = ethers.utils.formatBytes32String("health");
+  const EDUCATION = ethers.utils.formatBytes32String("education");
+  const Status = { None: 0, Pending: 1, Active: 2, Suspended: 3, Retired: 4 };
+
+  before(async function () {
+    [owner, charityA, charityB, charityC, treasury, team, user1] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    await paymentToken.connect(user1).deposit({ value: convert("100") });
+    await paymentToken.connect(user1).approve(rig.address, ethers.constants.MaxUint256);
+  });
+
+  describe("Registration", function () {
+    it("Should register a charity as pending with metadata", async function () {
+      await expect(rig.registerCharity(charityA.address, "Clean Water", "ipfs://water", HEALTH))
+        .to.emit(rig, "CharityRegistered")
+        .withArgs(charityA.address, "Clean Water", "ipfs://water", HEALTH);
+
+      const entry = await rig.getCharity(charityA.address);
+      expect(entry.name).to.equal("Clean Water");
+      expect(entry.metadataURI).to.equal("ipfs://water");
+      expect(entry.category).to.equal(HEALTH);
+      expect(entry.status).to.equal(Status.Pending);
+      expect(entry.verified).to.equal(false);
+
+      expect(await rig.getCharityCount()).to.equal(1);
+      expect(await rig.charities(0)).to.equal(charityA.address);
+    });
+
+    it("Should not accept donations to pending charities", async function () {
+      expect(await rig.account_IsCharity(charityA.address)).to.equal(false);
+      await expect(
+        rig.connect(user1).donate(user1.address, charityA.address, convert("1"))
+      ).to.be.revertedWith("Rig__NotCharity");
+    });
+
+    it("Should reject duplicate and zero registrations", async function () {
+      await expect(
+        rig.registerCharity(charityA.address, "Again", "", HEALTH)
+      ).to.be.revertedWith("Rig__CharityExists");
+      await expect(
+        rig.registerCharity(AddressZero, "Zero", "", HEALTH)
+      ).to.be.revertedWith("Rig__InvalidAddress");
+    });
+
+    it("Should update metadata of a registered charity", async function () {
+      await rig.setCharityMetadata(charityA.address, "Clean Water Fund", "ipfs://water-v2", HEALTH);
+      const entry = await rig.getCharity(charityA.address);
+      expect(entry.name).to.equal("Clean Water Fund");
+      expect(entry.metadataURI).to.equal("ipfs://water-v2");
+      expect(entry.status).to.equal(Status.Pending);
+
+      await expect(
+        rig.setCharityMetadata(charityB.address, "Unknown", "", HEALTH)
+      ).to.be.revertedWith("Rig__NotCharity");
+    });
+
+    it("Should set verification status", async function () {
+      await expect(rig.setCharityVerified(charityA.address, true))
+        .to.emit(rig, "CharityVerifiedSet")
+        .withArgs(charityA.address, true);
+      expect((await rig.getCharity(charityA.address)).verified).to.equal(true);
+
+      await expect(rig.setCharityVerified(charityB.address, true)).to.be.revertedWith("Rig__NotCharity");
+    });
+  });
+
+  describe("Lifecycle", function () {
+    it("Should activate a pending charity without re-listing it", async function () {
+      await rig.addCharity(charityA.address);
+      expect((await rig.getCharity(charityA.address)).status).to.equal(Status.Active);
+      expect(await rig.account_IsCharity(charityA.address)).to.equal(true);
+      expect(await rig.getCharityCount()).to.equal(1);
+    });
+
+    it("Should register unknown charities added directly", async function () {
+      await rig.addCharity(charityB.address);
+      expect(await rig.getCharityCount()).to.equal(2);
+      expect(await rig.charities(1)).to.equal(charityB.address);
+
+      const entry = await rig.getCharity(charityB.address);
+      expect(entry.status).to.equal(Status.Active);
+      expect(entry.name).to.equal("");
+    });
+
+    it("Should suspend a charity and block donations", async function () {
+      await expect(rig.suspendCharity(charityB.address))
+        .to.emit(rig, "CharitySuspended")
+        .withArgs(charityB.address);
+      expect((await rig.getCharity(charityB.address)).status).to.equal(Status.Suspended);
+
+      await expect(
+        rig.connect(user1).donate(user1.address, charityB.address, convert("1"))
+      ).to.be.revertedWith("Rig__NotCharity");
+    });
+
+    it("Should reinstate a suspended charity", async function () {
+      await rig.addCharity(charityB.address);
+      await expect(rig.connect(user1).donate(user1.address, charityB.address, convert("1"))).to.not.be.reverted;
+    });
+
+    it("Should retire a charity on removal", async function () {
+      await rig.removeCharity(charityB.address);
+      expect((await rig.getCharity(charityB.address)).status).to.equal(Status.Retired);
+      expect(await rig.account_IsCharity(charityB.address)).to.equal(false);
+      expect(await rig.getCharityCount()).to.equal(2);
+    });
+
+    it("Should reject lifecycle changes for unregistered charities", async function () {
+      await expect(rig.suspendCharity(charityC.address)).to.be.revertedWith("Rig__NotCharity");
+      await expect(rig.removeCharity(charityC.address)).to.be.revertedWith("Rig__NotCharity");
+    });
+
+    it("Should prevent non-owner from managing the registry", async function () {
+      await expect(
+        rig.connect(user1).registerCharity(charityC.address, "C", "", EDUCATION)
+      ).to.be.revertedWith(missingRole(user1, CURATOR_ROLE));
+      await expect(
+        rig.connect(user1).suspendCharity(charityA.address)
+      ).to.be.revertedWith(missingRole(user1, CURATOR_ROLE));
+      await expect(
+        rig.connect(user1).setCharityVerified(charityA.address, false)
+      ).to.be.revertedWith(missingRole(user1, CURATOR_ROLE));
+    });
+  });
+
+  describe("Multicall getCharities", function () {
+    before(async function () {
+      await rig.registerCharity(charityC.address, "School Meals", "ipfs://meals", EDUCATION);
+      await rig.setCharitySplit(charityA.address, 8000);
+    });
+
+    it("Should return the full registry", async function () {
+      const [total, infos] = await multicall.getCharities(0, 10);
+      expect(total).to.equal(3);
+      expect(infos.length).to.equal(3);
+
+      expect(infos[0].charity).to.equal(charityA.address);
+      expect(infos[0].name).to.equal("Clean Water Fund");
+      expect(infos[0].category).to.equal(HEALTH);
+      expect(infos[0].status).to.equal(Status.Active);
+      expect(infos[0].verified).to.equal(true);
+      expect(infos[0].charityBps).to.equal(8000);
+      expect(infos[0].treasuryBps).to.equal(1800);
+      expect(infos[0].teamBps).to.equal(200);
+
+      expect(infos[1].status).to.equal(Status.Retired);
+      expect(infos[2].name).to.equal("School Meals");
+      expect(infos[2].status).to.equal(Status.Pending);
+    });
+
+    it("Should paginate", async function () {
+      const [total, page] = await multicall.getCharities(1, 1);
+      expect(total).to.equal(3);
+      expect(page.length).to.equal(1);
+      expect(page[0].charity).to.equal(charityB.address);
+
+      const [, lastPage] = await multicall.getCharities(2, 5);
+      expect(lastPage.length).to.equal(1);
+      expect(lastPage[0].charity).to.equal(charityC.address);
+
+      const [, empty] = await multicall.getCharities(3, 5);
+      expect(empty.length).to.equal(0);
+    });
+  });
+});
+
+describe("Per-Charity Accounting Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charityA, charityB, charityC, treasury, team, user1, user2;
+  let startDay;
+
+  before(async function () {
+    [owner, charityA, charityB, charityC, treasury, team, user1, user2] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.registerCharity(charityA.address, "Charity A", "", ethers.constants.HashZero);
+    await rig.registerCharity(charityB.address, "Charity B", "", ethers.constants.HashZero);
+    await rig.registerCharity(charityC.address, "Charity C", "", ethers.constants.HashZero);
+    await rig.addCharity(charityA.address);
+    await rig.addCharity(charityB.address);
+    await rig.addCharity(charityC.address);
+    await unitToken.setRig(rig.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    for (const user of [user1, user2]) {
+      await paymentToken.connect(user).deposit({ value: convert("1000") });
+      await paymentToken.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+    }
+
+    startDay = await rig.currentDay();
+
+    // Day 1: A gets 30, B gets 10
+    await rig.connect(user1).donate(user1.address, charityA.address, convert("20"));
+    await rig.connect(user2).donate(user2.address, charityA.address, convert("10"));
+    await rig.connect(user1).donate(user1.address, charityB.address, convert("10"));
+
+    // Day 2: B gets 50, C gets 5
+    await increaseTime(ONE_DAY + 1);
+    await rig.connect(user2).donate(user2.address, charityB.address, convert("50"));
+    await rig.connect(user2).donate(user2.address, charityC.address, convert("5"));
+  });
+
+  describe("Running Totals", function () {
+    it("Should track lifetime totals per charity", async function () {
+      expect(await rig.charity_TotalDonated(charityA.address)).to.equal(convert("30"));
+      expect(await rig.charity_TotalDonated(charityB.address)).to.equal(convert("60"));
+      expect(await rig.charity_TotalDonated(charityC.address)).to.equal(convert("5"));
+    });
+
+    it("Should track totals per charity per day", async function () {
+      expect(await rig.day_Charity_TotalDonated(startDay, charityA.address)).to.equal(convert("30"));
+      expect(await rig.day_Charity_TotalDonated(startDay, charityB.address)).to.equal(convert("10"));
+      expect(await rig.day_Charity_TotalDonated(startDay.add(1), charityA.address)).to.equal(0);
+      expect(await rig.day_Charity_TotalDonated(startDay.add(1), charityB.address)).to.equal(convert("50"));
+    });
+
+    it("Should track totals per donor per charity", async function () {
+      expect(await rig.account_Charity_Donation(user1.address, charityA.address)).to.equal(convert("20"));
+      expect(await rig.account_Charity_Donation(user2.address, charityA.address)).to.equal(convert("10"));
+      expect(await rig.account_Charity_Donation(user1.address, charityB.address)).to.equal(convert("10"));
+      expect(await rig.account_Charity_Donation(user2.address, charityB.address)).to.equal(convert("50"));
+      expect(await rig.account_Charity_Donation(user1.address, charityC.address)).to.equal(0);
+    });
+
+    it("Should credit the account, not the payer", async function () {
+      await rig.connect(user1).donate(user2.address, charityC.address, convert("1"));
+      expect(await rig.account_Charity_Donation(user2.address, charityC.address)).to.equal(convert("6"));
+      expect(await rig.account_Charity_Donation(user1.address, charityC.address)).to.equal(0);
+    });
+  });
+
+  describe("Multicall Leaderboard", function () {
+    it("Should rank charities over a day range", async function () {
+      const rankings = await multicall.getCharityLeaderboard(startDay, startDay.add(2), 10);
+
+      expect(rankings.length).to.equal(3);
+      expect(rankings[0].charity).to.equal(charityB.address);
+      expect(rankings[0].name).to.equal("Charity B");
+      expect(rankings[0].donated).to.equal(convert("60"));
+      expect(rankings[1].charity).to.equal(charityA.address);
+      expect(rankings[1].donated).to.equal(convert("30"));
+      expect(rankings[2].charity).to.equal(charityC.address);
+      expect(rankings[2].donated).to.equal(convert("6"));
+      expect(rankings[2].totalDonated).to.equal(convert("6"));
+    });
+
+    it("Should rank only the requested days", async function () {
+      const rankings = await multicall.getCharityLeaderboard(startDay, startDay.add(1), 10);
+
+      expect(rankings.length).to.equal(2);
+      expect(rankings[0].charity).to.equal(charityA.address);
+      expect(rankings[0].donated).to.equal(convert("30"));
+      expect(rankings[0].totalDonated).to.equal(convert("30"));
+      expect(rankings[1].charity).to.equal(charityB.address);
+      expect(rankings[1].donated).to.equal(convert("10"));
+      expect(rankings[1].totalDonated).to.equal(convert("60"));
+    });
+
+    it("Should respect the limit", async function () {
+      const rankings = await multicall.getCharityLeaderboard(startDay, startDay.add(2), 1);
+      expect(rankings.length).to.equal(1);
+      expect(rankings[0].charity).to.equal(charityB.address);
+    });
+
+    it("Should return nothing for an empty range", async function () {
+      expect((await multicall.getCharityLeaderboard(startDay.add(5), startDay.add(7), 10)).length).to.equal(0);
+      expect((await multicall.getCharityLeaderboard(startDay.add(1), startDay, 10)).length).to.equal(0);
+    });
+  });
+});
+
+describe("Lifetime Donor Stats Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charity, treasury, team, user1, user2, user3;
+  let startDay;
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2, user3] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    // Deploy Auction with a mock LP token so getRigState can price DOUGH
+    const lpToken = await mockWethArtifact.deploy();
+    const auctionArtifact = await ethers.getContractFactory("Auction");
+    const auction = await auctionArtifact.deploy(
+      convert("100"),
+      lpToken.address,
+      "0x000000000000000000000000000000000000dEaD",
+      86400,
+      ethers.utils.parseUnits("1.5", 18),
+      convert("10")
+    );
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, auction.address, lpToken.address);
+
+    for (const user of [user1, user2, user3]) {
+      await paymentToken.connect(user).deposit({ value: convert("100") });
+      await paymentToken.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+    }
+
+    startDay = (await rig.currentDay()).toNumber();
+  });
+
+  it("Should start with empty stats", async function () {
+    const stats = await rig.getAccountStats(user1.address);
+    expect(stats.totalDonated).to.equal(0);
+    expect(stats.daysDonated).to.equal(0);
+    expect(stats.currentStreak).to.equal(0);
+    expect(stats.longestStreak).to.equal(0);
+    expect(await rig.getCurrentStreak(user1.address)).to.equal(0);
+  });
+
+  it("Should count several donations on one day as a single day", async function () {
+    await rig.connect(user1).donate(user1.address, charity.address, convert("10"));
+    await rig.connect(user1).donate(user1.address, charity.address, convert("5"));
+
+    const stats = await rig.getAccountStats(user1.address);
+    expect(stats.totalDonated).to.equal(convert("15"));
+    expect(stats.daysDonated).to.equal(1);
+    expect(stats.firstDay).to.equal(startDay);
+    expect(stats.lastDay).to.equal(startDay);
+    expect(stats.currentStreak).to.equal(1);
+    expect(stats.longestStreak).to.equal(1);
+  });
+
+  it("Should credit the account rather than the payer", async function () {
+    await rig.connect(user3).donate(user2.address, charity.address, convert("7"));
+
+    expect((await rig.getAccountStats(user2.address)).totalDonated).to.equal(convert("7"));
+    expect((await rig.getAccountStats(user3.address)).totalDonated).to.equal(0);
+  });
+
+  it("Should extend the streak on consecutive days", async function () {
+    for (let i = 0; i < 2; i++) {
+      await increaseTime(ONE_DAY);
+      await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    }
+
+    const stats = await rig.getAccountStats(user1.address);
+    expect(stats.daysDonated).to.equal(3);
+    expect(stats.firstDay).to.equal(startDay);
+    expect(stats.lastDay).to.equal(startDay + 2);
+    expect(stats.currentStreak).to.equal(3);
+    expect(stats.longestStreak).to.equal(3);
+    expect(await rig.getCurrentStreak(user1.address)).to.equal(3);
+  });
+
+  it("Should keep the streak live through the following day", async function () {
+    await increaseTime(ONE_DAY);
+    expect(await rig.getCurrentStreak(user1.address)).to.equal(3);
+  });
+
+  it("Should report a broken streak once a day is missed", async function () {
+    await increaseTime(ONE_DAY);
+    expect(await rig.getCurrentStreak(user1.address)).to.equal(0);
+    expect((await rig.getAccountStats(user1.address)).longestStreak).to.equal(3);
+  });
+
+  it("Should restart the streak after a gap and keep the longest", async function () {
+    await rig.connect(user1).donate(user1.address, charity.address, convert("2"));
+
+    const stats = await rig.getAccountStats(user1.address);
+    expect(stats.totalDonated).to.equal(convert("19"));
+    expect(stats.daysDonated).to.equal(4);
+    expect(stats.firstDay).to.equal(startDay);
+    expect(stats.lastDay).to.equal(startDay + 4);
+    expect(stats.currentStreak).to.equal(1);
+    expect(stats.longestStreak).to.equal(3);
+    expect(await rig.getCurrentStreak(user1.address)).to.equal(1);
+  });
+
+  it("Should include stats in getRigState", async function () {
+    const state = await multicall.getRigState(user1.address);
+    expect(state.userTotalDonated).to.equal(convert("19"));
+    expect(state.userDaysDonated).to.equal(4);
+    expect(state.userFirstDay).to.equal(startDay);
+    expect(state.userLastDay).to.equal(startDay + 4);
+    expect(state.userCurrentStreak).to.equal(1);
+    expect(state.userLongestStreak).to.equal(3);
+  });
+
+  it("Should leave stats empty in getRigState for the zero address", async function () {
+    const state = await multicall.getRigState(AddressZero);
+    expect(state.userTotalDonated).to.equal(0);
+    expect(state.userCurrentStreak).to.equal(0);
+  });
+});
+
+describe("Claim All Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charity, treasury, team, user1, user2, user3;
+  let startDay;
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2, user3] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    for (const user of [user1, user2, user3]) {
+      await paymentToken.connect(user).deposit({ value: convert("10") });
+      await paymentToken.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+    }
+
+    startDay = (await rig.currentDay()).toNumber();
+
+    // user1 donates on days 0, 1, 2 and 4 (twice on day 0); user2 shares day 1
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    await increaseTime(ONE_DAY);
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    await rig.connect(user2).donate(user2.address, charity.address, convert("3"));
+    await increaseTime(ONE_DAY);
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    await increaseTime(ONE_DAY * 2);
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+  });
+
+  it("Should record each donation day once", async function () {
+    expect(await rig.getDonationDayCount(user1.address)).to.equal(4);
+    expect(await rig.account_DonationDays(user1.address, 0)).to.equal(startDay);
+    expect(await rig.account_DonationDays(user1.address, 1)).to.equal(startDay + 1);
+    expect(await rig.account_DonationDays(user1.address, 2)).to.equal(startDay + 2);
+    expect(await rig.account_DonationDays(user1.address, 3)).to.equal(startDay + 4);
+    expect(await rig.getUnclaimedDayCount(user1.address)).to.equal(4);
+  });
+
+  it("Should list unclaimed rewards from the cursor in Multicall", async function () {
+    const [totalPending, unclaimedDays] = await multicall.getUnclaimedRewards(user1.address, 10);
+    const emission = await rig.getDayEmission(startDay);
+    // Full emission on days 0 and 2, a quarter on day 1; day 4 is still open
+    expect(totalPending).to.equal(emission.mul(2).add(emission.div(4)));
+    expect(unclaimedDays.map((d) => d.toNumber())).to.deep.equal([startDay, startDay + 1, startDay + 2]);
+  });
+
+  it("Should skip days already claimed individually", async function () {
+    await rig.claim(user1.address, startDay + 1);
+    const [, unclaimedDays] = await multicall.getUnclaimedRewards(user1.address, 10);
+    expect(unclaimedDays.map((d) => d.toNumber())).to.deep.equal([startDay, startDay + 2]);
+  });
+
+  it("Should claim a page of days and advance the cursor", async function () {
+    const before = await unitToken.balanceOf(user1.address);
+    const tx = await rig.connect(user3).claimAllPaginated(user1.address, 1);
+    const receipt = await tx.wait();
+
+    const claims = receipt.events.filter((e) => e.event === "Claim");
+    expect(claims.length).to.equal(1);
+    expect(claims[0].args.day).to.equal(startDay);
+    expect((await unitToken.balanceOf(user1.address)).sub(before)).to.equal(await rig.getDayEmission(startDay));
+    expect(await rig.account_ClaimCursor(user1.address)).to.equal(1);
+    expect(await rig.day_Account_HasClaimed(startDay, user1.address)).to.equal(true);
+  });
+
+  it("Should claim the rest in one call and stop at the current day", async function () {
+    const before = await unitToken.balanceOf(user1.address);
+    const tx = await rig.connect(user3).claimAll(user1.address);
+    const receipt = await tx.wait();
+
+    // Day 1 was claimed individually, day 4 is still open
+    const claims = receipt.events.filter((e) => e.event === "Claim");
+    expect(claims.length).to.equal(1);
+    expect(claims[0].args.day).to.equal(startDay + 2);
+    expect((await unitToken.balanceOf(user1.address)).sub(before)).to.equal(await rig.getDayEmission(startDay + 2));
+    expect(await rig.account_ClaimCursor(user1.address)).to.equal(3);
+    expect(await rig.getUnclaimedDayCount(user1.address)).to.equal(1);
+  });
+
+  it("Should mint nothing when no completed day is owed", async function () {
+    const before = await unitToken.balanceOf(user1.address);
+    await rig.claimAll(user1.address);
+    expect(await unitToken.balanceOf(user1.address)).to.equal(before);
+    expect(await rig.account_ClaimCursor(user1.address)).to.equal(3);
+  });
+
+  it("Should claim the remaining day once it ends", async function () {
+    await increaseTime(ONE_DAY);
+    const expected = await rig.getPendingReward(startDay + 4, user1.address);
+    await expect(rig.claimAll(user1.address))
+      .to.emit(rig, "Claim")
+      .withArgs(user1.address, expected, startDay + 4);
+    expect(await rig.getUnclaimedDayCount(user1.address)).to.equal(0);
+    await expect(rig.claim(user1.address, startDay + 4)).to.be.revertedWith("Rig__AlreadyClaimed");
+  });
+
+  it("Should let claim and claimAll mint the same total", async function () {
+    const expected = await rig.getPendingReward(startDay + 1, user2.address);
+    await rig.claimAll(user2.address);
+    expect(await unitToken.balanceOf(user2.address)).to.equal(expected);
+  });
+
+  it("Should reject invalid arguments", async function () {
+    await expect(rig.claimAll(AddressZero)).to.be.revertedWith("Rig__InvalidAddress");
+    await expect(rig.claimAllPaginated(user1.address, 0)).to.be.revertedWith("Rig__ZeroAmount");
+  });
+
+  it("Should be a no-op for accounts that never donated", async function () {
+    await rig.claimAll(user3.address);
+    expect(await unitToken.balanceOf(user3.address)).to.equal(0);
+    const [totalPending, unclaimedDays] = await multicall.getUnclaimedRewards(user3.address, 10);
+    expect(totalPending).to.equal(0);
+    expect(unclaimedDays.length).to.equal(0);
+  });
+});
+
+describe("Claim Bitmap Gas Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charity, treasury, team, user1;
+
+  const CLAIM_BATCH = 73;
+
+  // LegacyClaimRig is over the contract size limit, so a Rig deployed from the same build gets
+  // its runtime code swapped in, with the Rig's immutables copied across
+  async function installLegacyClaimStatus(rigAddress) {
+    const { artifacts } = require("hardhat");
+    const buildInfo = await artifacts.getBuildInfo("contracts/mocks/LegacyClaimRig.sol:LegacyClaimRig");
+    const rigCode = await ethers.provider.getCode(rigAddress);
+    const rigRefs = buildInfo.output.contracts["contracts/Rig.sol"].Rig.evm.deployedBytecode.immutableReferences;
+    const legacy = buildInfo.output.contracts["contracts/mocks/LegacyClaimRig.sol"].LegacyClaimRig.evm.deployedBytecode;
+
+    let code = legacy.object;
+    for (const [id, refs] of Object.entries(legacy.immutableReferences)) {
+      const start = rigRefs[id][0].start;
+      const value = rigCode.slice(2 + start * 2, 2 + (start + 32) * 2);
+      for (const ref of refs) {
+        code = code.slice(0, ref.start * 2) + value + code.slice((ref.start + ref.length) * 2);
+      }
+    }
+    await network.provider.send("hardhat_setCode", [rigAddress, `0x${code}`]);
+  }
+
+  async function deploy(legacyClaimStatus = false) {
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    let rigArtifact = await ethers.getContractFactory("Rig");
+    if (legacyClaimStatus) {
+      // Deploy the Rig compiled alongside the mock, so the immutable offsets match
+      const { artifacts } = require("hardhat");
+      const buildInfo = await artifacts.getBuildInfo("contracts/mocks/LegacyClaimRig.sol:LegacyClaimRig");
+      const bytecode = buildInfo.output.contracts["contracts/Rig.sol"].Rig.evm.bytecode.object;
+      rigArtifact = new ethers.ContractFactory(rigArtifact.interface, `0x${bytecode}`, owner);
+    }
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    if (legacyClaimStatus) await installLegacyClaimStatus(rig.address);
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    await paymentToken.connect(user1).deposit({ value: convert("1") });
+    await paymentToken.connect(user1).approve(rig.address, ethers.constants.MaxUint256);
+  }
+
+  // Donate once a day for `numDays` days, then claim them all through Multicall. Claims are
+  // sent in batches so the legacy layout stays under the per-transaction gas cap.
+  async function measureClaimMultiple(numDays, legacyClaimStatus = false) {
+    await deploy(legacyClaimStatus);
+    const startDay = (await rig.currentDay()).toNumber();
+    const dayIds = [];
+    for (let i = 0; i < numDays; i++) {
+      await rig.connect(user1).donate(user1.address, charity.address, convert("0.001"));
+      dayIds.push(startDay + i);
+      await increaseTime(ONE_DAY);
+    }
+    let gasUsed = ethers.BigNumber.from(0);
+    for (let i = 0; i < dayIds.length; i += CLAIM_BATCH) {
+      const batch = dayIds.slice(i, i + CLAIM_BATCH);
+      const receipt = await (await multicall.claimMultiple(user1.address, batch)).wait();
+      gasUsed = gasUsed.add(receipt.gasUsed);
+    }
+    for (const day of dayIds) {
+      expect(await rig.day_Account_HasClaimed(day, user1.address)).to.equal(true);
+    }
+    return gasUsed;
+  }
+
+  // Mark `numDays` consecutive days claimed in a fresh harness with both layouts, in the same
+  // batches as measureClaimMultiple, and return the gas each layout used
+  async function measureClaimStatus(numDays) {
+    const harnessArtifact = await ethers.getContractFactory("ClaimStatusHarness");
+    const harness = await harnessArtifact.deploy();
+    const dayIds = [...Array(numDays).keys()];
+    let legacy = ethers.BigNumber.from(0);
+    let bitmap = ethers.BigNumber.from(0);
+    for (let i = 0; i < dayIds.length; i += CLAIM_BATCH) {
+      const batch = dayIds.slice(i, i + CLAIM_BATCH);
+      legacy = legacy.add((await (await harness.claimLegacy(user1.address, batch)).wait()).gasUsed);
+      bitmap = bitmap.add((await (await harness.claimBitmap(user1.address, batch)).wait()).gasUsed);
+    }
+    await expect(harness.claimBitmap(user1.address, [numDays - 1])).to.be.revertedWith("already claimed");
+    return { legacy, bitmap };
+  }
+
+  before(async function () {
+    [owner, charity, treasury, team, user1] = await ethers.getSigners();
+  });
+
+  it("Should write far less claim status than one bool slot per day", async function () {
+    for (const numDays of [30, 365]) {
+      const { legacy, bitmap } = await measureClaimStatus(numDays);
+      console.log(`claim status (${numDays} days): bitmap ${bitmap}, legacy ${legacy}`);
+      // Each legacy day writes a fresh slot; the bitmap writes one per 256 days
+      expect(legacy.sub(bitmap)).to.be.gt(15000 * (numDays - Math.ceil(numDays / 256)));
+    }
+  });
+
+  // The same donations claimed through Multicall on the Rig and on a Rig keeping one bool slot
+  // per (day, account); only the claim status layout differs between the two runs
+  async function compareClaimMultiple(numDays) {
+    const legacyGas = await measureClaimMultiple(numDays, true);
+    expect(await rig.account_ClaimedBitmap(user1.address, 0)).to.equal(0);
+    const gasUsed = await measureClaimMultiple(numDays);
+    console.log(`claimMultiple (${numDays} days):`, gasUsed.toString(), "legacy:", legacyGas.toString());
+    expect(legacyGas.sub(gasUsed)).to.be.gt(15000 * (numDays - Math.ceil(numDays / 256)));
+  }
+
+  it("Should cut claimMultiple gas over 30 days", async function () {
+    await compareClaimMultiple(30);
+  });
+
+  it("Should cut claimMultiple gas over 365 days", async function () {
+    await compareClaimMultiple(365);
+  });
+
+  it("Should pack 256 days per bitmap word", async function () {
+    await deploy();
+    // The Rig starts on day 0; donate on the first and last day of word 0 and the first of word 1
+    for (const day of [0, 255, 256]) {
+      const now = (await rig.currentDay()).toNumber();
+      await increaseTime(ONE_DAY * (day - now));
+      expect(await rig.currentDay()).to.equal(day);
+      await rig.connect(user1).donate(user1.address, charity.address, convert("0.001"));
+    }
+    await increaseTime(ONE_DAY);
+    await multicall.claimMultiple(user1.address, [0, 255, 256]);
+
+    expect(await rig.account_ClaimedBitmap(user1.address, 0)).to.equal(ethers.BigNumber.from(1).shl(255).add(1));
+    expect(await rig.account_ClaimedBitmap(user1.address, 1)).to.equal(1);
+    expect(await rig.day_Account_HasClaimed(255, user1.address)).to.equal(true);
+    expect(await rig.day_Account_HasClaimed(256, user1.address)).to.equal(true);
+    expect(await rig.day_Account_HasClaimed(254, user1.address)).to.equal(false);
+    expect(await rig.day_Account_HasClaimed(257, user1.address)).to.equal(false);
+  });
+
+  it("Should only mark the claimed day", async function () {
+    await deploy();
+    const startDay = (await rig.currentDay()).toNumber();
+    await rig.connect(user1).donate(user1.address, charity.address, convert("0.001"));
+    await increaseTime(ONE_DAY);
+    await rig.connect(user1).donate(user1.address, charity.address, convert("0.001"));
+    await increaseTime(ONE_DAY);
+
+    await rig.claim(user1.address, startDay + 1);
+    expect(await rig.day_Account_HasClaimed(startDay, user1.address)).to.equal(false);
+    expect(await rig.day_Account_HasClaimed(startDay + 1, user1.address)).to.equal(true);
+    expect(await rig.day_Account_HasClaimed(startDay + 1, owner.address)).to.equal(false);
+    await expect(rig.claim(user1.address, startDay + 1)).to.be.revertedWith("Rig__AlreadyClaimed");
+
+    await rig.claim(user1.address, startDay);
+    expect(await rig.getPendingReward(startDay, user1.address)).to.equal(0);
+  });
+});
+
+describe("Vesting Tests", function () {
+  let paymentToken, unitToken, rig, vester, multicall;
+  let owner, charity, treasury, team, user1, user2, user3;
+  let day0;
+
+  const THIRTY = ONE_DAY * 30;
+  const NINETY = ONE_DAY * 90;
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2, user3] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    const vesterArtifact = await ethers.getContractFactory("Vester");
+    vester = await vesterArtifact.deploy(unitToken.address, rig.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    for (const user of [user1, user2, user3]) {
+      await paymentToken.connect(user).deposit({ value: convert("10") });
+      await paymentToken.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  describe("Configuration", function () {
+    it("Should reject vesting before a Vester is set", async function () {
+      await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+      day0 = (await rig.currentDay()).toNumber();
+      await increaseTime(ONE_DAY);
+      await expect(rig.connect(user1).claimVested(day0, THIRTY)).to.be.revertedWith("Rig__VesterNotSet");
+    });
+
+    it("Should only accept a Vester bound to this Rig", async function () {
+      const vesterArtifact = await ethers.getContractFactory("Vester");
+      const otherVester = await vesterArtifact.deploy(unitToken.address, user1.address);
+      await expect(rig.setVester(otherVester.address)).to.be.revertedWith("Rig__InvalidAddress");
+      await expect(rig.setVester(AddressZero)).to.be.revertedWith("Rig__InvalidAddress");
+      await expect(rig.connect(user1).setVester(vester.address)).to.be.revertedWith(
+        missingRole(user1, DEFAULT_ADMIN_ROLE)
+      );
+
+      await expect(rig.setVester(vester.address)).to.emit(rig, "VesterSet").withArgs(vester.address);
+      expect(await rig.vester()).to.equal(vester.address);
+    });
+
+    it("Should bound vesting options and the bonus reserve", async function () {
+      await expect(rig.setVestingOption(0, 1000)).to.be.revertedWith("Rig__InvalidVestingOption");
+      await expect(rig.setVestingOption(THIRTY, 10001)).to.be.revertedWith("Rig__InvalidBonus");
+      await expect(rig.setBonusReserveBps(2001)).to.be.revertedWith("Rig__InvalidBonus");
+      await expect(rig.connect(user1).setVestingOption(THIRTY, 1000)).to.be.revertedWith(
+        missingRole(user1, DEFAULT_ADMIN_ROLE)
+      );
+      await expect(rig.connect(user1).setBonusReserveBps(1000)).to.be.revertedWith(
+        missingRole(user1, DEFAULT_ADMIN_ROLE)
+      );
+
+      await expect(rig.setVestingOption(THIRTY, 1000)).to.emit(rig, "VestingOptionSet").withArgs(THIRTY, 1000);
+      await rig.setVestingOption(NINETY, 3000);
+      await expect(rig.setBonusReserveBps(2000)).to.emit(rig, "BonusReserveBpsSet").withArgs(2000);
+    });
+
+    it("Should reject durations that are not offered", async function () {
+      await expect(rig.connect(user1).claimVested(day0, ONE_DAY)).to.be.revertedWith("Rig__InvalidVestingOption");
+    });
+
+    it("Should pay the full share without a reserve on days before it was set", async function () {
+      expect(await rig.day_BonusReserveBps(day0)).to.equal(0);
+      const emission = await rig.getDayEmission(day0);
+      expect(await rig.getPendingReward(day0, user1.address)).to.equal(emission);
+      // No reserve means no bonus
+      expect(await rig.getPendingVestedReward(day0, user1.address, THIRTY)).to.equal(emission);
+    });
+  });
+
+  describe("Claiming Into Vesting", function () {
+    let day1, emission;
+
+    before(async function () {
+      day1 = (await rig.currentDay()).toNumber();
+      await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+      await rig.connect(user2).donate(user2.address, charity.address, convert("1"));
+      // Reserve changes after the first donation only apply to later days
+      await rig.setBonusReserveBps(1000);
+      await increaseTime(ONE_DAY);
+      emission = await rig.getDayEmission(day1);
+    });
+
+    it("Should snapshot the reserve at the day's first donation", async function () {
+      expect(await rig.day_BonusReserveBps(day1)).to.equal(2000);
+    });
+
+    it("Should take the reserve out of liquid rewards", async function () {
+      // Each donor has half of the 80% base pool
+      expect(await rig.getPendingReward(day1, user1.address)).to.equal(emission.mul(4).div(10));
+    });
+
+    it("Should cap the bonus at the donor's share of the reserve", async function () {
+      // 90 days: 30% of 0.4E = 0.12E, capped at the 0.1E reserve share
+      expect(await rig.getPendingVestedReward(day1, user1.address, NINETY)).to.equal(emission.div(2));
+      // 30 days: 10% of 0.4E = 0.04E, under the cap
+      expect(await rig.getPendingVestedReward(day1, user2.address, THIRTY)).to.equal(
+        emission.mul(44).div(100)
+      );
+    });
+
+    it("Should only let the credited account vest its own rewards", async function () {
+      await expect(rig.connect(user3).claimVested(day1, NINETY)).to.be.revertedWith("Rig__NoDonation");
+    });
+
+    it("Should open a vesting position with the bonus", async function () {
+      const amount = emission.div(2);
+      await expect(rig.connect(user1).claimVested(day1, NINETY))
+        .to.emit(rig, "VestedClaim")
+        .withArgs(user1.address, 0, amount, NINETY)
+        .and.to.emit(rig, "Claim")
+        .withArgs(user1.address, amount, day1);
+
+      expect(await unitToken.balanceOf(vester.address)).to.equal(amount);
+      expect(await unitToken.balanceOf(user1.address)).to.equal(0);
+      const position = await vester.positions(0);
+      expect(position.account).to.equal(user1.address);
+      expect(position.amount).to.equal(amount);
+      expect(position.duration).to.equal(NINETY);
+      expect(await rig.day_Account_HasClaimed(day1, user1.address)).to.equal(true);
+      await expect(rig.claim(user1.address, day1)).to.be.revertedWith("Rig__AlreadyClaimed");
+    });
+
+    it("Should still allow liquid claims by anyone at the base reward", async function () {
+      await rig.connect(user3).claim(user2.address, day1);
+      expect(await unitToken.balanceOf(user2.address)).to.equal(emission.mul(4).div(10));
+      await expect(rig.connect(user2).claimVested(day1, THIRTY)).to.be.revertedWith("Rig__AlreadyClaimed");
+    });
+
+    it("Should reject vesting for days that have not ended", async function () {
+      await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+      const today = await rig.currentDay();
+      await expect(rig.connect(user1).claimVested(today, THIRTY)).to.be.revertedWith("Rig__DayNotEnded");
+    });
+  });
+
+  describe("Releasing", function () {
+    it("Should vest linearly and release to the account", async function () {
+      const position = await vester.positions(0);
+      await increaseTime(NINETY / 3);
+
+      await vester.connect(user3).release(0);
+      const elapsed = (await getBlockTimestamp()) - position.start.toNumber();
+      const expected = position.amount.mul(elapsed).div(NINETY);
+      expect(await unitToken.balanceOf(user1.address)).to.equal(expected);
+      expect((await vester.positions(0)).released).to.equal(expected);
+      expect(await vester.getReleasable(0)).to.equal(0);
+      expect(await vester.getUnvested(0)).to.equal(position.amount.sub(expected));
+    });
+
+    it("Should release everything once fully vested", async function () {
+      const position = await vester.positions(0);
+      await increaseTime(NINETY);
+      expect(await vester.getVested(0)).to.equal(position.amount);
+      expect(await vester.getUnvested(0)).to.equal(0);
+
+      await expect(vester.release(0)).to.emit(vester, "Vester__Released");
+      expect(await unitToken.balanceOf(user1.address)).to.equal(position.amount);
+      await expect(vester.release(0)).to.be.revertedWith("Vester__NothingToRelease");
+      await expect(vester.release(99)).to.be.revertedWith("Vester__InvalidPosition");
+    });
+
+    it("Should only let the Rig open positions", async function () {
+      await expect(vester.connect(user1).createPosition(user1.address, 1, THIRTY)).to.be.revertedWith(
+        "Vester__NotRig"
+      );
+    });
+  });
+
+  describe("Claiming Many Days Into One Position", function () {
+    it("Should vest every unclaimed day in one position", async function () {
+      // user1 still has the liquid day0 and the day donated during the previous block
+      const days = [];
+      for (let i = 0; i < (await rig.getDonationDayCount(user1.address)).toNumber(); i++) {
+        days.push((await rig.account_DonationDays(user1.address, i)).toNumber());
+      }
+      let expected = ethers.BigNumber.from(0);
+      for (const day of days) {
+        expected = expected.add(await rig.getPendingVestedReward(day, user1.address, THIRTY));
+      }
+      expect(expected).to.be.gt(0);
+
+      const positionId = await vester.positionCount();
+      await expect(rig.connect(user1).claimAllVested(10, THIRTY))
+        .to.emit(rig, "VestedClaim")
+        .withArgs(user1.address, positionId, expected, THIRTY);
+      expect(await rig.getUnclaimedDayCount(user1.address)).to.equal(0);
+      await expect(rig.connect(user1).claimAllVested(10, THIRTY)).to.be.revertedWith("Rig__NoDonation");
+      await expect(rig.connect(user1).claimAllVested(0, THIRTY)).to.be.revertedWith("Rig__ZeroAmount");
+    });
+
+    it("Should report totals across an account's positions", async function () {
+      const ids = await vester.getPositionIds(user1.address);
+      expect(ids.length).to.equal(2);
+      const [total, vested, released, releasable] = await vester.getAccountTotals(user1.address);
+      const first = await vester.positions(ids[0]);
+      const second = await vester.positions(ids[1]);
+      expect(total).to.equal(first.amount.add(second.amount));
+      expect(released).to.equal(first.amount);
+      expect(vested).to.equal(released.add(releasable));
+    });
+
+    it("Should list positions through Multicall", async function () {
+      const positions = await multicall.getVestingPositions(user1.address);
+      expect(positions.length).to.equal(2);
+      expect(positions[0].positionId).to.equal(0);
+      expect(positions[0].released).to.equal(positions[0].amount);
+      expect(positions[1].duration).to.equal(THIRTY);
+      expect(positions[1].vested).to.equal(await vester.getVested(positions[1].positionId));
+
+      expect((await multicall.getVestingPositions(user3.address)).length).to.equal(0);
+    });
+
+    it("Should release all of an account's positions at once", async function () {
+      await increaseTime(THIRTY);
+      const [total] = await vester.getAccountTotals(user1.address);
+      await vester.releaseAll(user1.address);
+      expect(await unitToken.balanceOf(user1.address)).to.equal(total);
+      await expect(vester.releaseAll(user1.address)).to.be.revertedWith("Vester__NothingToRelease");
+    });
+  });
+});
+
+describe("Pause Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charity, treasury, team, guardian, user1, user2;
+  let day0;
+
+  before(async function () {
+    [owner, charity, treasury, team, guardian, user1, user2] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    // Deploy Auction with a mock LP token so getRigState can price DOUGH
+    const lpToken = await mockWethArtifact.deploy();
+    const auctionArtifact = await ethers.getContractFactory("Auction");
+    const auction = await auctionArtifact.deploy(
+      convert("100"),
+      lpToken.address,
+      "0x000000000000000000000000000000000000dEaD",
+      86400,
+      ethers.utils.parseUnits("1.5", 18),
+      convert("10")
+    );
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, auction.address, lpToken.address);
+
+    for (const user of [user1, user2]) {
+      await paymentToken.connect(user).deposit({ value: convert("10") });
+      await paymentToken.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+      await paymentToken.connect(user).approve(multicall.address, ethers.constants.MaxUint256);
+    }
+
+    day0 = (await rig.currentDay()).toNumber();
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    await increaseTime(ONE_DAY);
+  });
+
+  describe("Guardian", function () {
+    it("Should start unpaused with the deployer as the only pauser", async function () {
+      expect(await rig.getRoleMemberCount(PAUSER_ROLE)).to.equal(1);
+      expect(await rig.getRoleMember(PAUSER_ROLE, 0)).to.equal(owner.address);
+      expect(await rig.donationsPaused()).to.equal(false);
+      expect(await rig.claimsPaused()).to.equal(false);
+    });
+
+    it("Should only let the admin grant the pauser role", async function () {
+      await expect(rig.connect(user1).grantRole(PAUSER_ROLE, guardian.address)).to.be.revertedWith(
+        missingRole(user1, DEFAULT_ADMIN_ROLE)
+      );
+      await expect(rig.grantRole(PAUSER_ROLE, guardian.address))
+        .to.emit(rig, "RoleGranted")
+        .withArgs(PAUSER_ROLE, guardian.address, owner.address);
+      expect(await rig.hasRole(PAUSER_ROLE, guardian.address)).to.equal(true);
+    });
+
+    it("Should reject pausing from other accounts", async function () {
+      await expect(rig.connect(user1).pause(true, true)).to.be.revertedWith(missingRole(user1, PAUSER_ROLE));
+    });
+
+    it("Should not let the guardian unpause", async function () {
+      await expect(rig.connect(guardian).unpause(true, true)).to.be.revertedWith(
+        missingRole(guardian, DEFAULT_ADMIN_ROLE)
+      );
+    });
+  });
+
+  describe("Pausing Donations", function () {
+    before(async function () {
+      await expect(rig.connect(guardian).pause(true, false))
+        .to.emit(rig, "DonationsPaused")
+        .withArgs(guardian.address)
+        .and.not.to.emit(rig, "ClaimsPaused");
+    });
+
+    it("Should block every donation entry point", async function () {
+      await expect(
+        rig.connect(user1).donate(user1.address, charity.address, convert("1"))
+      ).to.be.revertedWith("Rig__DonationsPaused");
+      await expect(
+        rig.connect(user1).donateToken(user1.address, charity.address, paymentToken.address, convert("1"))
+      ).to.be.revertedWith("Rig__DonationsPaused");
+      await expect(
+        rig.connect(user1).donateETH(user1.address, charity.address, convert("1"), { value: convert("1") })
+      ).to.be.revertedWith("Rig__DonationsPaused");
+      await expect(
+        multicall.connect(user1).donate(user1.address, charity.address, convert("1"))
+      ).to.be.revertedWith("Rig__DonationsPaused");
+    });
+
+    it("Should leave claims open", async function () {
+      await rig.claim(user1.address, day0);
+      expect(await unitToken.balanceOf(user1.address)).to.equal(await rig.getDayEmission(day0));
+    });
+
+    it("Should be idempotent", async function () {
+      await expect(rig.connect(guardian).pause(true, false)).not.to.emit(rig, "DonationsPaused");
+    });
+
+    it("Should surface the paused state in getRigState", async function () {
+      const state = await multicall.getRigState(user1.address);
+      expect(state.donationsPaused).to.equal(true);
+      expect(state.claimsPaused).to.equal(false);
+    });
+
+    it("Should resume donations when the owner unpauses", async function () {
+      await expect(rig.unpause(true, false)).to.emit(rig, "DonationsUnpaused").withArgs(owner.address);
+      await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+      await rig.connect(user2).donate(user2.address, charity.address, convert("1"));
+      expect((await multicall.getRigState(AddressZero)).donationsPaused).to.equal(false);
+    });
+  });
+
+  describe("Pausing Claims", function () {
+    let day1;
+
+    before(async function () {
+      day1 = (await rig.currentDay()).toNumber();
+      await increaseTime(ONE_DAY);
+      // The owner can pause as well
+      await expect(rig.pause(false, true)).to.emit(rig, "ClaimsPaused").withArgs(owner.address);
+    });
+
+    it("Should block every claim entry point", async function () {
+      await expect(rig.claim(user1.address, day1)).to.be.revertedWith("Rig__ClaimsPaused");
+      await expect(rig.claimAll(user1.address)).to.be.revertedWith("Rig__ClaimsPaused");
+      await expect(rig.claimAllPaginated(user1.address, 1)).to.be.revertedWith("Rig__ClaimsPaused");
+      await expect(rig.connect(user1).claimVested(day1, THIRTY_DAYS)).to.be.revertedWith("Rig__ClaimsPaused");
+      await expect(rig.connect(user1).claimAllVested(1, THIRTY_DAYS)).to.be.revertedWith("Rig__ClaimsPaused");
+      await expect(multicall.claimMultiple(user1.address, [day1])).to.be.revertedWith("Rig__ClaimsPaused");
+    });
+
+    it("Should keep pending rewards intact while paused", async function () {
+      expect(await rig.getPendingReward(day1, user1.address)).to.equal((await rig.getDayEmission(day1)).div(2));
+    });
+
+    it("Should leave donations open", async function () {
+      await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    });
+
+    it("Should pause both at once", async function () {
+      await expect(rig.connect(guardian).pause(true, true))
+        .to.emit(rig, "DonationsPaused")
+        .and.not.to.emit(rig, "ClaimsPaused");
+      const state = await multicall.getRigState(AddressZero);
+      expect(state.donationsPaused).to.equal(true);
+      expect(state.claimsPaused).to.equal(true);
+    });
+
+    it("Should unpause both at once", async function () {
+      await expect(rig.unpause(true, true))
+        .to.emit(rig, "DonationsUnpaused")
+        .and.to.emit(rig, "ClaimsUnpaused");
+      await multicall.claimMultiple(user1.address, [day1]);
+      expect(await rig.day_Account_HasClaimed(day1, user1.address)).to.equal(true);
+    });
+
+    it("Should stop a guardian whose pauser role is revoked", async function () {
+      await rig.revokeRole(PAUSER_ROLE, guardian.address);
+      await expect(rig.connect(guardian).pause(true, true)).to.be.revertedWith(missingRole(guardian, PAUSER_ROLE));
+    });
+  });
+});
+
+describe("Timelocked Admin Change Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charity, charity2, treasury, team, newTreasury, user1;
+
+  const DELAY = ONE_DAY * 2;
+  const TREASURY_ADDRESS = 0;
+  const TEAM_ADDRESS = 1;
+  const ADD_CHARITY = 2;
+  const ADMIN_DELAY = 3;
+  const QUEUED = 1;
+  const EXECUTED = 2;
+  const CANCELLED = 3;
+
+  before(async function () {
+    [owner, charity, charity2, treasury, team, newTreasury, user1] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+
+    // Deploy Auction with a mock LP token so getRigState can price DOUGH
+    const lpToken = await mockWethArtifact.deploy();
+    const auctionArtifact = await ethers.getContractFactory("Auction");
+    const auction = await auctionArtifact.deploy(
+      convert("100"),
+      lpToken.address,
+      "0x000000000000000000000000000000000000dEaD",
+      86400,
+      ethers.utils.parseUnits("1.5", 18),
+      convert("10")
+    );
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, auction.address, lpToken.address);
+  });
+
+  describe("Without a Delay", function () {
+    it("Should apply changes immediately", async function () {
+      expect(await rig.adminDelay()).to.equal(0);
+      await expect(rig.addCharity(charity.address)).to.emit(rig, "CharityAdded").and.not.to.emit(rig, "AdminChangeQueued");
+      expect(await rig.account_IsCharity(charity.address)).to.equal(true);
+    });
+
+    it("Should bound the delay", async function () {
+      await expect(rig.setAdminDelay(ONE_DAY * 31)).to.be.revertedWith("Rig__InvalidDelay");
+      await expect(rig.connect(user1).setAdminDelay(DELAY)).to.be.revertedWith(missingRole(user1, DEFAULT_ADMIN_ROLE));
+    });
+
+    it("Should set the first delay immediately", async function () {
+      await expect(rig.setAdminDelay(DELAY)).to.emit(rig, "AdminDelaySet").withArgs(DELAY);
+      expect(await rig.adminDelay()).to.equal(DELAY);
+    });
+  });
+
+  describe("With a Delay", function () {
+    it("Should queue a treasury change instead of applying it", async function () {
+      const tx = await rig.setTreasuryAddress(newTreasury.address);
+      const eta = (await getBlockTimestamp()) + DELAY;
+      await expect(tx)
+        .to.emit(rig, "AdminChangeQueued")
+        .withArgs(0, TREASURY_ADDRESS, newTreasury.address, 0, eta)
+        .and.not.to.emit(rig, "TreasuryAddressSet");
+      expect(await rig.treasuryAddress()).to.equal(treasury.address);
+    });
+
+    it("Should queue team and charity changes", async function () {
+      await rig.setTeamAddress(AddressZero);
+      await rig.addCharity(charity2.address);
+      expect(await rig.teamAddress()).to.equal(team.address);
+      expect(await rig.account_IsCharity(charity2.address)).to.equal(false);
+    });
+
+    it("Should list pending changes", async function () {
+      const [changeIds, changes] = await rig.getPendingAdminChanges();
+      expect(changeIds.map((id) => id.toNumber())).to.deep.equal([0, 1, 2]);
+      expect(changes[0].changeType).to.equal(TREASURY_ADDRESS);
+      expect(changes[0].target).to.equal(newTreasury.address);
+      expect(changes[1].changeType).to.equal(TEAM_ADDRESS);
+      expect(changes[1].target).to.equal(AddressZero);
+      expect(changes[2].changeType).to.equal(ADD_CHARITY);
+      expect(changes[2].status).to.equal(QUEUED);
+
+      const state = await multicall.getRigState(AddressZero);
+      expect(state.adminDelay).to.equal(DELAY);
+      expect(state.pendingAdminChanges).to.equal(3);
+      expect(await rig.pendingAdminChangeCount()).to.equal(3);
+    });
+
+    it("Should not execute before the delay passes", async function () {
+      await expect(rig.executeAdminChange(0)).to.be.revertedWith("Rig__ChangeNotReady");
+    });
+
+    it("Should only let the owner execute or cancel", async function () {
+      await expect(rig.connect(user1).executeAdminChange(0)).to.be.revertedWith(missingRole(user1, TREASURY_MANAGER_ROLE));
+      await expect(rig.connect(user1).cancelAdminChange(0)).to.be.revertedWith(missingRole(user1, TREASURY_MANAGER_ROLE));
+    });
+
+    it("Should cancel a queued change", async function () {
+      await expect(rig.cancelAdminChange(1)).to.emit(rig, "AdminChangeCancelled").withArgs(1);
+      expect((await rig.getAdminChange(1)).status).to.equal(CANCELLED);
+      expect(await rig.pendingAdminChangeCount()).to.equal(2);
+      await expect(rig.cancelAdminChange(1)).to.be.revertedWith("Rig__ChangeNotQueued");
+      await expect(rig.cancelAdminChange(99)).to.be.revertedWith("Rig__ChangeNotQueued");
+    });
+
+    it("Should execute queued changes after the delay", async function () {
+      await increaseTime(DELAY);
+      await expect(rig.executeAdminChange(0))
+        .to.emit(rig, "TreasuryAddressSet")
+        .withArgs(newTreasury.address)
+        .and.to.emit(rig, "AdminChangeExecuted")
+        .withArgs(0);
+      await rig.executeAdminChange(2);
+
+      expect(await rig.treasuryAddress()).to.equal(newTreasury.address);
+      expect(await rig.account_IsCharity(charity2.address)).to.equal(true);
+      expect(await rig.teamAddress()).to.equal(team.address);
+      expect((await rig.getAdminChange(0)).status).to.equal(EXECUTED);
+    });
+
+    it("Should not execute a change twice or execute a cancelled change", async function () {
+      await expect(rig.executeAdminChange(0)).to.be.revertedWith("Rig__ChangeNotQueued");
+      await expect(rig.executeAdminChange(1)).to.be.revertedWith("Rig__ChangeNotQueued");
+      const [changeIds] = await rig.getPendingAdminChanges();
+      expect(changeIds.length).to.equal(0);
+      expect(await rig.pendingAdminChangeCount()).to.equal(0);
+      expect((await multicall.getRigState(AddressZero)).pendingAdminChanges).to.equal(0);
+    });
+
+    it("Should keep emergency removal and suspension instant", async function () {
+      await rig.suspendCharity(charity2.address);
+      expect(await rig.account_IsCharity(charity2.address)).to.equal(false);
+      await rig.removeCharity(charity.address);
+      expect(await rig.account_IsCharity(charity.address)).to.equal(false);
+    });
+
+    it("Should still validate addresses when queueing", async function () {
+      await expect(rig.setTreasuryAddress(AddressZero)).to.be.revertedWith("Rig__InvalidAddress");
+      await expect(rig.addCharity(AddressZero)).to.be.revertedWith("Rig__InvalidAddress");
+    });
+
+    it("Should delay shortening the delay itself", async function () {
+      await expect(rig.setAdminDelay(0)).to.emit(rig, "AdminChangeQueued");
+      expect(await rig.adminDelay()).to.equal(DELAY);
+      const [changeIds, changes] = await rig.getPendingAdminChanges();
+      expect(changes[0].changeType).to.equal(ADMIN_DELAY);
+      expect(changes[0].value).to.equal(0);
+
+      await increaseTime(DELAY);
+      await rig.executeAdminChange(changeIds[0]);
+      expect(await rig.adminDelay()).to.equal(0);
+
+      await rig.setTeamAddress(AddressZero);
+      expect(await rig.teamAddress()).to.equal(AddressZero);
+      // Changes applied immediately are never pending
+      expect(await rig.pendingAdminChangeCount()).to.equal(0);
+    });
+  });
+});
+
+describe("Role-Based Access Tests", function () {
+  let paymentToken, unitToken, rig;
+  let admin, curator, treasuryManager, pauser, charity, treasury, team, outsider;
+
+  before(async function () {
+    [admin, curator, treasuryManager, pauser, charity, treasury, team, outsider] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.connect(admin).deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+  });
+
+  describe("Setup", function () {
+    it("Should grant every role to the deployer", async function () {
+      for (const role of [DEFAULT_ADMIN_ROLE, CURATOR_ROLE, TREASURY_MANAGER_ROLE, PAUSER_ROLE]) {
+        expect(await rig.hasRole(role, admin.address)).to.equal(true);
+        expect(await rig.getRoleMemberCount(role)).to.equal(1);
+      }
+      expect(await rig.CURATOR_ROLE()).to.equal(CURATOR_ROLE);
+      expect(await rig.TREASURY_MANAGER_ROLE()).to.equal(TREASURY_MANAGER_ROLE);
+      expect(await rig.PAUSER_ROLE()).to.equal(PAUSER_ROLE);
+    });
+
+    it("Should hand each role to a separate account", async function () {
+      await rig.grantRole(CURATOR_ROLE, curator.address);
+      await rig.grantRole(TREASURY_MANAGER_ROLE, treasuryManager.address);
+      await rig.grantRole(PAUSER_ROLE, pauser.address);
+      await rig.renounceRole(CURATOR_ROLE, admin.address);
+      await rig.renounceRole(TREASURY_MANAGER_ROLE, admin.address);
+      await rig.renounceRole(PAUSER_ROLE, admin.address);
+
+      expect(await rig.getRoleMember(CURATOR_ROLE, 0)).to.equal(curator.address);
+      expect(await rig.getRoleMember(TREASURY_MANAGER_ROLE, 0)).to.equal(treasuryManager.address);
+      expect(await rig.getRoleMember(PAUSER_ROLE, 0)).to.equal(pauser.address);
+      expect(await rig.getRoleMemberCount(DEFAULT_ADMIN_ROLE)).to.equal(1);
+    });
+
+    it("Should only let the admin manage roles", async function () {
+      await expect(rig.connect(curator).grantRole(CURATOR_ROLE, outsider.address)).to.be.revertedWith(
+        missingRole(curator, DEFAULT_ADMIN_ROLE)
+      );
+      await expect(rig.connect(treasuryManager).revokeRole(CURATOR_ROLE, curator.address)).to.be.revertedWith(
+        missingRole(treasuryManager, DEFAULT_ADMIN_ROLE)
+      );
+    });
+  });
+
+  describe("Curator", function () {
+    it("Should curate charities", async function () {
+      await rig.connect(curator).registerCharity(charity.address, "Charity", "", ethers.constants.HashZero);
+      await rig.connect(curator).addCharity(charity.address);
+      await rig.connect(curator).setCharityVerified(charity.address, true);
+      await rig.connect(curator).setCharitySplit(charity.address, 6000);
+      await rig.connect(curator).suspendCharity(charity.address);
+      await rig.connect(curator).addCharity(charity.address);
+      expect(await rig.account_IsCharity(charity.address)).to.equal(true);
+    });
+
+    it("Should not control fund destinations, pausing or protocol settings", async function () {
+      await expect(rig.connect(curator).setTreasuryAddress(curator.address)).to.be.revertedWith(
+        missingRole(curator, TREASURY_MANAGER_ROLE)
+      );
+      await expect(rig.connect(curator).setTeamAddress(curator.address)).to.be.revertedWith(
+        missingRole(curator, TREASURY_MANAGER_ROLE)
+      );
+      await expect(rig.connect(curator).pause(true, true)).to.be.revertedWith(missingRole(curator, PAUSER_ROLE));
+      await expect(rig.connect(curator).setCharityBpsBounds(5000, 10000)).to.be.revertedWith(
+        missingRole(curator, DEFAULT_ADMIN_ROLE)
+      );
+      await expect(rig.connect(curator).addPaymentToken(outsider.address, outsider.address)).to.be.revertedWith(
+        missingRole(curator, DEFAULT_ADMIN_ROLE)
+      );
+    });
+  });
+
+  describe("Treasury Manager", function () {
+    it("Should move treasury and team destinations", async function () {
+      await rig.connect(treasuryManager).setTreasuryAddress(outsider.address);
+      await rig.connect(treasuryManager).setTeamAddress(AddressZero);
+      expect(await rig.treasuryAddress()).to.equal(outsider.address);
+      expect(await rig.teamAddress()).to.equal(AddressZero);
+      await rig.connect(treasuryManager).setTreasuryAddress(treasury.address);
+      await rig.connect(treasuryManager).setTeamAddress(team.address);
+    });
+
+    it("Should not curate charities or pause", async function () {
+      await expect(rig.connect(treasuryManager).addCharity(treasuryManager.address)).to.be.revertedWith(
+        missingRole(treasuryManager, CURATOR_ROLE)
+      );
+      await expect(rig.connect(treasuryManager).removeCharity(charity.address)).to.be.revertedWith(
+        missingRole(treasuryManager, CURATOR_ROLE)
+      );
+      await expect(rig.connect(treasuryManager).pause(true, false)).to.be.revertedWith(
+        missingRole(treasuryManager, PAUSER_ROLE)
+      );
+    });
+  });
+
+  describe("Pauser and Admin", function () {
+    it("Should let the pauser pause but only the admin unpause", async function () {
+      await rig.connect(pauser).pause(true, true);
+      await expect(rig.connect(pauser).unpause(true, true)).to.be.revertedWith(
+        missingRole(pauser, DEFAULT_ADMIN_ROLE)
+      );
+      await rig.connect(admin).unpause(true, true);
+      expect(await rig.donationsPaused()).to.equal(false);
+    });
+
+    it("Should not give the admin operational roles it does not hold", async function () {
+      await expect(rig.connect(admin).addCharity(admin.address)).to.be.revertedWith(
+        missingRole(admin, CURATOR_ROLE)
+      );
+      await expect(rig.connect(admin).setTreasuryAddress(admin.address)).to.be.revertedWith(
+        missingRole(admin, TREASURY_MANAGER_ROLE)
+      );
+      await expect(rig.connect(admin).pause(true, true)).to.be.revertedWith(missingRole(admin, PAUSER_ROLE));
+    });
+  });
+
+  describe("Queued Changes", function () {
+    before(async function () {
+      await rig.connect(admin).setAdminDelay(ONE_DAY);
+      await rig.connect(treasuryManager).setTreasuryAddress(outsider.address); // change 0
+      await rig.connect(curator).addCharity(outsider.address); // change 1
+      await increaseTime(ONE_DAY);
+    });
+
+    it("Should require the queueing role to execute or cancel a change", async function () {
+      await expect(rig.connect(curator).executeAdminChange(0)).to.be.revertedWith(
+        missingRole(curator, TREASURY_MANAGER_ROLE)
+      );
+      await expect(rig.connect(treasuryManager).cancelAdminChange(1)).to.be.revertedWith(
+        missingRole(treasuryManager, CURATOR_ROLE)
+      );
+      await expect(rig.connect(admin).executeAdminChange(1)).to.be.revertedWith(
+        missingRole(admin, CURATOR_ROLE)
+      );
+    });
+
+    it("Should let each role settle its own changes", async function () {
+      await rig.connect(treasuryManager).cancelAdminChange(0);
+      await rig.connect(curator).executeAdminChange(1);
+      expect(await rig.treasuryAddress()).to.equal(treasury.address);
+      expect(await rig.account_IsCharity(outsider.address)).to.equal(true);
+    });
+
+    it("Should keep the admin delay under the admin role", async function () {
+      await expect(rig.connect(curator).setAdminDelay(0)).to.be.revertedWith(
+        missingRole(curator, DEFAULT_ADMIN_ROLE)
+      );
+    });
+  });
+});
+
+describe("Emission Schedule Tests", function () {
+  let owner, charity, treasury, team, user1;
+
+  before(async function () {
+    [owner, charity, treasury, team, user1] = await ethers.getSigners();
+  });
+
+  async function deployRigWithSchedule(schedule) {
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    const paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    const unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    const rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      schedule.address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    await paymentToken.connect(user1).deposit({ value: convert("1") });
+    await paymentToken.connect(user1).approve(rig.address, ethers.constants.MaxUint256);
+
+    return { paymentToken, unitToken, rig };
+  }
+
+  describe("HalvingSchedule", function () {
+    it("Should halve every period down to the floor", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("HalvingSchedule");
+      const schedule = await scheduleArtifact.deploy(convert("1000"), convert("100"), 7);
+
+      expect(await schedule.getDayEmission(0)).to.equal(convert("1000"));
+      expect(await schedule.getDayEmission(6)).to.equal(convert("1000"));
+      expect(await schedule.getDayEmission(7)).to.equal(convert("500"));
+      expect(await schedule.getDayEmission(14)).to.equal(convert("250"));
+      expect(await schedule.getDayEmission(21)).to.equal(convert("125"));
+      expect(await schedule.getDayEmission(28)).to.equal(convert("100"));
+      expect(await schedule.getDayEmission(100000)).to.equal(convert("100"));
+    });
+
+    it("Should reject invalid parameters", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("HalvingSchedule");
+      await expect(scheduleArtifact.deploy(0, 0, 30)).to.be.revertedWith("HalvingSchedule__InvalidEmission");
+      await expect(scheduleArtifact.deploy(convert("1"), convert("2"), 30)).to.be.revertedWith(
+        "HalvingSchedule__InvalidEmission"
+      );
+      await expect(scheduleArtifact.deploy(convert("2"), convert("1"), 0)).to.be.revertedWith(
+        "HalvingSchedule__InvalidPeriod"
+      );
+    });
+  });
+
+  describe("ExponentialDecaySchedule", function () {
+    it("Should multiply emission by the decay factor every day", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("ExponentialDecaySchedule");
+      const schedule = await scheduleArtifact.deploy(convert("1024"), convert("1"), convert("0.5"));
+
+      expect(await schedule.getDayEmission(0)).to.equal(convert("1024"));
+      expect(await schedule.getDayEmission(1)).to.equal(convert("512"));
+      expect(await schedule.getDayEmission(3)).to.equal(convert("128"));
+      expect(await schedule.getDayEmission(10)).to.equal(convert("1"));
+      expect(await schedule.getDayEmission(11)).to.equal(convert("1"));
+      expect(await schedule.getDayEmission(1000000)).to.equal(convert("1"));
+    });
+
+    it("Should decay smoothly without steps", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("ExponentialDecaySchedule");
+      const schedule = await scheduleArtifact.deploy(INITIAL_EMISSION, MIN_EMISSION, convert("0.977"));
+
+      let previous = await schedule.getDayEmission(0);
+      for (const d of [1, 2, 15, 29, 30, 31]) {
+        const emission = await schedule.getDayEmission(d);
+        expect(emission).to.be.lt(previous);
+        previous = emission;
+      }
+
+      // 0.977^30 is about 0.4976, so day 30 sits just under half the initial emission
+      const day30 = await schedule.getDayEmission(30);
+      expect(day30).to.be.closeTo(INITIAL_EMISSION.mul(4976).div(10000), convert("100"));
+    });
+
+    it("Should keep a constant emission with a factor of one", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("ExponentialDecaySchedule");
+      const schedule = await scheduleArtifact.deploy(convert("10"), 0, convert("1"));
+      expect(await schedule.getDayEmission(365)).to.equal(convert("10"));
+    });
+
+    it("Should reject invalid parameters", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("ExponentialDecaySchedule");
+      await expect(scheduleArtifact.deploy(0, 0, convert("0.5"))).to.be.revertedWith(
+        "ExponentialDecaySchedule__InvalidEmission"
+      );
+      await expect(scheduleArtifact.deploy(convert("1"), 0, 0)).to.be.revertedWith(
+        "ExponentialDecaySchedule__InvalidDecayFactor"
+      );
+      await expect(scheduleArtifact.deploy(convert("1"), 0, convert("1.01"))).to.be.revertedWith(
+        "ExponentialDecaySchedule__InvalidDecayFactor"
+      );
+    });
+  });
+
+  describe("LinearDecaySchedule", function () {
+    it("Should drop by a fixed amount every day down to the floor", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("LinearDecaySchedule");
+      const schedule = await scheduleArtifact.deploy(convert("1000"), convert("150"), convert("100"));
+
+      expect(await schedule.getDayEmission(0)).to.equal(convert("1000"));
+      expect(await schedule.getDayEmission(1)).to.equal(convert("900"));
+      expect(await schedule.getDayEmission(8)).to.equal(convert("200"));
+      expect(await schedule.getDayEmission(9)).to.equal(convert("150"));
+      expect(await schedule.getDayEmission(ethers.constants.MaxUint256)).to.equal(convert("150"));
+    });
+
+    it("Should keep a constant emission with no decay", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("LinearDecaySchedule");
+      const schedule = await scheduleArtifact.deploy(convert("10"), 0, 0);
+      expect(await schedule.getDayEmission(365)).to.equal(convert("10"));
+    });
+
+    it("Should reject invalid parameters", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("LinearDecaySchedule");
+      await expect(scheduleArtifact.deploy(0, 0, 1)).to.be.revertedWith("LinearDecaySchedule__InvalidEmission");
+      await expect(scheduleArtifact.deploy(convert("1"), convert("2"), 1)).to.be.revertedWith(
+        "LinearDecaySchedule__InvalidEmission"
+      );
+    });
+  });
+
+  describe("PiecewiseSchedule", function () {
+    it("Should read emission from the segment covering the day", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("PiecewiseSchedule");
+      const schedule = await scheduleArtifact.deploy(
+        [0, 7, 30],
+        [convert("5000"), convert("2000"), convert("500")]
+      );
+
+      expect(await schedule.getSegmentCount()).to.equal(3);
+      expect(await schedule.getDayEmission(0)).to.equal(convert("5000"));
+      expect(await schedule.getDayEmission(6)).to.equal(convert("5000"));
+      expect(await schedule.getDayEmission(7)).to.equal(convert("2000"));
+      expect(await schedule.getDayEmission(29)).to.equal(convert("2000"));
+      expect(await schedule.getDayEmission(30)).to.equal(convert("500"));
+      expect(await schedule.getDayEmission(100000)).to.equal(convert("500"));
+    });
+
+    it("Should reject malformed tables", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("PiecewiseSchedule");
+      await expect(scheduleArtifact.deploy([], [])).to.be.revertedWith("PiecewiseSchedule__InvalidLength");
+      await expect(scheduleArtifact.deploy([0, 7], [convert("1")])).to.be.revertedWith(
+        "PiecewiseSchedule__InvalidLength"
+      );
+      await expect(scheduleArtifact.deploy([1], [convert("1")])).to.be.revertedWith(
+        "PiecewiseSchedule__InvalidStartDay"
+      );
+      await expect(scheduleArtifact.deploy([0, 7, 7], [1, 2, 3])).to.be.revertedWith(
+        "PiecewiseSchedule__InvalidStartDay"
+      );
+    });
+  });
+
+  describe("Rig Integration", function () {
+    it("Should expose its schedule and mint from it", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("LinearDecaySchedule");
+      const schedule = await scheduleArtifact.deploy(convert("1000"), convert("100"), convert("250"));
+      const { unitToken, rig } = await deployRigWithSchedule(schedule);
+
+      expect(await rig.emissionSchedule()).to.equal(schedule.address);
+      expect(await rig.getDayEmission(2)).to.equal(convert("500"));
+
+      await increaseTime(ONE_DAY);
+      const day = await rig.currentDay();
+      await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+      await increaseTime(ONE_DAY);
+
+      await rig.claim(user1.address, day);
+      expect(await unitToken.balanceOf(user1.address)).to.equal(convert("750"));
+    });
+
+    it("Should project any schedule through Multicall", async function () {
+      const scheduleArtifact = await ethers.getContractFactory("PiecewiseSchedule");
+      const schedule = await scheduleArtifact.deploy([0, 2], [convert("300"), convert("30")]);
+      const { paymentToken, rig } = await deployRigWithSchedule(schedule);
+
+      const auctionArtifact = await ethers.getContractFactory("Auction");
+      const auction = await auctionArtifact.deploy(
+        convert("100"),
+        paymentToken.address,
+        "0x000000000000000000000000000000000000dEaD",
+        86400,
+        ethers.utils.parseUnits("1.5", 18),
+        convert("10")
+      );
+      const multicallArtifact = await ethers.getContractFactory("Multicall");
+      const multicall = await multicallArtifact.deploy(rig.address, auction.address, paymentToken.address);
+
+      const emissions = await multicall.getEmissionSchedule(4);
+      expect(emissions.map((e) => e.toString())).to.deep.equal(
+        [convert("300"), convert("300"), convert("30"), convert("30")].map((e) => e.toString())
+      );
+    });
+  });
+});
+
+describe("Supply Cap Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charity, treasury, team, user1, user2;
+  let day0, day1;
+
+  async function deployRig(maxSupply) {
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    const token = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    const unit = await unitArtifact.deploy(maxSupply);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    const rigContract = await rigArtifact.deploy(
+      token.address,
+      unit.address,
+      treasury.address,
+      team.address,
+      token.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rigContract.addCharity(charity.address);
+    await unit.setRig(rigContract.address);
+
+    for (const user of [user1, user2]) {
+      await token.connect(user).deposit({ value: convert("4") });
+      await token.connect(user).approve(rigContract.address, ethers.constants.MaxUint256);
+    }
+
+    return { token, unit, rigContract };
+  }
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2] = await ethers.getSigners();
+
+    ({ token: paymentToken, unit: unitToken, rigContract: rig } = await deployRig(MAX_SUPPLY));
+
+    const auctionArtifact = await ethers.getContractFactory("Auction");
+    const auction = await auctionArtifact.deploy(
+      convert("100"),
+      paymentToken.address,
+      "0x000000000000000000000000000000000000dEaD",
+      86400,
+      ethers.utils.parseUnits("1.5", 18),
+      convert("10")
+    );
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, auction.address, paymentToken.address);
+
+    // Day 0: user1 gives 1, user2 gives 3. Day 1: only user1 gives.
+    day0 = await rig.currentDay();
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    await rig.connect(user2).donate(user2.address, charity.address, convert("3"));
+    await increaseTime(ONE_DAY);
+    day1 = await rig.currentDay();
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    await increaseTime(ONE_DAY);
+  });
+
+  describe("Unit Max Supply", function () {
+    it("Should reject a zero max supply", async function () {
+      const unitArtifact = await ethers.getContractFactory("Unit");
+      await expect(unitArtifact.deploy(0)).to.be.revertedWith("Unit__InvalidMaxSupply");
+    });
+
+    it("Should cap total supply and free room on burn", async function () {
+      const unitArtifact = await ethers.getContractFactory("Unit");
+      const unit = await unitArtifact.deploy(convert("100"));
+      expect(await unit.maxSupply()).to.equal(convert("100"));
+
+      await unit.mint(owner.address, convert("100"));
+      await expect(unit.mint(owner.address, 1)).to.be.revertedWith("Unit__MaxSupplyExceeded");
+
+      await unit.burn(convert("10"));
+      await unit.mint(owner.address, convert("10"));
+      expect(await unit.totalSupply()).to.equal(convert("100"));
+    });
+
+    it("Should make claims revert once the cap is reached", async function () {
+      const { unit, rigContract } = await deployRig(convert("1000"));
+      const day = await rigContract.currentDay();
+      await rigContract.connect(user1).donate(user1.address, charity.address, convert("1"));
+      await increaseTime(ONE_DAY);
+
+      await expect(rigContract.claim(user1.address, day)).to.be.revertedWith("Unit__MaxSupplyExceeded");
+      expect(await rigContract.day_Minted(day)).to.equal(0);
+      expect(await unit.totalSupply()).to.equal(0);
+    });
+  });
+
+  describe("Emission Accounting", function () {
+    it("Should start with nothing minted", async function () {
+      expect(await rig.totalMinted()).to.equal(0);
+      expect(await rig.day_Minted(day0)).to.equal(0);
+    });
+
+    it("Should record each claim against its day", async function () {
+      await rig.claim(user1.address, day0);
+      const emission = await rig.getDayEmission(day0);
+      expect(await rig.day_Minted(day0)).to.equal(emission.div(4));
+      expect(await rig.totalMinted()).to.equal(emission.div(4));
+    });
+
+    it("Should record claimAll per day and never exceed the day's emission", async function () {
+      await rig.claimAll(user2.address);
+      await rig.claimAll(user1.address);
+
+      for (const day of [day0, day1]) {
+        const minted = await rig.day_Minted(day);
+        expect(minted).to.be.lte(await rig.getDayEmission(day));
+        expect(minted).to.be.closeTo(await rig.getDayEmission(day), 1);
+      }
+      const total = (await rig.day_Minted(day0)).add(await rig.day_Minted(day1));
+      expect(await rig.totalMinted()).to.equal(total);
+      expect(await unitToken.totalSupply()).to.equal(total);
+    });
+
+    it("Should leave days nobody claimed at zero", async function () {
+      expect(await rig.day_Minted(day1.add(1))).to.equal(0);
+    });
+  });
+
+  describe("Multicall Supply Views", function () {
+    it("Should report supply totals", async function () {
+      await unitToken.connect(user1).burn(convert("1"));
+
+      const state = await multicall.getSupplyState();
+      expect(state.maxSupply).to.equal(MAX_SUPPLY);
+      expect(state.totalMinted).to.equal(await rig.totalMinted());
+      expect(state.totalSupply).to.equal(state.totalMinted.sub(convert("1")));
+      expect(state.currentDay).to.equal(await rig.currentDay());
+    });
+
+    it("Should sum the emission of finished days in pages", async function () {
+      const currentDay = (await rig.currentDay()).toNumber();
+      let emitted = ethers.BigNumber.from(0);
+      for (let day = 0; day < currentDay; day++) {
+        emitted = emitted.add(await rig.getDayEmission(day));
+      }
+
+      const half = Math.floor(currentDay / 2);
+      const paged = (await multicall.getEmitted(0, half)).add(await multicall.getEmitted(half, currentDay));
+      expect(paged).to.equal(emitted);
+      expect(await multicall.getEmitted(currentDay, 10)).to.equal(0);
+      expect(await multicall.getEmitted(day1, 1)).to.equal(await rig.getDayEmission(day1));
+    });
+
+    it("Should page through per-day emission, minted and unclaimed amounts", async function () {
+      const supply = await multicall.getDaySupply(day0, 3);
+      expect(supply.length).to.equal(3);
+      for (let i = 0; i < 3; i++) {
+        const day = day0.add(i);
+        expect(supply[i].day).to.equal(day);
+        expect(supply[i].emission).to.equal(await rig.getDayEmission(day));
+        expect(supply[i].minted).to.equal(await rig.day_Minted(day));
+        expect(supply[i].unclaimed).to.equal(supply[i].emission.sub(supply[i].minted));
+      }
+      // The current day has nothing minted yet
+      expect(supply[2].minted).to.equal(0);
+    });
+  });
+});
+
+describe("Emission Recycling Tests", function () {
+  let paymentToken, unitToken, rig, multicall;
+  let owner, charity, treasury, team, user1, user2;
+  let startDay;
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    for (const user of [user1, user2]) {
+      await paymentToken.connect(user).deposit({ value: convert("1") });
+      await paymentToken.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+    }
+
+    startDay = (await rig.currentDay()).toNumber();
+  });
+
+  describe("Configuration", function () {
+    it("Should be off by default", async function () {
+      expect(await rig.recycleBps()).to.equal(0);
+      expect(await rig.recycleReserve()).to.equal(0);
+    });
+
+    it("Should only let the admin set a drip of at most 100%", async function () {
+      await expect(rig.connect(user1).setRecycleBps(5000)).to.be.revertedWith(missingRole(user1, DEFAULT_ADMIN_ROLE));
+      await expect(rig.setRecycleBps(10001)).to.be.revertedWith("Rig__InvalidRecycleBps");
+    });
+
+    it("Should start counting empty days from the day it is enabled", async function () {
+      await expect(rig.setRecycleBps(5000)).to.emit(rig, "RecycleBpsSet").withArgs(5000);
+      expect(await rig.recycleCursor()).to.equal(startDay);
+    });
+  });
+
+  describe("Empty Days", function () {
+    it("Should drip an empty day's emission into the next funded day", async function () {
+      // startDay passes with no donations
+      await increaseTime(ONE_DAY);
+      const day = startDay + 1;
+      const emptyEmission = await rig.getDayEmission(startDay);
+      const drip = emptyEmission.div(2);
+
+      await expect(rig.connect(user1).donate(user1.address, charity.address, convert("0.1")))
+        .to.emit(rig, "EmissionRecycled")
+        .withArgs(day, drip, emptyEmission.sub(drip));
+
+      expect(await rig.day_Recycled(day)).to.equal(drip);
+      expect(await rig.recycleReserve()).to.equal(emptyEmission.sub(drip));
+      expect(await rig.recycleCursor()).to.equal(day + 1);
+      expect(await rig.getEffectiveEmission(day)).to.equal((await rig.getDayEmission(day)).add(drip));
+    });
+
+    it("Should only recycle once per day", async function () {
+      const day = startDay + 1;
+      const reserve = await rig.recycleReserve();
+      await rig.connect(user2).donate(user2.address, charity.address, convert("0.2"));
+      expect(await rig.recycleReserve()).to.equal(reserve);
+      expect(await rig.day_Recycled(day)).to.equal((await rig.getDayEmission(startDay)).div(2));
+    });
+
+    it("Should pay the recycled emission out to the day's donors", async function () {
+      const day = startDay + 1;
+      await increaseTime(ONE_DAY);
+      const effective = await rig.getEffectiveEmission(day);
+
+      const expected1 = effective.mul(1).div(3);
+      const expected2 = effective.mul(2).div(3);
+      expect(await rig.getPendingReward(day, user1.address)).to.equal(expected1);
+
+      await rig.claim(user1.address, day);
+      await rig.claim(user2.address, day);
+      expect(await unitToken.balanceOf(user1.address)).to.equal(expected1);
+      expect(await unitToken.balanceOf(user2.address)).to.equal(expected2);
+      expect(await rig.day_Minted(day)).to.be.gt(await rig.getDayEmission(day));
+      expect(await rig.day_Minted(day)).to.be.lte(effective);
+    });
+  });
+
+  describe("Rounding Dust", function () {
+    it("Should collect the fraction of a wei each claim rounds away", async function () {
+      const day = startDay + 1;
+      const effective = await rig.getEffectiveEmission(day);
+      const scale = ethers.utils.parseUnits("1", 18);
+      const dust1 = effective.mul(1).mod(3).mul(scale).div(3);
+      const dust2 = effective.mul(2).mod(3).mul(scale).div(3);
+      expect(await rig.recycleDust()).to.equal(dust1.add(dust2));
+    });
+
+    it("Should move whole wei of dust into the reserve at the next recycle", async function () {
+      const day = startDay + 2;
+      const scale = ethers.utils.parseUnits("1", 18);
+      const dust = await rig.recycleDust();
+      const reserve = (await rig.recycleReserve()).add(dust.div(scale));
+      const drip = reserve.div(2);
+
+      await rig.connect(user1).donate(user1.address, charity.address, convert("0.1"));
+      expect(await rig.recycleDust()).to.equal(dust.mod(scale));
+      expect(await rig.day_Recycled(day)).to.equal(drip);
+      expect(await rig.recycleReserve()).to.equal(reserve.sub(drip));
+    });
+  });
+
+  describe("Long Quiet Spells", function () {
+    it("Should sweep at most MAX_RECYCLE_DAYS empty days", async function () {
+      await increaseTime(ONE_DAY * 400);
+      const day = (await rig.currentDay()).toNumber();
+      const maxDays = (await rig.MAX_RECYCLE_DAYS()).toNumber();
+
+      let swept = ethers.BigNumber.from(0);
+      for (let d = day - maxDays; d < day; d++) {
+        swept = swept.add(await rig.getDayEmission(d));
+      }
+      const reserve = (await rig.recycleReserve()).add(swept);
+
+      await rig.connect(user1).donate(user1.address, charity.address, convert("0.1"));
+      expect(await rig.day_Recycled(day)).to.equal(reserve.div(2));
+      expect(await rig.recycleReserve()).to.equal(reserve.sub(reserve.div(2)));
+    });
+  });
+
+  describe("Disabling", function () {
+    it("Should keep the reserve but stop dripping when disabled", async function () {
+      const reserve = await rig.recycleReserve();
+      await rig.setRecycleBps(0);
+      await increaseTime(ONE_DAY * 2);
+
+      const day = await rig.currentDay();
+      await rig.connect(user1).donate(user1.address, charity.address, convert("0.1"));
+      expect(await rig.day_Recycled(day)).to.equal(0);
+      expect(await rig.recycleReserve()).to.equal(reserve);
+    });
+
+    it("Should not recycle days that were empty while disabled", async function () {
+      const reserve = await rig.recycleReserve();
+      await increaseTime(ONE_DAY * 3);
+      await rig.setRecycleBps(10000);
+
+      const day = await rig.currentDay();
+      await rig.connect(user1).donate(user1.address, charity.address, convert("0.1"));
+      expect(await rig.day_Recycled(day)).to.equal(reserve);
+      expect(await rig.recycleReserve()).to.equal(0);
+    });
+
+    it("Should skip today when enabled after today's first donation", async function () {
+      await rig.setRecycleBps(0);
+      await increaseTime(ONE_DAY);
+      const day = (await rig.currentDay()).toNumber();
+      await rig.connect(user1).donate(user1.address, charity.address, convert("0.1"));
+      await rig.setRecycleBps(10000);
+      expect(await rig.recycleCursor()).to.equal(day + 1);
+    });
+  });
+
+  describe("Multicall Views", function () {
+    it("Should report effective emission, recycled amounts and the reserve", async function () {
+      const day = startDay + 1;
+      const supply = await multicall.getDaySupply(day, 1);
+      expect(supply[0].recycled).to.equal(await rig.day_Recycled(day));
+      expect(supply[0].emission).to.equal(await rig.getEffectiveEmission(day));
+
+      const state = await multicall.getSupplyState();
+      expect(state.recycleReserve).to.equal(await rig.recycleReserve());
+    });
+  });
+});
+
+describe("Unit Votes and Permit Tests", function () {
+  let unitToken;
+  let owner, user1, user2, user3;
+  let chainId;
+
+  // Sign an EIP-2612 permit on DOUGH for `spender`
+  async function signPermit(signer, spender, value, deadline) {
+    const nonce = await unitToken.nonces(signer.address);
+    const signature = await signer._signTypedData(
+      { name: "Dough", version: "1", chainId, verifyingContract: unitToken.address },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      },
+      { owner: signer.address, spender, value, nonce, deadline }
+    );
+    return ethers.utils.splitSignature(signature);
+  }
+
+  before(async function () {
+    [owner, user1, user2, user3] = await ethers.getSigners();
+    chainId = (await ethers.provider.getNetwork()).chainId;
+
+    // The deployer stays the rig so it can mint directly
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+  });
+
+  describe("Minting and Burning", function () {
+    it("Should keep the rig-only mint and the Unit events", async function () {
+      await expect(unitToken.connect(user1).mint(user1.address, convert("1"))).to.be.revertedWith("Unit__NotRig");
+      await expect(unitToken.mint(user1.address, convert("100")))
+        .to.emit(unitToken, "Unit__Minted")
+        .withArgs(user1.address, convert("100"));
+      await expect(unitToken.connect(user1).burn(convert("10")))
+        .to.emit(unitToken, "Unit__Burned")
+        .withArgs(user1.address, convert("10"));
+    });
+
+    it("Should reject a max supply above the vote checkpoint limit", async function () {
+      const unitArtifact = await ethers.getContractFactory("Unit");
+      await expect(unitArtifact.deploy(ethers.BigNumber.from(2).pow(224))).to.be.revertedWith(
+        "Unit__InvalidMaxSupply"
+      );
+      await unitArtifact.deploy(ethers.BigNumber.from(2).pow(224).sub(1));
+    });
+  });
+
+  describe("Votes", function () {
+    it("Should give no voting power until the holder delegates", async function () {
+      expect(await unitToken.getVotes(user1.address)).to.equal(0);
+      await expect(unitToken.connect(user1).delegate(user1.address))
+        .to.emit(unitToken, "DelegateChanged")
+        .withArgs(user1.address, AddressZero, user1.address);
+      expect(await unitToken.getVotes(user1.address)).to.equal(convert("90"));
+    });
+
+    it("Should move voting power with delegation, transfers, mints and burns", async function () {
+      await unitToken.connect(user1).delegate(user2.address);
+      expect(await unitToken.getVotes(user1.address)).to.equal(0);
+      expect(await unitToken.getVotes(user2.address)).to.equal(convert("90"));
+
+      await unitToken.connect(user1).transfer(user3.address, convert("40"));
+      expect(await unitToken.getVotes(user2.address)).to.equal(convert("50"));
+
+      await unitToken.mint(user1.address, convert("5"));
+      expect(await unitToken.getVotes(user2.address)).to.equal(convert("55"));
+
+      await unitToken.connect(user1).burn(convert("5"));
+      expect(await unitToken.getVotes(user2.address)).to.equal(convert("50"));
+    });
+
+    it("Should checkpoint past votes and total supply by block", async function () {
+      const before = await ethers.provider.getBlockNumber();
+      await unitToken.mint(user1.address, convert("10"));
+      await ethers.provider.send("evm_mine", []);
+
+      expect(await unitToken.getPastVotes(user2.address, before)).to.equal(convert("50"));
+      expect(await unitToken.getPastVotes(user2.address, before + 1)).to.equal(convert("60"));
+      expect(await unitToken.getPastTotalSupply(before + 1)).to.equal(
+        (await unitToken.getPastTotalSupply(before)).add(convert("10"))
+      );
+      expect(await unitToken.numCheckpoints(user2.address)).to.be.gt(0);
+    });
+  });
+
+  describe("Permit", function () {
+    it("Should approve through an EIP-2612 signature", async function () {
+      const deadline = (await getBlockTimestamp()) + 3600;
+      const { v, r, s } = await signPermit(user1, user3.address, convert("7"), deadline);
+
+      await unitToken.connect(user3).permit(user1.address, user3.address, convert("7"), deadline, v, r, s);
+      expect(await unitToken.allowance(user1.address, user3.address)).to.equal(convert("7"));
+      expect(await unitToken.nonces(user1.address)).to.equal(1);
+
+      await unitToken.connect(user3).transferFrom(user1.address, user3.address, convert("7"));
+      expect(await unitToken.allowance(user1.address, user3.address)).to.equal(0);
+    });
+
+    it("Should reject replayed and expired permits", async function () {
+      const deadline = (await getBlockTimestamp()) + 3600;
+      const { v, r, s } = await signPermit(user1, user3.address, convert("1"), deadline);
+      await unitToken.permit(user1.address, user3.address, convert("1"), deadline, v, r, s);
+      await expect(
+        unitToken.permit(user1.address, user3.address, convert("1"), deadline, v, r, s)
+      ).to.be.revertedWith("ERC20Permit: invalid signature");
+
+      const expired = (await getBlockTimestamp()) - 1;
+      const sig = await signPermit(user1, user3.address, convert("1"), expired);
+      await expect(
+        unitToken.permit(user1.address, user3.address, convert("1"), expired, sig.v, sig.r, sig.s)
+      ).to.be.revertedWith("ERC20Permit: expired deadline");
+    });
+  });
+});
+
+describe("Charity Governance Tests", function () {
+  let paymentToken, unitToken, rig, governor;
+  let owner, charity, treasury, team, user1, user2, user3, user4, newCharity;
+  let lateDay;
+
+  const AddCharity = 0;
+  const SuspendCharity = 1;
+  const RemoveCharity = 2;
+  const State = { Pending: 0, Active: 1, Defeated: 2, Succeeded: 3, Executed: 4, Canceled: 5 };
+
+  const VOTING_DELAY = 5;
+  const VOTING_PERIOD = 20;
+  const QUORUM_BPS = 2000; // 20% of DOUGH supply at the snapshot
+  const PROPOSAL_THRESHOLD = convert("1000");
+
+  async function mineBlocks(count) {
+    await network.provider.send("hardhat_mine", ["0x" + count.toString(16)]);
+  }
+
+  // Propose, wait for the snapshot to pass, and return the proposal id
+  async function proposeAndOpen(action, target, proposer = user1) {
+    const proposalId = await governor.proposalCount();
+    await governor.connect(proposer).propose(action, target);
+    await mineBlocks(VOTING_DELAY + 1);
+    return proposalId;
+  }
+
+  async function closeVoting() {
+    await mineBlocks(VOTING_PERIOD);
+  }
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2, user3, user4, newCharity] = await ethers.getSigners();
+
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await rig.addCharity(charity.address);
+    await unitToken.setRig(rig.address);
+
+    const governorArtifact = await ethers.getContractFactory("CharityGovernor");
+    governor = await governorArtifact.deploy(
+      unitToken.address,
+      rig.address,
+      VOTING_DELAY,
+      VOTING_PERIOD,
+      QUORUM_BPS,
+      PROPOSAL_THRESHOLD
+    );
+    await rig.grantRole(CURATOR_ROLE, governor.address);
+
+    // Day 0: user1, user2 and user3 give 1:2:1, so they earn 25%, 50% and 25% of the day's DOUGH
+    for (const user of [user1, user2, user3, user4]) {
+      await paymentToken.connect(user).deposit({ value: convert("2") });
+      await paymentToken.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+    }
+    const day0 = await rig.currentDay();
+    await rig.connect(user1).donate(user1.address, charity.address, convert("1"));
+    await rig.connect(user2).donate(user2.address, charity.address, convert("2"));
+    await rig.connect(user3).donate(user3.address, charity.address, convert("1"));
+    await increaseTime(ONE_DAY);
+
+    // Day 1: user4 donates but only claims later, after proposals exist
+    lateDay = await rig.currentDay();
+    await rig.connect(user4).donate(user4.address, charity.address, convert("1"));
+    await increaseTime(ONE_DAY);
+
+    for (const user of [user1, user2, user3]) {
+      await rig.claim(user.address, day0);
+      await unitToken.connect(user).delegate(user.address);
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should store its parameters", async function () {
+      expect(await governor.unit()).to.equal(unitToken.address);
+      expect(await governor.rig()).to.equal(rig.address);
+      expect(await governor.votingDelay()).to.equal(VOTING_DELAY);
+      expect(await governor.votingPeriod()).to.equal(VOTING_PERIOD);
+      expect(await governor.quorumBps()).to.equal(QUORUM_BPS);
+      expect(await governor.proposalThreshold()).to.equal(PROPOSAL_THRESHOLD);
+    });
+
+    it("Should reject invalid parameters", async function () {
+      const governorArtifact = await ethers.getContractFactory("CharityGovernor");
+      await expect(governorArtifact.deploy(AddressZero, rig.address, 1, 10, 2000, 0)).to.be.revertedWith(
+        "CharityGovernor__InvalidAddress"
+      );
+      await expect(governorArtifact.deploy(unitToken.address, AddressZero, 1, 10, 2000, 0)).to.be.revertedWith(
+        "CharityGovernor__InvalidAddress"
+      );
+      await expect(governorArtifact.deploy(unitToken.address, rig.address, 1, 0, 2000, 0)).to.be.revertedWith(
+        "CharityGovernor__InvalidParameters"
+      );
+      await expect(governorArtifact.deploy(unitToken.address, rig.address, 1, 10, 0, 0)).to.be.revertedWith(
+        "CharityGovernor__InvalidParameters"
+      );
+      await expect(governorArtifact.deploy(unitToken.address, rig.address, 1, 10, 10001, 0)).to.be.revertedWith(
+        "CharityGovernor__InvalidParameters"
+      );
+    });
+  });
+
+  describe("Proposing", function () {
+    it("Should require the proposal threshold", async function () {
+      await expect(governor.connect(user4).propose(AddCharity, newCharity.address)).to.be.revertedWith(
+        "CharityGovernor__BelowThreshold"
+      );
+      await expect(governor.connect(user1).propose(AddCharity, AddressZero)).to.be.revertedWith(
+        "CharityGovernor__InvalidAddress"
+      );
+    });
+
+    it("Should snapshot votes after the voting delay", async function () {
+      const block = await ethers.provider.getBlockNumber();
+      await expect(governor.connect(user1).propose(AddCharity, newCharity.address))
+        .to.emit(governor, "CharityGovernor__ProposalCreated")
+        .withArgs(0, user1.address, AddCharity, newCharity.address, block + 1 + VOTING_DELAY, block + 1 + VOTING_DELAY + VOTING_PERIOD);
+
+      expect(await governor.state(0)).to.equal(State.Pending);
+      await expect(governor.connect(user1).castVote(0, true)).to.be.revertedWith("CharityGovernor__NotActive");
+      await expect(governor.state(99)).to.be.revertedWith("CharityGovernor__InvalidProposal");
+    });
+  });
+
+  describe("Voting and Execution", function () {
+    it("Should count votes at the snapshot", async function () {
+      await mineBlocks(VOTING_DELAY + 1);
+      expect(await governor.state(0)).to.equal(State.Active);
+
+      const supply = await unitToken.totalSupply();
+      expect(await governor.quorum(0)).to.equal(supply.mul(QUORUM_BPS).div(10000));
+
+      await expect(governor.connect(user1).castVote(0, true))
+        .to.emit(governor, "CharityGovernor__VoteCast")
+        .withArgs(0, user1.address, true, await unitToken.balanceOf(user1.address));
+      await expect(governor.connect(user1).castVote(0, true)).to.be.revertedWith("CharityGovernor__AlreadyVoted");
+      expect(await governor.proposal_Account_HasVoted(0, user1.address)).to.equal(true);
+      await governor.connect(user2).castVote(0, true);
+    });
+
+    it("Should ignore DOUGH claimed or moved after the snapshot", async function () {
+      // user4 claims and delegates only now, so it has no votes at the snapshot
+      await rig.claim(user4.address, lateDay);
+      await unitToken.connect(user4).delegate(user4.address);
+      await expect(governor.connect(user4).castVote(0, true)).to.be.revertedWith("CharityGovernor__NoVotes");
+
+      // user3 hands its DOUGH to user4 but still votes with its snapshot weight
+      const weight = await unitToken.balanceOf(user3.address);
+      await unitToken.connect(user3).transfer(user4.address, weight);
+      await governor.connect(user3).castVote(0, false);
+      expect((await governor.getProposal(0)).againstVotes).to.equal(weight);
+    });
+
+    it("Should execute a succeeded addition against the Rig", async function () {
+      await expect(governor.execute(0)).to.be.revertedWith("CharityGovernor__NotSucceeded");
+      await closeVoting();
+      expect(await governor.state(0)).to.equal(State.Succeeded);
+
+      await expect(governor.connect(user4).execute(0))
+        .to.emit(governor, "CharityGovernor__ProposalExecuted")
+        .withArgs(0)
+        .and.to.emit(rig, "CharityAdded")
+        .withArgs(newCharity.address);
+      expect(await rig.account_IsCharity(newCharity.address)).to.equal(true);
+      expect(await governor.state(0)).to.equal(State.Executed);
+      await expect(governor.execute(0)).to.be.revertedWith("CharityGovernor__NotSucceeded");
+    });
+
+    it("Should suspend and remove charities", async function () {
+      const suspendId = await proposeAndOpen(SuspendCharity, newCharity.address);
+      await governor.connect(user2).castVote(suspendId, true);
+      await closeVoting();
+      await governor.execute(suspendId);
+      expect((await rig.getCharity(newCharity.address)).status).to.equal(3); // Suspended
+
+      const removeId = await proposeAndOpen(RemoveCharity, newCharity.address);
+      await governor.connect(user2).castVote(removeId, true);
+      await closeVoting();
+      await governor.execute(removeId);
+      expect((await rig.getCharity(newCharity.address)).status).to.equal(4); // Retired
+    });
+  });
+
+  describe("Defeat and Cancellation", function () {
+    it("Should be defeated when against votes win", async function () {
+      const proposalId = await proposeAndOpen(RemoveCharity, charity.address);
+      await governor.connect(user1).castVote(proposalId, true);
+      await governor.connect(user2).castVote(proposalId, false);
+      await closeVoting();
+      expect(await governor.state(proposalId)).to.equal(State.Defeated);
+      await expect(governor.execute(proposalId)).to.be.revertedWith("CharityGovernor__NotSucceeded");
+    });
+
+    it("Should be defeated without quorum", async function () {
+      // user1 holds an eighth of the supply, under the 20% quorum
+      const proposalId = await proposeAndOpen(RemoveCharity, charity.address);
+      expect(await unitToken.getVotes(user1.address)).to.be.lt(await governor.quorum(proposalId));
+      await governor.connect(user1).castVote(proposalId, true);
+      await closeVoting();
+      expect(await governor.state(proposalId)).to.equal(State.Defeated);
+    });
+
+    it("Should let only the proposer cancel, and only before voting starts", async function () {
+      const proposalId = await governor.proposalCount();
+      await governor.connect(user1).propose(AddCharity, newCharity.address);
+      await expect(governor.connect(user2).cancel(proposalId)).to.be.revertedWith("CharityGovernor__NotProposer");
+      await expect(governor.connect(user1).cancel(proposalId))
+        .to.emit(governor, "CharityGovernor__ProposalCanceled")
+        .withArgs(proposalId);
+      expect(await governor.state(proposalId)).to.equal(State.Canceled);
+
+      const openId = await proposeAndOpen(AddCharity, newCharity.address);
+      await expect(governor.connect(user1).cancel(openId)).to.be.revertedWith("CharityGovernor__NotPending");
+    });
+  });
+
+  describe("Rig Admin Delay", function () {
+    it("Should queue additions behind the Rig's admin delay", async function () {
+      await rig.setAdminDelay(ONE_DAY);
+
+      const proposalId = await proposeAndOpen(AddCharity, newCharity.address);
+      await governor.connect(user2).castVote(proposalId, true);
+      await closeVoting();
+
+      // A curator queues the same addition, meaning to cancel it
+      const curatorChangeId = await rig.getAdminChangeCount();
+      await rig.addCharity(newCharity.address);
+
+      const changeId = await rig.getAdminChangeCount();
+      await governor.execute(proposalId);
+      expect(await rig.account_IsCharity(newCharity.address)).to.equal(false);
+      const proposal = await governor.getProposal(proposalId);
+      expect(proposal.queued).to.equal(true);
+      expect(proposal.changeId).to.equal(changeId);
+
+      await expect(governor.executeQueuedAddition(proposalId)).to.be.revertedWith("Rig__ChangeNotReady");
+      await increaseTime(ONE_DAY);
+      await rig.addCharity(user4.address);
+      await governor.executeQueuedAddition(proposalId);
+      expect(await rig.account_IsCharity(newCharity.address)).to.equal(true);
+
+      // Only the proposal's own change was executed; the curator's stays queued
+      expect((await rig.getAdminChange(changeId)).status).to.equal(2); // Executed
+      expect((await rig.getAdminChange(curatorChangeId)).status).to.equal(1); // Queued
+      await rig.cancelAdminChange(curatorChangeId);
+      await expect(governor.executeQueuedAddition(proposalId)).to.be.revertedWith("Rig__ChangeNotQueued");
+    });
+
+    it("Should only finish executed addition proposals that queued a change", async function () {
+      // Proposal 0 was an addition applied without delay, 1 an executed suspension, 3 was defeated
+      await expect(governor.executeQueuedAddition(0)).to.be.revertedWith("CharityGovernor__NotQueued");
+      await expect(governor.executeQueuedAddition(1)).to.be.revertedWith("CharityGovernor__NotQueued");
+      await expect(governor.executeQueuedAddition(3)).to.be.revertedWith("CharityGovernor__NotSucceeded");
+      expect((await governor.getProposal(0)).queued).to.equal(false);
+    });
+  });
+
+  describe("Curator Role", function () {
+    it("Should fail to execute once the governor loses the curator role", async function () {
+      await rig.setAdminDelay(0);
+      await increaseTime(ONE_DAY);
+      const [changeIds] = await rig.getPendingAdminChanges();
+      await rig.executeAdminChange(changeIds[changeIds.length - 1]);
+      await rig.revokeRole(CURATOR_ROLE, governor.address);
+
+      const proposalId = await proposeAndOpen(SuspendCharity, charity.address);
+      await governor.connect(user2).castVote(proposalId, true);
+      await closeVoting();
+      await expect(governor.execute(proposalId)).to.be.revertedWith(missingRole(governor, CURATOR_ROLE));
+    });
+  });
+});
+
+describe("Quadratic Funding Tests", function () {
+  let paymentToken, unitToken, rig, qf;
+  let owner, charityA, charityB, treasury, team, user1, user2, user3, user4, sponsor;
+
+  const MIN_CONTRIBUTION = convert("0.01");
+
+  // Integer square root, matching OpenZeppelin's Math.sqrt rounding down
+  function sqrt(value) {
+    value = BigInt(value.toString());
+    if (value < 2n) return value;
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+      x = y;
+      y = (x + value / x) / 2n;
+    }
+    return x;
+  }
+
+  // (sum of sqrt(donor sums))^2 - sum of donor sums, scaled like the contract
+  function matchWeight(donorSums) {
+    const precision = 10n ** 18n;
+    let sumSqrt = 0n;
+    let donated = 0n;
+    for (const sum of donorSums) {
+      sumSqrt += sqrt(BigInt(sum.toString()) * precision);
+      donated += BigInt(sum.toString()) * precision;
+    }
+    const squared = sumSqrt * sumSqrt;
+    return squared > donated ? squared - donated : 0n;
+  }
+
+  async function deployFixture() {
+    const mockWethArtifact = await ethers.getContractFactory("MockWETH");
+    paymentToken = await mockWethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      paymentToken.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      paymentToken.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+    await rig.addCharity(charityA.address);
+    await rig.addCharity(charityB.address);
+
+    const qfArtifact = await ethers.getContractFactory("QuadraticFunding");
+    qf = await qfArtifact.deploy(rig.address);
+    await rig.setDonationHooks([qf.address]);
+
+    for (const user of [user1, user2, user3, user4, sponsor]) {
+      await paymentToken.connect(user).deposit({ value: convert("1") });
+      await paymentToken.connect(user).approve(rig.address, ethers.constants.MaxUint256);
+      await paymentToken.connect(user).approve(qf.address, ethers.constants.MaxUint256);
+    }
+  }
+
+  before(async function () {
+    [owner, charityA, charityB, treasury, team, user1, user2, user3, user4, sponsor] = await ethers.getSigners();
+  });
+
+  describe("Rig Donation Hooks", function () {
+    before(async function () {
+      await deployFixture();
+    });
+
+    it("Should register hooks", async function () {
+      expect(await rig.getDonationHooks()).to.deep.equal([qf.address]);
+      expect(await rig.donationHooks(0)).to.equal(qf.address);
+      expect(await rig.MAX_DONATION_HOOKS()).to.equal(4);
+    });
+
+    it("Should only let the admin set hooks", async function () {
+      await expect(rig.connect(user1).setDonationHooks([])).to.be.revertedWith(
+        missingRole(user1, DEFAULT_ADMIN_ROLE)
+      );
+    });
+
+    it("Should reject zero addresses and too many hooks", async function () {
+      await expect(rig.setDonationHooks([qf.address, AddressZero])).to.be.revertedWith("Rig__InvalidAddress");
+      await expect(rig.setDonationHooks(Array(5).fill(qf.address))).to.be.revertedWith("Rig__TooManyHooks");
+    });
+
+    it("Should replace and clear hooks", async function () {
+      await expect(rig.setDonationHooks([])).to.emit(rig, "DonationHooksSet").withArgs([]);
+      expect(await rig.getDonationHooks()).to.deep.equal([]);
+
+      // Donations no longer reach the hook
+      await qf.createRound(await rig.currentDay(), await rig.currentDay(), false, MIN_CONTRIBUTION);
+      await rig.connect(user1).donate(user1.address, charityA.address, convert("0.1"));
+      expect(await qf.round_Charity_Account_Donation(0, charityA.address, user1.address)).to.equal(0);
+
+      await rig.setDonationHooks([qf.address]);
+      await rig.connect(user1).donate(user1.address, charityA.address, convert("0.1"));
+      expect(await qf.round_Charity_Account_Donation(0, charityA.address, user1.address)).to.equal(convert("0.1"));
+    });
+
+    it("Should only accept donations reported by the Rig", async function () {
+      await expect(
+        qf.onDonation(user1.address, charityA.address, paymentToken.address, 1, 1, 0)
+      ).to.be.revertedWith("QuadraticFunding__NotRig");
+    });
+  });
+
+  describe("Round Setup", function () {
+    before(async function () {
+      await deployFixture();
+    });
+
+    it("Should bind to the Rig's payment token", async function () {
+      expect(await qf.rig()).to.equal(rig.address);
+      expect(await qf.token()).to.equal(paymentToken.address);
+      const qfArtifact = await ethers.getContractFactory("QuadraticFunding");
+      await expect(qfArtifact.deploy(AddressZero)).to.be.revertedWith("QuadraticFunding__InvalidAddress");
+    });
+
+    it("Should only let the owner create rounds", async function () {
+      await expect(qf.connect(user1).createRound(0, 1, false, MIN_CONTRIBUTION)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(qf.connect(user1).setEligible([user1.address], true)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+
+    it("Should validate round days", async function () {
+      await increaseTime(ONE_DAY);
+      await expect(qf.createRound(0, 5, false, MIN_CONTRIBUTION)).to.be.revertedWith("QuadraticFunding__InvalidRound");
+      await expect(qf.createRound(3, 2, false, MIN_CONTRIBUTION)).to.be.revertedWith("QuadraticFunding__InvalidRound");
+      // Rounds open to every account need a minimum contribution
+      await expect(qf.createRound(1, 2, false, 0)).to.be.revertedWith("QuadraticFunding__InvalidRound");
+
+      await expect(qf.createRound(1, 2, true, 0))
+        .to.emit(qf, "QuadraticFunding__RoundCreated")
+        .withArgs(0, 1, 2, true, 0);
+      expect(await qf.roundCount()).to.equal(1);
+      const round = await qf.getRound(0);
+      expect(round.startDay).to.equal(1);
+      expect(round.endDay).to.equal(2);
+      expect(round.useAllowlist).to.equal(true);
+    });
+
+    it("Should only open a new round after the last one ended", async function () {
+      await expect(qf.createRound(5, 6, false, MIN_CONTRIBUTION)).to.be.revertedWith(
+        "QuadraticFunding__RoundInProgress"
+      );
+      await increaseTime(ONE_DAY * 2);
+      await qf.createRound(5, 6, false, MIN_CONTRIBUTION);
+      expect((await qf.getRound(1)).minContribution).to.equal(MIN_CONTRIBUTION);
+    });
+
+    it("Should validate funding", async function () {
+      await expect(qf.connect(sponsor).fund(2, convert("0.1"))).to.be.revertedWith("QuadraticFunding__InvalidRound");
+      await expect(qf.connect(sponsor).fund(1, 0)).to.be.revertedWith("QuadraticFunding__ZeroAmount");
+
+      await expect(qf.connect(sponsor).fund(1, convert("0.1")))
+        .to.emit(qf, "QuadraticFunding__Funded")
+        .withArgs(1, sponsor.address, convert("0.1"));
+      expect((await qf.getRound(1)).pool).to.equal(convert("0.1"));
+      expect(await qf.round_Sponsor_Funded(1, sponsor.address)).to.equal(convert("0.1"));
+    });
+  });
+
+  describe("Matching", function () {
+    let day;
+    const pool = convert("0.5");
+
+    before(async function () {
+      await deployFixture();
+      day = await rig.currentDay();
+      // Donations before the round starts are not counted
+      await rig.connect(user1).donate(user1.address, charityA.address, convert("0.1"));
+      await qf.createRound(day.add(1), day.add(2), false, MIN_CONTRIBUTION);
+      await qf.connect(sponsor).fund(0, pool);
+      await increaseTime(ONE_DAY);
+    });
+
+    it("Should only count donations made during the round", async function () {
+      expect(await qf.round_Charity_Account_Donation(0, charityA.address, user1.address)).to.equal(0);
+      expect(await qf.getRoundCharities(0)).to.deep.equal([]);
+    });
+
+    it("Should tally per-charity per-donor sums", async function () {
+      // charityA: four donors giving 0.05 each; charityB: one donor giving 0.15 and one giving 0.05
+      for (const user of [user1, user2, user3, user4]) {
+        await expect(rig.connect(user).donate(user.address, charityA.address, convert("0.05")))
+          .to.emit(qf, "QuadraticFunding__DonationCounted")
+          .withArgs(0, user.address, charityA.address, convert("0.05"));
+      }
+      await rig.connect(user1).donate(user1.address, charityB.address, convert("0.1"));
+      await increaseTime(ONE_DAY);
+      await rig.connect(user1).donate(user1.address, charityB.address, convert("0.05"));
+      await rig.connect(user2).donate(user2.address, charityB.address, convert("0.05"));
+
+      expect(await qf.round_Charity_Account_Donation(0, charityB.address, user1.address)).to.equal(convert("0.15"));
+      expect(await qf.getRoundCharities(0)).to.deep.equal([charityA.address, charityB.address]);
+      const tally = await qf.round_Charity_Tally(0, charityB.address);
+      expect(tally.donated).to.equal(convert("0.2"));
+
+      const weightA = matchWeight(Array(4).fill(convert("0.05")));
+      const weightB = matchWeight([convert("0.15"), convert("0.05")]);
+      expect((await qf.getMatchWeight(0, charityA.address)).toString()).to.equal(weightA.toString());
+      expect((await qf.getMatchWeight(0, charityB.address)).toString()).to.equal(weightB.toString());
+      expect((await qf.getRound(0)).totalWeight.toString()).to.equal((weightA + weightB).toString());
+    });
+
+    it("Should favour many small donors over few large ones", async function () {
+      // Both charities raised 0.2, but charityA's came from four donors
+      const matchA = await qf.getEstimatedMatch(0, charityA.address);
+      const matchB = await qf.getEstimatedMatch(0, charityB.address);
+      expect(matchA).to.be.gt(matchB.mul(2));
+      expect(matchA.add(matchB)).to.be.closeTo(pool, 1);
+    });
+
+    it("Should not finalize before the round ends", async function () {
+      await expect(qf.finalize(0)).to.be.revertedWith("QuadraticFunding__RoundNotEnded");
+      await expect(qf.finalize(1)).to.be.revertedWith("QuadraticFunding__InvalidRound");
+    });
+
+    it("Should pay each charity its matched share", async function () {
+      await increaseTime(ONE_DAY);
+      // Donations after the round are ignored
+      await rig.connect(user3).donate(user3.address, charityB.address, convert("0.05"));
+      expect(await qf.round_Charity_Account_Donation(0, charityB.address, user3.address)).to.equal(0);
+
+      const estimateA = await qf.getEstimatedMatch(0, charityA.address);
+      const balanceA = await paymentToken.balanceOf(charityA.address);
+      const balanceB = await paymentToken.balanceOf(charityB.address);
+      await expect(qf.connect(user4).finalize(0))
+        .to.emit(qf, "QuadraticFunding__MatchPaid")
+        .withArgs(0, charityA.address, estimateA)
+        .and.to.emit(qf, "QuadraticFunding__Finalized")
+        .withArgs(0, pool);
+
+      const paidA = (await paymentToken.balanceOf(charityA.address)).sub(balanceA);
+      const paidB = (await paymentToken.balanceOf(charityB.address)).sub(balanceB);
+      expect(paidA).to.equal(estimateA);
+      expect(paidA.add(paidB)).to.equal(pool);
+      expect(await qf.round_Charity_Match(0, charityB.address)).to.equal(paidB);
+      expect(await qf.getEstimatedMatch(0, charityB.address)).to.equal(paidB);
+      expect(await paymentToken.balanceOf(qf.address)).to.equal(0);
+    });
+
+    it("Should not finalize, fund or refund twice", async function () {
+      await expect(qf.finalize(0)).to.be.revertedWith("QuadraticFunding__AlreadyFinalized");
+      await expect(qf.connect(sponsor).fund(0, convert("0.1"))).to.be.revertedWith(
+        "QuadraticFunding__AlreadyFinalized"
+      );
+      await expect(qf.connect(sponsor).refund(0)).to.be.revertedWith("QuadraticFunding__NothingToRefund");
+    });
+  });
+
+  describe("Allowlist and Charity Status", function () {
+    before(async function () {
+      await deployFixture();
+      const day = await rig.currentDay();
+      await qf.createRound(day, day, true, 0);
+      await qf.connect(sponsor).fund(0, convert("0.3"));
+      await expect(qf.setEligible([user1.address, user2.address, user3.address], true))
+        .to.emit(qf, "QuadraticFunding__EligibilitySet")
+        .withArgs(user1.address, true);
+    });
+
+    it("Should ignore donations from ineligible accounts", async function () {
+      await rig.connect(user4).donate(user4.address, charityA.address, convert("0.05"));
+      expect(await qf.round_Charity_Account_Donation(0, charityA.address, user4.address)).to.equal(0);
+
+      await rig.connect(user1).donate(user1.address, charityA.address, convert("0.05"));
+      expect(await qf.round_Charity_Account_Donation(0, charityA.address, user1.address)).to.equal(convert("0.05"));
+    });
+
+    it("Should leave charities no longer active out of the split", async function () {
+      await rig.connect(user2).donate(user2.address, charityA.address, convert("0.05"));
+      await rig.connect(user2).donate(user2.address, charityB.address, convert("0.05"));
+      await rig.connect(user3).donate(user3.address, charityB.address, convert("0.05"));
+      await rig.suspendCharity(charityB.address);
+      await increaseTime(ONE_DAY);
+
+      const balanceA = await paymentToken.balanceOf(charityA.address);
+      const balanceB = await paymentToken.balanceOf(charityB.address);
+      await qf.finalize(0);
+      expect((await paymentToken.balanceOf(charityA.address)).sub(balanceA)).to.equal(convert("0.3"));
+      expect(await paymentToken.balanceOf(charityB.address)).to.equal(balanceB);
+    });
+  });
+
+  describe("Minimum Contribution", function () {
+    before(async function () {
+      await deployFixture();
+      const day = await rig.currentDay();
+      await qf.createRound(day, day, false, MIN_CONTRIBUTION);
+      await qf.connect(sponsor).fund(0, convert("0.3"));
+    });
+
+    it("Should not match dust donations made for many accounts", async function () {
+      // One donor splits 10 wei over ten fresh addresses
+      for (let i = 0; i < 10; i++) {
+        const account = ethers.Wallet.createRandom().address;
+        await expect(rig.connect(user1).donate(account, charityB.address, 1)).to.not.emit(
+          qf,
+          "QuadraticFunding__DonationCounted"
+        );
+        expect(await qf.round_Charity_Account_Donation(0, charityB.address, account)).to.equal(1);
+      }
+      expect(await qf.getMatchWeight(0, charityB.address)).to.equal(0);
+      expect(await qf.getRoundCharities(0)).to.deep.equal([]);
+    });
+
+    it("Should count a donor's whole sum once it reaches the minimum", async function () {
+      await rig.connect(user1).donate(user1.address, charityA.address, convert("0.004"));
+      expect((await qf.round_Charity_Tally(0, charityA.address)).donated).to.equal(0);
+
+      await expect(rig.connect(user1).donate(user1.address, charityA.address, convert("0.006")))
+        .to.emit(qf, "QuadraticFunding__DonationCounted")
+        .withArgs(0, user1.address, charityA.address, convert("0.01"));
+      await rig.connect(user2).donate(user2.address, charityA.address, convert("0.01"));
+      await expect(rig.connect(user2).donate(user2.address, charityA.address, convert("0.005")))
+        .to.emit(qf, "QuadraticFunding__DonationCounted")
+        .withArgs(0, user2.address, charityA.address, convert("0.005"));
+
+      expect((await qf.round_Charity_Tally(0, charityA.address)).donated).to.equal(convert("0.025"));
+      const weight = matchWeight([convert("0.01"), convert("0.015")]);
+      expect((await qf.getMatchWeight(0, charityA.address)).toString()).to.equal(weight.toString());
+    });
+
+    it("Should pay the whole pool to charities with counted donations", async function () {
+      await increaseTime(ONE_DAY);
+      const balanceB = await paymentToken.balanceOf(charityB.address);
+      await qf.finalize(0);
+      expect(await qf.round_Charity_Match(0, charityA.address)).to.equal(convert("0.3"));
+      expect(await paymentToken.balanceOf(charityB.address)).to.equal(balanceB);
+    });
+  });
+
+  describe("Refunds", function () {
+    before(async function () {
+      await deployFixture();
+      const day = await rig.currentDay();
+      await qf.createRound(day, day, false, MIN_CONTRIBUTION);
+      await qf.connect(sponsor).fund(0, convert("0.2"));
+      await qf.connect(user4).fund(0, convert("0.1"));
+    });
+
+    it("Should refund sponsors when nothing was matched", async function () {
+      // A single donor per charity earns no match
+      await rig.connect(user1).donate(user1.address, charityA.address, convert("0.05"));
+      expect(await qf.getMatchWeight(0, charityA.address)).to.equal(0);
+      await expect(qf.connect(sponsor).refund(0)).to.be.revertedWith("QuadraticFunding__NothingToRefund");
+
+      await increaseTime(ONE_DAY);
+      await expect(qf.finalize(0)).to.emit(qf, "QuadraticFunding__Finalized").withArgs(0, 0);
+
+      const balance = await paymentToken.balanceOf(sponsor.address);
+      await expect(qf.connect(sponsor).refund(0))
+        .to.emit(qf, "QuadraticFunding__Refunded")
+        .withArgs(0, sponsor.address, convert("0.2"));
+      expect((await paymentToken.balanceOf(sponsor.address)).sub(balance)).to.equal(convert("0.2"));
+      await expect(qf.connect(sponsor).refund(0)).to.be.revertedWith("QuadraticFunding__NothingToRefund");
+
+      await qf.connect(user4).refund(0);
+      expect((await qf.getRound(0)).pool).to.equal(0);
+    });
+  });
+});
+
+describe("Matching Pledges Tests", function () {
+  let usdc, weth, priceSource, unitToken, rig, pledges, multicall;
+  let owner, charityA, charityB, treasury, team, user1, user2, sponsor1, sponsor2;
+  let expiry;
+
+  const toUSDC = (amount) => ethers.utils.parseUnits(amount, 6);
+  const MIN_PLEDGE_VALUE = toUSDC("1");
+
+  before(async function () {
+    [owner, charityA, charityB, treasury, team, user1, user2, sponsor1, sponsor2] = await ethers.getSigners();
+
+    const usdcArtifact = await ethers.getContractFactory("MockUSDC");
+    usdc = await usdcArtifact.deploy();
+    const wethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await wethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+    await rig.addCharity(charityA.address);
+    await rig.addCharity(charityB.address);
+
+    const priceSourceArtifact = await ethers.getContractFactory("MockPriceSource");
+    priceSource = await priceSourceArtifact.deploy();
+    await priceSource.setPrice(weth.address, toUSDC("2000"));
+    await rig.addPaymentToken(weth.address, priceSource.address);
+
+    const pledgesArtifact = await ethers.getContractFactory("MatchingPledges");
+    pledges = await pledgesArtifact.deploy(rig.address, MIN_PLEDGE_VALUE);
+    await rig.setDonationHooks([pledges.address]);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    for (const account of [user1, user2, sponsor1, sponsor2]) {
+      await usdc.mint(account.address, toUSDC("100000"));
+      await usdc.connect(account).approve(rig.address, ethers.constants.MaxUint256);
+      await usdc.connect(account).approve(pledges.address, ethers.constants.MaxUint256);
+    }
+    await weth.connect(user1).deposit({ value: convert("0.01") });
+    await weth.connect(user1).approve(rig.address, ethers.constants.MaxUint256);
+
+    expiry = (await getBlockTimestamp()) + ONE_DAY * 30;
+  });
+
+  describe("Creating Pledges", function () {
+    it("Should reject invalid pledges", async function () {
+      const pledgesArtifact = await ethers.getContractFactory("MatchingPledges");
+      await expect(pledgesArtifact.deploy(AddressZero, MIN_PLEDGE_VALUE)).to.be.revertedWith(
+        "MatchingPledges__InvalidAddress"
+      );
+      await expect(pledgesArtifact.deploy(rig.address, 0)).to.be.revertedWith("MatchingPledges__ZeroAmount");
+
+      const p = pledges.connect(sponsor1);
+      await expect(p.createPledge(user1.address, usdc.address, 10000, toUSDC("100"), expiry)).to.be.revertedWith(
+        "MatchingPledges__NotCharity"
+      );
+      await expect(p.createPledge(charityA.address, unitToken.address, 10000, toUSDC("100"), expiry)).to.be.revertedWith(
+        "MatchingPledges__NotPaymentToken"
+      );
+      await expect(p.createPledge(charityA.address, usdc.address, 0, toUSDC("100"), expiry)).to.be.revertedWith(
+        "MatchingPledges__InvalidRatio"
+      );
+      await expect(p.createPledge(charityA.address, usdc.address, 999, toUSDC("100"), expiry)).to.be.revertedWith(
+        "MatchingPledges__InvalidRatio"
+      );
+      await expect(p.createPledge(charityA.address, usdc.address, 100001, toUSDC("100"), expiry)).to.be.revertedWith(
+        "MatchingPledges__InvalidRatio"
+      );
+      await expect(p.createPledge(charityA.address, usdc.address, 10000, 0, expiry)).to.be.revertedWith(
+        "MatchingPledges__ZeroAmount"
+      );
+      await expect(p.createPledge(charityA.address, usdc.address, 10000, toUSDC("0.99"), expiry)).to.be.revertedWith(
+        "MatchingPledges__PledgeTooSmall"
+      );
+      const now = await getBlockTimestamp();
+      await expect(p.createPledge(charityA.address, usdc.address, 10000, toUSDC("100"), now)).to.be.revertedWith(
+        "MatchingPledges__InvalidExpiry"
+      );
+      const maxDuration = (await pledges.MAX_PLEDGE_DURATION()).toNumber();
+      await expect(
+        p.createPledge(charityA.address, usdc.address, 10000, toUSDC("100"), now + maxDuration + 10)
+      ).to.be.revertedWith("MatchingPledges__InvalidExpiry");
+    });
+
+    it("Should escrow the cap", async function () {
+      // sponsor1 matches 1:1 up to 50,000 USDC for charityA
+      const balance = await usdc.balanceOf(sponsor1.address);
+      await expect(pledges.connect(sponsor1).createPledge(charityA.address, usdc.address, 10000, toUSDC("50000"), expiry))
+        .to.emit(pledges, "MatchingPledges__PledgeCreated")
+        .withArgs(0, sponsor1.address, charityA.address, usdc.address, 10000, toUSDC("50000"), expiry);
+      expect(balance.sub(await usdc.balanceOf(sponsor1.address))).to.equal(toUSDC("50000"));
+      expect(await usdc.balanceOf(pledges.address)).to.equal(toUSDC("50000"));
+
+      const pledge = await pledges.getPledge(0);
+      expect(pledge.sponsor).to.equal(sponsor1.address);
+      expect(pledge.cap).to.equal(toUSDC("50000"));
+      expect(await pledges.getSponsorPledgeIds(sponsor1.address)).to.deep.equal([ethers.BigNumber.from(0)]);
+    });
+
+    it("Should only accept donations reported by the Rig", async function () {
+      await expect(
+        pledges.onDonation(user1.address, charityA.address, usdc.address, 1, 1, 0)
+      ).to.be.revertedWith("MatchingPledges__NotRig");
+    });
+  });
+
+  describe("Matching Donations", function () {
+    it("Should release the matched amount to the charity", async function () {
+      const balance = await usdc.balanceOf(charityA.address);
+      await expect(rig.connect(user1).donate(user1.address, charityA.address, toUSDC("100")))
+        .to.emit(pledges, "MatchingPledges__Matched")
+        .withArgs(0, charityA.address, user1.address, toUSDC("100"));
+      // 50 USDC charity share of the donation plus the 100 USDC match
+      expect((await usdc.balanceOf(charityA.address)).sub(balance)).to.equal(toUSDC("150"));
+      expect((await pledges.getPledge(0)).matched).to.equal(toUSDC("100"));
+      expect(await pledges.getRemaining(0)).to.equal(toUSDC("49900"));
+    });
+
+    it("Should not match other charities or tokens", async function () {
+      await expect(rig.connect(user1).donate(user1.address, charityB.address, toUSDC("100"))).to.not.emit(
+        pledges,
+        "MatchingPledges__Matched"
+      );
+      await expect(
+        rig.connect(user1).donateToken(user1.address, charityA.address, weth.address, convert("0.001"))
+      ).to.not.emit(pledges, "MatchingPledges__Matched");
+      expect((await pledges.getPledge(0)).matched).to.equal(toUSDC("100"));
+    });
+
+    it("Should stack pledges and stop at the cap", async function () {
+      // sponsor2 adds 50 cents per dollar up to 30 USDC
+      await pledges.connect(sponsor2).createPledge(charityA.address, usdc.address, 5000, toUSDC("30"), expiry);
+
+      const balance = await usdc.balanceOf(charityA.address);
+      await expect(rig.connect(user2).donate(user2.address, charityA.address, toUSDC("100")))
+        .to.emit(pledges, "MatchingPledges__Matched")
+        .withArgs(1, charityA.address, user2.address, toUSDC("30"));
+      expect((await usdc.balanceOf(charityA.address)).sub(balance)).to.equal(toUSDC("180"));
+      expect(await pledges.getRemaining(1)).to.equal(0);
+
+      // The exhausted pledge is no longer listed; only the first pledge matches from now on
+      expect(await pledges.getActivePledgeIds(charityA.address)).to.deep.equal([ethers.BigNumber.from(0)]);
+      const receipt = await (await rig.connect(user2).donate(user2.address, charityA.address, toUSDC("10"))).wait();
+      const matched = receipt.logs
+        .filter((log) => log.address === pledges.address)
+        .map((log) => pledges.interface.parseLog(log).args.pledgeId.toNumber());
+      expect(matched).to.deep.equal([0]);
+    });
+
+    it("Should show active pledges per charity in Multicall", async function () {
+      const active = await multicall.getCharityPledges(pledges.address, charityA.address);
+      expect(active.length).to.equal(1);
+      expect(active[0].pledgeId).to.equal(0);
+      expect(active[0].sponsor).to.equal(sponsor1.address);
+      expect(active[0].token).to.equal(usdc.address);
+      expect(active[0].ratioBps).to.equal(10000);
+      expect(active[0].matched).to.equal(toUSDC("210"));
+      expect(active[0].remaining).to.equal(toUSDC("49790"));
+      expect(active[0].expiry).to.equal(expiry);
+
+      expect(await multicall.getCharityPledges(pledges.address, charityB.address)).to.deep.equal([]);
+    });
+
+    it("Should cap live pledges per charity", async function () {
+      for (let i = 0; i < 9; i++) {
+        await pledges.connect(sponsor2).createPledge(charityB.address, usdc.address, 1000, toUSDC("1"), expiry);
+      }
+      await pledges.connect(sponsor2).createPledge(charityB.address, usdc.address, 1000, toUSDC("1"), expiry);
+      await expect(
+        pledges.connect(sponsor2).createPledge(charityB.address, usdc.address, 1000, toUSDC("1"), expiry)
+      ).to.be.revertedWith("MatchingPledges__TooManyPledges");
+
+      // Exhausting one frees its slot
+      await rig.connect(user1).donate(user1.address, charityB.address, toUSDC("100"));
+      expect(await pledges.getActivePledgeIds(charityB.address)).to.deep.equal([]);
+      await pledges.connect(sponsor2).createPledge(charityB.address, usdc.address, 1000, toUSDC("1"), expiry);
+    });
+
+    it("Should not let dust pledges fill a charity's slots", async function () {
+      // Dust pledges that would never be used up by real donations are all rejected
+      const farFuture = (await getBlockTimestamp()) + ONE_DAY * 365 * 100;
+      const p = pledges.connect(user2);
+      await expect(p.createPledge(charityB.address, usdc.address, 1, 1, farFuture)).to.be.revertedWith(
+        "MatchingPledges__InvalidRatio"
+      );
+      await expect(p.createPledge(charityB.address, usdc.address, 1000, 1, expiry)).to.be.revertedWith(
+        "MatchingPledges__PledgeTooSmall"
+      );
+      await expect(p.createPledge(charityB.address, usdc.address, 1000, toUSDC("1"), farFuture)).to.be.revertedWith(
+        "MatchingPledges__InvalidExpiry"
+      );
+      // The cap is valued in accounting units, so other tokens need the same minimum worth
+      await expect(p.createPledge(charityB.address, weth.address, 1000, convert("0.0001"), expiry)).to.be.revertedWith(
+        "MatchingPledges__PledgeTooSmall"
+      );
+      expect((await pledges.getActivePledgeIds(charityB.address)).length).to.equal(1);
+
+      // The smallest accepted pledge is used up by a donation of ten times its cap
+      const pledgeId = (await pledges.pledgeCount()).toNumber();
+      await p.createPledge(charityB.address, usdc.address, 1000, MIN_PLEDGE_VALUE, expiry);
+      await expect(rig.connect(user1).donate(user1.address, charityB.address, toUSDC("10")))
+        .to.emit(pledges, "MatchingPledges__Matched")
+        .withArgs(pledgeId, charityB.address, user1.address, MIN_PLEDGE_VALUE);
+      expect(await pledges.getRemaining(pledgeId)).to.equal(0);
+    });
+  });
+
+  describe("Expiry and Withdrawal", function () {
+    it("Should not withdraw before expiry or for someone else", async function () {
+      await expect(pledges.connect(sponsor1).withdraw(0)).to.be.revertedWith("MatchingPledges__NotExpired");
+      await expect(pledges.connect(sponsor2).withdraw(0)).to.be.revertedWith("MatchingPledges__NotSponsor");
+      await expect(pledges.connect(sponsor1).withdraw(99)).to.be.revertedWith("MatchingPledges__InvalidPledge");
+    });
+
+    it("Should stop matching after expiry", async function () {
+      await increaseTime(ONE_DAY * 31);
+      await expect(rig.connect(user1).donate(user1.address, charityA.address, toUSDC("100"))).to.not.emit(
+        pledges,
+        "MatchingPledges__Matched"
+      );
+      expect(await pledges.getRemaining(0)).to.equal(0);
+      expect(await pledges.getActivePledgeIds(charityA.address)).to.deep.equal([]);
+    });
+
+    it("Should return unused funds to the sponsor", async function () {
+      const balance = await usdc.balanceOf(sponsor1.address);
+      await expect(pledges.connect(sponsor1).withdraw(0))
+        .to.emit(pledges, "MatchingPledges__Withdrawn")
+        .withArgs(0, sponsor1.address, toUSDC("49790"));
+      expect((await usdc.balanceOf(sponsor1.address)).sub(balance)).to.equal(toUSDC("49790"));
+      await expect(pledges.connect(sponsor1).withdraw(0)).to.be.revertedWith("MatchingPledges__AlreadyWithdrawn");
+
+      // A fully matched pledge withdraws nothing
+      await expect(pledges.connect(sponsor2).withdraw(1))
+        .to.emit(pledges, "MatchingPledges__Withdrawn")
+        .withArgs(1, sponsor2.address, 0);
+    });
+  });
+});
+
+describe("Referral Tests", function () {
+  let usdc, weth, priceSource, unitToken, rig, referrals, multicall;
+  let owner, charity, treasury, team, user1, user2, user3, user4;
+  let day;
+
+  const toUSDC = (amount) => ethers.utils.parseUnits(amount, 6);
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2, user3, user4] = await ethers.getSigners();
+
+    const usdcArtifact = await ethers.getContractFactory("MockUSDC");
+    usdc = await usdcArtifact.deploy();
+    const wethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await wethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+    await rig.addCharity(charity.address);
+
+    const priceSourceArtifact = await ethers.getContractFactory("MockPriceSource");
+    priceSource = await priceSourceArtifact.deploy();
+    await priceSource.setPrice(weth.address, toUSDC("2000"));
+    await rig.addPaymentToken(weth.address, priceSource.address);
+
+    const referralsArtifact = await ethers.getContractFactory("Referrals");
+    referrals = await referralsArtifact.deploy(rig.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    for (const account of [user1, user2, user3, user4]) {
+      await usdc.mint(account.address, toUSDC("10000"));
+      await usdc.connect(account).approve(rig.address, ethers.constants.MaxUint256);
+      await usdc.connect(account).approve(referrals.address, ethers.constants.MaxUint256);
+    }
+  });
+
+  describe("Configuration", function () {
+    it("Should reject invalid referral settings", async function () {
+      const referralsArtifact = await ethers.getContractFactory("Referrals");
+      await expect(referralsArtifact.deploy(AddressZero)).to.be.revertedWith("Referrals__InvalidAddress");
+
+      await expect(rig.setReferrals(referrals.address, 1001)).to.be.revertedWith("Rig__InvalidBonus");
+      await expect(rig.setReferrals(AddressZero, 500)).to.be.revertedWith("Rig__InvalidAddress");
+      await expect(rig.connect(user1).setReferrals(referrals.address, 500)).to.be.revertedWith(
+        missingRole(user1, DEFAULT_ADMIN_ROLE)
+      );
+
+      // A Referrals contract bound to another Rig is rejected
+      const rigArtifact = await ethers.getContractFactory("Rig");
+      const otherRig = await rigArtifact.deploy(
+        usdc.address,
+        unitToken.address,
+        treasury.address,
+        team.address,
+        weth.address,
+        (await deployHalvingSchedule()).address
+      );
+      const otherReferrals = await referralsArtifact.deploy(otherRig.address);
+      await expect(rig.setReferrals(otherReferrals.address, 500)).to.be.revertedWith("Rig__InvalidAddress");
+    });
+
+    it("Should set the referral slice", async function () {
+      expect(await rig.MAX_REFERRAL_BPS()).to.equal(1000);
+      await expect(rig.setReferrals(referrals.address, 500))
+        .to.emit(rig, "ReferralsSet")
+        .withArgs(referrals.address, 500);
+      expect(await rig.referrals()).to.equal(referrals.address);
+      expect(await rig.referralBps()).to.equal(500);
+      expect(await referrals.paymentToken()).to.equal(usdc.address);
+    });
+  });
+
+  describe("Recording Referrers", function () {
+    it("Should only accept existing donors other than the account as referrers", async function () {
+      await expect(
+        referrals.connect(user2).donate(user2.address, charity.address, toUSDC("100"), user2.address)
+      ).to.be.revertedWith("Referrals__InvalidReferrer");
+      await expect(
+        referrals.connect(user2).donate(user2.address, charity.address, toUSDC("100"), user1.address)
+      ).to.be.revertedWith("Referrals__InvalidReferrer");
+    });
+
+    it("Should not let anyone else name the referrer of an account", async function () {
+      // Anyone could otherwise donate 1 wei for a new address and claim its slice
+      const fresh = ethers.Wallet.createRandom().address;
+      await expect(
+        referrals.connect(user1).donate(fresh, charity.address, 1, user1.address)
+      ).to.be.revertedWith("Referrals__NotAccount");
+      await expect(
+        referrals.connect(user1).donateETH(fresh, charity.address, 1, user1.address, { value: 1 })
+      ).to.be.revertedWith("Referrals__NotAccount");
+      expect(await referrals.account_Referrer(fresh)).to.equal(AddressZero);
+    });
+
+    it("Should record the referrer of a new donor", async function () {
+      day = await rig.currentDay();
+      expect(await rig.day_ReferralBps(day)).to.equal(0);
+      await rig.connect(user1).donate(user1.address, charity.address, toUSDC("100"));
+      expect(await rig.day_ReferralBps(day)).to.equal(500);
+
+      await expect(referrals.connect(user2).donate(user2.address, charity.address, toUSDC("100"), user1.address))
+        .to.emit(referrals, "Referrals__ReferrerSet")
+        .withArgs(user2.address, user1.address);
+      expect(await referrals.account_Referrer(user2.address)).to.equal(user1.address);
+      expect(await referrals.getReferees(user1.address)).to.deep.equal([user2.address]);
+      expect(await rig.getUserDonation(day, user2.address)).to.equal(toUSDC("100"));
+      expect(await usdc.balanceOf(referrals.address)).to.equal(0);
+    });
+
+    it("Should never change the referrer of an existing donor", async function () {
+      // user2 already donated, so naming user3 as referrer records nothing
+      await rig.connect(user3).donate(user3.address, charity.address, toUSDC("1"));
+      await expect(
+        referrals.connect(user2).donate(user2.address, charity.address, toUSDC("100"), user3.address)
+      ).to.not.emit(referrals, "Referrals__ReferrerSet");
+      expect(await referrals.account_Referrer(user2.address)).to.equal(user1.address);
+      expect(await referrals.getRefereeCount(user3.address)).to.equal(0);
+
+      // user1 cannot be referred back by their own referee
+      await referrals.connect(user1).donate(user1.address, charity.address, toUSDC("1"), user2.address);
+      expect(await referrals.account_Referrer(user1.address)).to.equal(AddressZero);
+      expect(await referrals.getRefereeCount(user2.address)).to.equal(0);
+    });
+
+    it("Should donate ETH for a referred donor and refund the excess", async function () {
+      const balanceBefore = await ethers.provider.getBalance(user4.address);
+      const tx = await referrals
+        .connect(user4)
+        .donateETH(user4.address, charity.address, convert("0.001"), user1.address, { value: convert("0.002") });
+      const receipt = await tx.wait();
+      const cost = receipt.gasUsed.mul(receipt.effectiveGasPrice);
+
+      const balanceAfter = await ethers.provider.getBalance(user4.address);
+      expect(balanceBefore.sub(balanceAfter).sub(cost)).to.equal(convert("0.001"));
+      expect(await ethers.provider.getBalance(referrals.address)).to.equal(0);
+      expect(await referrals.account_Referrer(user4.address)).to.equal(user1.address);
+      expect(await referrals.getRefereeCount(user1.address)).to.equal(2);
+
+      await expect(
+        referrals
+          .connect(user4)
+          .donateETH(user4.address, charity.address, convert("0.001"), user1.address, { value: convert("0.0005") })
+      ).to.be.revertedWith("Referrals__InsufficientValue");
+    });
+  });
+
+  describe("Referral Rewards", function () {
+    it("Should take the referral slice out of every donor's rewards", async function () {
+      await increaseTime(ONE_DAY);
+
+      const emission = await rig.getDayEmission(day);
+      const total = await rig.day_TotalDonated(day);
+      const pool = emission.sub(emission.mul(500).div(10000));
+      // Referred (user2) and unreferred (user1, user3) donors are paid from the same pool
+      for (const user of [user1, user2, user3]) {
+        const donation = await rig.day_Account_Donation(day, user.address);
+        expect(await rig.getPendingReward(day, user.address)).to.equal(donation.mul(pool).div(total));
+      }
+    });
+
+    it("Should accrue the referrer's share when a referred donor claims", async function () {
+      const emission = await rig.getDayEmission(day);
+      const total = await rig.day_TotalDonated(day);
+      const donation = await rig.day_Account_Donation(day, user2.address);
+      const slice = donation.mul(emission.mul(500).div(10000)).div(total);
+      const reward = await rig.getPendingReward(day, user2.address);
+
+      await expect(rig.claim(user2.address, day))
+        .to.emit(rig, "ReferralAccrued")
+        .withArgs(user1.address, user2.address, slice, day);
+      expect(await unitToken.balanceOf(user2.address)).to.equal(reward);
+      expect(await rig.referrer_PendingRewards(user1.address)).to.equal(slice);
+      expect(await rig.referrer_TotalRewards(user1.address)).to.equal(slice);
+      // The slice is only counted as minted once the referrer claims it
+      expect(await rig.day_Minted(day)).to.equal(reward);
+      expect(await rig.totalMinted()).to.equal(await unitToken.totalSupply());
+    });
+
+    it("Should not mint the slice for donors without a referrer", async function () {
+      const emission = await rig.getDayEmission(day);
+      const total = await rig.day_TotalDonated(day);
+      const donation = await rig.day_Account_Donation(day, user3.address);
+      const reward = donation.mul(emission.sub(emission.mul(500).div(10000))).div(total);
+      const minted = await rig.day_Minted(day);
+      const pending = await rig.referrer_PendingRewards(user1.address);
+
+      await expect(rig.claim(user3.address, day)).to.not.emit(rig, "ReferralAccrued");
+      expect(await unitToken.balanceOf(user3.address)).to.equal(reward);
+      expect(await rig.day_Minted(day)).to.equal(minted.add(reward));
+      expect(await rig.referrer_PendingRewards(user1.address)).to.equal(pending);
+    });
+
+    it("Should show referral state through Multicall", async function () {
+      const state = await multicall.getReferralState(user1.address);
+      expect(state.referrals).to.equal(referrals.address);
+      expect(state.referralBps).to.equal(500);
+      expect(state.referrer).to.equal(AddressZero);
+      expect(state.referees).to.deep.equal([user2.address, user4.address]);
+      expect(state.pendingRewards).to.equal(await rig.referrer_PendingRewards(user1.address));
+
+      const refereeState = await multicall.getReferralState(user2.address);
+      expect(refereeState.referrer).to.equal(user1.address);
+      expect(refereeState.referees).to.deep.equal([]);
+    });
+
+    it("Should mint accrued referral rewards", async function () {
+      await expect(rig.claimReferralRewards(user3.address)).to.be.revertedWith("Rig__NoReferralRewards");
+
+      await rig.pause(false, true);
+      await expect(rig.claimReferralRewards(user1.address)).to.be.revertedWith("Rig__ClaimsPaused");
+      await rig.unpause(false, true);
+
+      const pending = await rig.referrer_PendingRewards(user1.address);
+      const balance = await unitToken.balanceOf(user1.address);
+      const minted = await rig.totalMinted();
+      await expect(rig.claimReferralRewards(user1.address))
+        .to.emit(rig, "ReferralRewardsClaimed")
+        .withArgs(user1.address, pending);
+      expect((await unitToken.balanceOf(user1.address)).sub(balance)).to.equal(pending);
+      expect(await rig.totalMinted()).to.equal(minted.add(pending));
+      expect(await rig.referrer_PendingRewards(user1.address)).to.equal(0);
+      expect(await rig.referrer_TotalRewards(user1.address)).to.equal(pending);
+      await expect(rig.claimReferralRewards(user1.address)).to.be.revertedWith("Rig__NoReferralRewards");
+    });
+
+    it("Should stop slicing new days once referrals are disabled", async function () {
+      await expect(rig.setReferrals(AddressZero, 0)).to.emit(rig, "ReferralsSet").withArgs(AddressZero, 0);
+
+      const nextDay = await rig.currentDay();
+      await rig.connect(user2).donate(user2.address, charity.address, toUSDC("100"));
+      expect(await rig.day_ReferralBps(nextDay)).to.equal(0);
+      await increaseTime(ONE_DAY);
+      expect(await rig.getPendingReward(nextDay, user2.address)).to.equal(await rig.getDayEmission(nextDay));
+      await expect(rig.claim(user2.address, nextDay)).to.not.emit(rig, "ReferralAccrued");
+
+      // The day snapshotted with a slice still pays it out once referrals are set again
+      await rig.setReferrals(referrals.address, 500);
+      await expect(rig.claim(user4.address, day)).to.emit(rig, "ReferralAccrued");
+    });
+  });
+});
+
+describe("Donation Receipt Tests", function () {
+  let usdc, weth, priceSource, unitToken, rig, receipts;
+  let owner, charity, plainCharity, treasury, team, user1, user2, user3;
+  let day;
+
+  const toUSDC = (amount) => ethers.utils.parseUnits(amount, 6);
+  const PerDonation = 0;
+  const PerDay = 1;
+
+  const decodeURI = (uri, prefix) => Buffer.from(uri.slice(prefix.length), "base64").toString();
+  async function getMetadata(receiptId) {
+    const metadata = JSON.parse(decodeURI(await receipts.tokenURI(receiptId), "data:application/json;base64,"));
+    const attributes = Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value]));
+    return { metadata, attributes, svg: decodeURI(metadata.image, "data:image/svg+xml;base64,") };
+  }
+
+  before(async function () {
+    [owner, charity, plainCharity, treasury, team, user1, user2, user3] = await ethers.getSigners();
+
+    const usdcArtifact = await ethers.getContractFactory("MockUSDC");
+    usdc = await usdcArtifact.deploy();
+    const wethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await wethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+    await rig.registerCharity(charity.address, 'Kids "First" <Fund>', "ipfs://kids", ethers.utils.formatBytes32String("health"));
+    await rig.addCharity(charity.address);
+    await rig.addCharity(plainCharity.address);
+    await rig.setCharitySplit(charity.address, 7000);
+
+    const priceSourceArtifact = await ethers.getContractFactory("MockPriceSource");
+    priceSource = await priceSourceArtifact.deploy();
+    await priceSource.setPrice(weth.address, toUSDC("2000"));
+    await rig.addPaymentToken(weth.address, priceSource.address);
+
+    const receiptsArtifact = await ethers.getContractFactory("DonationReceipts");
+    receipts = await receiptsArtifact.deploy(rig.address);
+
+    for (const account of [user1, user2, user3]) {
+      await usdc.mint(account.address, toUSDC("10000"));
+      await usdc.connect(account).approve(rig.address, ethers.constants.MaxUint256);
+      await usdc.connect(account).approve(receipts.address, ethers.constants.MaxUint256);
+    }
+    await weth.connect(user1).deposit({ value: convert("0.01") });
+    await weth.connect(user1).approve(receipts.address, ethers.constants.MaxUint256);
+  });
+
+  describe("Deployment", function () {
+    it("Should bind to the Rig", async function () {
+      const receiptsArtifact = await ethers.getContractFactory("DonationReceipts");
+      await expect(receiptsArtifact.deploy(AddressZero)).to.be.revertedWith("DonationReceipts__InvalidAddress");
+
+      expect(await receipts.rig()).to.equal(rig.address);
+      expect(await receipts.paymentToken()).to.equal(usdc.address);
+      expect(await receipts.weth()).to.equal(weth.address);
+      expect(await receipts.name()).to.equal("DoughNation Donation Receipt");
+      expect(await receipts.symbol()).to.equal("DOUGHR");
+      expect(await receipts.transferable()).to.equal(false);
+    });
+  });
+
+  describe("Per-Donation Receipts", function () {
+    it("Should mint a receipt with the split to the credited account", async function () {
+      day = await rig.currentDay();
+      await expect(receipts.connect(user1).donate(user2.address, charity.address, toUSDC("100"), PerDonation))
+        .to.emit(receipts, "DonationReceipts__ReceiptMinted")
+        .withArgs(1, user2.address, charity.address, usdc.address, toUSDC("100"), day, PerDonation);
+
+      expect(await receipts.ownerOf(1)).to.equal(user2.address);
+      expect(await receipts.getReceiptIds(user2.address)).to.deep.equal([ethers.BigNumber.from(1)]);
+      expect(await rig.getUserDonation(day, user2.address)).to.equal(toUSDC("100"));
+      expect(await usdc.balanceOf(receipts.address)).to.equal(0);
+
+      // 70% charity split; the rest divides 45:5 between treasury and team
+      const receipt = await receipts.getReceipt(1);
+      expect(receipt.account).to.equal(user2.address);
+      expect(receipt.value).to.equal(toUSDC("100"));
+      expect(receipt.day).to.equal(day);
+      expect(receipt.charityAmount).to.equal(toUSDC("70"));
+      expect(receipt.treasuryAmount).to.equal(toUSDC("27"));
+      expect(receipt.teamAmount).to.equal(toUSDC("3"));
+      expect(receipt.donationCount).to.equal(1);
+      expect(await usdc.balanceOf(charity.address)).to.equal(receipt.charityAmount);
+    });
+
+    it("Should mint a new receipt for every donation", async function () {
+      await receipts.connect(user2).donate(user2.address, charity.address, toUSDC("50"), PerDonation);
+      expect(await receipts.getReceiptIds(user2.address)).to.deep.equal([1, 2].map((id) => ethers.BigNumber.from(id)));
+      expect(await receipts.balanceOf(user2.address)).to.equal(2);
+    });
+
+    it("Should record ETH donations as WETH at their credited value", async function () {
+      const balanceBefore = await ethers.provider.getBalance(user3.address);
+      const tx = await receipts
+        .connect(user3)
+        .donateETH(user3.address, plainCharity.address, convert("0.001"), PerDonation, { value: convert("0.002") });
+      const txReceipt = await tx.wait();
+      const cost = txReceipt.gasUsed.mul(txReceipt.effectiveGasPrice);
+      expect(balanceBefore.sub(await ethers.provider.getBalance(user3.address)).sub(cost)).to.equal(convert("0.001"));
+      expect(await ethers.provider.getBalance(receipts.address)).to.equal(0);
+
+      const receipt = await receipts.getReceipt(3);
+      expect(receipt.token).to.equal(weth.address);
+      expect(receipt.amount).to.equal(convert("0.001"));
+      expect(receipt.value).to.equal(toUSDC("2"));
+      expect(receipt.charityAmount).to.equal(convert("0.0005"));
+
+      await expect(
+        receipts
+          .connect(user3)
+          .donateETH(user3.address, plainCharity.address, convert("0.001"), PerDonation, { value: convert("0.0005") })
+      ).to.be.revertedWith("DonationReceipts__InsufficientValue");
+    });
+
+    it("Should not mint for donations made directly on the Rig", async function () {
+      const count = await receipts.receiptCount();
+      await rig.connect(user3).donate(user3.address, charity.address, toUSDC("10"));
+      expect(await receipts.receiptCount()).to.equal(count);
+    });
+  });
+
+  describe("Per-Day Receipts", function () {
+    it("Should fold same-day donations to a charity and token into one receipt", async function () {
+      await expect(receipts.connect(user1).donate(user1.address, charity.address, toUSDC("10"), PerDay)).to.emit(
+        receipts,
+        "DonationReceipts__ReceiptMinted"
+      );
+      const receiptId = await receipts.getDailyReceiptId(user1.address, day, charity.address, usdc.address);
+      expect(receiptId).to.equal(4);
+
+      await expect(receipts.connect(user1).donate(user1.address, charity.address, toUSDC("20"), PerDay))
+        .to.emit(receipts, "DonationReceipts__ReceiptUpdated")
+        .withArgs(receiptId, toUSDC("30"), 2);
+      const receipt = await receipts.getReceipt(receiptId);
+      expect(receipt.amount).to.equal(toUSDC("30"));
+      expect(receipt.value).to.equal(toUSDC("30"));
+      expect(receipt.charityAmount).to.equal(toUSDC("21"));
+      expect(receipt.donationCount).to.equal(2);
+      expect(await receipts.balanceOf(user1.address)).to.equal(1);
+    });
+
+    it("Should keep separate receipts per token and per-donation requests", async function () {
+      await receipts.connect(user1).donateToken(user1.address, charity.address, weth.address, convert("0.001"), PerDay);
+      expect(await receipts.getDailyReceiptId(user1.address, day, charity.address, weth.address)).to.equal(5);
+
+      await receipts.connect(user1).donate(user1.address, charity.address, toUSDC("5"), PerDonation);
+      expect((await receipts.getReceipt(4)).amount).to.equal(toUSDC("30"));
+      expect(await receipts.balanceOf(user1.address)).to.equal(3);
+    });
+
+    it("Should start a new receipt on the next day", async function () {
+      await increaseTime(ONE_DAY);
+      await receipts.connect(user1).donate(user1.address, charity.address, toUSDC("10"), PerDay);
+      const nextDay = await rig.currentDay();
+      expect(await receipts.getDailyReceiptId(user1.address, nextDay, charity.address, usdc.address)).to.equal(7);
+      expect((await receipts.getReceipt(7)).donationCount).to.equal(1);
+    });
+  });
+
+  describe("Metadata", function () {
+    it("Should generate JSON and SVG metadata on-chain", async function () {
+      const { metadata, attributes, svg } = await getMetadata(1);
+      expect(metadata.name).to.equal("DoughNation Receipt #1");
+      expect(attributes["Charity"]).to.equal("Kids First Fund");
+      expect(attributes["Charity Address"]).to.equal(charity.address.toLowerCase());
+      expect(attributes["Token"]).to.equal(usdc.address.toLowerCase());
+      expect(attributes["Amount"]).to.equal("100");
+      expect(attributes["Value"]).to.equal("100");
+      expect(attributes["Day"]).to.equal(day.toNumber());
+      expect(attributes["Charity Share"]).to.equal("70");
+      expect(attributes["Treasury Share"]).to.equal("27");
+      expect(attributes["Team Share"]).to.equal("3");
+      expect(attributes["Donations"]).to.equal(1);
+      expect(svg).to.include("<svg");
+      expect(svg).to.include("Kids First Fund");
+      expect(svg).to.include("100 USDC");
+    });
+
+    it("Should format fractional amounts and fall back to the charity address", async function () {
+      const { metadata, attributes, svg } = await getMetadata(3);
+      expect(attributes["Amount"]).to.equal("0.001");
+      expect(attributes["Charity Share"]).to.equal("0.0005");
+      expect(attributes["Value"]).to.equal("2");
+      expect(metadata.description).to.include(plainCharity.address.toLowerCase());
+      expect(svg).to.include("0.001 WETH");
+    });
+
+    it("Should keep the charity name a receipt was minted with", async function () {
+      await rig.setCharityMetadata(charity.address, "Renamed Fund", "ipfs://kids", ethers.utils.formatBytes32String("health"));
+      expect((await receipts.getReceipt(1)).charityName).to.equal('Kids "First" <Fund>');
+      expect((await getMetadata(1)).attributes["Charity"]).to.equal("Kids First Fund");
+
+      await receipts.connect(user3).donate(user3.address, charity.address, toUSDC("1"), PerDonation);
+      const receiptId = await receipts.receiptCount();
+      expect((await getMetadata(receiptId)).attributes["Charity"]).to.equal("Renamed Fund");
+    });
+
+    it("Should reject unknown receipts", async function () {
+      await expect(receipts.tokenURI(99)).to.be.revertedWith("ERC721: invalid token ID");
+    });
+  });
+
+  describe("Transfers", function () {
+    it("Should be soulbound by default", async function () {
+      await expect(
+        receipts.connect(user2).transferFrom(user2.address, user3.address, 1)
+      ).to.be.revertedWith("DonationReceipts__NonTransferable");
+    });
+
+    it("Should let the owner enable transfers", async function () {
+      await expect(receipts.connect(user1).setTransferable(true)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+      await expect(receipts.setTransferable(true)).to.emit(receipts, "DonationReceipts__TransferableSet").withArgs(true);
+
+      await receipts.connect(user2).transferFrom(user2.address, user3.address, 1);
+      expect(await receipts.ownerOf(1)).to.equal(user3.address);
+      // Receipts stay listed under the account they were minted to
+      expect(await receipts.getReceiptIds(user2.address)).to.deep.equal([1, 2].map((id) => ethers.BigNumber.from(id)));
+
+      await receipts.setTransferable(false);
+      await expect(
+        receipts.connect(user3).transferFrom(user3.address, user2.address, 1)
+      ).to.be.revertedWith("DonationReceipts__NonTransferable");
+    });
+  });
+
+  describe("Burning", function () {
+    it("Should let only the holder burn a receipt", async function () {
+      // user1 donates in user3's name, minting user3 a receipt they did not ask for
+      await receipts.connect(user1).donate(user3.address, plainCharity.address, toUSDC("1"), PerDonation);
+      const receiptId = await receipts.receiptCount();
+      const ids = await receipts.getReceiptIds(user3.address);
+      expect(ids[ids.length - 1]).to.equal(receiptId);
+
+      await expect(receipts.connect(user1).burn(receiptId)).to.be.revertedWith("DonationReceipts__NotOwner");
+      await expect(receipts.connect(user3).burn(99)).to.be.revertedWith("ERC721: invalid token ID");
+
+      await expect(receipts.connect(user3).burn(receiptId))
+        .to.emit(receipts, "DonationReceipts__ReceiptBurned")
+        .withArgs(receiptId, user3.address);
+      expect(await receipts.getReceiptIds(user3.address)).to.deep.equal(ids.slice(0, -1));
+      expect((await receipts.getReceipt(receiptId)).account).to.equal(AddressZero);
+      await expect(receipts.tokenURI(receiptId)).to.be.revertedWith("ERC721: invalid token ID");
+      await expect(receipts.connect(user3).burn(receiptId)).to.be.revertedWith("ERC721: invalid token ID");
+    });
+
+    it("Should drop a transferred receipt from the account it was minted to", async function () {
+      // Receipt 1 was minted to user2 and transferred to user3
+      const balance = await receipts.balanceOf(user3.address);
+      await receipts.connect(user3).burn(1);
+      expect(await receipts.getReceiptIds(user2.address)).to.deep.equal([ethers.BigNumber.from(2)]);
+      expect(await receipts.balanceOf(user3.address)).to.equal(balance.sub(1));
+    });
+
+    it("Should keep mint order and mint a new daily receipt after a burn", async function () {
+      const nextDay = await rig.currentDay();
+      expect(await receipts.getDailyReceiptId(user1.address, nextDay, charity.address, usdc.address)).to.equal(7);
+
+      await receipts.connect(user1).burn(5);
+      await receipts.connect(user1).burn(7);
+      expect(await receipts.getReceiptIds(user1.address)).to.deep.equal([4, 6].map((id) => ethers.BigNumber.from(id)));
+      expect(await receipts.getDailyReceiptId(user1.address, nextDay, charity.address, usdc.address)).to.equal(0);
+
+      await expect(receipts.connect(user1).donate(user1.address, charity.address, toUSDC("10"), PerDay)).to.emit(
+        receipts,
+        "DonationReceipts__ReceiptMinted"
+      );
+      const receiptId = await receipts.receiptCount();
+      expect(await receipts.getDailyReceiptId(user1.address, nextDay, charity.address, usdc.address)).to.equal(receiptId);
+      expect((await receipts.getReceipt(receiptId)).donationCount).to.equal(1);
+    });
+  });
+});
+
+describe("Donation Subscription Tests", function () {
+  let usdc, weth, unitToken, rig, subs;
+  let owner, charity, charity2, treasury, team, user1, user2, keeper;
+
+  const toUSDC = (amount) => ethers.utils.parseUnits(amount, 6);
+
+  before(async function () {
+    [owner, charity, charity2, treasury, team, user1, user2, keeper] = await ethers.getSigners();
+
+    const usdcArtifact = await ethers.getContractFactory("MockUSDC");
+    usdc = await usdcArtifact.deploy();
+    const wethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await wethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+    await rig.addCharity(charity.address);
+    await rig.addCharity(charity2.address);
+
+    const subsArtifact = await ethers.getContractFactory("DonationSubscriptions");
+    subs = await subsArtifact.deploy(rig.address);
+
+    for (const account of [user1, user2]) {
+      await usdc.mint(account.address, toUSDC("10000"));
+    }
+    await usdc.connect(user1).approve(subs.address, ethers.constants.MaxUint256);
+  });
+
+  describe("Creating Subscriptions", function () {
+    it("Should reject invalid schedules", async function () {
+      const subsArtifact = await ethers.getContractFactory("DonationSubscriptions");
+      await expect(subsArtifact.deploy(AddressZero)).to.be.revertedWith("DonationSubscriptions__InvalidAddress");
+
+      const s = subs.connect(user1);
+      const amount = toUSDC("10");
+      const now = await getBlockTimestamp();
+      await expect(s.createSubscription(user2.address, amount, 50, ONE_DAY, 0, 0, 0)).to.be.revertedWith(
+        "DonationSubscriptions__NotCharity"
+      );
+      await expect(s.createSubscription(charity.address, 0, 50, ONE_DAY, 0, 0, 0)).to.be.revertedWith(
+        "DonationSubscriptions__ZeroAmount"
+      );
+      await expect(s.createSubscription(charity.address, amount, 101, ONE_DAY, 0, 0, 0)).to.be.revertedWith(
+        "DonationSubscriptions__InvalidTip"
+      );
+      await expect(s.createSubscription(charity.address, amount, 50, ONE_DAY - 1, 0, 0, 0)).to.be.revertedWith(
+        "DonationSubscriptions__InvalidInterval"
+      );
+      await expect(s.createSubscription(charity.address, amount, 50, ONE_DAY, 0, now, 0)).to.be.revertedWith(
+        "DonationSubscriptions__InvalidSchedule"
+      );
+      await expect(
+        s.createSubscription(charity.address, amount, 50, ONE_DAY, now + 10 * ONE_DAY, now + 5 * ONE_DAY, 0)
+      ).to.be.revertedWith("DonationSubscriptions__InvalidSchedule");
+      await expect(s.createSubscription(charity.address, amount, 50, ONE_DAY, 0, 0, toUSDC("5"))).to.be.revertedWith(
+        "DonationSubscriptions__InvalidSchedule"
+      );
+    });
+
+    it("Should create a subscription due immediately", async function () {
+      // 10 USDC a day with a 0.5% tip, capped at 30 USDC
+      await expect(subs.connect(user1).createSubscription(charity.address, toUSDC("10"), 50, ONE_DAY, 0, 0, toUSDC("30")))
+        .to.emit(subs, "DonationSubscriptions__Created");
+      const subscription = await subs.getSubscription(0);
+      expect(subscription.donor).to.equal(user1.address);
+      expect(subscription.nextDue).to.equal(await getBlockTimestamp());
+      expect(await subs.getDonorSubscriptionIds(user1.address)).to.deep.equal([ethers.BigNumber.from(0)]);
+      expect(await subs.isDue(0)).to.equal(true);
+      await expect(subs.isDue(1)).to.be.revertedWith("DonationSubscriptions__InvalidSubscription");
+    });
+  });
+
+  describe("Executing Payments", function () {
+    it("Should donate on the donor's behalf and tip the keeper", async function () {
+      const day = await rig.currentDay();
+      const nextDue = (await subs.getSubscription(0)).nextDue;
+      const donorBalance = await usdc.balanceOf(user1.address);
+
+      await expect(subs.connect(keeper).execute(0))
+        .to.emit(subs, "DonationSubscriptions__Executed")
+        .withArgs(0, keeper.address, toUSDC("10"), toUSDC("0.05"), nextDue.add(ONE_DAY));
+      expect(await rig.getUserDonation(day, user1.address)).to.equal(toUSDC("10"));
+      expect(await usdc.balanceOf(keeper.address)).to.equal(toUSDC("0.05"));
+      expect(donorBalance.sub(await usdc.balanceOf(user1.address))).to.equal(toUSDC("10.05"));
+      expect(await usdc.balanceOf(charity.address)).to.equal(toUSDC("5"));
+      expect(await usdc.balanceOf(subs.address)).to.equal(0);
+
+      const subscription = await subs.getSubscription(0);
+      expect(subscription.totalDonated).to.equal(toUSDC("10"));
+      expect(subscription.payments).to.equal(1);
+    });
+
+    it("Should not execute before the next payment is due", async function () {
+      expect(await subs.isDue(0)).to.equal(false);
+      expect(await subs.getDueSubscriptions(0, 10)).to.deep.equal([]);
+      await expect(subs.connect(keeper).execute(0)).to.be.revertedWith("DonationSubscriptions__NotDue");
+    });
+
+    it("Should skip missed payments instead of catching up", async function () {
+      const start = (await subs.getSubscription(0)).nextDue;
+      await increaseTime(ONE_DAY * 2 + ONE_DAY / 2);
+      expect(await subs.getDueSubscriptions(0, 10)).to.deep.equal([ethers.BigNumber.from(0)]);
+
+      await subs.connect(keeper).execute(0);
+      // Still aligned to the original schedule, one interval after the latest missed payment
+      expect((await subs.getSubscription(0)).nextDue).to.equal(start.add(ONE_DAY * 2));
+      expect(await subs.isDue(0)).to.equal(false);
+    });
+
+    it("Should stop once the max total would be exceeded", async function () {
+      await increaseTime(ONE_DAY);
+      await subs.connect(keeper).execute(0);
+      expect((await subs.getSubscription(0)).totalDonated).to.equal(toUSDC("30"));
+
+      await increaseTime(ONE_DAY);
+      expect(await subs.isDue(0)).to.equal(false);
+      await expect(subs.connect(keeper).execute(0)).to.be.revertedWith("DonationSubscriptions__NotDue");
+    });
+
+    it("Should stop after the end time", async function () {
+      const now = await getBlockTimestamp();
+      await subs.connect(user1).createSubscription(charity.address, toUSDC("1"), 0, ONE_DAY, 0, now + ONE_DAY + 60, 0);
+      await subs.connect(keeper).execute(1);
+      await increaseTime(ONE_DAY);
+      expect(await subs.isDue(1)).to.equal(true);
+      await increaseTime(120);
+      expect(await subs.isDue(1)).to.equal(false);
+    });
+  });
+
+  describe("Keeper Views", function () {
+    it("Should only list subscriptions whose donor can pay", async function () {
+      // user2 has funds but no allowance
+      await subs.connect(user2).createSubscription(charity.address, toUSDC("5"), 100, ONE_DAY, 0, 0, 0);
+      await subs.connect(user1).createSubscription(charity2.address, toUSDC("5"), 100, ONE_DAY, 0, 0, 0);
+      expect(await subs.isDue(2)).to.equal(true);
+      expect(await subs.getDueSubscriptions(0, 10)).to.deep.equal([ethers.BigNumber.from(3)]);
+
+      await usdc.connect(user2).approve(subs.address, toUSDC("5.05"));
+      expect(await subs.getDueSubscriptions(0, 10)).to.deep.equal([2, 3].map((id) => ethers.BigNumber.from(id)));
+      expect(await subs.getDueSubscriptions(3, 10)).to.deep.equal([ethers.BigNumber.from(3)]);
+      expect(await subs.getDueSubscriptions(10, 10)).to.deep.equal([]);
+    });
+
+    it("Should hide subscriptions to inactive charities and while donations are paused", async function () {
+      await rig.suspendCharity(charity2.address);
+      expect(await subs.getDueSubscriptions(0, 10)).to.deep.equal([ethers.BigNumber.from(2)]);
+      await rig.addCharity(charity2.address);
+
+      await rig.pause(true, false);
+      expect(await subs.getDueSubscriptions(0, 10)).to.deep.equal([]);
+      await rig.unpause(true, false);
+    });
+
+    it("Should execute every due subscription in a batch", async function () {
+      const balance = await usdc.balanceOf(keeper.address);
+      await subs.connect(keeper).executeMultiple([0, 1, 2, 3]);
+      // Only 2 and 3 were due, each tipping 1% of 5 USDC
+      expect((await usdc.balanceOf(keeper.address)).sub(balance)).to.equal(toUSDC("0.1"));
+      expect((await subs.getSubscription(2)).payments).to.equal(1);
+      expect((await subs.getSubscription(3)).payments).to.equal(1);
+    });
+
+    it("Should skip subscriptions that cannot run instead of reverting the batch", async function () {
+      // user2's allowance was used up by the last payment, so 2 is due but cannot pay
+      await increaseTime(ONE_DAY);
+      expect(await subs.isDue(2)).to.equal(true);
+      expect(await subs.isDue(3)).to.equal(true);
+      await expect(subs.connect(keeper).execute(2)).to.be.reverted;
+
+      await rig.pause(true, false);
+      await expect(subs.connect(keeper).executeMultiple([2, 3])).to.not.emit(subs, "DonationSubscriptions__Executed");
+      await rig.unpause(true, false);
+
+      const balance = await usdc.balanceOf(keeper.address);
+      const receipt = await (await subs.connect(keeper).executeMultiple([2, 3])).wait();
+      const executed = receipt.events
+        .filter((event) => event.event === "DonationSubscriptions__Executed")
+        .map((event) => event.args.subscriptionId.toNumber());
+      expect(executed).to.deep.equal([3]);
+      expect((await usdc.balanceOf(keeper.address)).sub(balance)).to.equal(toUSDC("0.05"));
+      expect((await subs.getSubscription(2)).payments).to.equal(1);
+      expect((await subs.getSubscription(3)).payments).to.equal(2);
+    });
+  });
+
+  describe("Donor Controls", function () {
+    it("Should only let the donor manage a subscription", async function () {
+      await expect(subs.connect(user2).setPaused(3, true)).to.be.revertedWith("DonationSubscriptions__NotDonor");
+      await expect(subs.connect(user2).cancel(3)).to.be.revertedWith("DonationSubscriptions__NotDonor");
+      await expect(
+        subs.connect(user2).modifySubscription(3, charity.address, toUSDC("1"), 0, ONE_DAY, 0, 0)
+      ).to.be.revertedWith("DonationSubscriptions__NotDonor");
+      await expect(subs.connect(user1).cancel(99)).to.be.revertedWith("DonationSubscriptions__InvalidSubscription");
+    });
+
+    it("Should pause and resume", async function () {
+      await increaseTime(ONE_DAY);
+      await expect(subs.connect(user1).setPaused(3, true))
+        .to.emit(subs, "DonationSubscriptions__PausedSet")
+        .withArgs(3, true);
+      expect(await subs.isDue(3)).to.equal(false);
+
+      await subs.connect(user1).setPaused(3, false);
+      expect(await subs.isDue(3)).to.equal(true);
+    });
+
+    it("Should modify from the next payment", async function () {
+      await expect(subs.connect(user1).modifySubscription(3, charity.address, toUSDC("2"), 0, ONE_DAY * 7, 0, 0))
+        .to.emit(subs, "DonationSubscriptions__Modified")
+        .withArgs(3, charity.address, toUSDC("2"), 0, ONE_DAY * 7, 0, 0);
+      await expect(
+        subs.connect(user1).modifySubscription(3, charity.address, toUSDC("2"), 101, ONE_DAY * 7, 0, 0)
+      ).to.be.revertedWith("DonationSubscriptions__InvalidTip");
+
+      const nextDue = (await subs.getSubscription(3)).nextDue;
+      const before = await usdc.balanceOf(charity.address);
+      await expect(subs.connect(keeper).execute(3))
+        .to.emit(subs, "DonationSubscriptions__Executed")
+        .withArgs(3, keeper.address, toUSDC("2"), 0, nextDue.add(ONE_DAY * 7));
+      expect((await usdc.balanceOf(charity.address)).sub(before)).to.equal(toUSDC("1"));
+    });
+
+    it("Should cancel for good", async function () {
+      await expect(subs.connect(user1).cancel(3))
+        .to.emit(subs, "DonationSubscriptions__SubscriptionCancelled")
+        .withArgs(3);
+      await increaseTime(ONE_DAY * 7);
+      expect(await subs.isDue(3)).to.equal(false);
+      await expect(subs.connect(user1).setPaused(3, false)).to.be.revertedWith("DonationSubscriptions__Cancelled");
+      await expect(subs.connect(user1).cancel(3)).to.be.revertedWith("DonationSubscriptions__Cancelled");
+    });
+  });
+});
+
+describe("Donor Statement Tests", function () {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const { generateStatements } = require("../scripts/statements");
+
+  let usdc, weth, unitToken, rig;
+  let owner, charity, plainCharity, treasury, team, user1, user2;
+  let period, outputDir, claimed, fromBlock;
+
+  const toUSDC = (amount) => ethers.utils.parseUnits(amount, 6);
+  const toDate = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+  const readStatement = (account, extension) =>
+    fs.readFileSync(path.join(outputDir, `statement-${account.address}-${period}-${period}.${extension}`), "utf8");
+
+  function run(config = {}) {
+    return generateStatements({
+      rig: rig.address,
+      from: period,
+      to: period,
+      donors: [],
+      fromBlock,
+      blockRange: 10000,
+      outputDir,
+      issuer: "DoughNation",
+      log: () => {},
+      ...config,
+    });
+  }
+
+  before(async function () {
+    [owner, charity, plainCharity, treasury, team, user1, user2] = await ethers.getSigners();
+
+    const usdcArtifact = await ethers.getContractFactory("MockUSDC");
+    usdc = await usdcArtifact.deploy();
+    const wethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await wethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    fromBlock = rig.deployTransaction.blockNumber;
+    await unitToken.setRig(rig.address);
+    await rig.registerCharity(charity.address, 'Bread, Butter & "Co"', "ipfs://bread", ethers.utils.formatBytes32String("food"));
+    await rig.addCharity(charity.address);
+    await rig.addCharity(plainCharity.address);
+
+    const priceSourceArtifact = await ethers.getContractFactory("MockPriceSource");
+    const priceSource = await priceSourceArtifact.deploy();
+    await priceSource.setPrice(weth.address, toUSDC("2000"));
+    await rig.addPaymentToken(weth.address, priceSource.address);
+
+    for (const account of [user1, user2]) {
+      await usdc.mint(account.address, toUSDC("1000"));
+      await usdc.connect(account).approve(rig.address, ethers.constants.MaxUint256);
+    }
+    await weth.connect(user1).deposit({ value: convert("0.01") });
+    await weth.connect(user1).approve(rig.address, ethers.constants.MaxUint256);
+
+    // Day 0 is the statement period; day 1 falls on the next date
+    period = toDate((await rig.START_TIME()).toNumber());
+    await rig.connect(user1).donate(user1.address, charity.address, toUSDC("100"));
+    await rig.connect(user1).donateToken(user1.address, plainCharity.address, weth.address, convert("0.001"));
+    await rig.connect(user2).donate(user2.address, charity.address, toUSDC("10"));
+
+    await increaseTime(ONE_DAY);
+    await rig.connect(user1).donate(user1.address, charity.address, toUSDC("5"));
+    const receipt = await (await rig.claim(user1.address, 0)).wait();
+    claimed = rig.interface.parseLog(receipt.logs.find((log) => log.address === rig.address)).args.amount;
+
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "statements-"));
+  });
+
+  after(function () {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  it("Should write one row per donation and claim in the period", async function () {
+    const written = await run();
+    expect(written.map((donor) => donor.address)).to.have.members([user1.address, user2.address]);
+
+    const rows = readStatement(user1, "csv").trimEnd().split("\n");
+    expect(rows.length).to.equal(4);
+    expect(rows[0]).to.equal(
+      "Type,Date,Day,Charity,Charity Name,Token,Amount,Charity Share,Treasury Share,Team Share," +
+        "Value (USDC),DOUGH Claimed,Transaction Date,Transaction"
+    );
+    // 50% to the charity; the rest divides 45:5 between treasury and team
+    expect(rows[1]).to.match(
+      new RegExp(
+        `^Donation,${period},0,${charity.address},"Bread, Butter & ""Co""",USDC,100,50,45,5,100,,${period},0x[0-9a-f]{64}$`
+      )
+    );
+    expect(rows[2]).to.match(
+      new RegExp(`^Donation,${period},0,${plainCharity.address},,WETH,0.001,0.0005,0.00045,0.00005,2,,${period},0x`)
+    );
+    const claimedText = ethers.utils.formatUnits(claimed, 18).replace(/\.0$/, "");
+    expect(rows[3]).to.match(new RegExp(`^Claim,${period},0,,,,,,,,,${claimedText.replace(".", "\\.")},\\d{4}-`));
+
+    expect(readStatement(user2, "csv").trimEnd().split("\n").length).to.equal(2);
+  });
+
+  it("Should total the credited value and claims in the HTML statement", async function () {
+    const html = readStatement(user1, "html");
+    const claimedText = ethers.utils.formatUnits(claimed, 18).replace(/\.0$/, "");
+    expect(html).to.include(`Period: ${period} to ${period}`);
+    expect(html).to.include("Total donated: 102 USDC (credited value)");
+    expect(html).to.include(`Total DOUGH claimed for the period: ${claimedText}`);
+    // Charity names are escaped, and each charity and token gets a summary row
+    expect(html).to.include("Bread, Butter &amp; &quot;Co&quot;");
+    expect(html).to.include('<td class="num">100 USDC</td><td class="num">50 USDC</td>');
+    expect(html).to.include('<td class="num">0.001 WETH</td><td class="num">0.0005 WETH</td>');
+    expect(html).to.not.include(">105 USDC<");
+
+    expect(readStatement(user2, "html")).to.include("Total donated: 10 USDC (credited value)");
+  });
+
+  it("Should only write statements for the listed donors", async function () {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    // A two-block range still finds every event
+    const written = await run({ donors: [user2.address], blockRange: 2 });
+    expect(written.map((donor) => donor.address)).to.deep.equal([user2.address]);
+    expect(fs.readdirSync(outputDir).sort()).to.deep.equal([
+      `statement-${user2.address}-${period}-${period}.csv`,
+      `statement-${user2.address}-${period}-${period}.html`,
+    ]);
+  });
+});
+
+describe("Claim Keeper Tests", function () {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const keeper = require("../scripts/keeper");
+
+  let usdc, weth, unitToken, rig, multicall;
+  let owner, charity, treasury, team, user1, user2, user3;
+  let config, state, tmpDir;
+
+  const toUSDC = (amount) => ethers.utils.parseUnits(amount, 6);
+  const readState = () => JSON.parse(fs.readFileSync(config.stateFile, "utf8"));
+
+  // Multicall stand-in recording each claimMultiple batch, optionally failing some of them
+  function trackMulticall(batches, fail = () => false) {
+    return {
+      estimateGas: multicall.estimateGas,
+      claimMultiple: async (account, days, overrides) => {
+        batches.push([account, days]);
+        if (fail(account)) throw new Error("replacement transaction underpriced");
+        return multicall.claimMultiple(account, days, overrides);
+      },
+    };
+  }
+
+  before(async function () {
+    [owner, charity, treasury, team, user1, user2, user3] = await ethers.getSigners();
+
+    const usdcArtifact = await ethers.getContractFactory("MockUSDC");
+    usdc = await usdcArtifact.deploy();
+    const wethArtifact = await ethers.getContractFactory("MockWETH");
+    weth = await wethArtifact.deploy();
+
+    const unitArtifact = await ethers.getContractFactory("Unit");
+    unitToken = await unitArtifact.deploy(MAX_SUPPLY);
+
+    const rigArtifact = await ethers.getContractFactory("Rig");
+    rig = await rigArtifact.deploy(
+      usdc.address,
+      unitToken.address,
+      treasury.address,
+      team.address,
+      weth.address,
+      (await deployHalvingSchedule()).address
+    );
+    await unitToken.setRig(rig.address);
+    await rig.addCharity(charity.address);
+
+    const multicallArtifact = await ethers.getContractFactory("Multicall");
+    multicall = await multicallArtifact.deploy(rig.address, AddressZero, AddressZero);
+
+    for (const account of [user1, user2, user3]) {
+      await usdc.mint(account.address, toUSDC("1000"));
+      await usdc.connect(account).approve(rig.address, ethers.constants.MaxUint256);
+    }
+
+    // user1 donates on days 0-2, user2 on day 0 and the current day 3; user3 did not opt in
+    for (let day = 0; day < 3; day++) {
+      await rig.connect(user1).donate(user1.address, charity.address, toUSDC("10"));
+      if (day === 0) {
+        await rig.connect(user2).donate(user2.address, charity.address, toUSDC("10"));
+        await rig.connect(user3).donate(user3.address, charity.address, toUSDC("10"));
+      }
+      await increaseTime(ONE_DAY);
+    }
+    await rig.connect(user2).donate(user2.address, charity.address, toUSDC("10"));
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "keeper-"));
+    config = {
+      rig: rig.address,
+      accounts: [user1.address, user2.address],
+      stateFile: path.join(tmpDir, "keeper-state.json"),
+      fromBlock: rig.deployTransaction.blockNumber,
+      blockRange: 3,
+      confirmations: 0,
+      batchSize: 2,
+      gasLimit: 3000000,
+      maxGasPriceGwei: 0,
+      dryRun: false,
+      log: () => {},
+    };
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("Should record the donation days of opted-in donors and save the scan", async function () {
+    state = keeper.loadState(config);
+    expect(state).to.deep.equal({ rig: rig.address, lastBlock: config.fromBlock - 1, pending: {} });
+
+    await keeper.scanDonations(rig, state, config);
+    expect(state.pending).to.deep.equal({ [user1.address]: [0, 1, 2], [user2.address]: [0, 3] });
+    expect(state.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(readState()).to.deep.equal(state);
+  });
+
+  it("Should claim ended days in batches and keep the current day pending", async function () {
+    const batches = [];
+    await keeper.claimEndedDays(rig, trackMulticall(batches), state, config);
+    expect(batches).to.deep.equal([
+      [user1.address, [0, 1]],
+      [user1.address, [2]],
+      [user2.address, [0]],
+    ]);
+    for (const day of [0, 1, 2]) {
+      expect(await rig.day_Account_HasClaimed(day, user1.address)).to.equal(true);
+    }
+    expect(await rig.day_Account_HasClaimed(0, user2.address)).to.equal(true);
+    expect(await rig.day_Account_HasClaimed(0, user3.address)).to.equal(false);
+    expect(state.pending).to.deep.equal({ [user2.address]: [3] });
+    expect(readState()).to.deep.equal(state);
+  });
+
+  it("Should keep a failed batch pending and carry on with the rest", async function () {
+    await rig.connect(user1).donate(user1.address, charity.address, toUSDC("10"));
+    await increaseTime(ONE_DAY);
+    await keeper.scanDonations(rig, state, config);
+    expect(state.pending).to.deep.equal({ [user2.address]: [3], [user1.address]: [3] });
+
+    const batches = [];
+    await keeper.claimEndedDays(rig, trackMulticall(batches, (account) => account === user2.address), state, config);
+    expect(batches).to.deep.equal([
+      [user2.address, [3]],
+      [user1.address, [3]],
+    ]);
+    expect(await rig.day_Account_HasClaimed(3, user1.address)).to.equal(true);
+    expect(await rig.day_Account_HasClaimed(3, user2.address)).to.equal(false);
+    expect(readState().pending).to.deep.equal({ [user2.address]: [3] });
+  });
+
+  it("Should resume from the state file", async function () {
+    const resumed = keeper.loadState(config);
+    expect(resumed).to.deep.equal(state);
+    await keeper.scanDonations(rig, resumed, config);
+    expect(resumed.pending).to.deep.equal({ [user2.address]: [3] });
+
+    // Days someone else claimed meanwhile are dropped without a transaction
+    await rig.claim(user2.address, 3);
+    const batches = [];
+    await keeper.claimEndedDays(rig, trackMulticall(batches), resumed, config);
+    expect(batches).to.deep.equal([]);
+    expect(readState().pending).to.deep.equal({});
+
+    expect(() => keeper.loadState({ ...config, rig: multicall.address })).to.throw("belongs to Rig");
+  });
+
+  it("Should not send or save anything in a dry run", async function () {
+    await rig.connect(user1).donate(user1.address, charity.address, toUSDC("10"));
+    await increaseTime(ONE_DAY);
+    const saved = readState();
+    const dryRun = { ...config, dryRun: true };
+
+    const batches = [];
+    state = keeper.loadState(dryRun);
+    await keeper.scanDonations(rig, state, dryRun);
+    await keeper.claimEndedDays(rig, trackMulticall(batches), state, dryRun);
+    expect(batches).to.deep.equal([]);
+    expect(Object.keys(state.pending)).to.deep.equal([user1.address]);
+    expect(readState()).to.deep.equal(saved);
+  });
+
+  it("Should sleep until the next day starts, at most the poll interval", async function () {
+    const start = 1000;
+    expect(keeper.getSleepSeconds(start + 100, start, ONE_DAY, 60)).to.equal(60);
+    expect(keeper.getSleepSeconds(start + ONE_DAY - 10, start, ONE_DAY, 60)).to.equal(10);
+    expect(keeper.getSleepSeconds(start + ONE_DAY, start, ONE_DAY, ONE_DAY * 2)).to.equal(ONE_DAY);
+  });
+});